@@ -6,8 +6,14 @@
 
 const search_func = require("./search.js");
 const logger = require("./logger.js");
+const git = require("./git.js");
+const utils = require("./utils.js");
+const grammar_index = require("./grammar_index.js");
 const { search_algorithm } = require("./config.js").GetConfig();
 
+// The most common values of each facet counted, to keep facets like keywords short.
+const facet_values = 20;
+
 /**
  * @desc Intended for use for a collection of Packages, sort them according to any valid Sorting method.
  * Note this should be called before, any Pruning has taken place.
@@ -146,6 +152,7 @@ async function POFPrune(packages) {
       delete packages.created;
       delete packages.updated;
       delete packages.star_gazers;
+      pruneYanked(packages[i]);
     }
     return packages;
   } else {
@@ -155,11 +162,30 @@ async function POFPrune(packages) {
     delete packages.created;
     delete packages.updated;
     delete packages.star_gazers;
+    pruneYanked(packages);
 
     return packages;
   }
 }
 
+/**
+ * @function pruneYanked
+ * @desc Non-Exported function, that removes any yanked versions from the versions of a package.
+ * They are still available by their exact version, but should no longer be listed.
+ * @param {object} pack - The package object to prune, which is modified in place.
+ */
+function pruneYanked(pack) {
+  if (typeof pack.versions !== "object" || pack.versions === null) {
+    return;
+  }
+
+  for (const ver of Object.keys(pack.versions)) {
+    if (pack.versions[ver].yanked) {
+      delete pack.versions[ver];
+    }
+  }
+}
+
 async function POSPrune(packages) {
   // This will prune Package Object Short items,
 
@@ -207,243 +233,256 @@ async function SearchWithinPackages(
   // This score can then be used to sort the results.
 
   // Due to the high potential of this being reworked later on, we will rely on a config option of searchAlgorithm
-  // to define what method we are wanting to use.
-
-  switch (searchAlgorithm) {
-    case "levenshtein_distance":
-      // The Levenshtein Distance will be the most basic form of search.
-      // Simple, not accounting for any word seperators
-      // and simply returning the edit distance between strings.
-
-      for (let i = 0; i < packages.length; i++) {
-        packages[i].relevance = search_func.levenshtein(
-          search,
-          packages[i].name
-        );
-      }
-      break;
-
-    case "levenshtein_distance_wsdm":
-      for (let i = 0; i < packages.length; i++) {
-        packages[i].relevance = search_func.levenshteinWSDM(
-          search,
-          packages[i].name
-        );
-      }
-      break;
-
-    case "lcs":
-      for (let i = 0; i < packages.length; i++) {
-        packages[i].relevance = search_func.lcs(search, packages[i].name);
-      }
-      break;
-
-    default:
-      throw new Error(
-        `Unrecognized Search Algorithm in Config: ${searchAlgorithm}`
-      );
+  // to define what method we are wanting to use. Which `search.relevance` combines with the full text search.
+  // Note that searching every package this way is only used for smaller collections,
+  // while the full catalog is searched with `search_index`.
+
+  for (let i = 0; i < packages.length; i++) {
+    packages[i].relevance = search_func.relevance(
+      search,
+      packages[i],
+      searchAlgorithm
+    );
   }
 
   return packages;
 }
 
 async function EngineFilter(pack, engine) {
-  // Comparison utils:
-  // These ones expect to get valid strings as parameters, which should be convertible to numbers.
-  // Providing other types may lead to unexpected behaviors.
-  // Always to be executed after passing the semver format validity.
-  const gt = (a1, a2) => {
-    const v1 = a1.map((n) => parseInt(n));
-    const v2 = a2.map((n) => parseInt(n));
-
-    if (v1[0] > v2[0]) {
-      return true;
-    } else if (v1[0] < v2[0]) {
-      return false;
-    }
-
-    if (v1[1] > v2[1]) {
-      return true;
-    } else if (v1[1] < v2[1]) {
-      return false;
-    }
-
-    return v1[2] > v2[2];
-  };
-
-  const lt = (a1, a2) => {
-    const v1 = a1.map((n) => parseInt(n));
-    const v2 = a2.map((n) => parseInt(n));
-
-    if (v1[0] < v2[0]) {
-      return true;
-    } else if (v1[0] > v2[0]) {
-      return false;
-    }
-
-    if (v1[1] < v2[1]) {
-      return true;
-    } else if (v1[1] > v2[1]) {
-      return false;
-    }
-
-    return v1[2] < v2[2];
-  };
-
-  const eq = (a1, a2) => {
-    return a1[0] === a2[0] && a1[1] === a2[1] && a1[2] === a2[2];
-  };
-
-  // Function start.
   // If a compatible version is found, we add its data to the metadata property of the package
   // Otherwise we return an unmodified package, so that it is usable to the consumer.
-
-  // Validate engine type.
   if (typeof engine !== "string") {
     return pack;
   }
 
-  const eng_sv = engine.match(/^(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)$/);
+  // The greatest compatible version is picked, with the `engines.atom` range evaluated by npm's `semver`.
+  const compatible_version = utils.LatestVersion(pack, engine);
 
-  // Validate engine semver format.
-  if (eng_sv === null) {
+  if (compatible_version === undefined) {
+    // No valid version found.
     return pack;
   }
 
-  // We will want to loop through each version of the package, and check its engine version against the specified one.
-  let compatible_version = "";
-
-  for (const ver in pack.versions) {
-    // Make sure the key we need is available, otherwise skip the current loop.
-    if (!pack.versions[ver].engines.atom) {
-      continue;
-    }
-
-    // Core Atom Packages contain '*' as the engine type, and will require a manual check.
-    if (pack.versions[ver].engines.atom === "*") {
-      break;
-    }
+  // We have a compatible version, let's add its data to the metadata property of the package.
+  pack.metadata = pack.versions[compatible_version];
 
-    // Track the upper and lower end conditions.
-    // Null type means not available; Bool type means available with the relative result.
-    let lower_end = null;
-    let upper_end = null;
+  return pack;
+}
 
-    // Extract the lower end semver condition (i.e >=1.0.0)
-    const low_sv = pack.versions[ver].engines.atom.match(
-      /(>=?)(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)/
-    );
+/**
+ * @function ThemeFilter
+ * @desc Filters a collection of packages, to only those that are themes. As declared
+ * by the `theme` key within their `package.json`, which is either `ui` or `syntax`.
+ * @param {object[]} packages - The array of package objects to filter.
+ * @param {string} [type] - Optionally only keep themes of this type, `ui` or `syntax`.
+ * @returns {object[]} The array of packages that are themes.
+ * @async
+ */
+async function ThemeFilter(packages, type) {
+  const valid = type === undefined ? ["ui", "syntax"] : [type];
+
+  return packages.filter(
+    (pack) =>
+      typeof pack.metadata === "object" &&
+      pack.metadata !== null &&
+      valid.includes(pack.metadata.theme)
+  );
+}
 
-    if (low_sv != null) {
-      // Lower end condition present, so test it.
-      switch (low_sv[1]) {
-        case ">":
-          lower_end = gt(
-            [eng_sv[1], eng_sv[2], eng_sv[3]],
-            [low_sv[2], low_sv[3], low_sv[4]]
-          );
-
-          break;
-        case ">=":
-          lower_end =
-            gt(
-              [eng_sv[1], eng_sv[2], eng_sv[3]],
-              [low_sv[2], low_sv[3], low_sv[4]]
-            ) ||
-            eq(
-              [eng_sv[1], eng_sv[2], eng_sv[3]],
-              [low_sv[2], low_sv[3], low_sv[4]]
-            );
-
-          break;
-      }
+/**
+ * @function FacetFilter
+ * @desc Filters a collection of packages, to only those matching every facet provided.
+ * Any facet that is `false` isn't filtered on, other than `has_grammar` which is `any`.
+ * As returned by the `query` parsers.
+ * @param {object[]} packages - The array of package objects to filter, which are left unmodified.
+ * @param {object} filters - The facets to filter on.
+ * @param {string|boolean} filters.engine - Only packages with a version compatible with this Atom version.
+ * @param {string|boolean} filters.type - Only packages of this type, `package`, `theme`, `ui-theme` or `syntax-theme`.
+ * @param {string|boolean} filters.license - Only packages under this license, ignoring case.
+ * @param {string|boolean} filters.keyword - Only packages with this keyword, ignoring case.
+ * @param {string|boolean} filters.owner - Only packages whose repo belongs to this owner, ignoring case.
+ * @param {string|boolean} filters.has_grammar - Only packages with, `true`, or without, `false`, a grammar.
+ * Or `any` to not filter on it.
+ * @param {string|boolean} [filters.scope] - Only packages adding a grammar, or snippets, for this scope.
+ * @param {string|boolean} [filters.fileType] - Only packages adding a grammar for this file type, ignoring case.
+ * @returns {object[]} The array of packages matching every facet.
+ * @async
+ */
+async function FacetFilter(packages, filters) {
+  return packages.filter((pack) => {
+    const facets = packageFacets(pack);
+
+    if (
+      filters.engine !== false &&
+      utils.LatestVersion(pack, filters.engine) === undefined
+    ) {
+      return false;
     }
-
-    // Extract the upper end semver condition (i.e <=2.0.0)
-    const up_sv = pack.versions[ver].engines.atom.match(
-      /(<=?)(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)/
-    );
-
-    if (up_sv != null) {
-      // Upper end condition present, so test it.
-      switch (up_sv[1]) {
-        case "<":
-          upper_end = lt(
-            [eng_sv[1], eng_sv[2], eng_sv[3]],
-            [up_sv[2], up_sv[3], up_sv[4]]
-          );
-
-          break;
-        case "<=":
-          upper_end =
-            lt(
-              [eng_sv[1], eng_sv[2], eng_sv[3]],
-              [up_sv[2], up_sv[3], up_sv[4]]
-            ) ||
-            eq(
-              [eng_sv[1], eng_sv[2], eng_sv[3]],
-              [up_sv[2], up_sv[3], up_sv[4]]
-            );
-
-          break;
+    if (filters.type !== false) {
+      const types =
+        filters.type === "theme"
+          ? ["ui-theme", "syntax-theme"]
+          : [filters.type];
+
+      if (!types.includes(facets.type)) {
+        return false;
       }
     }
-
-    if (lower_end === null && upper_end === null) {
-      // Both lower and upper end condition are unavailable.
-      // So, as last resort, check if there is an equality condition (i.e =1.0.0)
-      const eq_sv = pack.versions[ver].engines.atom.match(
-        /^=(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)$/
-      );
+    if (
+      filters.license !== false &&
+      !facets.license.includes(filters.license.toLowerCase())
+    ) {
+      return false;
+    }
+    if (
+      filters.keyword !== false &&
+      !facets.keyword.includes(filters.keyword.toLowerCase())
+    ) {
+      return false;
+    }
+    if (
+      filters.owner !== false &&
+      facets.owner !== filters.owner.toLowerCase()
+    ) {
+      return false;
+    }
+    if (
+      filters.has_grammar !== "any" &&
+      facets.has_grammar !== filters.has_grammar
+    ) {
+      return false;
+    }
+    if (
+      (filters.scope !== undefined && filters.scope !== false) ||
+      (filters.fileType !== undefined && filters.fileType !== false)
+    ) {
+      const support = grammar_index.LanguageSupport(pack);
 
       if (
-        eq_sv !== null &&
-        eq([eng_sv[1], eng_sv[2], eng_sv[3]], [eq_sv[1], eq_sv[2], eq_sv[3]])
+        support === undefined ||
+        grammar_index.Match(support, filters.scope, filters.fileType) ===
+          undefined
       ) {
-        compatible_version = ver;
-
-        break; // Found the compatible version, break the loop.
+        return false;
       }
-
-      // Equality condition unavailable or not satisfied, skip the current loop.
-      continue;
     }
 
-    // One of the semver condition may still be not present.
-    if (lower_end === null) {
-      // Only upper end available
-      if (upper_end) {
-        compatible_version = ver;
+    return true;
+  });
+}
 
-        break; // The version is under the upper end, break the loop.
-      }
-    } else if (upper_end === null) {
-      // Only lower end available
-      if (lower_end) {
-        compatible_version = ver;
+/**
+ * @function FacetCounts
+ * @desc Counts how many of a collection of packages have each value of every facet,
+ * allowing a search to show how its results could be narrowed down.
+ * @param {object[]} packages - The array of package objects to count.
+ * @returns {object} Each facet, `type`, `license`, `keyword`, `owner` and `has_grammar`, as
+ * an array of `{ value, count }`. Sorted by the most common value first, and limited to the
+ * `facet_values` most common.
+ * @async
+ */
+async function FacetCounts(packages) {
+  let counts = {
+    type: new Map(),
+    license: new Map(),
+    keyword: new Map(),
+    owner: new Map(),
+    has_grammar: new Map(),
+  };
 
-        break; // The version is over the lower end, break the loop.
-      }
-    }
+  const count = (facet, value) => {
+    counts[facet].set(value, (counts[facet].get(value) || 0) + 1);
+  };
 
-    // Both lower and upper end are available.
-    if (lower_end && upper_end) {
-      compatible_version = ver;
+  for (const pack of packages) {
+    const facets = packageFacets(pack);
 
-      break; // The version is within the range, break the loop.
+    for (const facet in counts) {
+      if (Array.isArray(facets[facet])) {
+        facets[facet].forEach((value) => count(facet, value));
+      } else if (facets[facet] !== "") {
+        count(facet, facets[facet]);
+      }
     }
   }
 
-  // After the loop ends, or breaks, check the extracted compatible version.
-  if (compatible_version === "") {
-    // No valid version found.
-    return pack;
+  let output = {};
+
+  for (const facet in counts) {
+    output[facet] = Array.from(counts[facet], ([value, amount]) => ({
+      value: value,
+      count: amount,
+    }))
+      .sort(
+        (a, b) =>
+          b.count - a.count || String(a.value).localeCompare(String(b.value))
+      )
+      .slice(0, facet_values);
   }
 
-  // We have a compatible version, let's add its data to the metadata property of the package.
-  pack.metadata = pack.versions[compatible_version];
+  return output;
+}
 
-  return pack;
+/**
+ * @function packageFacets
+ * @desc Non-Exported function, that finds the value of every facet of a package. Where the
+ * `license`, `keyword` and `owner` are lowercase, so they can be compared ignoring case.
+ * @param {object} pack - The package object.
+ * @returns {object} The `type`, the `license` and `keyword` arrays, the `owner` or '' if
+ * unknown, and `has_grammar` as a boolean.
+ */
+function packageFacets(pack) {
+  const metadata =
+    typeof pack.metadata === "object" && pack.metadata !== null
+      ? pack.metadata
+      : {};
+
+  let type = "package";
+
+  if (metadata.theme === "ui" || metadata.theme === "syntax") {
+    type = `${metadata.theme}-theme`;
+  }
+
+  // A license can be an SPDX expression, like `(MIT OR Apache-2.0)`, which is under either license.
+  const license =
+    typeof metadata.license === "string"
+      ? metadata.license
+          .toLowerCase()
+          .split(/[\s()]+/)
+          .filter((id) => id !== "" && !["or", "and", "with"].includes(id))
+      : [];
+
+  const keyword = Array.isArray(metadata.keywords)
+    ? Array.from(
+        new Set(
+          metadata.keywords
+            .filter((word) => typeof word === "string")
+            .map((word) => word.toLowerCase())
+        )
+      )
+    : [];
+
+  // The owner is the first part of the repo, like `atom` of `atom/language-css`,
+  // or of `https://gitlab.com/atom/language-css` on any other host.
+  const repo = git.RepoFromPackage(pack).replace(/^https:\/\/[^/]+\//, "");
+  const owner = repo === "" ? "" : repo.split("/")[0].toLowerCase();
+
+  // Grammars aren't declared within a `package.json`, so the grammars found when the latest
+  // version was published are used. Packages published before then, following the `language-`
+  // naming convention of grammar packages, are assumed to have one.
+  const support = grammar_index.LanguageSupport(pack);
+  const has_grammar =
+    support !== undefined
+      ? support.grammars.length > 0
+      : typeof pack.name === "string" && pack.name.startsWith("language-");
+
+  return {
+    type: type,
+    license: license,
+    keyword: keyword,
+    owner: owner,
+    has_grammar: has_grammar,
+  };
 }
 
 async function DeepCopy(obj) {
@@ -477,6 +516,9 @@ module.exports = {
   POFPrune,
   POSPrune,
   EngineFilter,
+  ThemeFilter,
+  FacetFilter,
+  FacetCounts,
   SearchWithinPackages,
   DeepCopy,
 };
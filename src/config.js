@@ -71,6 +71,12 @@ function GetConfig() {
       GH_CLIENTID: process.env.GH_CLIENTID
         ? process.env.GH_CLIENTID
         : data.env_variables.GH_CLIENTID,
+      GH_CLIENTSECRET: process.env.GH_CLIENTSECRET
+        ? process.env.GH_CLIENTSECRET
+        : data.env_variables.GH_CLIENTSECRET,
+      AUTH_STATE_KEY: process.env.AUTH_STATE_KEY
+        ? process.env.AUTH_STATE_KEY
+        : data.env_variables.AUTH_STATE_KEY,
       GH_TOKEN: process.env.GH_TOKEN
         ? process.env.GH_TOKEN
         : data.env_variables.GH_TOKEN,
@@ -80,6 +86,18 @@ function GetConfig() {
       GH_USERAGENT: process.env.GH_USERAGENT
         ? process.env.GH_USERAGENT
         : data.env_variables.GH_USERAGENT,
+      GITLAB_HOSTS: process.env.GITLAB_HOSTS
+        ? process.env.GITLAB_HOSTS
+        : data.env_variables.GITLAB_HOSTS,
+      GITLAB_TOKEN: process.env.GITLAB_TOKEN
+        ? process.env.GITLAB_TOKEN
+        : data.env_variables.GITLAB_TOKEN,
+      GITEA_HOSTS: process.env.GITEA_HOSTS
+        ? process.env.GITEA_HOSTS
+        : data.env_variables.GITEA_HOSTS,
+      GITEA_TOKEN: process.env.GITEA_TOKEN
+        ? process.env.GITEA_TOKEN
+        : data.env_variables.GITEA_TOKEN,
       DB_HOST: process.env.DB_HOST
         ? process.env.DB_HOST
         : data.env_variables.DB_HOST,
@@ -96,6 +114,16 @@ function GetConfig() {
       DB_SSL_CERT: process.env.DB_SSL_CERT
         ? process.env.DB_SSL_CERT
         : data.env_variables.DB_SSL_CERT,
+      JOURNAL_PATH: process.env.JOURNAL_PATH
+        ? process.env.JOURNAL_PATH
+        : data.env_variables.JOURNAL_PATH,
+      SQLITE_PATH: process.env.SQLITE_PATH
+        ? process.env.SQLITE_PATH
+        : data.env_variables.SQLITE_PATH,
+      // A week, unless configured.
+      delete_grace_period: process.env.DELETE_GRACE_PERIOD
+        ? process.env.DELETE_GRACE_PERIOD
+        : data.env_variables.DELETE_GRACE_PERIOD || 604800000,
     };
   } catch (err) {
     // since this is necessary for the server to startup, we can throw an error here and exit the process.
@@ -5,22 +5,92 @@
  * packages, package_pointer, and additionally handling any modifications of the packages.
  */
 
+const crypto = require("crypto");
 const { v4: uuidv4 } = require("uuid");
 const logger = require("./logger.js");
 const resources = require("./resources.js");
-const { file_store } = require("./config.js").GetConfig();
+const journal = require("./journal.js");
+const { file_store, delete_grace_period } = require("./config.js").GetConfig();
 const sql_data = require("./sql_data.js");
+const search_index = require("./search_index.js");
+const dependency_index = require("./dependency_index.js");
+const grammar_index = require("./grammar_index.js");
 
 // Collection of data global variables. Used for caching read data.
-let cached_user, cached_pointer, cached_packages, cached_packages_featured;
-let deletion_flags = [];
+let cached_user,
+  cached_pointer,
+  cached_alias,
+  cached_packages,
+  cached_packages_featured,
+  cached_themes_featured,
+  cached_updates;
+// The last queued update of each package, keyed by pointer. Used to run updates
+// of the same package one at a time.
+let package_locks = {};
+// The key within `package_locks` of the deleted packages. Used to delete, restore and purge
+// packages one at a time, as each rewrites every deleted package.
+const deleted_lock = "deleted";
+// The last journaled value of each key within the user, pointer and alias caches, as JSON.
+// Used to journal only the keys that changed.
+let journaled = {};
+
+/**
+ * @function Startup
+ * @async
+ * @desc The function to be called before the server starts listening. Replaying any
+ * changes to the users, pointers or aliases from the journal, left by a server that
+ * stopped before writing them to disk. Once written, the journal is emptied, also
+ * removing any change that was only partly written.
+ * @returns {object} A Server Status Object, with `content` only on an error. Or
+ * bubbling from `resources.Read()` and `resources.Write()`.
+ */
+async function Startup() {
+  let changes = journal.Read();
+
+  if (!changes.ok) {
+    return changes;
+  }
+
+  for (const type of ["user", "pointer", "alias"]) {
+    let count = journal.Count(type);
+
+    if (count === 0) {
+      continue;
+    }
+
+    let current = await resources.Read(type);
+    let data;
+
+    if (current.ok) {
+      data = current.content.data;
+    } else if (type === "alias" && current.short === "File Not Found") {
+      data = {};
+    } else {
+      return current;
+    }
+
+    journal.Apply(data, changes.content, type);
+
+    let write = await resources.Write(type, data);
+
+    if (!write.ok) {
+      return write;
+    }
+
+    logger.InfoLog(`Replayed ${count} journaled ${type} changes.`);
+    journal.Clear(type, count);
+  }
+
+  // Anything left is only a partly written change, never acknowledged.
+  return journal.Reset();
+}
 
 /**
  * @function Shutdown
  * @async
  * @desc The function to be called during the a server stop event. Allowing any cache
  * only data to be written to disk. Checking the Cached User Data, Cached Pointer
- * Data, as well as checking for any items marked for deletion, and deleting them.
+ * Data, and Cached Alias Data.
  */
 async function Shutdown() {
   logger.DebugLog("data.Shutdown called...");
@@ -30,7 +100,7 @@ async function Shutdown() {
       logger.DebugLog("Saving invalidated User Cache.");
       // this will tell us if we called for its data to be saved previously.
       // Now we will write it.
-      let write = resources.Write("user", cached_user.data);
+      let write = await saveCache("user", cached_user);
       logger.DebugLog(
         `${write.ok ? "Successfully" : "Unsuccessfully"} Saved User Cache.`
       );
@@ -41,7 +111,7 @@ async function Shutdown() {
   if (cached_pointer !== undefined) {
     if (cached_pointer.invalidated) {
       logger.DebugLog("Saving invalidated Pointer Cache.");
-      let write = resources.Write("pointer", cached_pointer.data);
+      let write = await saveCache("pointer", cached_pointer);
       logger.DebugLog(
         `${write.ok ? "Successfully" : "Unsuccessfully"} Saved Pointer Cache.`
       );
@@ -49,23 +119,15 @@ async function Shutdown() {
       logger.DebugLog("No need to save valid Pointer Cache.");
     }
   }
-  if (deletion_flags.length > 0) {
-    logger.DebugLog("Active Deletion Flags Stored. Moving to Delete.");
-    for (let i = 0; i < deletion_flags.length; i++) {
-      if (deletion_flags[i].type === "package") {
-        let rm = await resources.Delete(deletion_flags[i].file);
-        if (rm.ok) {
-          logger.DebugLog(`Deleted Successfully: ${deletion_flags[i].file}`);
-        } else {
-          logger.DebugLog(
-            `FAILED to Delete: ${deletion_flags[i].file}; ${rm.short} - ${rm.content}`
-          );
-        }
-      } else {
-        logger.DebugLog(
-          `Unrecognized Type within Deletion Array: ${deletion_flags[i].type}, ${deletion_flags[i].file} not deleted.`
-        );
-      }
+  if (cached_alias !== undefined) {
+    if (cached_alias.invalidated) {
+      logger.DebugLog("Saving invalidated Alias Cache.");
+      let write = await saveCache("alias", cached_alias);
+      logger.DebugLog(
+        `${write.ok ? "Successfully" : "Unsuccessfully"} Saved Alias Cache.`
+      );
+    } else {
+      logger.DebugLog("No need to save valid Alias Cache.");
     }
   }
 }
@@ -77,6 +139,7 @@ async function Shutdown() {
  * While it isn't planned to always use this file, it helps get us to feature parity
  * faster, since this is how it was done originally on Atom.io
  * Will return the cached object if available, or otherwise will read from disk.
+ * Deprecated packages are left out.
  * @returns {object} An array of packages, that have manually been decided to be
  * featured.
  */
@@ -92,7 +155,10 @@ async function GetFeatured() {
       return col;
     }
 
-    cached_packages_featured = new resources.CacheObject(col.content);
+    // Deprecated packages shouldn't be promoted, even while still on the list.
+    cached_packages_featured = new resources.CacheObject(
+      col.content.filter((pack) => pack.deprecated === undefined)
+    );
     cached_packages_featured.last_validate = Date.now();
     return { ok: true, content: cached_packages_featured.data };
   };
@@ -120,6 +186,174 @@ async function GetFeatured() {
   }
 }
 
+/**
+ * @async
+ * @function GetFeaturedThemes
+ * @desc Gets the featured themes, from the file of `featured_themes.json`. Kept
+ * separate from the featured packages, since themes are featured on their own.
+ * Will return the cached object if available, or otherwise will read from disk.
+ * Deprecated themes are left out.
+ * @returns {object} A Server Status Object, which on success `content` contains
+ * an array of theme packages, that have manually been decided to be featured.
+ */
+async function GetFeaturedThemes() {
+  const getNew = async function () {
+    let themes = await resources.Read("featured_themes");
+    if (!themes.ok) {
+      return themes;
+    }
+
+    let col = await GetPackageCollection(themes.content);
+    if (!col.ok) {
+      return col;
+    }
+
+    cached_themes_featured = new resources.CacheObject(
+      col.content.filter((pack) => pack.deprecated === undefined)
+    );
+    cached_themes_featured.last_validate = Date.now();
+    return { ok: true, content: cached_themes_featured.data };
+  };
+
+  if (cached_themes_featured === undefined) {
+    logger.DebugLog("Creating Featured Themes Cache.");
+    return getNew();
+  }
+
+  if (!cached_themes_featured.Expired) {
+    logger.DebugLog("Featured Themes data IS NOT expired.");
+    return { ok: true, content: cached_themes_featured.data };
+  }
+
+  // The featured list is never modified through the cache, so theres nothing to save.
+  logger.DebugLog("Featured Themes data IS expired, getting new.");
+  return getNew();
+}
+
+/**
+ * @async
+ * @function GetUpdates
+ * @desc Gets the list of editor releases, from the file of `updates.json`. Which is
+ * managed by admins, and used to provide the update feed. Will return the cached
+ * object if available, or otherwise will read from disk. If no releases file exists
+ * yet, an empty list of releases is used.
+ * @returns {object} A Server Status Object, which on success `content` contains an
+ * array of release objects.
+ */
+async function GetUpdates() {
+  const getNew = async function () {
+    let releases = await resources.Read("updates");
+    if (!releases.ok) {
+      if (releases.short !== "File Not Found") {
+        return releases;
+      }
+      // No releases have been published yet.
+      releases = { ok: true, content: [] };
+    }
+
+    cached_updates = new resources.CacheObject(releases.content);
+    cached_updates.last_validate = Date.now();
+    return { ok: true, content: cached_updates.data };
+  };
+
+  if (cached_updates === undefined || cached_updates.Expired) {
+    logger.DebugLog("Creating Updates Cache.");
+    return getNew();
+  }
+
+  logger.DebugLog("Updates data IS NOT expired.");
+  return { ok: true, content: cached_updates.data };
+}
+
+/**
+ * @async
+ * @function SetUpdates
+ * @desc Persists the full list of editor releases. Unlike users or pointers these
+ * are written to disk right away, since they are rarely modified, and losing a
+ * release would leave editors without their update.
+ * @param {object[]} data - The full array of release objects.
+ * @returns {object} A Server Status Object bubbled from `resources.Write()`.
+ */
+async function SetUpdates(data) {
+  let write = await resources.Write("updates", data);
+
+  if (write.ok) {
+    cached_updates = new resources.CacheObject(data);
+    cached_updates.last_validate = Date.now();
+  }
+
+  return write;
+}
+
+/**
+ * @async
+ * @function SetTarball
+ * @desc Persists the tarball of a package version. Tarballs are stored by their `sha512`
+ * hash, so identical tarballs are only ever stored once, and are never affected by
+ * a package being renamed.
+ * @param {Buffer} tarball - The tarball as downloaded from the git host.
+ * @returns {object} A Server Status Object, where `content` is the `dist` object of the version,
+ * containing the `integrity` of the tarball, as a Subresource Integrity string, and its `size`
+ * in bytes. Or bubbling from `resources.Write()`.
+ */
+async function SetTarball(tarball) {
+  const hash = crypto.createHash("sha512").update(tarball).digest();
+
+  let write = await resources.Write(
+    "tarball",
+    tarball,
+    `${hash.toString("hex")}.tgz`
+  );
+
+  if (!write.ok) {
+    return write;
+  }
+
+  return {
+    ok: true,
+    content: {
+      integrity: `sha512-${hash.toString("base64")}`,
+      size: tarball.length,
+    },
+  };
+}
+
+/**
+ * @async
+ * @function GetTarball
+ * @desc Gets the tarball of a package version. Checking it still matches the integrity
+ * it was stored with.
+ * @param {string} integrity - The `integrity` from the `dist` of the version.
+ * @returns {object} A Server Status Object, where `content` is the tarball as a `Buffer`.
+ * Returns `short: "Not Found"` if the integrity isn't a `sha512` one, and `short: "Server Error"`
+ * if the tarball no longer matches. Or bubbling from `resources.Read()`.
+ */
+async function GetTarball(integrity) {
+  if (typeof integrity !== "string" || !integrity.startsWith("sha512-")) {
+    return { ok: false, content: "Unknown Integrity", short: "Not Found" };
+  }
+
+  const hash = Buffer.from(integrity.replace("sha512-", ""), "base64");
+
+  let tarball = await resources.Read("tarball", `${hash.toString("hex")}.tgz`);
+
+  if (!tarball.ok) {
+    return tarball;
+  }
+
+  if (
+    !crypto.createHash("sha512").update(tarball.content).digest().equals(hash)
+  ) {
+    return {
+      ok: false,
+      content: `Stored tarball doesn't match ${integrity}`,
+      short: "Server Error",
+    };
+  }
+
+  return tarball;
+}
+
 /**
  * @function GetUsers
  * @async
@@ -136,6 +370,7 @@ async function GetUsers() {
     let tmpcache = await resources.Read("user");
     if (tmpcache.ok) {
       cached_user = tmpcache.content;
+      snapshot("user", cached_user.data);
       return { ok: true, content: cached_user.data };
     } else {
       return tmpcache;
@@ -165,7 +400,7 @@ async function GetUsers() {
   }
 
   logger.DebugLog("Saving Invalidated, Expired User Cache.");
-  let save = resources.Write("user", cached_user.data);
+  let save = await saveCache("user", cached_user);
   if (save.ok) {
     // now with the data saved, lets get it agian, and refresh the cache.
     return getNew();
@@ -189,6 +424,7 @@ async function GetPackagePointer() {
     let tmpcache = await resources.Read("pointer");
     if (tmpcache.ok) {
       cached_pointer = tmpcache.content;
+      snapshot("pointer", cached_pointer.data);
       return { ok: true, content: cached_pointer.data };
     } else {
       return tmpcache;
@@ -199,15 +435,77 @@ async function GetPackagePointer() {
     // pointer object is not cached.
     logger.DebugLog("Creating Pointer Cache.");
     return getNew();
+  }
+
+  if (!cached_pointer.Expired) {
+    logger.DebugLog("Pointer data IS NOT expired.");
+    return { ok: true, content: cached_pointer.data };
+  }
+
+  logger.DebugLog("Pointer data IS expired, getting new.");
+  if (!cached_pointer.invalidated) {
+    return getNew();
+  }
+
+  // Otherwise new packages would be lost, when getting new data.
+  logger.DebugLog("Saving Invalidated, Expired Pointer Cache.");
+  let save = await saveCache("pointer", cached_pointer);
+  if (save.ok) {
+    return getNew();
   } else {
-    // the pointer object is cached.
-    if (cached_pointer.Expired) {
-      logger.DebugLog("Pointer data IS expired, getting new.");
-      return getNew();
+    return save;
+  }
+}
+
+/**
+ * @function GetPackageAliases
+ * @async
+ * @desc Used to get the full package_alias file. Which maps the previous names of
+ * any renamed package, to the name the package currently uses. Follows the same
+ * caching behavior as `GetPackagePointer`. If no alias file exists yet, an empty
+ * collection of aliases is used.
+ * @returns {object} A Server Status Object, which on success returns the Package
+ * Alias Object within `content`.
+ */
+async function GetPackageAliases() {
+  const getNew = async function () {
+    let tmpcache = await resources.Read("alias");
+    if (tmpcache.ok) {
+      cached_alias = tmpcache.content;
+      snapshot("alias", cached_alias.data);
+      return { ok: true, content: cached_alias.data };
+    } else if (tmpcache.short === "File Not Found") {
+      // No package has ever been renamed, so we can start with no aliases.
+      cached_alias = new resources.CacheObject({});
+      cached_alias.last_validate = Date.now();
+      snapshot("alias", cached_alias.data);
+      return { ok: true, content: cached_alias.data };
     } else {
-      logger.DebugLog("Pointer data IS NOT expired.");
-      return { ok: true, content: cached_pointer.data };
+      return tmpcache;
     }
+  };
+
+  if (cached_alias === undefined) {
+    logger.DebugLog("Creating Alias Cache.");
+    return getNew();
+  }
+
+  if (!cached_alias.Expired) {
+    logger.DebugLog("Alias data IS NOT expired.");
+    return { ok: true, content: cached_alias.data };
+  }
+
+  logger.DebugLog("Alias data IS expired, getting new.");
+  if (!cached_alias.invalidated) {
+    return getNew();
+  }
+
+  logger.DebugLog("Saving Invalidated, Expired Alias Cache.");
+  let save = await saveCache("alias", cached_alias);
+  if (save.ok) {
+    return getNew();
+  } else {
+    return save;
   }
 }
 
@@ -223,7 +521,8 @@ async function GetPackagePointer() {
  * Thus expecting them to be saved during those individual changes. Additionally
  * While collected the full list of packages, if a package's data doesn't exist
  * as a full file and only within the package_pointer, it will ignore the file,
- * log it, and continue to return data.
+ * log it, and continue to return data. The `search_index`, `dependency_index` and `grammar_index`
+ * are built along with the cache, and all are updated as packages are written, deleted or restored.
  * @returns {object} A Server Status Object, which on success `content` contains the full
  * array of all package objects, as 'Server Package Objects'.
  * @implements {GetPackagePointer}
@@ -236,8 +535,14 @@ async function GetAllPackages() {
       let packArray = await sql_data.GetAllPackagesSQL();
       if (!packArray.ok) {
         console.log("FAILED TO CACHE PACKAGES!");
+        return packArray;
       }
-      cached_packages = new resources.CacheObject(packArray.content);
+      search_index.Build(packArray.content);
+      dependency_index.Build(packArray.content);
+      grammar_index.Build(packArray.content);
+      cached_packages = new resources.CacheObject(
+        packArray.content.map((entry) => entry.pack)
+      );
       cached_packages.last_validate = Date.now();
       return { ok: true, content: cached_packages.data };
     } else {
@@ -252,11 +557,16 @@ async function GetAllPackages() {
       console.log("successfully retreived pointers.");
 
       let package_collection = [];
+      let index_entries = [];
       for (const pointer in pointers.content) {
         let pack = await GetPackageByID(pointers.content[pointer]);
         console.log(`Got Package ${pack.content.name}`);
         if (pack.ok) {
           package_collection.push(pack.content);
+          index_entries.push({
+            id: pointers.content[pointer],
+            pack: pack.content,
+          });
         } else {
           // this will prioritize giving a response, so if a single package isn't found, it'll log it.
           // then move on.
@@ -271,7 +581,10 @@ async function GetAllPackages() {
           }
         }
       }
-      // once all packages have been iterated, return the collection, to the internal caller.
+      // once all packages have been iterated, index them, and return the collection, to the internal caller.
+      search_index.Build(index_entries);
+      dependency_index.Build(index_entries);
+      grammar_index.Build(index_entries);
       return { ok: true, content: package_collection };
     };
 
@@ -305,6 +618,119 @@ async function GetAllPackages() {
   }
 }
 
+/**
+ * @async
+ * @function SearchPackages
+ * @desc Searches every package using the `search_index`, only scoring the packages that could match.
+ * Making sure the full package cache, and with it the index, is built and not expired first.
+ * @param {string} search - The search string.
+ * @returns {object} A Server Status Object, which on success `content` contains an array of
+ * the packages found, each a shallow copy of the package with its `relevance` added.
+ * Or bubbling from `GetAllPackages()`.
+ */
+async function SearchPackages(search) {
+  const all = await GetAllPackages();
+
+  if (!all.ok) {
+    return all;
+  }
+
+  return {
+    ok: true,
+    content: search_index
+      .Search(search)
+      .map((found) => ({ ...found.pack, relevance: found.relevance })),
+  };
+}
+
+/**
+ * @async
+ * @function GetPackageDependents
+ * @desc Finds every package depending on a package, using the `dependency_index`.
+ * Making sure the full package cache, and with it the index, is built and not expired first.
+ * @param {string} name - The name of the package depended on.
+ * @returns {object} A Server Status Object, which on success `content` contains an array of the
+ * packages depending on it, as returned by `dependency_index.Dependents`. Or bubbling from `GetAllPackages()`.
+ */
+async function GetPackageDependents(name) {
+  const all = await GetAllPackages();
+
+  if (!all.ok) {
+    return all;
+  }
+
+  return { ok: true, content: dependency_index.Dependents(name) };
+}
+
+/**
+ * @async
+ * @function GetPackageDependencies
+ * @desc Finds every package a package depends on, using the `dependency_index`.
+ * Making sure the full package cache, and with it the index, is built and not expired first.
+ * @param {string} name - The name of the package.
+ * @returns {object} A Server Status Object, which on success `content` contains an array of the
+ * packages it depends on, as returned by `dependency_index.Dependencies`. Or bubbling from `GetAllPackages()`.
+ */
+async function GetPackageDependencies(name) {
+  const all = await GetAllPackages();
+
+  if (!all.ok) {
+    return all;
+  }
+
+  return { ok: true, content: dependency_index.Dependencies(name) };
+}
+
+/**
+ * @async
+ * @function GetService
+ * @desc Finds every package providing or consuming a service, using the `dependency_index`.
+ * Making sure the full package cache, and with it the index, is built and not expired first.
+ * @param {string} name - The name of the service.
+ * @returns {object} A Server Status Object, which on success `content` contains the service,
+ * as returned by `dependency_index.Service`. Returns `short: "Not Found"` if no package provides
+ * or consumes the service. Or bubbling from `GetAllPackages()`.
+ */
+async function GetService(name) {
+  const all = await GetAllPackages();
+
+  if (!all.ok) {
+    return all;
+  }
+
+  const service = dependency_index.Service(name);
+
+  if (service === undefined) {
+    return {
+      ok: false,
+      content: `Service ${name} Not Found`,
+      short: "Not Found",
+    };
+  }
+
+  return { ok: true, content: service };
+}
+
+/**
+ * @async
+ * @function GetGrammars
+ * @desc Finds the packages adding a grammar, or snippets, for a scope or file type, using the
+ * `grammar_index`. Making sure the full package cache, and with it the index, is built and not expired first.
+ * @param {string|boolean} scope - The scope, such as `source.zig`. Or false if any scope.
+ * @param {string|boolean} fileType - The file type, such as `zig`. Or false if any file type.
+ * @returns {object} A Server Status Object, which on success `content` contains an array of the
+ * packages found, as returned by `grammar_index.Find`. Or bubbling from `GetAllPackages()`.
+ */
+async function GetGrammars(scope, fileType) {
+  const all = await GetAllPackages();
+
+  if (!all.ok) {
+    return all;
+  }
+
+  return { ok: true, content: grammar_index.Find(scope, fileType) };
+}
+
 /**
  * @function GetPackageByID
  * @async
@@ -340,6 +766,11 @@ function SetUsers(data) {
     return resources.Write("user", data);
   } else {
     // We have a cached data of users, lets update our cache.
+    // Journaling the change first, so it isn't lost if the server stops before the cache is saved.
+    let record = journalChanges("user", data);
+    if (!record.ok) {
+      return record;
+    }
     cached_user.data = data;
     cached_user.invalidate();
     return { ok: true };
@@ -359,124 +790,376 @@ function SetPackagePointer(data) {
     // well our cache doesn't exist. Ignoring the implecation we are writing data we didn't grab lets save just in case.
     return resources.Write("pointer", data);
   } else {
+    let record = journalChanges("pointer", data);
+    if (!record.ok) {
+      return record;
+    }
     cached_pointer.data = data;
     cached_pointer.invalidate();
     return { ok: true };
   }
 }
 
+/**
+ * @function SetPackageAliases
+ * @desc Persists Package Alias Data to disk. By saving to the cache object if
+ * available, or otherwise writing directly to disk.
+ * @param {object} data - The Package Alias Object in its entirety.
+ * @returns {object} A Server Status Object of success with only `ok` if successul,
+ * or otherwise bubbling from `resources.Write()`.
+ */
+function SetPackageAliases(data) {
+  if (cached_alias === undefined) {
+    return resources.Write("alias", data);
+  } else {
+    let record = journalChanges("alias", data);
+    if (!record.ok) {
+      return record;
+    }
+    cached_alias.data = data;
+    cached_alias.invalidate();
+    return { ok: true };
+  }
+}
+
 /**
  * @async
  * @function SetPackageByID
  * @desc Persists Package Data to disk. Since no cache objects exist for individual
- * packages, really is a wrapper around `resources.Write()` with some presets.
+ * packages, really is a wrapper around `resources.Write()` with some presets. Once written,
+ * the package is also updated within the full package cache and the `search_index`.
  * @param {string} id - The name of the package file to persists. In format
  * `package-uuidv4.json`.
  * @param {object} data - The object data of the package to write.
  * @returns {object} A server status object bubbled directly from `resources.Write()`.
  */
 async function SetPackageByID(id, data) {
-  return resources.Write("package", data, id);
+  const write = await resources.Write("package", data, id);
+
+  if (write.ok) {
+    cachePackage(id, data);
+  }
+
+  return write;
 }
 
 /**
  * @async
- * @function RemovePackageByPointer
- * @desc Marks a package for deletion on server shutdown, using its `package.json`.
- * @param {string} pointer - The Package Name to mark, in format `package-uuidv4.json`.
- * @returns {object} A Server Status Object, where if success only has `ok`.
+ * @function GetDeletedPackages
+ * @desc Gets every soft deleted package, from `deleted_packages.json`. Unlike the pointers
+ * this isn't cached, so a deletion is written to disk immediately.
+ * @returns {object} A Server Status Object, where on success `content` is an object of
+ * the deleted package names, each to `{ pointer, deleted_at, deleted_by }`, and `purged_at`
+ * once purged. Or bubbling from `resources.Read()`.
  */
-async function RemovePackageByPointer(pointer) {
-  try {
-    deletion_flags.push({
-      type: "package",
-      file: pointer,
-    });
+async function GetDeletedPackages() {
+  let deleted = await resources.Read("deleted");
 
-    return { ok: true };
-  } catch (err) {
-    return { ok: false, content: err, short: "Server Error" };
+  if (!deleted.ok && deleted.short === "File Not Found") {
+    // No package has ever been deleted.
+    return { ok: true, content: {} };
   }
+
+  return deleted;
 }
 
 /**
  * @async
- * @function RestorePackageByPointer
- * @desc Restores a previously marked package for deletion. Causing it to no
- * longer be marked for deletion.
- * @param {string} pointer - The Package Name to mark, in format `package-uuidv4.json`.
- * @returns {objject} A Server Status Object, where on success only contains `ok`.
+ * @function GetDeletedPackageByName
+ * @desc Gets a soft deleted package by its name. Since the names of deleted packages are
+ * reserved, even after being purged, this is also how to check if a name can be published.
+ * @param {string} name - The name of the deleted package.
+ * @returns {object} A Server Status Object, where on success `content` is the deleted package
+ * as `{ pointer, deleted_at, deleted_by }`, and `purged_at` once purged.
+ * Or "Not Found" if the name was never deleted, or bubbling from `GetDeletedPackages()`.
  */
-async function RestorePackageByPointer(pointer) {
-  let idx = -1;
-  for (let i = 0; i < deletion_flags.length; i++) {
-    if (deletion_flags[i].file === pointer) {
-      idx = i;
-    }
+async function GetDeletedPackageByName(name) {
+  const deleted = await GetDeletedPackages();
+
+  if (!deleted.ok) {
+    return deleted;
   }
 
-  if (idx === -1) {
-    return {
-      ok: false,
-      content: `Unable to find ${pointer} within Deletion Array.`,
-      short: "Not Found",
+  if (!Object.prototype.hasOwnProperty.call(deleted.content, name)) {
+    return { ok: false, content: "Not Found", short: "Not Found" };
+  }
+
+  return { ok: true, content: deleted.content[name] };
+}
+
+/**
+ * @async
+ * @function RemovePackageByName
+ * @desc Soft deletes a package. The package is recorded as deleted, before it is removed from
+ * the pointers, hiding it from every listing. Its data is kept until purged by
+ * `PurgeDeletedPackages()` after the grace period, allowing it to be restored until then.
+ * If removing the pointer fails, the deletion is undone. Packages are deleted, restored and purged
+ * one at a time.
+ * @param {string} name - The name of the package to delete.
+ * @param {string} userName - The name of the user deleting the package.
+ * @returns {object} A Server Status Object, where on success only contains `ok`.
+ * Or "Not Found", or bubbling from `GetPackagePointer()`, `GetDeletedPackages()`,
+ * `resources.Write()` or `SetPackagePointer()`.
+ */
+async function RemovePackageByName(name, userName) {
+  return lockPackage(deleted_lock, async () => {
+    const pointers = await GetPackagePointer();
+
+    if (!pointers.ok) {
+      return pointers;
+    }
+
+    if (!pointers.content[name]) {
+      return { ok: false, content: "Not Found", short: "Not Found" };
+    }
+
+    const deleted = await GetDeletedPackages();
+
+    if (!deleted.ok) {
+      return deleted;
+    }
+
+    deleted.content[name] = {
+      pointer: pointers.content[name],
+      deleted_at: Date.now(),
+      deleted_by: userName,
     };
-  } else {
-    deletion_flags.splice(idx, 1);
+
+    const record = await resources.Write("deleted", deleted.content);
+
+    if (!record.ok) {
+      return record;
+    }
+
+    delete pointers.content[name];
+
+    const rewrite = await SetPackagePointer(pointers.content);
+
+    if (!rewrite.ok) {
+      // Undo the deletion, so the package isn't purged while it still has a pointer.
+      pointers.content[name] = deleted.content[name].pointer;
+      delete deleted.content[name];
+      await resources.Write("deleted", deleted.content);
+      return rewrite;
+    }
+
+    uncachePackage(deleted.content[name].pointer);
+    forgetFeatured();
     return { ok: true };
-  }
+  });
 }
 
-async function RemovePackageByName(name) {
-  let pointers = await GetPackagePointer();
+/**
+ * @async
+ * @function RestorePackageByName
+ * @desc Restores a soft deleted package, that hasn't been purged yet. Adding its pointer back,
+ * before removing it from the deleted packages.
+ * @param {string} name - The name of the deleted package.
+ * @returns {object} A Server Status Object, where on success only contains `ok`.
+ * Or "Not Found" if the package wasn't deleted, or has been purged. Or "Package Exists"
+ * if the name is in use, or bubbling from `GetDeletedPackages()`, `GetPackagePointer()`,
+ * `SetPackagePointer()` or `resources.Write()`.
+ */
+async function RestorePackageByName(name) {
+  return lockPackage(deleted_lock, async () => {
+    const deleted = await GetDeletedPackages();
 
-  if (!pointers.ok) {
-    return pointers;
-  }
+    if (!deleted.ok) {
+      return deleted;
+    }
 
-  if (!pointers.content[name]) {
-    return { ok: false, content: "Not Found", short: "Not Found" };
+    const entry = deleted.content[name];
+
+    if (entry === undefined || entry.purged_at !== undefined) {
+      return { ok: false, content: "Not Found", short: "Not Found" };
+    }
+
+    const pointers = await GetPackagePointer();
+
+    if (!pointers.ok) {
+      return pointers;
+    }
+
+    if (pointers.content[name]) {
+      return {
+        ok: false,
+        content: `The name ${name} is already in use.`,
+        short: "Package Exists",
+      };
+    }
+
+    pointers.content[name] = entry.pointer;
+
+    const rewrite = await SetPackagePointer(pointers.content);
+
+    if (!rewrite.ok) {
+      return rewrite;
+    }
+
+    delete deleted.content[name];
+
+    const record = await resources.Write("deleted", deleted.content);
+
+    if (!record.ok) {
+      return record;
+    }
+
+    const pack = await GetPackageByID(entry.pointer);
+
+    if (pack.ok) {
+      cachePackage(entry.pointer, pack.content);
+    }
+
+    forgetFeatured();
+    return { ok: true };
+  });
+}
+
+/**
+ * @async
+ * @function PurgeDeletedPackages
+ * @desc Permanently deletes the data of every soft deleted package, deleted longer ago than
+ * the grace period. The name of a purged package stays reserved, so it can never be published again.
+ * Each package is purged while holding the same lock as `RemovePackageByName()` and
+ * `RestorePackageByName()`, checking again that it's still due to be purged.
+ * @param {number} [now] - The current time, in milliseconds.
+ * @returns {object} A Server Status Object, where on success `content` is an array of the
+ * names purged. Or bubbling from `GetDeletedPackages()`, `resources.Delete()` or `resources.Write()`.
+ */
+async function PurgeDeletedPackages(now = Date.now()) {
+  const deleted = await GetDeletedPackages();
+
+  if (!deleted.ok) {
+    return deleted;
   }
 
-  let pack_pointer = pointers.content[name];
-  let new_pointer = pointers.content;
+  let purged = [];
+  let failure;
+
+  for (const name of Object.keys(deleted.content)) {
+    if (!purgeable(deleted.content[name], now)) {
+      continue;
+    }
+
+    const purge = await lockPackage(deleted_lock, async () => {
+      // The package may have been restored, or purged, while waiting on the lock.
+      const current = await GetDeletedPackages();
 
-  delete new_pointer[name];
+      if (!current.ok) {
+        return current;
+      }
 
-  let rm = await RemovePackageByPointer(pack_pointer);
+      const entry = current.content[name];
 
-  if (!rm.ok) {
-    // if this first part fails we can return the standard error, knowing that nothing permentant has been done.
-    return rm;
+      if (entry === undefined || !purgeable(entry, now)) {
+        return { ok: true, content: false };
+      }
+
+      const rm = await resources.Delete(entry.pointer);
+
+      if (!rm.ok && rm.short !== "File Not Found") {
+        return rm;
+      }
+
+      entry.purged_at = now;
+
+      const record = await resources.Write("deleted", current.content);
+
+      return record.ok ? { ok: true, content: true } : record;
+    });
+
+    if (!purge.ok) {
+      // Try again during the next purge.
+      failure = purge;
+      continue;
+    }
+
+    if (purge.content) {
+      purged.push(name);
+    }
+  }
+
+  if (failure !== undefined) {
+    return failure;
   }
 
-  // We can write the new packages, since we don't want to do that then have this fail.
-  let rewrite = await SetPackagePointer(new_pointer);
+  return { ok: true, content: purged };
+}
 
-  if (rewrite.ok) {
-    return { ok: true, content: rewrite.content };
+/**
+ * @function purgeable
+ * @desc Non-Exported function, that checks if a deleted package is due to be purged.
+ * @param {object} entry - The deleted package, as returned by `GetDeletedPackageByName()`.
+ * @param {number} now - The current time, in milliseconds.
+ * @returns {boolean} True if the package hasn't been purged, and was deleted longer ago than the grace period.
+ */
+function purgeable(entry, now) {
+  return (
+    entry.purged_at === undefined &&
+    now - entry.deleted_at >= delete_grace_period
+  );
+}
+
+/**
+ * @function forgetFeatured
+ * @desc Non-Exported function, that clears the caches of the featured packages and themes.
+ * So a deleted, restored or deprecated package is hidden or shown right away.
+ */
+function forgetFeatured() {
+  cached_packages_featured = undefined;
+  cached_themes_featured = undefined;
+}
+
+/**
+ * @function cachePackage
+ * @desc Non-Exported function, that adds or replaces a package within the full package cache
+ * and each index, once they are built. So a search never has to rebuild them when a package changes.
+ * @param {string} id - The pointer of the package, like `UUIDv4.json`.
+ * @param {object} pack - The package object.
+ */
+function cachePackage(id, pack) {
+  if (cached_packages === undefined) {
+    return;
   }
 
-  // Since the RemovePackageByPointer only marks the file for deletion, if this fails, we can then go back,
-  // and call for it to be resotred.
-  let rs = await RestorePackageByPointer(pack_pointer);
+  const previous = search_index.Get(id);
+  const idx =
+    previous === undefined
+      ? -1
+      : cached_packages.data.findIndex((p) => p.name === previous.name);
 
-  if (rs.ok) {
-    // This still did fail to remove the file. But we recovered and will return an error.
-    return {
-      ok: false,
-      content:
-        "Failed to rewrite the package pointer file. Recovered Package File. No Change.",
-      short: "Server Error",
-    };
+  if (idx === -1) {
+    cached_packages.data.push(pack);
   } else {
-    return {
-      ok: false,
-      content:
-        "Failed to rewrite the package pointer file. The Package is still marked for deletion. The Old pointer still exists!",
-      short: "Server Error",
-    };
+    cached_packages.data[idx] = pack;
+  }
+
+  search_index.Update(id, pack);
+  dependency_index.Update(id, pack);
+  grammar_index.Update(id, pack);
+}
+
+/**
+ * @function uncachePackage
+ * @desc Non-Exported function, that removes a package from the full package cache and each index.
+ * @param {string} id - The pointer of the package, like `UUIDv4.json`.
+ */
+function uncachePackage(id) {
+  if (cached_packages === undefined) {
+    return;
+  }
+
+  const previous = search_index.Get(id);
+
+  if (previous !== undefined) {
+    cached_packages.data = cached_packages.data.filter(
+      (p) => p.name !== previous.name
+    );
   }
+
+  search_index.Remove(id);
+  dependency_index.Remove(id);
+  grammar_index.Remove(id);
 }
 
 async function GetPackageByName(name) {
@@ -515,6 +1198,226 @@ async function GetPackagePointerByName(name) {
   }
 }
 
+/**
+ * @async
+ * @function GetPackageAliasByName
+ * @desc Checks if the provided name was the previous name of a renamed package.
+ * @param {string} name - The name of the package to check.
+ * @returns {object} A Server Status Object, which on success `content` contains
+ * the name the package currently uses. Otherwise `short: "Not Found"`.
+ */
+async function GetPackageAliasByName(name) {
+  const aliases = await GetPackageAliases();
+
+  if (!aliases.ok) {
+    return aliases;
+  }
+
+  if (aliases.content[name]) {
+    return { ok: true, content: aliases.content[name] };
+  } else {
+    return { ok: false, content: "Not Found", short: "Not Found" };
+  }
+}
+
+/**
+ * @async
+ * @function RenamePackage
+ * @desc Moves a package from one name to another. The package pointer is moved to
+ * the new name, while the old name is kept permanently as an alias of the new name,
+ * so it can still be resolved, but never published by anyone else. Any users stars,
+ * and the featured packages and themes, are migrated to the new name as well.
+ * Runs while holding the lock of the package, same as `UpdatePackageByName()`. When given an
+ * `update`, the package is modified and written within the same lock, and the rename is undone
+ * if the package can't be written. So the package is never left renamed without the update.
+ * @param {string} oldName - The name the package currently uses.
+ * @param {string} newName - The name the package should use going forward.
+ * @param {function} [update] - Called with the package, which it should modify in place.
+ * Can return a Server Status Object, where if not `ok`, the package isn't renamed and the
+ * status is returned instead.
+ * @returns {object} A Server Status Object, where on success `content` is the package. Returns
+ * `short: "Package Exists"` if the new name is already in use by another package,
+ * or reserved by a deleted package. Or bubbling from `update`, or any read or write.
+ */
+async function RenamePackage(oldName, newName, update) {
+  const point = await GetPackagePointerByName(oldName);
+
+  if (!point.ok) {
+    return point;
+  }
+
+  return lockPackage(point.content, async () => {
+    const pointers = await GetPackagePointer();
+
+    if (!pointers.ok) {
+      return pointers;
+    }
+
+    if (pointers.content[oldName] !== point.content) {
+      // The package was renamed, or deleted, while waiting on the lock.
+      return { ok: false, content: "Not Found", short: "Not Found" };
+    }
+
+    const pack = await GetPackageByID(point.content);
+
+    if (!pack.ok) {
+      return pack;
+    }
+
+    if (update !== undefined) {
+      const updated = update(pack.content);
+
+      if (updated !== undefined && !updated.ok) {
+        return updated;
+      }
+    }
+
+    const aliases = await GetPackageAliases();
+
+    if (!aliases.ok) {
+      return aliases;
+    }
+
+    const deleted = await GetDeletedPackages();
+
+    if (!deleted.ok) {
+      return deleted;
+    }
+
+    // The new name can only be an alias if it was previously a name of this same package.
+    // While the name of a deleted package stays reserved.
+    if (
+      pointers.content[newName] ||
+      (aliases.content[newName] && aliases.content[newName] !== oldName) ||
+      deleted.content[newName]
+    ) {
+      return {
+        ok: false,
+        content: `The name ${newName} is already in use.`,
+        short: "Package Exists",
+      };
+    }
+
+    const previous_aliases = { ...aliases.content };
+
+    pointers.content[newName] = pointers.content[oldName];
+    delete pointers.content[oldName];
+
+    // Any older names of this package should now point to the newest name, rather than
+    // creating a chain of aliases.
+    delete aliases.content[newName];
+    for (const alias in aliases.content) {
+      if (aliases.content[alias] === oldName) {
+        aliases.content[alias] = newName;
+      }
+    }
+    aliases.content[oldName] = newName;
+
+    let write_pointer = await SetPackagePointer(pointers.content);
+
+    if (!write_pointer.ok) {
+      return write_pointer;
+    }
+
+    let write = await SetPackageAliases(aliases.content);
+
+    if (write.ok && update !== undefined) {
+      write = await SetPackageByID(point.content, pack.content);
+    }
+
+    if (!write.ok) {
+      // Undo the rename, so the package stays as it was under its old name.
+      pointers.content[oldName] = pointers.content[newName];
+      delete pointers.content[newName];
+      await SetPackagePointer(pointers.content);
+      await SetPackageAliases(previous_aliases);
+      return write;
+    }
+
+    return migrateRename(oldName, newName, pack.content);
+  });
+}
+
+/**
+ * @async
+ * @function migrateRename
+ * @desc Non-Exported function, that migrates everything referring to a package by its old name,
+ * after it was renamed. Being the stars of users, and the featured packages and themes.
+ * @param {string} oldName - The name the package previously used.
+ * @param {string} newName - The name the package now uses.
+ * @param {object} pack - The renamed package.
+ * @returns {object} A Server Status Object, where on success `content` is the package.
+ * Or bubbling from `GetUsers()`, `SetUsers()` or `resources.Write()`.
+ */
+async function migrateRename(oldName, newName, pack) {
+  // Now with the package itself renamed, we need to migrate everything that refers to it by name.
+  const users = await GetUsers();
+
+  if (!users.ok) {
+    return users;
+  }
+
+  for (const user in users.content) {
+    let stars = users.content[user].stars;
+
+    if (Array.isArray(stars) && stars.includes(oldName)) {
+      stars = stars.map((star) => (star === oldName ? newName : star));
+      // Avoid a duplicate star, if the user had somehow starred both names.
+      users.content[user].stars = stars.filter(
+        (star, idx) => stars.indexOf(star) === idx
+      );
+    }
+  }
+
+  let write_users = await SetUsers(users.content);
+
+  if (!write_users.ok) {
+    return write_users;
+  }
+
+  for (const type of ["featured_packages", "featured_themes"]) {
+    const featured = await resources.Read(type);
+
+    if (!featured.ok || !featured.content.includes(oldName)) {
+      continue;
+    }
+
+    let write_featured = await resources.Write(
+      type,
+      featured.content.map((pack) => (pack === oldName ? newName : pack))
+    );
+
+    if (!write_featured.ok) {
+      return write_featured;
+    }
+  }
+
+  // The featured caches contain full packages by the old name, so they will need to be rebuilt.
+  forgetFeatured();
+
+  return { ok: true, content: pack };
+}
+
+/**
+ * @async
+ * @function GetExistingPackageNames
+ * @desc Filters a list of package names, keeping only the packages that exist. Such as the
+ * packages a user has starred, where any may have since been deleted. Allowing the list to be
+ * paginated without counting, or leaving a gap on a page for, packages that can't be returned.
+ * @param {string[]} names - The names of packages, in the order to keep them.
+ * @returns {object} A Server Status Object, where on success `content` is the array of names
+ * that exist. Or bubbling from `GetPackagePointer()`.
+ */
+async function GetExistingPackageNames(names) {
+  const pointers = await GetPackagePointer();
+
+  if (!pointers.ok) {
+    return pointers;
+  }
+
+  return { ok: true, content: names.filter((name) => pointers.content[name]) };
+}
+
 async function GetPackageCollection(packages) {
   let packageCollection = [];
 
@@ -540,78 +1443,144 @@ async function GetPackageCollection(packages) {
   return { ok: true, content: packageCollection };
 }
 
-async function StarPackageByName(packageName, userName) {
-  // we need the package pointer to later write the file, and we need the package file to modify,
-  // which after modification we want to write the data, and return the package itself.
-
-  let point = await GetPackagePointerByName(packageName);
-
-  if (!point.ok) {
-    return point;
+/**
+ * @async
+ * @function DeprecatePackageByName
+ * @desc Marks a package as deprecated, replacing any previous deprecation. The package stays
+ * available, but is left out of the featured packages, and ranked lower when searching.
+ * @param {string} name - The name of the package.
+ * @param {object} deprecation - The deprecation to store, as `{ message, replacement, deprecated_at }`,
+ * where `replacement` is the name of a package to use instead, and is optional.
+ * @returns {object} A Server Status Object, where on success `content` is the updated package.
+ * Or bubbling from `UpdatePackageByName()`.
+ */
+async function DeprecatePackageByName(name, deprecation) {
+  const update = await UpdatePackageByName(name, (pack) => {
+    pack.deprecated = deprecation;
+  });
+
+  if (update.ok) {
+    // The featured packages should leave out the deprecated package right away.
+    forgetFeatured();
   }
 
-  // Now with the pointer, we can get the package
-  let pack = await GetPackageByID(point.content);
+  return update;
+}
 
-  if (!pack.ok) {
-    return pack;
-  }
+/**
+ * @async
+ * @function StarPackageByName
+ * @desc Adds the user to the star gazers of a package. Checked while holding the lock of the package,
+ * so a user starring a package more than once, even all at once, is only counted once.
+ * @param {string} packageName - The name of the package.
+ * @param {string} userName - The name of the user starring the package.
+ * @returns {object} A Server Status Object, where on success `content` is the package.
+ * Or bubbling from `UpdatePackageByName()`.
+ */
+async function StarPackageByName(packageName, userName) {
+  return UpdatePackageByName(packageName, (pack) => {
+    if (!pack.star_gazers.some((gazer) => gazer.login === userName)) {
+      pack.star_gazers.push({ login: userName });
+    }
+  });
+}
 
-  // Now we have the package
-  pack.content.star_gazers.push({ login: userName });
+async function UnStarPackageByName(packageName, userName) {
+  return UpdatePackageByName(packageName, (pack) => {
+    // Now we need to find the index in the array of the user we want to unstar.
+    let usrIdx = -1;
+    for (let i = 0; i < pack.star_gazers.length; i++) {
+      if (pack.star_gazers[i].login === userName) {
+        usrIdx = i;
+        // since we know we only are looking once, lets just break the loop once we assign the idx
+        break;
+      }
+    }
 
-  const write = await SetPackageByID(point.content, pack.content);
+    // After done looping, then we can check our IDX.
+    if (usrIdx === -1) {
+      // if it does still equal -1, then we were never able to find our user on the star_gazers list.
+      return { ok: false, content: "Not Found", short: "Not Found" };
+    }
 
-  if (write.ok) {
-    // on successful completion we want to return the package.
-    return { ok: true, content: pack.content };
-  } else {
-    // write unsuccessful.
-    return write;
-  }
+    // now we can remove that element from the array.
+    pack.star_gazers.splice(usrIdx, 1);
+    return { ok: true };
+  });
 }
 
-async function UnStarPackageByName(packageName, userName) {
-  const point = await GetPackagePointerByName(packageName);
+/**
+ * @async
+ * @function UpdatePackageByName
+ * @desc Reads, modifies and writes a package, as a single step. Updates of the same package
+ * are run one at a time, in the order they were made. So concurrent updates, such as stars
+ * or downloads, are never lost by reading the package before another update was written.
+ * @param {string} name - The name of the package to update.
+ * @param {function} update - Called with the package, which it should modify in place.
+ * Can return a Server Status Object, where if not `ok`, the package isn't written and the
+ * status is returned instead.
+ * @returns {object} A Server Status Object, where on success `content` is the updated package.
+ * Or bubbling from `GetPackagePointerByName()`, `GetPackageByID()`, `update`, or `SetPackageByID()`.
+ */
+async function UpdatePackageByName(name, update) {
+  const point = await GetPackagePointerByName(name);
 
   if (!point.ok) {
     return point;
   }
 
-  const pack = await GetPackageByID(point.content);
+  return lockPackage(point.content, async () => {
+    const pack = await GetPackageByID(point.content);
 
-  if (!pack.ok) {
-    return pack;
-  }
+    if (!pack.ok) {
+      return pack;
+    }
+
+    const updated = update(pack.content);
 
-  // Now we need to find the index in the array of the user we want to unstar.
-  let usrIdx = -1;
-  for (let i = 0; i < pack.content.star_gazers.length; i++) {
-    if (pack.content.star_gazers[i].login === userName) {
-      usrIdx = i;
-      // since we know we only are looking once, lets just break the loop once we assign the idx
-      break;
+    if (updated !== undefined && !updated.ok) {
+      return updated;
     }
-  }
 
-  // After done looping, then we can check our IDX.
-  if (usrIdx === -1) {
-    // if it does still equal -1, then we were never able to find our user on the star_gazers list.
-    return { ok: false, content: "Not Found", short: "Not Found" };
-  }
+    const write = await SetPackageByID(point.content, pack.content);
 
-  // now we can remove that element from the array.
-  pack.content.star_gazers.splice(usrIdx, 1);
+    return write.ok ? { ok: true, content: pack.content } : write;
+  });
+}
 
-  // now to write the content.
-  const write = await SetPackageByID(point.content, pack.content);
+/**
+ * @async
+ * @function lockPackage
+ * @desc Non-Exported function, that runs a function once every function previously
+ * locked to the same package has finished.
+ * @param {string} pointer - The pointer of the package. Or `deleted_lock`, to lock the deleted packages.
+ * @param {function} fn - The async function to run.
+ * @returns {*} The return of `fn`.
+ */
+async function lockPackage(pointer, fn) {
+  const previous =
+    package_locks[pointer] !== undefined
+      ? package_locks[pointer]
+      : Promise.resolve();
+  let release;
+  const done = new Promise((resolve) => {
+    release = resolve;
+  });
+  // The next function waits on every function before it, as well as this one.
+  const queued = previous.then(() => done);
+
+  package_locks[pointer] = queued;
+
+  await previous;
 
-  if (write.ok) {
-    // and we will return the new content.
-    return { ok: true, content: pack.content };
-  } else {
-    // write was unsuccessful
-    return write;
+  try {
+    return await fn();
+  } finally {
+    release();
+    if (package_locks[pointer] === queued) {
+      // Nothing else is waiting on this package.
+      delete package_locks[pointer];
+    }
   }
 }
 
@@ -683,23 +1652,128 @@ async function NewPackage(data) {
   }
 }
 
+/**
+ * @async
+ * @function saveCache
+ * @desc Non-Exported function, that writes an invalidated cache to disk. Then clears
+ * the changes it contains from the journal.
+ * @param {string} type - The type of data, as accepted by `resources.Write()`.
+ * @param {object} cache - The `CacheObject` to write.
+ * @returns {object} A Server Status Object, bubbled from `resources.Write()`.
+ */
+async function saveCache(type, cache) {
+  let count = journal.Count(type);
+  let write = await resources.Write(type, cache.data);
+
+  if (write.ok) {
+    journal.Clear(type, count);
+  }
+  return write;
+}
+
+/**
+ * @function snapshot
+ * @desc Non-Exported function, that remembers the values of data as read from disk.
+ * So later changes to it can be journaled.
+ * @param {string} type - The type of data, as accepted by `resources.Write()`.
+ * @param {object} data - The data read from disk.
+ */
+function snapshot(type, data) {
+  if (!journal.Enabled()) {
+    return;
+  }
+
+  journaled[type] = {};
+  for (const key of Object.keys(data)) {
+    journaled[type][key] = JSON.stringify(data[key]);
+  }
+}
+
+/**
+ * @function journalChanges
+ * @desc Non-Exported function, that journals every key of data that changed since
+ * it was last journaled, or read from disk.
+ * @param {string} type - The type of data, as accepted by `resources.Write()`.
+ * @param {object} data - The new data in its entirety.
+ * @returns {object} A Server Status Object, bubbled from `journal.Record()`.
+ */
+function journalChanges(type, data) {
+  if (!journal.Enabled()) {
+    return { ok: true };
+  }
+
+  const last = journaled[type] !== undefined ? journaled[type] : {};
+  let set = {};
+  let remove = [];
+
+  for (const key of Object.keys(data)) {
+    const value = JSON.stringify(data[key]);
+    if (last[key] !== value) {
+      set[key] = data[key];
+    }
+  }
+  for (const key of Object.keys(last)) {
+    if (!Object.prototype.hasOwnProperty.call(data, key)) {
+      remove.push(key);
+    }
+  }
+
+  if (Object.keys(set).length === 0 && remove.length === 0) {
+    return { ok: true };
+  }
+
+  let record = journal.Record(type, set, remove);
+
+  if (record.ok) {
+    for (const key of Object.keys(set)) {
+      last[key] = JSON.stringify(set[key]);
+    }
+    for (const key of remove) {
+      delete last[key];
+    }
+    journaled[type] = last;
+  }
+  return record;
+}
+
 module.exports = {
   GetFeatured,
+  GetFeaturedThemes,
+  GetUpdates,
+  SetUpdates,
+  SetTarball,
+  GetTarball,
   GetUsers,
   SetUsers,
   GetPackagePointer,
   SetPackagePointer,
+  GetPackageAliases,
+  SetPackageAliases,
+  GetPackageAliasByName,
+  RenamePackage,
   GetPackageByID,
   GetPackageByName,
   GetAllPackages,
+  SearchPackages,
+  GetPackageDependents,
+  GetPackageDependencies,
+  GetService,
+  GetGrammars,
   GetPackageCollection,
+  GetExistingPackageNames,
   SetPackageByID,
   SetPackageByName,
   NewPackage,
   StarPackageByName,
   UnStarPackageByName,
+  UpdatePackageByName,
   GetPackagePointerByName,
-  RemovePackageByPointer,
+  GetDeletedPackages,
+  GetDeletedPackageByName,
   RemovePackageByName,
+  RestorePackageByName,
+  PurgeDeletedPackages,
+  DeprecatePackageByName,
+  Startup,
   Shutdown,
 };
@@ -0,0 +1,325 @@
+/**
+ * @module dependency_index
+ * @desc An in-memory index of what every package depends on, and the services it provides and consumes,
+ * taken from the `package.json` of each of its versions. So the packages depending on a package, or
+ * providing or consuming a service, can be found without going through every package. Versions that
+ * have been yanked are left out, since they can no longer be installed. Built by `data` along with
+ * the full package cache, and updated as packages are published, changed or deleted.
+ */
+
+// The fields of a `package.json` listing the packages a version depends on.
+// Where `dependencies` are installed by npm, and `packageDependencies` are Atom packages installed by APM.
+const dependency_types = ["dependencies", "packageDependencies"];
+
+// The packages indexed, keyed by their ID, with what each version depends on, provides and consumes.
+// Undefined until the index is built.
+let docs;
+// The name of each package indexed, to its ID.
+let names;
+// The name of each package depended on, to the `Set` of package IDs depending on it.
+let dependents;
+// The name of each service, to the `Set` of package IDs providing or consuming it.
+let services;
+
+/**
+ * @function Build
+ * @desc Builds the index from scratch, replacing any previous index.
+ * @param {object[]} packages - Every package to index, each as `{ id, pack }`. Where `id` is
+ * the pointer of the package, like `UUIDv4.json`, and `pack` the 'Server Package Object'.
+ */
+function Build(packages) {
+  docs = new Map();
+  names = new Map();
+  dependents = new Map();
+  services = new Map();
+
+  for (const { id, pack } of packages) {
+    addPackage(id, pack);
+  }
+}
+
+/**
+ * @function Built
+ * @desc Used to check if the index has been built, and can be queried or updated.
+ * @returns {boolean} True if the index has been built.
+ */
+function Built() {
+  return docs !== undefined;
+}
+
+/**
+ * @function Update
+ * @desc Adds a package to the index, replacing it if already indexed. Does nothing until the index
+ * has been built, since the package will be included once it is.
+ * @param {string} id - The pointer of the package, like `UUIDv4.json`.
+ * @param {object} pack - The 'Server Package Object' to index.
+ */
+function Update(id, pack) {
+  if (!Built()) {
+    return;
+  }
+
+  removePackage(id);
+  addPackage(id, pack);
+}
+
+/**
+ * @function Remove
+ * @desc Removes a package from the index, if indexed.
+ * @param {string} id - The pointer of the package, like `UUIDv4.json`.
+ */
+function Remove(id) {
+  if (!Built()) {
+    return;
+  }
+
+  removePackage(id);
+}
+
+/**
+ * @function Dependents
+ * @desc Finds every package with a version depending on a package.
+ * @param {string} name - The name of the package depended on.
+ * @returns {object[]} Each package depending on it, sorted by name, as `{ name, dependencies, packageDependencies }`.
+ * Where `dependencies` and `packageDependencies` are objects of each version of the dependent
+ * package, to the range of the package it depends on. Or an empty array if the index hasn't been built.
+ */
+function Dependents(name) {
+  if (!Built() || !dependents.has(name)) {
+    return [];
+  }
+
+  let found = [];
+
+  for (const id of dependents.get(name)) {
+    const doc = docs.get(id);
+    let dependent = { name: doc.name };
+
+    for (const type of dependency_types) {
+      dependent[type] = {};
+    }
+
+    for (const dep of doc.dependencies) {
+      if (dep.name === name) {
+        dependent[dep.type][dep.version] = dep.range;
+      }
+    }
+
+    found.push(dependent);
+  }
+
+  return found.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * @function Dependencies
+ * @desc Finds every package the versions of a package depend on.
+ * @param {string} name - The name of the package.
+ * @returns {object[]} Each package depended on, sorted by name, as `{ name, dependencies, packageDependencies }`.
+ * Where `dependencies` and `packageDependencies` are objects of each version of the package, to the
+ * range it depends on. Or an empty array if the package isn't indexed.
+ */
+function Dependencies(name) {
+  if (!Built() || !names.has(name)) {
+    return [];
+  }
+
+  const doc = docs.get(names.get(name));
+
+  let found = new Map();
+
+  for (const dep of doc.dependencies) {
+    if (!found.has(dep.name)) {
+      let dependency = { name: dep.name };
+
+      for (const type of dependency_types) {
+        dependency[type] = {};
+      }
+
+      found.set(dep.name, dependency);
+    }
+
+    found.get(dep.name)[dep.type][dep.version] = dep.range;
+  }
+
+  return Array.from(found.values()).sort((a, b) =>
+    a.name.localeCompare(b.name)
+  );
+}
+
+/**
+ * @function Service
+ * @desc Finds every package with a version providing or consuming a service.
+ * @param {string} name - The name of the service.
+ * @returns {object|undefined} The service as `{ name, providers, consumers }`. Where `providers` and
+ * `consumers` are arrays of each package, sorted by name, as `{ name, versions }`. With `versions` being
+ * an object of each version of the package, to the array of service versions it provides, or the array
+ * of service version ranges it consumes. Or undefined if no package provides or consumes the service.
+ */
+function Service(name) {
+  if (!Built() || !services.has(name)) {
+    return undefined;
+  }
+
+  let service = { name: name, providers: [], consumers: [] };
+
+  for (const id of services.get(name)) {
+    const doc = docs.get(id);
+
+    for (const [role, uses] of [
+      ["providers", doc.provides],
+      ["consumers", doc.consumes],
+    ]) {
+      let versions = {};
+
+      for (const use of uses) {
+        if (use.service === name) {
+          versions[use.version] = use.versions;
+        }
+      }
+
+      if (Object.keys(versions).length > 0) {
+        service[role].push({ name: doc.name, versions: versions });
+      }
+    }
+  }
+
+  service.providers.sort((a, b) => a.name.localeCompare(b.name));
+  service.consumers.sort((a, b) => a.name.localeCompare(b.name));
+
+  return service;
+}
+
+/**
+ * @function serviceUses
+ * @desc Unexported function, that lists the services a version provides or consumes.
+ * @param {object} declared - The `providedServices` or `consumedServices` of the version.
+ * Each service being an object with `versions`, of each service version or range, to the method using it.
+ * @param {string} version - The version of the package.
+ * @returns {object[]} Each service as `{ service, version, versions }`. Where `versions` is the
+ * array of service versions, or ranges, of the service.
+ */
+function serviceUses(declared, version) {
+  if (typeof declared !== "object" || declared === null) {
+    return [];
+  }
+
+  let uses = [];
+
+  for (const service in declared) {
+    const versions =
+      typeof declared[service] === "object" &&
+      declared[service] !== null &&
+      typeof declared[service].versions === "object" &&
+      declared[service].versions !== null
+        ? Object.keys(declared[service].versions)
+        : [];
+
+    uses.push({ service: service, version: version, versions: versions });
+  }
+
+  return uses;
+}
+
+/**
+ * @function addPackage
+ * @desc Unexported function, that indexes what each version of a package depends on,
+ * provides and consumes.
+ * @param {string} id - The pointer of the package.
+ * @param {object} pack - The 'Server Package Object' to index.
+ */
+function addPackage(id, pack) {
+  let doc = { name: pack.name, dependencies: [], provides: [], consumes: [] };
+
+  for (const ver in pack.versions) {
+    const version = pack.versions[ver];
+
+    if (typeof version !== "object" || version === null || version.yanked) {
+      continue;
+    }
+
+    for (const type of dependency_types) {
+      if (typeof version[type] !== "object" || version[type] === null) {
+        continue;
+      }
+
+      for (const dep in version[type]) {
+        doc.dependencies.push({
+          name: dep,
+          type: type,
+          version: ver,
+          range: version[type][dep],
+        });
+      }
+    }
+
+    doc.provides.push(...serviceUses(version.providedServices, ver));
+    doc.consumes.push(...serviceUses(version.consumedServices, ver));
+  }
+
+  docs.set(id, doc);
+  names.set(doc.name, id);
+
+  for (const dep of doc.dependencies) {
+    if (!dependents.has(dep.name)) {
+      dependents.set(dep.name, new Set());
+    }
+    dependents.get(dep.name).add(id);
+  }
+
+  for (const use of doc.provides.concat(doc.consumes)) {
+    if (!services.has(use.service)) {
+      services.set(use.service, new Set());
+    }
+    services.get(use.service).add(id);
+  }
+}
+
+/**
+ * @function removePackage
+ * @desc Unexported function, that removes a package from the index. Along with any package
+ * depended on, or service, no other package uses.
+ * @param {string} id - The pointer of the package.
+ */
+function removePackage(id) {
+  if (!docs.has(id)) {
+    return;
+  }
+
+  const doc = docs.get(id);
+
+  for (const [map, keys] of [
+    [dependents, doc.dependencies.map((dep) => dep.name)],
+    [services, doc.provides.concat(doc.consumes).map((use) => use.service)],
+  ]) {
+    for (const key of keys) {
+      if (!map.has(key)) {
+        // Already removed, as the package uses it more than once.
+        continue;
+      }
+
+      const ids = map.get(key);
+      ids.delete(id);
+
+      if (ids.size === 0) {
+        map.delete(key);
+      }
+    }
+  }
+
+  if (names.get(doc.name) === id) {
+    names.delete(doc.name);
+  }
+
+  docs.delete(id);
+}
+
+module.exports = {
+  Build,
+  Built,
+  Update,
+  Remove,
+  Dependents,
+  Dependencies,
+  Service,
+};
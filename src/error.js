@@ -48,6 +48,35 @@ function MissingAuthJSON(res) {
   });
 }
 
+/**
+ * @function GitHubReauthJSON
+ * @desc JSON Handling when the users GitHub authorization has expired, and can't be refreshed.
+ * ###### Setting:
+ * * Status Code: 401
+ * * JSON Response Body: message: "Your GitHub authorization has expired or been revoked. Please log in again to continue."
+ * @param {object} res - The `Response` object inherited from the Express endpoint.
+ */
+function GitHubReauthJSON(res) {
+  res.status(401).json({
+    message:
+      "Your GitHub authorization has expired or been revoked. Please log in again to continue.",
+  });
+}
+
+/**
+ * @function ForbiddenJSON
+ * @desc JSON Handling when an authenticated user lacks permission for an action.
+ * ###### Setting:
+ * * Status Code: 403
+ * * JSON Response Body: message: "You do not have permission to perform this action."
+ * @param {object} res - The `Response` object inherited from the Express endpoint.
+ */
+function ForbiddenJSON(res) {
+  res.status(403).json({
+    message: "You do not have permission to perform this action.",
+  });
+}
+
 /**
  * @function ServerErrorJSON
  * @desc The Standard Server Error JSON Endpoint.
@@ -72,6 +101,33 @@ function PublishPackageExists(res) {
   res.status(409).json({ message: "A Package by that name already exists." });
 }
 
+/**
+ * @function PublishVersionExists
+ * @desc JSON Response announcing a version of a package already exists.
+ * ###### Setting:
+ * * Status Code: 409
+ * * JSON Response Body: message: "A Version by that name already exists."
+ * @param {object} res - The `Response` object inherited from the Express endpoint.
+ */
+function PublishVersionExists(res) {
+  res.status(409).json({ message: "A Version by that name already exists." });
+}
+
+/**
+ * @function YankLastVersionJSON
+ * @desc JSON Response announcing the only version of a package left can't be yanked.
+ * ###### Setting:
+ * * Status Code: 409
+ * * JSON Response Body: message: "The only remaining version can't be yanked, delete the package instead."
+ * @param {object} res - The `Response` object inherited from the Express endpoint.
+ */
+function YankLastVersionJSON(res) {
+  res.status(409).json({
+    message:
+      "The only remaining version can't be yanked, delete the package instead.",
+  });
+}
+
 /**
  * @function BadRepoJSON
  * @desc JSON Response announcing that the repo doesn't exist, or is inaccessible.
@@ -122,9 +178,13 @@ module.exports = {
   NotFoundJSON,
   SiteWide404,
   MissingAuthJSON,
+  GitHubReauthJSON,
+  ForbiddenJSON,
   ServerErrorJSON,
   UnsupportedJSON,
   PublishPackageExists,
+  PublishVersionExists,
+  YankLastVersionJSON,
   BadRepoJSON,
   BadPackageJSON,
 };
@@ -1,35 +1,122 @@
 /**
  * @module git
- * @desc Assists in interactions between the backend and GitHub.
+ * @desc Assists in interactions between the backend and the git hosts packages live on.
+ * Where a `repo` is either `owner/repo` for GitHub, or the full `https://` URL of a repo
+ * on any other supported host. Each host is supported by a provider within `git_providers`,
+ * chosen based on the hostname of the repo. Logging in only ever happens with GitHub.
+ * @implements {config}
+ * @implements {logger}
+ * @implements {users}
  */
 
 const superagent = require("superagent");
-const { GH_TOKEN, GH_USERNAME, GH_USERAGENT } =
-  require("./config.js").GetConfig();
+const {
+  GH_USERAGENT,
+  GH_CLIENTID,
+  GH_CLIENTSECRET,
+  GITLAB_HOSTS,
+  GITEA_HOSTS,
+} = require("./config.js").GetConfig();
 const logger = require("./logger.js");
+const users = require("./users.js");
+const github = require("./git_providers/github.js");
+const gitlab = require("./git_providers/gitlab.js");
+const gitea = require("./git_providers/gitea.js");
 
-const encodedToken = Buffer.from(`${GH_USERNAME}:${GH_TOKEN}`).toString(
-  "base64"
-);
+// The largest package tarball we are willing to store.
+const max_tarball_size = 100 * 1024 * 1024;
+// The most grammar or snippet files read from a single directory, when publishing a version.
+const max_language_files = 50;
+
+const gitlab_hosts = hostList(GITLAB_HOSTS);
+const gitea_hosts = hostList(GITEA_HOSTS);
 
 /**
  * @async
  * @function Ownership
  * @desc Allows the ability to check if a user has permissions to write to a repo.
- * <b>MUST</b> Be provided `owner/repo` to successfully function, and expects the
- * full `user` object. Returns `ok: true` where content is the repo data from GitHub
- * on success, returns `short: "No Repo Access"` if they do not have permisison
+ * <b>MUST</b> Be provided a valid `repo` to successfully function, and expects the
+ * full `user` object. Otherwise returns `short: "Bad Repo"`. Returns `ok: true` where content is the repo data from
+ * the host on success, returns `short: "No Repo Access"` if they do not have permisison
  * to affect said repo or `short: "Server Error"` if any other error has occured.
+ * Since users only log in with GitHub, repos on any other host can only be owned through an account
+ * on that host the user has linked, as verified by `VerifyIdentity`. Otherwise returning `short: "No Repo Access"`.
+ * For repos on GitHub, if the users GitHub token has expired, it will be refreshed, persisted, and the check
+ * retried once. If that isn't possible returns `short: "GitHub Reauth"`, as the user
+ * must log in again.
  * @param {object} user - The Full User object, including `name`, `github_token`.
- * @param {string} repo - The `owner/repo` of the repo changes are intended to affect.
+ * @param {string} repo - The `owner/repo`, or URL of the repo changes are intended to affect.
  */
 async function Ownership(user, repo) {
   // user here is a full fledged user object. And repo is a text representation of the repository.
-  // Since git auth is not setup, this will return positive.
+  let parsed = ParseRepo(repo);
+
+  if (parsed === undefined) {
+    return {
+      ok: false,
+      content: `Unsupported repo: ${repo}`,
+      short: "Bad Repo",
+    };
+  }
+
+  if (parsed.provider !== github) {
+    // Only GitHub is checked with the users own token, so there is nothing to refresh.
+    let access = await parsed.provider.HasWriteAccess(user, parsed);
+
+    if (access.short === "No Auth") {
+      // The servers own token was refused, which the user can do nothing about.
+      return {
+        ok: false,
+        short: "Server Error",
+        content: `The servers token for ${parsed.host} was refused.`,
+      };
+    }
+
+    return ownershipResult(user, access);
+  }
 
-  let withinPackages = await doesUserHaveRepo(user, repo);
+  let refreshed = false;
 
-  // doesUserHaveRepo returns several different results, which need to be checked for
+  if (
+    typeof user.github_token_expires === "number" &&
+    user.github_token_expires <= Date.now()
+  ) {
+    // We already know the token has expired, no need to ask GitHub first.
+    let refresh = await refreshUserToken(user);
+
+    if (!refresh.ok) {
+      return refresh;
+    }
+
+    refreshed = true;
+  }
+
+  let withinPackages = await github.HasWriteAccess(user, parsed);
+
+  if (!withinPackages.ok && withinPackages.short === "No Auth" && !refreshed) {
+    // The token may have expired, or been revoked, without us knowing.
+    let refresh = await refreshUserToken(user);
+
+    if (!refresh.ok) {
+      return refresh;
+    }
+
+    withinPackages = await github.HasWriteAccess(user, parsed);
+  }
+
+  return ownershipResult(user, withinPackages);
+}
+
+/**
+ * @function ownershipResult
+ * @desc Unexported function, that converts the result of a providers `HasWriteAccess`
+ * into the result returned by `Ownership`.
+ * @param {object} user - The Full User object.
+ * @param {object} withinPackages - The Server Status Object returned by `HasWriteAccess`.
+ * @returns {object} The Server Status Object to return from `Ownership`.
+ */
+function ownershipResult(user, withinPackages) {
+  // HasWriteAccess returns several different results, which need to be checked for
 
   if (withinPackages.ok) {
     // if the user has access directly return withinPackages
@@ -46,7 +133,7 @@ async function Ownership(user, repo) {
         return {
           ok: false,
           short: "Server Error",
-          content: "GitHub Returned an unexpected error.",
+          content: "The git host returned an unexpected error.",
         };
 
       case "Server Error":
@@ -58,12 +145,11 @@ async function Ownership(user, repo) {
         };
 
       case "No Auth":
-        // the token used is invalid
-        // TODO: properly handle token refresh.
+        // the token used is invalid, even after a refresh.
         return {
           ok: false,
-          short: "Server Error",
-          content: "Unrefreshed token.",
+          short: "GitHub Reauth",
+          content: `GitHub refused the token of ${user.name}.`,
         };
 
       default:
@@ -81,13 +167,27 @@ async function Ownership(user, repo) {
  * @async
  * @function CreatePackage
  * @desc Creates a compatible `Server Object Full` object, from only receiving a `repo` as in
- * `owner/repo`. With this it contacts GitHub API's and modifies data as needed to
+ * `owner/repo`, or the URL of a repo on another host. With this it contacts the hosts API's and modifies data as needed to
  * return back a proper `Server Object Full` object within a `Server Status`.content object.
- * @param {string} repo - The Repo to use in the form `owner/repo`.
+ * Each version includes the `language_support` of the repo, as returned by `getLanguageSupport`,
+ * and is `published_at` the time the package is created.
+ * @param {string} repo - The Repo to use in the form `owner/repo`, or the URL of the repo.
  * @returns {object} A `Server Status` Object where `content` is the `Server Package Full` object.
  */
 async function CreatePackage(repo) {
   try {
+    let parsed = ParseRepo(repo);
+
+    if (parsed === undefined) {
+      return {
+        ok: false,
+        content: `Unsupported repo: ${repo}`,
+        short: "Bad Repo",
+      };
+    }
+
+    repo = parsed;
+
     let newPack = {};
     // this ^^^ will be what we append all data to.
     let exists = await getRepoExistance(repo);
@@ -96,7 +196,7 @@ async function CreatePackage(repo) {
       // this could be because of an error, or it truly doesn't exist.
       return {
         ok: false,
-        content: `Failed to get repo: ${repo}`,
+        content: `Failed to get repo: ${repo.host}/${repo.path}`,
         short: "Bad Repo",
       };
     } else {
@@ -130,7 +230,7 @@ async function CreatePackage(repo) {
           } else {
             // Now we should be ready to create the package.
             // readme = The Text data of the current repo readme.
-            // repoTag = the API JSON response for repo tags, including the tags, and their sha hash, and tarball_url
+            // repoTag = the providers Tag Objects, including the tags, and their sha hash, and tarball_url
             // pack = the package.json file within the repo, as JSON.
             // And we want to funnel all of this data into newPack and return it.
 
@@ -206,7 +306,7 @@ async function CreatePackage(repo) {
                     // would have the correct download URL. So the error would only be visual when browsing
                     // the packages details.
                     newPack.versions[ver].tarball_url = repoTag[y].tarball_url;
-                    newPack.versions[ver].sha = repoTag[y].commit.sha;
+                    newPack.versions[ver].sha = repoTag[y].sha;
                   }
                 }
               }
@@ -220,11 +320,24 @@ async function CreatePackage(repo) {
                 if (repoTag[i].name.replace("v", "") == ver) {
                   newPack.versions[pack.version].tarball_url =
                     repoTag[i].tarball_url;
-                  newPack.versions[pack.version].sha = repoTag[i].commit.sha;
+                  newPack.versions[pack.version].sha = repoTag[i].sha;
                 }
               }
             }
 
+            // The grammars and snippets are read from the same ref as the package.json.
+            const support = await getLanguageSupport(repo);
+
+            if (support !== undefined) {
+              for (const ver in newPack.versions) {
+                newPack.versions[ver].language_support = support;
+              }
+            }
+
+            for (const ver in newPack.versions) {
+              newPack.versions[ver].published_at = time;
+            }
+
             // now with all the versions properly filled, we lastly just need the release data.
             newPack.releases = {
               latest: repoTag[0].name.replace("v", ""),
@@ -244,125 +357,454 @@ async function CreatePackage(repo) {
 
 /**
  * @async
- * @function doesUserHaveRepo
- * @desc Unexported function, that determines if the specified user has access
- * to the specified repository. Will loop itself through all valid pages
- * of users repo list, until it finds a match, otherwise returning accordingly.
- * @param {object} user - A valid user object, from the user file.
- * @param {string} repo - The valid repo in the format `owner/repo`
- * @param {int} [page] - Not intended to be set directly, but is used to track the
- * current results page number, if or when the function needs to loop itself.
- * @returns {object} A server status object of true if they do have access.
- * And returns false in all other situations.
+ * @function CreateVersion
+ * @desc Creates a single version entry for a `Server Package Full` object, from
+ * the `package.json` found at the specified tag of the repo. Adding the `tarball_url`
+ * and `sha` of that tag, and the `language_support` found at it, as `CreatePackage`
+ * does for the initial version. The `published_at` time is left to be set once the version is saved.
+ * @param {string} repo - The Repo to use in the form `owner/repo`, or the URL of the repo.
+ * @param {string} tag - The git tag to create the version from.
+ * @returns {object} A `Server Status` Object where `content` is the new version object.
+ * Returns `short: "Bad Repo"` if the tag cannot be found, or `short: "Bad Package"`
+ * if the `package.json` at that tag is invalid.
  */
-async function doesUserHaveRepo(user, repo, page = 1) {
+async function CreateVersion(repo, tag) {
   try {
-    const res = await superagent
-      .get(`https://api.github.com/user/repos?page=${page}`)
-      .set({
-        Authorization:
-          "Basic " +
-          Buffer.from(`${user.name}:${user.github_token}`).toString("base64"),
-      })
-      .set({ "User-Agent": GH_USERAGENT });
+    let parsed = ParseRepo(repo);
 
-    if (res.status === 200) {
-      for (let i = 0; i < res.body.length; i++) {
-        if (res.body[i].full_name === repo) {
-          return { ok: true, content: res.body[i] };
-        }
-      }
+    if (parsed === undefined) {
+      return {
+        ok: false,
+        content: `Unsupported repo: ${repo}`,
+        short: "Bad Repo",
+      };
+    }
 
-      // after going through every repo returned, we haven't found a repo
-      // the user owns. Lets check if theres multiple pages of returns.
-      //console.log(res.headers);
-      if (res.headers["link"].includes(`?page=${page++}`)) {
-        // if the link headers on the page include the query parameter
-        // of the next page number
-        return await doesUserHaveRepo(user, repo, page++);
-      }
+    repo = parsed;
 
-      // if there are no increasing pages, return no access
-      return { ok: false, short: "No Access" };
-    } else {
-      // we received some other status code, and should return a failure.
-      return { ok: false, short: "Failed Request" };
+    let repoTag = await getRepoTags(repo);
+
+    if (repoTag === undefined) {
+      return {
+        ok: false,
+        content: "Failed to get gh tags.",
+        short: "Server Error",
+      };
     }
-  } catch (err) {
-    console.log(err);
-    console.log(err.response.request.header);
-    if (err.status === 401) {
-      return { ok: false, short: "No Auth" };
+
+    let tagData = repoTag.find((t) => t.name === tag);
+
+    if (tagData === undefined) {
+      return {
+        ok: false,
+        content: `Unable to find tag ${tag} within ${repo.host}/${repo.path}`,
+        short: "Bad Repo",
+      };
     }
 
-    return { ok: false, short: "Server Error", content: err };
+    let pack = await getPackageJSON(repo, tag);
+
+    if (
+      pack === undefined ||
+      typeof pack.name !== "string" ||
+      typeof pack.version !== "string"
+    ) {
+      return {
+        ok: false,
+        content: `Failed to get a valid gh package at ${tag}.`,
+        short: "Bad Package",
+      };
+    }
+
+    pack.tarball_url = tagData.tarball_url;
+    pack.sha = tagData.sha;
+
+    const support = await getLanguageSupport(repo, tag);
+
+    if (support !== undefined) {
+      pack.language_support = support;
+    }
+
+    return { ok: true, content: pack };
+  } catch (err) {
+    return { ok: false, content: err, short: "Server Error" };
   }
 }
 
 /**
  * @async
- * @function getRepoExistance
- * @desc Intends to determine if a repo exists, or at least is accessible and public
- * on GitHub.
- * @param {string} repo - A repo in the format `owner/repo`.
- * @returns {boolean} A true if the repo exists, false otherwise. Including an error.
+ * @function DownloadTarball
+ * @desc Downloads the tarball of a version, so it can be stored by the server.
+ * @param {string} repo - The Repo to use in the form `owner/repo`, or the URL of the repo.
+ * @param {string} tarball_url - The `tarball_url` of the version, as set by `CreatePackage` or `CreateVersion`.
+ * @returns {object} A `Server Status` Object where `content` is the tarball as a `Buffer`.
  */
-async function getRepoExistance(repo) {
+async function DownloadTarball(repo, tarball_url) {
+  let parsed = ParseRepo(repo);
+
+  if (parsed === undefined) {
+    return {
+      ok: false,
+      content: `Unsupported repo: ${repo}`,
+      short: "Bad Repo",
+    };
+  }
+
+  return parsed.provider.DownloadTarball(parsed, tarball_url, max_tarball_size);
+}
+
+/**
+ * @function RepoFromPackage
+ * @desc Determines the `repo` of a package from its `repository` object.
+ * Intended for use when only the package is known, such as publishing a new version.
+ * @param {object} pack - The `Server Package Full` object.
+ * @returns {string} The `owner/repo` of the package on GitHub, the URL of the repo on
+ * any other supported host, or '' if it can't be determined.
+ */
+function RepoFromPackage(pack) {
+  if (
+    typeof pack.repository !== "object" ||
+    pack.repository === null ||
+    typeof pack.repository.url !== "string"
+  ) {
+    return "";
+  }
+
+  const parsed = ParseRepo(pack.repository.url);
+
+  if (parsed === undefined) {
+    return "";
+  }
+
+  return parsed.provider === github
+    ? parsed.path
+    : `https://${parsed.host}/${parsed.path}`;
+}
+
+/**
+ * @function ParseRepo
+ * @desc Parses a `repo` into a Repo Object, choosing the provider based on its hostname.
+ * Accepting `owner/repo` for GitHub, or a repo URL such as `https://gitlab.com/group/repo.git`
+ * or `git@gitlab.com:group/repo`. Besides GitHub, only `gitlab.com`, `codeberg.org`, and the
+ * hosts listed within `GITLAB_HOSTS` or `GITEA_HOSTS` are supported.
+ * @param {string} repo - The repo to parse.
+ * @returns {object|undefined} A Repo Object, containing the `provider` module, the `host`
+ * and the `path` of the repo. Or undefined if the repo isn't valid, or on an unsupported host.
+ */
+function ParseRepo(repo) {
+  if (typeof repo !== "string") {
+    return undefined;
+  }
+
+  // Both owner/repo and URLs can't contain segments beginning with a dot, to prevent path traversal.
+  const segment = "[-\\w][-\\w.]*";
+
+  if (new RegExp(`^${segment}/${segment}$`).test(repo)) {
+    return { provider: github, host: "github.com", path: repo };
+  }
+
+  const match = repo
+    .trim()
+    .replace(/\.git$/, "")
+    .replace(/\/$/, "")
+    .match(
+      new RegExp(
+        `^(?:(?:git\\+)?https?://|git@)([a-z\\d.-]+)[/:]((?:${segment}/)+${segment})$`,
+        "i"
+      )
+    );
+
+  if (match === null) {
+    return undefined;
+  }
+
+  const host = match[1].toLowerCase();
+  const path = match[2];
+
+  if (host === "github.com" || host === "www.github.com") {
+    // GitHub repos are never nested within groups.
+    return path.split("/").length === 2
+      ? { provider: github, host: "github.com", path: path }
+      : undefined;
+  }
+
+  const provider = providerOf(host);
+
+  if (provider === gitea && path.split("/").length !== 2) {
+    // Gitea repos are never nested within groups either.
+    return undefined;
+  }
+
+  return provider === undefined
+    ? undefined
+    : { provider: provider, host: host, path: path };
+}
+
+/**
+ * @async
+ * @function VerifyIdentity
+ * @desc Finds the account on a git host other than GitHub, that a token belongs to. Allowing a user
+ * to link the account, so they can own repos on that host. The token is never stored.
+ * @param {string} host - The hostname of the git host, such as `gitlab.com`.
+ * @param {string} token - An access token of the account.
+ * @returns {object} A Server Status Object, where `content` is the account as `{ id, username }`.
+ * Returns `short: "Bad Repo"` if the host isn't supported, or is GitHub. Or bubbling from
+ * the `VerifyIdentity` of the provider.
+ */
+async function VerifyIdentity(host, token) {
+  const provider =
+    typeof host === "string" ? providerOf(host.toLowerCase()) : undefined;
+
+  if (provider === undefined) {
+    return {
+      ok: false,
+      content: `Accounts on ${host} can't be linked.`,
+      short: "Bad Repo",
+    };
+  }
+
+  return provider.VerifyIdentity(host.toLowerCase(), token);
+}
+
+/**
+ * @function providerOf
+ * @desc Unexported function, that chooses the provider of a host other than GitHub.
+ * Only hosts the admin trusts are contacted, since their answers decide what is published.
+ * @param {string} host - The lowercase hostname.
+ * @returns {object|undefined} The provider module, or undefined if the host isn't supported.
+ */
+function providerOf(host) {
+  if (host === "gitlab.com" || gitlab_hosts.includes(host)) {
+    return gitlab;
+  }
+
+  if (host === "codeberg.org" || gitea_hosts.includes(host)) {
+    return gitea;
+  }
+
+  return undefined;
+}
+
+/**
+ * @async
+ * @function ExchangeOAuthCode
+ * @desc Exchanges the temporary `code` GitHub provides after a user authorizes the
+ * OAuth App, for an access token that can be used on the users behalf.
+ * @param {string} code - The `code` returned from GitHub to the OAuth callback.
+ * @param {string} redirect_uri - The same `redirect_uri` provided when the user was sent to GitHub.
+ * @returns {object} A Server Status Object, where `content` is the GitHub Grant Object,
+ * as returned by `parseGrant`. Returns `short: "Bad Auth"` if GitHub refuses the code.
+ * @see https://docs.github.com/en/developers/apps/building-oauth-apps/authorizing-oauth-apps
+ */
+async function ExchangeOAuthCode(code, redirect_uri) {
   try {
     const res = await superagent
-      .get(`https://github.com/${repo}`)
-      .set({ Authorization: "Basic " + encodedToken })
-      .set({ "User-Agent": GH_USERAGENT });
+      .post("https://github.com/login/oauth/access_token")
+      .set({ Accept: "application/json" })
+      .set({ "User-Agent": GH_USERAGENT })
+      .send({
+        client_id: GH_CLIENTID,
+        client_secret: GH_CLIENTSECRET,
+        code: code,
+        redirect_uri: redirect_uri,
+      });
+
+    // GitHub returns a 200 even when the code is invalid, with the error in the body.
+    if (res.status !== 200 || typeof res.body.access_token !== "string") {
+      return {
+        ok: false,
+        content: `GitHub refused the OAuth code: ${res.body.error}`,
+        short: "Bad Auth",
+      };
+    }
 
-    switch (res.status) {
-      case 200:
-        return true;
-      case 400:
-      default:
-        return false;
+    return { ok: true, content: parseGrant(res.body) };
+  } catch (err) {
+    return { ok: false, content: err, short: "Server Error" };
+  }
+}
+
+/**
+ * @async
+ * @function RefreshGitHubToken
+ * @desc Exchanges a GitHub refresh token for a new access token. Only possible when the
+ * OAuth App has expiring user tokens enabled, as otherwise GitHub never provides a refresh token.
+ * @param {string} refresh_token - The refresh token stored for the user.
+ * @returns {object} A Server Status Object, where `content` is the GitHub Grant Object,
+ * as returned by `parseGrant`. Returns `short: "Bad Auth"` if GitHub refuses the refresh token.
+ * @see https://docs.github.com/en/apps/creating-github-apps/authenticating-with-a-github-app/refreshing-user-access-tokens
+ */
+async function RefreshGitHubToken(refresh_token) {
+  try {
+    const res = await superagent
+      .post("https://github.com/login/oauth/access_token")
+      .set({ Accept: "application/json" })
+      .set({ "User-Agent": GH_USERAGENT })
+      .send({
+        client_id: GH_CLIENTID,
+        client_secret: GH_CLIENTSECRET,
+        grant_type: "refresh_token",
+        refresh_token: refresh_token,
+      });
+
+    // Same as the code exchange, errors are returned with a 200.
+    if (res.status !== 200 || typeof res.body.access_token !== "string") {
+      return {
+        ok: false,
+        content: `GitHub refused the refresh token: ${res.body.error}`,
+        short: "Bad Auth",
+      };
     }
+
+    return { ok: true, content: parseGrant(res.body) };
   } catch (err) {
-    logger.WarningLog(
-      null,
-      null,
-      `Unable to check if repo exists. ${repo} - ${err}`
-    );
-    return false;
+    return { ok: false, content: err, short: "Server Error" };
   }
 }
 
 /**
  * @async
- * @function getPackageJSON
- * @desc Intends to retreive the raw text of the GitHub repo package.
- * @param {string} repo - The string of the repo in format `owner/repo`.
- * @returns {string|undefined} Returns a proper string of the readme if successful.
- * And returns `undefined` otherwise.
+ * @function GetUserLogin
+ * @desc Gets the GitHub login of the user the token belongs to.
+ * @param {string} token - A GitHub access token of the user.
+ * @returns {object} A Server Status Object, where `content` is the users GitHub login.
+ * Returns `short: "Bad Auth"` if GitHub doesn't accept the token.
  */
-async function getPackageJSON(repo) {
+async function GetUserLogin(token) {
   try {
     const res = await superagent
-      .get(`https://api.github.com/repos/${repo}/contents/package.json`)
-      .set({ Authorization: "Basic " + encodedToken })
+      .get("https://api.github.com/user")
+      .set({ Authorization: `token ${token}` })
       .set({ "User-Agent": GH_USERAGENT });
 
-    if (res.status === 200) {
-      return JSON.parse(
-        Buffer.from(res.body.content, res.body.encoding).toString()
-      );
-    } else {
-      logger.WarningLog(
-        null,
-        null,
-        `Unable to Get ${repo} from GH for package.json. HTTP Status ${res.status}`
-      );
-      return undefined;
+    return { ok: true, content: res.body.login };
+  } catch (err) {
+    if (err.status === 401) {
+      return { ok: false, content: err, short: "Bad Auth" };
     }
+
+    return { ok: false, content: err, short: "Server Error" };
+  }
+}
+
+/**
+ * @function parseGrant
+ * @desc Unexported function, that creates a GitHub Grant Object from the response of GitHubs
+ * token endpoint. Converting the relative expiry times GitHub returns into timestamps.
+ * @param {object} body - The JSON body returned by GitHub.
+ * @returns {object} A GitHub Grant Object, containing the `token`, and if the token expires
+ * the `refresh_token`, `expires` and `refresh_token_expires`. Otherwise these are null.
+ */
+function parseGrant(body) {
+  const now = Date.now();
+
+  return {
+    token: body.access_token,
+    refresh_token:
+      typeof body.refresh_token === "string" ? body.refresh_token : null,
+    expires:
+      typeof body.expires_in === "number" ? now + body.expires_in * 1000 : null,
+    refresh_token_expires:
+      typeof body.refresh_token_expires_in === "number"
+        ? now + body.refresh_token_expires_in * 1000
+        : null,
+  };
+}
+
+/**
+ * @async
+ * @function refreshUserToken
+ * @desc Unexported function, that refreshes the GitHub token of the user, and persists it.
+ * Modifying the user object provided, so any following requests use the new token.
+ * @param {object} user - A valid user object, from the user file.
+ * @returns {object} A Server Status Object of `ok: true` if refreshed. `short: "GitHub Reauth"`
+ * if the user has no usable refresh token or GitHub refuses it, or otherwise the error bubbled
+ * from `RefreshGitHubToken` or `users.SetGitHubGrant`.
+ */
+async function refreshUserToken(user) {
+  const reauth = {
+    ok: false,
+    short: "GitHub Reauth",
+    content: `Unable to refresh the GitHub token of ${user.name}.`,
+  };
+
+  if (
+    typeof user.github_refresh_token !== "string" ||
+    (typeof user.github_refresh_token_expires === "number" &&
+      user.github_refresh_token_expires <= Date.now())
+  ) {
+    return reauth;
+  }
+
+  let grant = await RefreshGitHubToken(user.github_refresh_token);
+
+  if (!grant.ok) {
+    return grant.short === "Bad Auth" ? reauth : grant;
+  }
+
+  let write = await users.SetGitHubGrant(user, grant.content);
+
+  return write.ok ? { ok: true } : write;
+}
+
+/**
+ * @function hostList
+ * @desc Unexported function, that parses a comma separated list of hostnames from the config.
+ * @param {string} [hosts] - The config value.
+ * @returns {string[]} The lowercased hostnames.
+ */
+function hostList(hosts) {
+  if (typeof hosts !== "string") {
+    return [];
+  }
+
+  return hosts
+    .split(",")
+    .map((host) => host.trim().toLowerCase())
+    .filter((host) => host.length > 0);
+}
+
+/**
+ * @async
+ * @function getRepoExistance
+ * @desc Intends to determine if a repo exists, or at least is accessible and public
+ * on its host.
+ * @param {object} repo - A Repo Object, as returned by `ParseRepo`.
+ * @returns {boolean} A true if the repo exists, false otherwise. Including an error.
+ */
+async function getRepoExistance(repo) {
+  return repo.provider.Exists(repo);
+}
+
+/**
+ * @async
+ * @function getPackageJSON
+ * @desc Intends to retreive and parse the `package.json` of the repo.
+ * @param {object} repo - A Repo Object, as returned by `ParseRepo`.
+ * @param {string} [ref] - An optional git ref, such as a tag, to read the `package.json`
+ * from. Otherwise the default branch of the repo is used.
+ * @returns {object|undefined} Returns the parsed `package.json` if successful.
+ * And returns `undefined` otherwise.
+ */
+async function getPackageJSON(repo, ref) {
+  let file = await repo.provider.ReadFile(repo, "package.json", ref);
+
+  if (!file.ok) {
+    logger.WarningLog(
+      null,
+      null,
+      `Failed to Get ${repo.host}/${repo.path} for package.json. Err: ${file.content}`
+    );
+    return undefined;
+  }
+
+  try {
+    return JSON.parse(file.content);
   } catch (err) {
     logger.WarningLog(
       null,
       null,
-      `Failed to Get ${repo} from GH for package.json. Err: ${err}`
+      `Invalid package.json within ${repo.host}/${repo.path}. Err: ${err}`
     );
     return undefined;
   }
@@ -371,77 +813,30 @@ async function getPackageJSON(repo) {
 /**
  * @async
  * @function getRepoReadMe
- * @desc Intends to retreive the GitHub repo readme file. Will look for both
+ * @desc Intends to retreive the repo readme file. Will look for both
  * `readme.md` and `README.md` just in case.
- * @param {string} repo - A valid repo in format `owner/repo`.
+ * @param {object} repo - A Repo Object, as returned by `ParseRepo`.
  * @returns {string|undefined} Returns the raw string of the readme if available,
  * otherwise returns undefined.
  */
 async function getRepoReadMe(repo) {
-  try {
-    const res = await superagent
-      .get(`https://api.github.com/repos/${repo}/contents/README.md`)
-      .set({ Authorization: "Basic " + encodedToken })
-      .set({ "User-Agent": GH_USERAGENT });
+  let readme = await repo.provider.ReadFile(repo, "README.md");
 
-    if (res.status === 200) {
-      return Buffer.from(res.body.content, res.body.encoding).toString();
-    } else {
-      logger.WarningLog(
-        null,
-        null,
-        `Unexpected Status Code during README.md retrevial: ${res}`
-      );
-      return undefined;
-    }
-  } catch (err) {
+  if (!readme.ok && readme.short === "Not Found") {
+    // since this can fail, on a 404, lets check for a lowercase readme
+    readme = await repo.provider.ReadFile(repo, "readme.md");
+  }
+
+  if (!readme.ok) {
     logger.WarningLog(
       null,
       null,
-      `Unable to get ${repo} from GH for README.md, trying readme.md: Err: ${err}`
+      `Unable to Get ${repo.host}/${repo.path} for README.md. Err: ${readme.content}`
     );
-    // since this can fail, on a 404, lets check for a lowercase readme
-    if (err.status === 404) {
-      // then this is not found, and we should try again for the lowercase readme.md
-      try {
-        console.log(`https://api.github.com/repos/${repo}/contents/readme.md`);
-        const resLower = await superagent
-          .get(`https://api.github.com/repos/${repo}/contents/readme.md`)
-          .set({ Authorization: "Basic " + encodedToken })
-          .set({ "User-Agent": GH_USERAGENT });
-
-        if (resLower.status === 200) {
-          return Buffer.from(
-            resLower.body.content,
-            resLower.body.encoding
-          ).toString();
-        } else {
-          // it returned, but not the error code we expect.
-          logger.WarningLog(
-            null,
-            null,
-            `Unexpected Status code during readme.md retrevial: ${resLower}`
-          );
-          return undefined;
-        }
-      } catch (err) {
-        logger.WarningLog(
-          null,
-          null,
-          `Unable to get ${repo} from GH for readme.md. Err: ${err}`
-        );
-        return undefined;
-      }
-    } else {
-      // any other generic error code. Lets again respond, with undefined
-      logger.WarningLog(
-        null,
-        null,
-        `Unable to Get ${repo} from GH for README.md. Err: ${err}`
-      );
-      return undefined;
-    }
+    return undefined;
   }
+
+  return readme.content;
 }
 
 /**
@@ -449,39 +844,169 @@ async function getRepoReadMe(repo) {
  * @function getRepoTags
  * @desc Intends to get all tags associated with a repo. Since this is how APM
  * natively publishes new package versions on GitHub.
- * @param {string} repo - A valid repo in format `owner/repo`.
- * @returns {object|undefined} Returns the JSON parsed object of all tags if successful,
+ * @param {object} repo - A Repo Object, as returned by `ParseRepo`.
+ * @returns {object[]|undefined} Returns the providers Tag Objects if successful,
  * and returns undefined otherwise.
- * @see https://docs.github.com/en/rest/repos/repos#list-repository-tags
  */
 async function getRepoTags(repo) {
-  try {
-    const res = await superagent
-      .get(`https://api.github.com/repos/${repo}/tags`)
-      .set({ Authorization: "Basic " + encodedToken })
-      .set({ "User-Agent": GH_USERAGENT });
+  let tags = await repo.provider.GetTags(repo);
 
-    if (res.status === 200) {
-      return res.body;
-    } else {
+  if (!tags.ok) {
+    logger.WarningLog(
+      null,
+      null,
+      `Failed to Get ${repo.host}/${repo.path} for Tags. Err: ${tags.content}`
+    );
+    return undefined;
+  }
+
+  return tags.content;
+}
+
+/**
+ * @async
+ * @function getLanguageSupport
+ * @desc Intends to find the grammars and snippets a package adds, from the files within the
+ * `grammars` and `snippets` directories of the repo. Both CSON and JSON files are read.
+ * A file that can't be read is left out, while a repo without either directory has none.
+ * @param {object} repo - A Repo Object, as returned by `ParseRepo`.
+ * @param {string} [ref] - An optional git ref, such as a tag, to read the files from.
+ * Otherwise the default branch of the repo is used.
+ * @returns {object|undefined} The Language Support Object, containing `grammars`, an array
+ * of each grammar as `{ name, scopeName, fileTypes, path }`, and `snippets`, an array of the
+ * scopes snippets are added to. Or undefined if the directories couldn't be listed.
+ */
+async function getLanguageSupport(repo, ref) {
+  let support = { grammars: [], snippets: [] };
+
+  for (const dir of ["grammars", "snippets"]) {
+    let files = await repo.provider.ListFiles(repo, dir, ref);
+
+    if (!files.ok && files.short === "Not Found") {
+      continue;
+    }
+
+    if (!files.ok) {
       logger.WarningLog(
         null,
         null,
-        `Unable to Get ${repo} from GH for Tags. HTTP Status ${res.status}`
+        `Failed to List ${repo.host}/${repo.path} for ${dir}. Err: ${files.content}`
       );
       return undefined;
     }
-  } catch (err) {
-    logger.WarningLog(
-      null,
-      null,
-      `Failed to Get ${repo} from GH for Tags. Err: ${err}`
-    );
-    return undefined;
+
+    const paths = files.content
+      .filter((path) => /\.(cson|json)$/i.test(path))
+      .slice(0, max_language_files);
+
+    for (const path of paths) {
+      let file = await repo.provider.ReadFile(repo, path, ref);
+
+      if (!file.ok) {
+        logger.WarningLog(
+          null,
+          null,
+          `Failed to Get ${repo.host}/${repo.path} for ${path}. Err: ${file.content}`
+        );
+        continue;
+      }
+
+      const keys = topLevelKeys(file.content, path);
+
+      if (keys === undefined) {
+        continue;
+      }
+
+      if (dir === "grammars") {
+        if (typeof keys.scopeName !== "string") {
+          // Without a scope, nothing can be found to use the grammar.
+          continue;
+        }
+
+        support.grammars.push({
+          name: typeof keys.name === "string" ? keys.name : keys.scopeName,
+          scopeName: keys.scopeName,
+          fileTypes: Array.isArray(keys.fileTypes)
+            ? keys.fileTypes.filter((type) => typeof type === "string")
+            : [],
+          path: path,
+        });
+      } else {
+        // Each key of a snippets file is a selector, like `.source.js, .source.ts`.
+        for (const selector of Object.keys(keys)) {
+          for (const scope of selector.split(",")) {
+            const trimmed = scope.trim().replace(/^\./, "");
+
+            if (trimmed !== "" && !support.snippets.includes(trimmed)) {
+              support.snippets.push(trimmed);
+            }
+          }
+        }
+      }
+    }
   }
+
+  return support;
+}
+
+/**
+ * @function topLevelKeys
+ * @desc Unexported function, that reads the top level keys of a grammar or snippets file.
+ * JSON files are parsed in full. While for CSON files, only the keys starting a line are read,
+ * along with any string, or array of strings, they contain. Which is all that's needed to
+ * find a grammar or snippets, without a full CSON parser.
+ * @param {string} text - The text of the file.
+ * @param {string} path - The path of the file, to tell whether it's JSON or CSON.
+ * @returns {object|undefined} The top level keys. Where any other value of a CSON key is `null`.
+ * Or undefined if a JSON file is invalid.
+ */
+function topLevelKeys(text, path) {
+  if (/\.json$/i.test(path)) {
+    try {
+      const parsed = JSON.parse(text);
+
+      return typeof parsed === "object" && parsed !== null ? parsed : undefined;
+    } catch (err) {
+      return undefined;
+    }
+  }
+
+  let keys = {};
+  const key = /^(?:'([^']*)'|"([^"]*)"|([\w$-]+))[ \t]*:[ \t]*/gm;
+  const string = /^(?:'((?:[^'\\]|\\.)*)'|"((?:[^"\\]|\\.)*)")/;
+  let match;
+
+  while ((match = key.exec(text)) !== null) {
+    const name = [match[1], match[2], match[3]].find((k) => k !== undefined);
+    const rest = text.slice(key.lastIndex);
+    const str = rest.match(string);
+
+    if (str !== null) {
+      keys[name] = str[1] !== undefined ? str[1] : str[2];
+    } else if (rest.startsWith("[")) {
+      const end = rest.indexOf("]");
+      const list = rest.slice(1, end === -1 ? rest.length : end);
+
+      keys[name] = (
+        list.match(/'(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*"/g) || []
+      ).map((item) => item.slice(1, -1));
+    } else {
+      keys[name] = null;
+    }
+  }
+
+  return keys;
 }
 
 module.exports = {
   Ownership,
   CreatePackage,
+  CreateVersion,
+  DownloadTarball,
+  RepoFromPackage,
+  ParseRepo,
+  VerifyIdentity,
+  ExchangeOAuthCode,
+  RefreshGitHubToken,
+  GetUserLogin,
 };
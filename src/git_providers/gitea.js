@@ -0,0 +1,299 @@
+/**
+ * @module gitea
+ * @desc The Gitea git provider, for any Gitea instance such as Codeberg.
+ * Implementing the same functions as every other provider within `git_providers`.
+ * Where `repo` is always the Repo Object created by `git.js`, containing the `host`
+ * and `path` of the repository. The `path` on Gitea always being `owner/repo`.
+ * Since users only ever log in with GitHub, write access is checked using the servers own
+ * token, for the Gitea account the user has linked with `VerifyIdentity`.
+ * @implements {config}
+ * @implements {logger}
+ */
+
+const superagent = require("superagent");
+const { GITEA_TOKEN, GITEA_HOSTS, GH_USERAGENT } =
+  require("../config.js").GetConfig();
+const logger = require("../logger.js");
+
+// The hosts configured by the admin, the only ones the servers token is ever sent to.
+const token_hosts = (typeof GITEA_HOSTS === "string" ? GITEA_HOSTS : "")
+  .split(",")
+  .map((host) => host.trim().toLowerCase())
+  .filter((host) => host.length > 0);
+
+/**
+ * @async
+ * @function Exists
+ * @desc Intends to determine if a repo exists, or at least is accessible on the Gitea instance.
+ * @param {object} repo - The Repo Object.
+ * @returns {boolean} A true if the repo exists, false otherwise. Including an error.
+ */
+async function Exists(repo) {
+  try {
+    const res = await request(repo, "");
+
+    return res.status === 200;
+  } catch (err) {
+    logger.WarningLog(
+      null,
+      null,
+      `Unable to check if repo exists. ${repo.host}/${repo.path} - ${err}`
+    );
+    return false;
+  }
+}
+
+/**
+ * @async
+ * @function ReadFile
+ * @desc Retreives the raw text of a single file within the repo.
+ * @param {object} repo - The Repo Object.
+ * @param {string} file - The path of the file within the repo, such as `package.json`.
+ * @param {string} [ref] - An optional git ref, such as a tag, to read the file from.
+ * Otherwise the default branch of the repo is used.
+ * @returns {object} A Server Status Object, where `content` is the text of the file.
+ * Returns `short: "Not Found"` if the file doesn't exist.
+ */
+async function ReadFile(repo, file, ref) {
+  try {
+    const res = await request(
+      repo,
+      `/raw/${file.split("/").map(encodeURIComponent).join("/")}${
+        ref ? `?ref=${encodeURIComponent(ref)}` : ""
+      }`
+    )
+      .buffer(true)
+      .parse(superagent.parse.text);
+
+    return { ok: true, content: res.text };
+  } catch (err) {
+    return {
+      ok: false,
+      content: err,
+      short: err.status === 404 ? "Not Found" : "Server Error",
+    };
+  }
+}
+
+/**
+ * @async
+ * @function ListFiles
+ * @desc Lists the files directly within a directory of the repo.
+ * @param {object} repo - The Repo Object.
+ * @param {string} dir - The path of the directory within the repo, such as `grammars`.
+ * @param {string} [ref] - An optional git ref, such as a tag, to list the files of.
+ * Otherwise the default branch of the repo is used.
+ * @returns {object} A Server Status Object, where `content` is an array of the path of each file.
+ * Returns `short: "Not Found"` if the directory doesn't exist.
+ */
+async function ListFiles(repo, dir, ref) {
+  try {
+    const res = await request(
+      repo,
+      `/contents/${dir.split("/").map(encodeURIComponent).join("/")}${
+        ref ? `?ref=${encodeURIComponent(ref)}` : ""
+      }`
+    );
+
+    if (!Array.isArray(res.body)) {
+      // The path is a file, rather than a directory.
+      return { ok: false, content: `${dir} is a file`, short: "Not Found" };
+    }
+
+    return {
+      ok: true,
+      content: res.body
+        .filter((entry) => entry.type === "file")
+        .map((entry) => entry.path),
+    };
+  } catch (err) {
+    return {
+      ok: false,
+      content: err,
+      short: err.status === 404 ? "Not Found" : "Server Error",
+    };
+  }
+}
+
+/**
+ * @async
+ * @function GetTags
+ * @desc Gets all tags of the repo.
+ * @param {object} repo - The Repo Object.
+ * @returns {object} A Server Status Object, where `content` is an array of Tag Objects,
+ * each containing the `name`, `sha` and `tarball_url` of the tag. Newest first.
+ */
+async function GetTags(repo) {
+  try {
+    const res = await request(repo, "/tags");
+
+    return {
+      ok: true,
+      content: res.body.map((tag) => {
+        return {
+          name: tag.name,
+          sha: tag.commit.sha,
+          tarball_url: TarballURL(repo, tag.name),
+        };
+      }),
+    };
+  } catch (err) {
+    return { ok: false, content: err, short: "Server Error" };
+  }
+}
+
+/**
+ * @function TarballURL
+ * @desc Returns the URL the tarball of a tag can be downloaded from.
+ * @param {object} repo - The Repo Object.
+ * @param {string} tag - The name of the tag.
+ * @returns {string} The URL of the tarball.
+ */
+function TarballURL(repo, tag) {
+  return `https://${repo.host}/api/v1/repos/${
+    repo.path
+  }/archive/${encodeURIComponent(tag)}.tar.gz`;
+}
+
+/**
+ * @async
+ * @function DownloadTarball
+ * @desc Downloads a tarball from one of the URLs returned by `TarballURL`.
+ * @param {object} repo - The Repo Object.
+ * @param {string} url - The URL of the tarball.
+ * @param {number} max_size - The largest tarball to accept, in bytes.
+ * @returns {object} A Server Status Object, where `content` is the tarball as a `Buffer`.
+ */
+async function DownloadTarball(repo, url, max_size) {
+  try {
+    const res = await authorize(superagent.get(url), new URL(url).hostname)
+      .responseType("blob")
+      .maxResponseSize(max_size);
+
+    return { ok: true, content: res.body };
+  } catch (err) {
+    return { ok: false, content: err, short: "Server Error" };
+  }
+}
+
+/**
+ * @async
+ * @function HasWriteAccess
+ * @desc Determines if the Gitea account the user has linked is able to push to the repo. Being
+ * either its owner, or a collaborator with write access. Gitea only looks up collaborators by
+ * username, so the `id` of the account returned must also match the account linked, in case
+ * it has since been renamed and its username taken by someone else.
+ * @param {object} user - A valid user object, from the user file.
+ * @param {object} repo - The Repo Object.
+ * @returns {object} A Server Status Object of `ok: true` if they do have access.
+ * Otherwise `short: "No Access"`, also when no account on the host is linked,
+ * `short: "No Auth"` if Gitea refused the servers token, or `short: "Server Error"`.
+ */
+async function HasWriteAccess(user, repo) {
+  const identity =
+    typeof user.identities === "object" && user.identities !== null
+      ? user.identities[repo.host]
+      : undefined;
+
+  if (identity === undefined) {
+    return { ok: false, short: "No Access" };
+  }
+
+  try {
+    const res = await request(
+      repo,
+      `/collaborators/${encodeURIComponent(identity.username)}/permission`
+    );
+
+    if (
+      typeof res.body.user === "object" &&
+      res.body.user !== null &&
+      res.body.user.id === identity.id &&
+      ["write", "admin", "owner"].includes(res.body.permission)
+    ) {
+      return { ok: true, content: res.body };
+    }
+
+    return { ok: false, short: "No Access" };
+  } catch (err) {
+    switch (err.status) {
+      case 401:
+        return { ok: false, short: "No Auth" };
+      case 403:
+      case 404:
+        // Gitea responds this way for anyone who isn't a collaborator.
+        return { ok: false, short: "No Access" };
+      default:
+        return { ok: false, short: "Server Error", content: err };
+    }
+  }
+}
+
+/**
+ * @async
+ * @function VerifyIdentity
+ * @desc Finds the Gitea account a token belongs to. Used to link an account to a user,
+ * proving they own it. The token is only used for this request, and never stored.
+ * @param {string} host - The hostname of the Gitea instance.
+ * @param {string} token - An access token of the account, with at least the `read:user` scope.
+ * @returns {object} A Server Status Object, where `content` is the account as `{ id, username }`.
+ * Returns `short: "Bad Auth"` if Gitea refused the token, or `short: "Server Error"`.
+ */
+async function VerifyIdentity(host, token) {
+  try {
+    const res = await superagent
+      .get(`https://${host}/api/v1/user`)
+      .set({ "User-Agent": GH_USERAGENT, Authorization: `token ${token}` });
+
+    return {
+      ok: true,
+      content: { id: res.body.id, username: res.body.login },
+    };
+  } catch (err) {
+    return err.status === 401
+      ? { ok: false, content: `${host} refused the token.`, short: "Bad Auth" }
+      : { ok: false, content: err, short: "Server Error" };
+  }
+}
+
+/**
+ * @function request
+ * @desc Unexported function, that creates an authenticated GET request to the Gitea API.
+ * @param {object} repo - The Repo Object.
+ * @param {string} path - The path after the repo URL, such as `/tags`.
+ * @returns {object} The superagent request.
+ */
+function request(repo, path) {
+  return authorize(
+    superagent.get(`https://${repo.host}/api/v1/repos/${repo.path}${path}`),
+    repo.host
+  );
+}
+
+/**
+ * @function authorize
+ * @desc Unexported function, that adds the headers needed by the Gitea API to a request.
+ * The servers token is only added for hosts listed within `GITEA_HOSTS`, so it's never sent
+ * to a host the admin hasn't configured.
+ * @param {object} req - The superagent request.
+ * @param {string} host - The hostname the request is sent to.
+ * @returns {object} The superagent request.
+ */
+function authorize(req, host) {
+  req.set({ "User-Agent": GH_USERAGENT });
+
+  return GITEA_TOKEN && token_hosts.includes(host.toLowerCase())
+    ? req.set({ Authorization: `token ${GITEA_TOKEN}` })
+    : req;
+}
+
+module.exports = {
+  Exists,
+  ReadFile,
+  ListFiles,
+  GetTags,
+  TarballURL,
+  DownloadTarball,
+  HasWriteAccess,
+  VerifyIdentity,
+};
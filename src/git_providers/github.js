@@ -0,0 +1,257 @@
+/**
+ * @module github
+ * @desc The GitHub git provider. Implementing the same functions as every other
+ * provider within `git_providers`, so `git.js` can use any of them interchangeably.
+ * Where `repo` is always the Repo Object created by `git.js`, containing the `host`
+ * and `path` of the repository. The `path` on GitHub always being `owner/repo`.
+ * @implements {config}
+ * @implements {logger}
+ */
+
+const superagent = require("superagent");
+const { GH_TOKEN, GH_USERNAME, GH_USERAGENT } =
+  require("../config.js").GetConfig();
+const logger = require("../logger.js");
+
+const encodedToken = Buffer.from(`${GH_USERNAME}:${GH_TOKEN}`).toString(
+  "base64"
+);
+
+/**
+ * @async
+ * @function Exists
+ * @desc Intends to determine if a repo exists, or at least is accessible and public
+ * on GitHub.
+ * @param {object} repo - The Repo Object.
+ * @returns {boolean} A true if the repo exists, false otherwise. Including an error.
+ */
+async function Exists(repo) {
+  try {
+    const res = await superagent
+      .get(`https://github.com/${repo.path}`)
+      .set({ Authorization: "Basic " + encodedToken })
+      .set({ "User-Agent": GH_USERAGENT });
+
+    return res.status === 200;
+  } catch (err) {
+    logger.WarningLog(
+      null,
+      null,
+      `Unable to check if repo exists. ${repo.path} - ${err}`
+    );
+    return false;
+  }
+}
+
+/**
+ * @async
+ * @function ReadFile
+ * @desc Retreives the raw text of a single file within the repo.
+ * @param {object} repo - The Repo Object.
+ * @param {string} file - The path of the file within the repo, such as `package.json`.
+ * @param {string} [ref] - An optional git ref, such as a tag, to read the file from.
+ * Otherwise the default branch of the repo is used.
+ * @returns {object} A Server Status Object, where `content` is the text of the file.
+ * Returns `short: "Not Found"` if the file doesn't exist.
+ */
+async function ReadFile(repo, file, ref) {
+  try {
+    const res = await superagent
+      .get(
+        `https://api.github.com/repos/${repo.path}/contents/${file}${
+          ref ? `?ref=${encodeURIComponent(ref)}` : ""
+        }`
+      )
+      .set({ Authorization: "Basic " + encodedToken })
+      .set({ "User-Agent": GH_USERAGENT });
+
+    return {
+      ok: true,
+      content: Buffer.from(res.body.content, res.body.encoding).toString(),
+    };
+  } catch (err) {
+    return {
+      ok: false,
+      content: err,
+      short: err.status === 404 ? "Not Found" : "Server Error",
+    };
+  }
+}
+
+/**
+ * @async
+ * @function ListFiles
+ * @desc Lists the files directly within a directory of the repo.
+ * @param {object} repo - The Repo Object.
+ * @param {string} dir - The path of the directory within the repo, such as `grammars`.
+ * @param {string} [ref] - An optional git ref, such as a tag, to list the files of.
+ * Otherwise the default branch of the repo is used.
+ * @returns {object} A Server Status Object, where `content` is an array of the path of each file.
+ * Returns `short: "Not Found"` if the directory doesn't exist.
+ * @see https://docs.github.com/en/rest/repos/contents#get-repository-content
+ */
+async function ListFiles(repo, dir, ref) {
+  try {
+    const res = await superagent
+      .get(
+        `https://api.github.com/repos/${repo.path}/contents/${dir}${
+          ref ? `?ref=${encodeURIComponent(ref)}` : ""
+        }`
+      )
+      .set({ Authorization: "Basic " + encodedToken })
+      .set({ "User-Agent": GH_USERAGENT });
+
+    if (!Array.isArray(res.body)) {
+      // The path is a file, rather than a directory.
+      return { ok: false, content: `${dir} is a file`, short: "Not Found" };
+    }
+
+    return {
+      ok: true,
+      content: res.body
+        .filter((entry) => entry.type === "file")
+        .map((entry) => entry.path),
+    };
+  } catch (err) {
+    return {
+      ok: false,
+      content: err,
+      short: err.status === 404 ? "Not Found" : "Server Error",
+    };
+  }
+}
+
+/**
+ * @async
+ * @function GetTags
+ * @desc Gets all tags of the repo. Since this is how APM natively publishes new
+ * package versions on GitHub.
+ * @param {object} repo - The Repo Object.
+ * @returns {object} A Server Status Object, where `content` is an array of Tag Objects,
+ * each containing the `name`, `sha` and `tarball_url` of the tag. Newest first.
+ * @see https://docs.github.com/en/rest/repos/repos#list-repository-tags
+ */
+async function GetTags(repo) {
+  try {
+    const res = await superagent
+      .get(`https://api.github.com/repos/${repo.path}/tags`)
+      .set({ Authorization: "Basic " + encodedToken })
+      .set({ "User-Agent": GH_USERAGENT });
+
+    return {
+      ok: true,
+      content: res.body.map((tag) => {
+        return {
+          name: tag.name,
+          sha: tag.commit.sha,
+          tarball_url: TarballURL(repo, tag.name),
+        };
+      }),
+    };
+  } catch (err) {
+    return { ok: false, content: err, short: "Server Error" };
+  }
+}
+
+/**
+ * @function TarballURL
+ * @desc Returns the URL the tarball of a tag can be downloaded from.
+ * @param {object} repo - The Repo Object.
+ * @param {string} tag - The name of the tag.
+ * @returns {string} The URL of the tarball.
+ */
+function TarballURL(repo, tag) {
+  return `https://api.github.com/repos/${
+    repo.path
+  }/tarball/refs/tags/${encodeURIComponent(tag)}`;
+}
+
+/**
+ * @async
+ * @function DownloadTarball
+ * @desc Downloads a tarball from one of the URLs returned by `TarballURL`.
+ * @param {object} repo - The Repo Object.
+ * @param {string} url - The URL of the tarball.
+ * @param {number} max_size - The largest tarball to accept, in bytes.
+ * @returns {object} A Server Status Object, where `content` is the tarball as a `Buffer`.
+ */
+async function DownloadTarball(repo, url, max_size) {
+  try {
+    const res = await superagent
+      .get(url)
+      .set({ Authorization: "Basic " + encodedToken })
+      .set({ "User-Agent": GH_USERAGENT })
+      .responseType("blob")
+      .maxResponseSize(max_size);
+
+    return { ok: true, content: res.body };
+  } catch (err) {
+    return { ok: false, content: err, short: "Server Error" };
+  }
+}
+
+/**
+ * @async
+ * @function HasWriteAccess
+ * @desc Determines if the specified user has access to the specified repository,
+ * using the users own GitHub token. Will loop itself through all valid pages
+ * of users repo list, until it finds a match, otherwise returning accordingly.
+ * @param {object} user - A valid user object, from the user file.
+ * @param {object} repo - The Repo Object.
+ * @param {int} [page] - Not intended to be set directly, but is used to track the
+ * current results page number, if or when the function needs to loop itself.
+ * @returns {object} A Server Status Object of `ok: true` if they do have access.
+ * Otherwise `short: "No Access"`, `short: "No Auth"` if GitHub refused the users token,
+ * `short: "Failed Request"` or `short: "Server Error"`.
+ */
+async function HasWriteAccess(user, repo, page = 1) {
+  try {
+    const res = await superagent
+      .get(`https://api.github.com/user/repos?page=${page}`)
+      .set({
+        Authorization:
+          "Basic " +
+          Buffer.from(`${user.name}:${user.github_token}`).toString("base64"),
+      })
+      .set({ "User-Agent": GH_USERAGENT });
+
+    if (res.status !== 200) {
+      // we received some other status code, and should return a failure.
+      return { ok: false, short: "Failed Request" };
+    }
+
+    for (let i = 0; i < res.body.length; i++) {
+      if (res.body[i].full_name === repo.path) {
+        return { ok: true, content: res.body[i] };
+      }
+    }
+
+    // after going through every repo returned, we haven't found a repo
+    // the user owns. Lets check if theres multiple pages of returns.
+    if (
+      typeof res.headers["link"] === "string" &&
+      res.headers["link"].includes(`?page=${page + 1}`)
+    ) {
+      return await HasWriteAccess(user, repo, page + 1);
+    }
+
+    // if there are no increasing pages, return no access
+    return { ok: false, short: "No Access" };
+  } catch (err) {
+    if (err.status === 401) {
+      return { ok: false, short: "No Auth" };
+    }
+
+    return { ok: false, short: "Server Error", content: err };
+  }
+}
+
+module.exports = {
+  Exists,
+  ReadFile,
+  ListFiles,
+  GetTags,
+  TarballURL,
+  DownloadTarball,
+  HasWriteAccess,
+};
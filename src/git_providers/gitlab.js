@@ -0,0 +1,306 @@
+/**
+ * @module gitlab
+ * @desc The GitLab git provider, for both gitlab.com and self-managed instances.
+ * Implementing the same functions as every other provider within `git_providers`.
+ * Where `repo` is always the Repo Object created by `git.js`, containing the `host`
+ * and `path` of the repository. The `path` on GitLab may include any amount of subgroups.
+ * Since users only ever log in with GitHub, write access is checked using the servers own
+ * token, for the GitLab account the user has linked with `VerifyIdentity`.
+ * @implements {config}
+ * @implements {logger}
+ */
+
+const superagent = require("superagent");
+const { GITLAB_TOKEN, GITLAB_HOSTS, GH_USERAGENT } =
+  require("../config.js").GetConfig();
+const logger = require("../logger.js");
+
+// The hosts configured by the admin, the only ones the servers token is ever sent to.
+const token_hosts = (typeof GITLAB_HOSTS === "string" ? GITLAB_HOSTS : "")
+  .split(",")
+  .map((host) => host.trim().toLowerCase())
+  .filter((host) => host.length > 0);
+
+// The lowest access level able to push to a repo, being 'Developer'.
+// https://docs.gitlab.com/ee/api/members.html#valid-access-levels
+const write_access_level = 30;
+
+/**
+ * @async
+ * @function Exists
+ * @desc Intends to determine if a repo exists, or at least is accessible on the GitLab instance.
+ * @param {object} repo - The Repo Object.
+ * @returns {boolean} A true if the repo exists, false otherwise. Including an error.
+ */
+async function Exists(repo) {
+  try {
+    const res = await request(repo, "");
+
+    return res.status === 200;
+  } catch (err) {
+    logger.WarningLog(
+      null,
+      null,
+      `Unable to check if repo exists. ${repo.host}/${repo.path} - ${err}`
+    );
+    return false;
+  }
+}
+
+/**
+ * @async
+ * @function ReadFile
+ * @desc Retreives the raw text of a single file within the repo.
+ * @param {object} repo - The Repo Object.
+ * @param {string} file - The path of the file within the repo, such as `package.json`.
+ * @param {string} [ref] - An optional git ref, such as a tag, to read the file from.
+ * Otherwise the default branch of the repo is used.
+ * @returns {object} A Server Status Object, where `content` is the text of the file.
+ * Returns `short: "Not Found"` if the file doesn't exist.
+ * @see https://docs.gitlab.com/ee/api/repository_files.html#get-raw-file-from-repository
+ */
+async function ReadFile(repo, file, ref) {
+  try {
+    const res = await request(
+      repo,
+      `/repository/files/${encodeURIComponent(
+        file
+      )}/raw?ref=${encodeURIComponent(ref ? ref : "HEAD")}`
+    )
+      .buffer(true)
+      .parse(superagent.parse.text);
+
+    return { ok: true, content: res.text };
+  } catch (err) {
+    return {
+      ok: false,
+      content: err,
+      short: err.status === 404 ? "Not Found" : "Server Error",
+    };
+  }
+}
+
+/**
+ * @async
+ * @function ListFiles
+ * @desc Lists the files directly within a directory of the repo.
+ * @param {object} repo - The Repo Object.
+ * @param {string} dir - The path of the directory within the repo, such as `grammars`.
+ * @param {string} [ref] - An optional git ref, such as a tag, to list the files of.
+ * Otherwise the default branch of the repo is used.
+ * @returns {object} A Server Status Object, where `content` is an array of the path of each file.
+ * Returns `short: "Not Found"` if the directory doesn't exist.
+ * @see https://docs.gitlab.com/ee/api/repositories.html#list-repository-tree
+ */
+async function ListFiles(repo, dir, ref) {
+  try {
+    const res = await request(
+      repo,
+      `/repository/tree?path=${encodeURIComponent(
+        dir
+      )}&ref=${encodeURIComponent(ref ? ref : "HEAD")}&per_page=100`
+    );
+
+    return {
+      ok: true,
+      content: res.body
+        .filter((entry) => entry.type === "blob")
+        .map((entry) => entry.path),
+    };
+  } catch (err) {
+    return {
+      ok: false,
+      content: err,
+      short: err.status === 404 ? "Not Found" : "Server Error",
+    };
+  }
+}
+
+/**
+ * @async
+ * @function GetTags
+ * @desc Gets all tags of the repo.
+ * @param {object} repo - The Repo Object.
+ * @returns {object} A Server Status Object, where `content` is an array of Tag Objects,
+ * each containing the `name`, `sha` and `tarball_url` of the tag. Newest first.
+ * @see https://docs.gitlab.com/ee/api/tags.html#list-project-repository-tags
+ */
+async function GetTags(repo) {
+  try {
+    const res = await request(repo, "/repository/tags?order_by=updated");
+
+    return {
+      ok: true,
+      content: res.body.map((tag) => {
+        return {
+          name: tag.name,
+          sha: tag.commit.id,
+          tarball_url: TarballURL(repo, tag.name),
+        };
+      }),
+    };
+  } catch (err) {
+    return { ok: false, content: err, short: "Server Error" };
+  }
+}
+
+/**
+ * @function TarballURL
+ * @desc Returns the URL the tarball of a tag can be downloaded from.
+ * @param {object} repo - The Repo Object.
+ * @param {string} tag - The name of the tag.
+ * @returns {string} The URL of the tarball.
+ * @see https://docs.gitlab.com/ee/api/repositories.html#get-file-archive
+ */
+function TarballURL(repo, tag) {
+  return `${projectURL(
+    repo
+  )}/repository/archive.tar.gz?sha=${encodeURIComponent(tag)}`;
+}
+
+/**
+ * @async
+ * @function DownloadTarball
+ * @desc Downloads a tarball from one of the URLs returned by `TarballURL`.
+ * @param {object} repo - The Repo Object.
+ * @param {string} url - The URL of the tarball.
+ * @param {number} max_size - The largest tarball to accept, in bytes.
+ * @returns {object} A Server Status Object, where `content` is the tarball as a `Buffer`.
+ */
+async function DownloadTarball(repo, url, max_size) {
+  try {
+    const res = await authorize(superagent.get(url), new URL(url).hostname)
+      .responseType("blob")
+      .maxResponseSize(max_size);
+
+    return { ok: true, content: res.body };
+  } catch (err) {
+    return { ok: false, content: err, short: "Server Error" };
+  }
+}
+
+/**
+ * @async
+ * @function HasWriteAccess
+ * @desc Determines if the GitLab account the user has linked is a member of the repo, able to
+ * push to it. Including any members inherited from parent groups. The member is found by the
+ * `id` of the account, which unlike its username can never be taken by anyone else.
+ * @param {object} user - A valid user object, from the user file.
+ * @param {object} repo - The Repo Object.
+ * @returns {object} A Server Status Object of `ok: true` if they do have access.
+ * Otherwise `short: "No Access"`, also when no account on the host is linked,
+ * `short: "No Auth"` if GitLab refused the servers token, or `short: "Server Error"`.
+ * @see https://docs.gitlab.com/ee/api/members.html#get-a-member-of-a-group-or-project-including-inherited-and-invited-members
+ */
+async function HasWriteAccess(user, repo) {
+  const identity =
+    typeof user.identities === "object" && user.identities !== null
+      ? user.identities[repo.host]
+      : undefined;
+
+  if (identity === undefined) {
+    return { ok: false, short: "No Access" };
+  }
+
+  try {
+    const res = await request(
+      repo,
+      `/members/all/${encodeURIComponent(identity.id)}`
+    );
+
+    if (res.body.access_level >= write_access_level) {
+      return { ok: true, content: res.body };
+    }
+
+    return { ok: false, short: "No Access" };
+  } catch (err) {
+    switch (err.status) {
+      case 401:
+        return { ok: false, short: "No Auth" };
+      case 404:
+        // GitLab responds this way for anyone who isn't a member.
+        return { ok: false, short: "No Access" };
+      default:
+        return { ok: false, short: "Server Error", content: err };
+    }
+  }
+}
+
+/**
+ * @async
+ * @function VerifyIdentity
+ * @desc Finds the GitLab account a token belongs to. Used to link an account to a user,
+ * proving they own it. The token is only used for this request, and never stored.
+ * @param {string} host - The hostname of the GitLab instance.
+ * @param {string} token - A personal access token of the account, with at least the `read_user` scope.
+ * @returns {object} A Server Status Object, where `content` is the account as `{ id, username }`.
+ * Returns `short: "Bad Auth"` if GitLab refused the token, or `short: "Server Error"`.
+ * @see https://docs.gitlab.com/ee/api/users.html#list-current-user
+ */
+async function VerifyIdentity(host, token) {
+  try {
+    const res = await superagent
+      .get(`https://${host}/api/v4/user`)
+      .set({ "User-Agent": GH_USERAGENT, "PRIVATE-TOKEN": token });
+
+    return {
+      ok: true,
+      content: { id: res.body.id, username: res.body.username },
+    };
+  } catch (err) {
+    return err.status === 401
+      ? { ok: false, content: `${host} refused the token.`, short: "Bad Auth" }
+      : { ok: false, content: err, short: "Server Error" };
+  }
+}
+
+/**
+ * @function projectURL
+ * @desc Unexported function, that returns the API URL of the project.
+ * @param {object} repo - The Repo Object.
+ * @returns {string} The API URL of the project.
+ */
+function projectURL(repo) {
+  return `https://${repo.host}/api/v4/projects/${encodeURIComponent(
+    repo.path
+  )}`;
+}
+
+/**
+ * @function request
+ * @desc Unexported function, that creates an authenticated GET request to the GitLab API.
+ * @param {object} repo - The Repo Object.
+ * @param {string} path - The path after the project URL, such as `/repository/tags`.
+ * @returns {object} The superagent request.
+ */
+function request(repo, path) {
+  return authorize(superagent.get(`${projectURL(repo)}${path}`), repo.host);
+}
+
+/**
+ * @function authorize
+ * @desc Unexported function, that adds the headers needed by the GitLab API to a request.
+ * The servers token is only added for hosts listed within `GITLAB_HOSTS`, so it's never sent
+ * to a host the admin hasn't configured.
+ * @param {object} req - The superagent request.
+ * @param {string} host - The hostname the request is sent to.
+ * @returns {object} The superagent request.
+ */
+function authorize(req, host) {
+  req.set({ "User-Agent": GH_USERAGENT });
+
+  return GITLAB_TOKEN && token_hosts.includes(host.toLowerCase())
+    ? req.set({ "PRIVATE-TOKEN": GITLAB_TOKEN })
+    : req;
+}
+
+module.exports = {
+  Exists,
+  ReadFile,
+  ListFiles,
+  GetTags,
+  TarballURL,
+  DownloadTarball,
+  HasWriteAccess,
+  VerifyIdentity,
+};
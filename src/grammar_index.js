@@ -0,0 +1,281 @@
+/**
+ * @module grammar_index
+ * @desc An in-memory index of the grammars and snippets every package adds, by scope and file type.
+ * So the packages adding syntax highlighting for a language can be found without going through every
+ * package. Only the latest version of each package is indexed, as returned by `LanguageSupport`.
+ * Built by `data` along with the full package cache, and updated as packages are published, changed or deleted.
+ */
+
+const semver = require("semver");
+
+// The packages indexed, keyed by their ID, with their name, latest version, and Language Support Object.
+// Undefined until the index is built.
+let docs;
+// Each scope of a grammar or snippets, to the `Set` of package IDs adding it.
+let scopes;
+// Each file type of a grammar, lowercased, to the `Set` of package IDs adding it.
+let file_types;
+
+/**
+ * @function Build
+ * @desc Builds the index from scratch, replacing any previous index.
+ * @param {object[]} packages - Every package to index, each as `{ id, pack }`. Where `id` is
+ * the pointer of the package, like `UUIDv4.json`, and `pack` the 'Server Package Object'.
+ */
+function Build(packages) {
+  docs = new Map();
+  scopes = new Map();
+  file_types = new Map();
+
+  for (const { id, pack } of packages) {
+    addPackage(id, pack);
+  }
+}
+
+/**
+ * @function Built
+ * @desc Used to check if the index has been built, and can be queried or updated.
+ * @returns {boolean} True if the index has been built.
+ */
+function Built() {
+  return docs !== undefined;
+}
+
+/**
+ * @function Update
+ * @desc Adds a package to the index, replacing it if already indexed. Does nothing until the index
+ * has been built, since the package will be included once it is.
+ * @param {string} id - The pointer of the package, like `UUIDv4.json`.
+ * @param {object} pack - The 'Server Package Object' to index.
+ */
+function Update(id, pack) {
+  if (!Built()) {
+    return;
+  }
+
+  removePackage(id);
+  addPackage(id, pack);
+}
+
+/**
+ * @function Remove
+ * @desc Removes a package from the index, if indexed.
+ * @param {string} id - The pointer of the package, like `UUIDv4.json`.
+ */
+function Remove(id) {
+  if (!Built()) {
+    return;
+  }
+
+  removePackage(id);
+}
+
+/**
+ * @function Find
+ * @desc Finds the packages adding a grammar, or snippets, for a scope or file type.
+ * Where a grammar must match both, if both are provided, and snippets only match a scope.
+ * Providing neither finds every package adding a grammar or snippets.
+ * @param {string|boolean} scope - The scope, such as `source.zig`. Or false if any scope.
+ * @param {string|boolean} fileType - The file type, such as `zig`, ignoring case. Or false if any file type.
+ * @returns {object[]} Each package found, sorted by name, as `{ name, version, grammars, snippets }`.
+ * Where `version` is the latest version of the package, and `grammars` and `snippets` are only those
+ * matching. Or an empty array if the index hasn't been built.
+ */
+function Find(scope, fileType) {
+  if (!Built()) {
+    return [];
+  }
+
+  // Only the packages with the scope, and file type, could match.
+  let ids = Array.from(docs.keys());
+
+  if (scope !== false) {
+    ids = Array.from(scopes.get(scope) || []);
+  }
+
+  if (fileType !== false) {
+    const typed = file_types.get(fileType.toLowerCase()) || new Set();
+
+    ids = ids.filter((id) => typed.has(id));
+  }
+
+  let found = [];
+
+  for (const id of ids) {
+    const doc = docs.get(id);
+    const matched = Match(doc.support, scope, fileType);
+
+    if (matched === undefined) {
+      continue;
+    }
+
+    found.push({
+      name: doc.name,
+      version: doc.version,
+      grammars: matched.grammars,
+      snippets: matched.snippets,
+    });
+  }
+
+  return found.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * @function LanguageSupport
+ * @desc Finds the grammars and snippets the latest version of a package adds. As found within
+ * the repo when the version was published, by `git.CreatePackage` or `git.CreateVersion`.
+ * @param {object} pack - The 'Server Package Object' of the package.
+ * @returns {object|undefined} The Language Support Object of the latest version, containing
+ * `grammars` and `snippets`. Or undefined if every version is yanked, or the latest version
+ * was published before grammars and snippets were found.
+ */
+function LanguageSupport(pack) {
+  const latest = latestVersion(pack);
+
+  if (latest === undefined) {
+    return undefined;
+  }
+
+  const support = pack.versions[latest].language_support;
+
+  return typeof support === "object" && support !== null ? support : undefined;
+}
+
+/**
+ * @function Match
+ * @desc Finds the grammars and snippets of a package, that are for a scope or file type.
+ * Where a grammar must match both, if both are provided, and snippets only match a scope.
+ * @param {object} support - The Language Support Object, as returned by `LanguageSupport`.
+ * @param {string|boolean} [scope] - The scope, such as `source.zig`. Or false if any scope.
+ * @param {string|boolean} [fileType] - The file type, such as `zig`, ignoring case. Or false if any file type.
+ * @returns {object|undefined} A Language Support Object of only the `grammars` and `snippets`
+ * matching. Or undefined if none match.
+ */
+function Match(support, scope, fileType) {
+  const anyScope = scope === undefined || scope === false;
+  const anyType = fileType === undefined || fileType === false;
+
+  const grammars = support.grammars.filter(
+    (grammar) =>
+      (anyScope || grammar.scopeName === scope) &&
+      (anyType ||
+        grammar.fileTypes.some(
+          (type) => type.toLowerCase() === fileType.toLowerCase()
+        ))
+  );
+  // Snippets aren't for any file type, only a scope.
+  const snippets = anyType
+    ? support.snippets.filter((snippet) => anyScope || snippet === scope)
+    : [];
+
+  if (grammars.length === 0 && snippets.length === 0) {
+    return undefined;
+  }
+
+  return { grammars: grammars, snippets: snippets };
+}
+
+/**
+ * @function latestVersion
+ * @desc Unexported function, that finds the greatest version of a package that hasn't been yanked.
+ * The same as `utils.LatestVersion`, which can't be used here, since `utils` depends on `data`,
+ * which builds this index.
+ * @param {object} pack - The 'Server Package Object' of the package.
+ * @returns {string|undefined} The latest version, or undefined if every version is yanked.
+ */
+function latestVersion(pack) {
+  const latest = semver.maxSatisfying(
+    Object.keys(pack.versions).filter((ver) => !pack.versions[ver].yanked),
+    "*",
+    { includePrerelease: true }
+  );
+
+  return latest === null ? undefined : latest;
+}
+
+/**
+ * @function addPackage
+ * @desc Unexported function, that indexes the grammars and snippets of the latest version of a package.
+ * Packages without any aren't indexed.
+ * @param {string} id - The pointer of the package.
+ * @param {object} pack - The 'Server Package Object' to index.
+ */
+function addPackage(id, pack) {
+  const support = LanguageSupport(pack);
+
+  if (
+    support === undefined ||
+    (support.grammars.length === 0 && support.snippets.length === 0)
+  ) {
+    return;
+  }
+
+  let keys = { scopes: new Set(support.snippets), file_types: new Set() };
+
+  for (const grammar of support.grammars) {
+    keys.scopes.add(grammar.scopeName);
+
+    for (const type of grammar.fileTypes) {
+      keys.file_types.add(type.toLowerCase());
+    }
+  }
+
+  docs.set(id, {
+    name: pack.name,
+    version: latestVersion(pack),
+    support: support,
+    keys: keys,
+  });
+
+  for (const [map, values] of [
+    [scopes, keys.scopes],
+    [file_types, keys.file_types],
+  ]) {
+    for (const value of values) {
+      if (!map.has(value)) {
+        map.set(value, new Set());
+      }
+      map.get(value).add(id);
+    }
+  }
+}
+
+/**
+ * @function removePackage
+ * @desc Unexported function, that removes a package from the index. Along with any scope,
+ * or file type, no other package adds.
+ * @param {string} id - The pointer of the package.
+ */
+function removePackage(id) {
+  if (!docs.has(id)) {
+    return;
+  }
+
+  const keys = docs.get(id).keys;
+
+  for (const [map, values] of [
+    [scopes, keys.scopes],
+    [file_types, keys.file_types],
+  ]) {
+    for (const value of values) {
+      const ids = map.get(value);
+      ids.delete(id);
+
+      if (ids.size === 0) {
+        map.delete(value);
+      }
+    }
+  }
+
+  docs.delete(id);
+}
+
+module.exports = {
+  Build,
+  Built,
+  Update,
+  Remove,
+  Find,
+  LanguageSupport,
+  Match,
+};
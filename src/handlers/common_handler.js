@@ -37,6 +37,21 @@ async function AuthFail(req, res, user) {
   }
 }
 
+/**
+ * @async
+ * @function Forbidden
+ * @desc Returns a Forbidden message to the user. For when they are authenticated,
+ * but do not have permission to perform the action requested.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @param {object} res - The `Response` object inherited from the Express endpoint.
+ * @implements {error.ForbiddenJSON}
+ * @implements {logger.HTTPLog}
+ */
+async function Forbidden(req, res) {
+  error.ForbiddenJSON(res);
+  logger.HTTPLog(req, res);
+}
+
 /**
  * @async
  * @function ServerError
@@ -148,6 +163,20 @@ async function HandleError(req, res, obj) {
       await BadPackageJSON(req, res);
       break;
 
+    case "Forbidden":
+      await Forbidden(req, res);
+      break;
+
+    case "Package Exists":
+      error.PublishPackageExists(res);
+      logger.HTTPLog(req, res);
+      break;
+
+    case "GitHub Reauth":
+      error.GitHubReauthJSON(res);
+      logger.HTTPLog(req, res);
+      break;
+
     case "No Repo Access":
     case "Bad Auth":
       await AuthFail(req, res, obj);
@@ -163,6 +192,7 @@ async function HandleError(req, res, obj) {
 
 module.exports = {
   AuthFail,
+  Forbidden,
   ServerError,
   NotFound,
   SiteWideNotFound,
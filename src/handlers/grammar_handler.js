@@ -0,0 +1,63 @@
+/**
+ * @module grammar_handler
+ * @desc Endpoint Handlers relating to grammars. Letting users find the packages adding syntax
+ * highlighting, or snippets, for a language. Using the grammars and snippets found within the
+ * repo of each package, when its latest version was published.
+ * @implements {common_handler}
+ * @implements {data}
+ * @implements {query}
+ * @implements {logger}
+ * @implements {pagination}
+ */
+
+const common = require("./common_handler.js");
+const data = require("../data.js");
+const query = require("../query.js");
+const logger = require("../logger.js");
+const pagination = require("../pagination.js");
+
+/**
+ * @async
+ * @function GETGrammars
+ * @desc Endpoint to return the packages adding a grammar, or snippets, for the scope or file type
+ * provided, with the `scope` and `fileType` query parameters. With the grammars and snippets of
+ * each that match. Providing neither returns every package adding a grammar or snippets.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @param {object} res - The `Response` object inherited from the Express endpoint.
+ */
+async function GETGrammars(req, res) {
+  // GET /api/grammars
+  let params = {
+    page: query.page(req),
+    cursor: query.cursor(req),
+    scope: query.scope(req),
+    fileType: query.fileType(req),
+  };
+
+  let found = await data.GetGrammars(params.scope, params.fileType);
+
+  if (!found.ok) {
+    await common.HandleError(req, res, found);
+    return;
+  }
+
+  let page = pagination.Paginate(found.content, params);
+
+  let links = [];
+
+  if (params.scope !== false) {
+    links.push(`scope=${encodeURIComponent(params.scope)}`);
+  }
+  if (params.fileType !== false) {
+    links.push(`fileType=${encodeURIComponent(params.fileType)}`);
+  }
+
+  pagination.SetHeaders(res, "/api/grammars", links.join("&"), page);
+
+  res.status(200).json(page.items);
+  logger.HTTPLog(req, res);
+}
+
+module.exports = {
+  GETGrammars,
+};
@@ -0,0 +1,111 @@
+/**
+ * @module identity_handler
+ * @desc Handler for any endpoints whose slug after `/api/` is `identities`.
+ * Allowing the authenticated user to link their accounts on git hosts other than GitHub.
+ * Since users only ever log in with GitHub, a linked account is the only way to own repos on those hosts.
+ * @implements {logger}
+ * @implements {users}
+ * @implements {git}
+ * @implements {common_handler}
+ * @implements {utils}
+ */
+
+const logger = require("../logger.js");
+const users = require("../users.js");
+const git = require("../git.js");
+const common = require("./common_handler.js");
+const utils = require("../utils.js");
+
+/**
+ * @async
+ * @function POSTIdentities
+ * @desc Endpoint for `POST /api/identities`. Links the account a token belongs to on a git host
+ * other than GitHub, to the authenticated user. The token is only used to find the account,
+ * proving the user owns it, and is never stored. Requires the `tokens` scope.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @param {object} res - The `Response` object inherited from the Express endpoint.
+ * @implements {git.VerifyIdentity}
+ * @implements {users.LinkIdentity}
+ */
+async function POSTIdentities(req, res) {
+  // POST /api/identities
+  let params = {
+    auth: req.get("Authorization"),
+  };
+
+  const onLogin = async (user) => {
+    let body = validateIdentity(req.body);
+
+    if (!body.ok) {
+      res.status(400).json({ message: body.content });
+      logger.HTTPLog(req, res);
+      return;
+    }
+
+    let identity = await git.VerifyIdentity(
+      body.content.host,
+      body.content.token
+    );
+
+    if (!identity.ok) {
+      if (identity.short === "Bad Repo" || identity.short === "Bad Auth") {
+        // Neither is a problem with how the user authenticated with this server.
+        res.status(400).json({ message: identity.content });
+        logger.HTTPLog(req, res);
+        return;
+      }
+
+      await common.HandleError(req, res, identity);
+      return;
+    }
+
+    let link = await users.LinkIdentity(
+      user.content.name,
+      body.content.host,
+      identity.content
+    );
+
+    if (!link.ok) {
+      await common.HandleError(req, res, link);
+      return;
+    }
+
+    res.status(201).json(link.content);
+    logger.HTTPLog(req, res);
+  };
+
+  await utils.LocalUserLoggedIn(req, res, params.auth, onLogin, "tokens");
+}
+
+/**
+ * @function validateIdentity
+ * @desc Non-Exported function, that checks the body of a request to link an account is valid,
+ * and returns only the values we want to use.
+ * @param {object} body - The parsed JSON body of the request.
+ * @returns {object} A Server Status Object, where `content` is `{ host, token }`
+ * on success, or a message of what is invalid otherwise.
+ */
+function validateIdentity(body) {
+  if (
+    typeof body !== "object" ||
+    body === null ||
+    typeof body.host !== "string" ||
+    typeof body.token !== "string" ||
+    body.token.length === 0
+  ) {
+    return {
+      ok: false,
+      content:
+        "A JSON body with the `host` and a `token` of the account is required.",
+    };
+  }
+
+  return {
+    ok: true,
+    content: { host: body.host.trim().toLowerCase(), token: body.token },
+  };
+}
+
+module.exports = {
+  POSTIdentities,
+};
@@ -3,43 +3,201 @@
  * @desc Endpoint Handlers for Authentication URLs
  * @implements {config}
  * @implements {common_handler}
+ * @implements {users}
+ * @implements {git}
+ * @implements {logger}
  */
 
-const { GH_CLIENTID } = require("../config.js").GetConfig();
+const crypto = require("crypto");
+const { GH_CLIENTID, AUTH_STATE_KEY, server_url, prod } =
+  require("../config.js").GetConfig();
 const common = require("./common_handler.js");
+const users = require("../users.js");
+const git = require("../git.js");
+const logger = require("../logger.js");
+
+// Without a configured key, a random one is used. Which only means any login
+// in progress during a restart will have to be started again.
+const state_key = AUTH_STATE_KEY
+  ? AUTH_STATE_KEY
+  : crypto.randomBytes(32).toString("hex");
+const state_lifetime = 600000; // 10 Minutes, which is also GitHubs lifetime of an OAuth code.
+const state_cookie = "pulsar_oauth_state";
+const redirect_uri = `${server_url}/api/oauth`;
 
 /**
  * @async
  * @function GETLogin
  * @desc Endpoint used to direct users to login, directing the user to the
- * proper GitHub OAuth Page based on the backends client id.
+ * proper GitHub OAuth Page based on the backends client id. Providing a signed
+ * `state` to prevent CSRF, which is also stored in a cookie to be checked once
+ * the user returns.
  * @param {object} req - The `Request` object inherited from the Express endpoint.
  * @param {object} res - The `Response` object inherited from the Express endpoint.
  */
 async function GETLogin(req, res) {
-  // GET /api/oauth
+  // GET /api/login
 
   // the first point of contact to log into the app.
 
   // since this will be the endpoint for a user to login, we need to redirect to GH.
   // @see https://docs.github.com/en/developers/apps/building-oauth-apps/authorizing-oauth-apps
-  // need to setup callback_uri, and state.
-  res
-    .status(301)
-    .redirect(
-      `https://github.com/login/oauth/authorize?client_id=${GH_CLIENTID}`
-    );
+  let state = signState(crypto.randomBytes(16).toString("hex"), Date.now());
+
+  res.cookie(state_cookie, state, {
+    httpOnly: true,
+    sameSite: "lax",
+    secure: prod,
+    maxAge: state_lifetime,
+  });
+  res.redirect(
+    302,
+    `https://github.com/login/oauth/authorize?client_id=${GH_CLIENTID}&redirect_uri=${encodeURIComponent(
+      redirect_uri
+    )}&state=${state}&scope=${encodeURIComponent("public_repo read:org")}`
+  );
+  logger.HTTPLog(req, res);
 }
 
 /**
  * @async
  * @function GETOauth
  * @desc Endpoint intended to use as the actual return from GitHub to login.
+ * Once the `state` has been verified, exchanges the `code` for a GitHub token,
+ * then creates or updates the user, and returns their new server token.
+ * Either as a page to copy the token from, or as JSON depending on the `Accept` header.
  * @param {object} req - The `Request` object inherited from the Express endpoint.
  * @param {object} res - The `Response` object inherited from the Express endpoint.
  */
 async function GETOauth(req, res) {
-  await common.NotSupported(req, res);
+  // GET /api/oauth
+  let params = {
+    code: typeof req.query.code === "string" ? req.query.code : "",
+    state: typeof req.query.state === "string" ? req.query.state : "",
+  };
+
+  if (
+    params.code === "" ||
+    !verifyState(params.state) ||
+    getCookie(req, state_cookie) !== params.state
+  ) {
+    // Either this request never started at our login, or took far too long.
+    await common.AuthFail(req, res, {
+      ok: false,
+      content: "Invalid OAuth state.",
+      short: "Bad Auth",
+    });
+    return;
+  }
+
+  // The state is only good for a single login.
+  res.clearCookie(state_cookie);
+
+  let grant = await git.ExchangeOAuthCode(params.code, redirect_uri);
+
+  if (!grant.ok) {
+    await common.HandleError(req, res, grant);
+    return;
+  }
+
+  let login = await git.GetUserLogin(grant.content.token);
+
+  if (!login.ok) {
+    await common.HandleError(req, res, login);
+    return;
+  }
+
+  let newToken = await users.LoginUser(login.content, grant.content);
+
+  if (!newToken.ok) {
+    await common.HandleError(req, res, newToken);
+    return;
+  }
+
+  res.status(200).format({
+    "application/json": () => {
+      res.json({ login: login.content, token: newToken.content.token });
+    },
+    default: () => {
+      // Meant to be copied into the editor's token prompt.
+      res
+        .type("html")
+        .send(
+          `<p>Logged in as ${login.content}. Copy this token into your editor:</p><pre>${newToken.content.token}</pre>`
+        );
+    },
+  });
+  logger.HTTPLog(req, res);
+}
+
+/**
+ * @function signState
+ * @desc Non-Exported function, that creates a `state` signed by the server.
+ * @param {string} nonce - A random value, unique to this login.
+ * @param {number} time - The time the login was started.
+ * @returns {string} The signed state, in the format `nonce.time.signature`.
+ */
+function signState(nonce, time) {
+  let signature = crypto
+    .createHmac("sha256", state_key)
+    .update(`${nonce}.${time}`)
+    .digest("hex");
+
+  return `${nonce}.${time}.${signature}`;
+}
+
+/**
+ * @function verifyState
+ * @desc Non-Exported function, that checks a `state` was signed by this server,
+ * and has not yet expired.
+ * @param {string} state - The state returned by GitHub.
+ * @returns {boolean} True if the state is valid, false otherwise.
+ */
+function verifyState(state) {
+  let parts = state.split(".");
+
+  if (parts.length !== 3) {
+    return false;
+  }
+
+  let time = parseInt(parts[1]);
+
+  if (isNaN(time) || Date.now() - time > state_lifetime) {
+    return false;
+  }
+
+  let expected = Buffer.from(signState(parts[0], parts[1]));
+  let provided = Buffer.from(state);
+
+  return (
+    expected.length === provided.length &&
+    crypto.timingSafeEqual(expected, provided)
+  );
+}
+
+/**
+ * @function getCookie
+ * @desc Non-Exported function, that reads a single cookie from the request.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @param {string} name - The name of the cookie.
+ * @returns {string} The value of the cookie, or '' if it doesn't exist.
+ */
+function getCookie(req, name) {
+  let cookies = req.get("Cookie");
+
+  if (cookies === undefined) {
+    return "";
+  }
+
+  for (const cookie of cookies.split(";")) {
+    let [key, ...value] = cookie.trim().split("=");
+
+    if (key === name) {
+      return decodeURIComponent(value.join("="));
+    }
+  }
+
+  return "";
 }
 
 module.exports = {
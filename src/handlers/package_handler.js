@@ -20,8 +20,10 @@ const query = require("../query.js");
 const git = require("../git.js");
 const logger = require("../logger.js");
 const error = require("../error.js");
-const { server_url, paginated_amount } = require("../config.js").GetConfig();
+const { server_url } = require("../config.js").GetConfig();
 const utils = require("../utils.js");
+const pagination = require("../pagination.js");
+const semver = require("semver");
 
 /**
  * @async
@@ -35,12 +37,12 @@ async function GETPackages(req, res) {
   // GET /api/packages
   let params = {
     page: query.page(req),
+    cursor: query.cursor(req),
     sort: query.sort(req),
     direction: query.dir(req),
   };
 
   let all_packages = await data.GetAllPackages();
-  console.log("retreived all packages");
 
   if (!all_packages.ok) {
     await common.HandleError(req, res, all_packages);
@@ -50,42 +52,24 @@ async function GETPackages(req, res) {
   // Now we have all_packages.content which is an array of every package
   // we will then need to organize this list, according to our params.
   // additionally remove any fields that are not natively shown to the end user.
-  // And finally we would need to modify our headers, to include links for current, next, and last.
-  let packages = await collection.DeepCopy(all_packages.content); // We need to use a deep copy here, to avoid
-  // making changes to the cached package data within data.
-  packages = await collection.Sort(all_packages.content, params.sort);
+  // Sorting only reorders the array, so a copy of the array is enough to leave the cached data unchanged.
+  let packages = await collection.Sort(
+    all_packages.content.slice(),
+    params.sort
+  );
   packages = await collection.Direction(packages, params.direction);
 
-  // Now with packages sorted in the right direction, lets prune the results.
-  let total_pages = Math.ceil(packages.length / paginated_amount);
-  if (params.page !== 1) {
-    packages.splice(0, params.page * paginated_amount); // Remove from the start to however many packages, should be visible.
-  }
-  if (params.page !== total_pages) {
-    packages.splice(
-      params.page * paginated_amount + paginated_amount,
-      packages.length
-    );
-    // Start after our paginated items, and remove till the end, as long as we aren't on the last page.
-  }
+  // Now with packages sorted in the right direction, lets find those on the page.
+  // Only which need to be copied, before being pruned.
+  let page = pagination.Paginate(packages, params);
+  packages = await collection.DeepCopy(page.items);
   packages = await collection.POSPrune(packages); // Use the Package Object Short Prune
-  // One note of concern with chaining all of these together, is that this will potentially loop
-  // through the entire array of packages 3 times, resulting in a
-  // linear time complexity of O(3). But testing will have to determine how much that is a factor of concern.
-
-  res.append(
-    "Link",
-    `<${server_url}/api/packages?page=${params.page}&sort=${
-      params.sort
-    }&order=${
-      params.direction
-    }>; rel="self", <${server_url}/api/packages?page=${total_pages}&sort=${
-      params.sort
-    }&order=${
-      params.direction
-    }>; rel="last", <${server_url}/api/packages?page=${params.page++}&sort=${
-      params.sort
-    }&order=${params.direction}>; rel="next"`
+
+  pagination.SetHeaders(
+    res,
+    "/api/packages",
+    `sort=${params.sort}&order=${params.direction}`,
+    page
   );
 
   res.status(200).json(packages);
@@ -116,6 +100,11 @@ async function POSTPackages(req, res) {
     return;
   }
 
+  if (!users.HasScope(user, "publish")) {
+    await common.Forbidden(req, res);
+    return;
+  }
+
   // Check repository format validity.
   if (params.repository === "") {
     // The repository format is invalid.
@@ -148,6 +137,36 @@ async function POSTPackages(req, res) {
     return;
   }
 
+  // The previous names of renamed packages are reserved, to prevent anyone else from taking them over.
+  let alias = await data.GetPackageAliasByName(params.repository.split("/")[1]);
+
+  if (alias.ok) {
+    error.PublishPackageExists(res);
+    logger.HTTPLog(req, res);
+    return;
+  }
+
+  if (alias.short !== "Not Found") {
+    await common.HandleError(req, res, alias);
+    return;
+  }
+
+  // As are the names of deleted packages, even once purged.
+  let deleted = await data.GetDeletedPackageByName(
+    params.repository.split("/")[1]
+  );
+
+  if (deleted.ok) {
+    error.PublishPackageExists(res);
+    logger.HTTPLog(req, res);
+    return;
+  }
+
+  if (deleted.short !== "Not Found") {
+    await common.HandleError(req, res, deleted);
+    return;
+  }
+
   // Now we know the package doesn't exist. And we want to check that the user owns this repo on git.
   let gitowner = await git.Ownership(user.content, params.repository);
 
@@ -164,6 +183,18 @@ async function POSTPackages(req, res) {
     return;
   }
 
+  for (const ver of Object.keys(pack.content.versions)) {
+    let stored = await storeTarball(
+      params.repository,
+      pack.content.versions[ver]
+    );
+
+    if (!stored.ok) {
+      await common.HandleError(req, res, stored);
+      return;
+    }
+  }
+
   // Now with valid package data, we can pass it along.
   let create = await data.NewPackage(pack.content);
 
@@ -222,7 +253,11 @@ async function GETPackagesFeatured(req, res) {
  * @async
  * @function GETPackagesSearch
  * @desc Allows user to search through all packages. Using their specified
- * query parameter.
+ * query parameter. Only packages sharing words with the search are returned,
+ * as found by the `search_index`. Which can be narrowed down by facets, such as
+ * the `license` or `keyword` query parameters, or to packages adding a grammar with
+ * the `scope` or `fileType` query parameters. Returning the results within an
+ * envelope, along with the counts of each facet, when `facets=true`.
  * @param {object} req - The `Request` object inherited from the Express endpoint.
  * @param {object} res - The `Response` object inherited from the Express endpoint.
  */
@@ -231,67 +266,105 @@ async function GETPackagesSearch(req, res) {
   let params = {
     sort: query.sort(req, "relevance"),
     page: query.page(req),
+    cursor: query.cursor(req),
     direction: query.dir(req),
     query: query.query(req),
+    filters: {
+      engine: query.engine(req),
+      type: query.type(req),
+      license: query.license(req),
+      keyword: query.keyword(req),
+      owner: query.owner(req),
+      has_grammar: query.hasGrammar(req),
+      scope: query.scope(req),
+      fileType: query.fileType(req),
+    },
+    facets: query.facets(req),
   };
 
-  let all_packages = await data.GetAllPackages();
+  let found = await data.SearchPackages(params.query);
 
-  if (!all_packages.ok) {
-    await common.HandleError(req, res, all_packages);
+  if (!found.ok) {
+    await common.HandleError(req, res, found);
     return;
   }
 
-  let packages = await collection.DeepCopy(all_packages.content);
-  packages = await collection.SearchWithinPackages(params.query, packages);
+  let packages = await collection.FacetFilter(found.content, params.filters);
+  // Only the packages found are copied, which already have their relevance.
+  packages = await collection.DeepCopy(packages);
+
+  if (params.filters.engine !== false) {
+    // Every package left has a compatible version, which is returned as its metadata.
+    for (let i = 0; i < packages.length; i++) {
+      packages[i] = await collection.EngineFilter(
+        packages[i],
+        params.filters.engine
+      );
+    }
+  }
+
+  // The facets are counted for every result, not only those on this page.
+  let facets = params.facets ? await collection.FacetCounts(packages) : {};
+
   packages = await collection.Sort(packages, params.sort);
   packages = await collection.Direction(packages, params.direction);
   // Now that the packages are sorted in the proper direction, we
-  // need to exempt results, according to our pagination.
-  let total_pages = Math.ceil(packages.length / paginated_amount);
-  // ^^^ We need to get the total before we start splicing and dicing.
-  if (params.page !== 1) {
-    packages.splice(0, params.page * paginated_amount);
-    // Remove from the start to however many packages, should be visible on previous pages.
-  }
-  if (params.page !== total_pages) {
-    packages.splice(
-      params.page * paginated_amount + paginated_amount,
-      packages.length
-    );
-    // This will start after our paginated options, and remove till the
-    // end of the array, since we aren't on the last page.
-  }
-  packages = await collection.POSPrune(packages); // Package Object Short Prune.
-
-  // now to get headers.
-  res.append(
-    "Link",
-    `<${server_url}/api/packages/search?q=${params.query}&page=${
-      params.page
-    }&sort=${params.sort}&order=${
-      params.direction
-    }>; rel="self", <${server_url}/api/packages?q=${
-      params.query
-    }&page=${total_pages}&sort=${params.sort}&order=${
+  // only keep those on the page asked for.
+  let page = pagination.Paginate(packages, params);
+  packages = await collection.POSPrune(page.items); // Package Object Short Prune.
+
+  pagination.SetHeaders(
+    res,
+    "/api/packages/search",
+    `q=${encodeURIComponent(params.query)}&sort=${params.sort}&order=${
       params.direction
-    }>; rel="last", <${server_url}/api/packages/search?q=${
-      params.query
-    }&page=${params.page++}&sort=${params.sort}&order=${
-      params.direction
-    }>; rel="next"`
+    }${filterQuery(params.filters, params.facets)}`,
+    page
   );
 
-  res.status(200).json(packages);
+  if (params.facets) {
+    res
+      .status(200)
+      .json({ total: page.total, facets: facets, packages: packages });
+  } else {
+    res.status(200).json(packages);
+  }
   logger.HTTPLog(req, res);
 }
 
+/**
+ * @function filterQuery
+ * @desc Non-Exported function, that turns the facets a search was filtered on back into
+ * query parameters. So the links to other pages of the search keep them.
+ * @param {object} filters - The facets, as parsed by `query`.
+ * @param {boolean} facets - If the counts of each facet were asked for.
+ * @returns {string} Each facet filtered on as `&facet=value`, or '' if none were.
+ */
+function filterQuery(filters, facets) {
+  let output = "";
+
+  for (const facet in filters) {
+    const value = filters[facet];
+
+    // `has_grammar` is the only facet which is filtered on when false.
+    if (value === "any" || (value === false && facet !== "has_grammar")) {
+      continue;
+    }
+
+    output += `&${facet}=${encodeURIComponent(value)}`;
+  }
+
+  return facets ? `${output}&facets=true` : output;
+}
+
 async function GETPackagesDetails(req, res) {
   // GET /api/packages/:packageName
   let params = {
     engine: query.engine(req),
     name: decodeURIComponent(req.params.packageName),
   };
+  params.name = await resolvePackageName(res, params.name);
+
   let pack = await data.GetPackageByName(params.name);
 
   if (!pack.ok) {
@@ -316,7 +389,10 @@ async function GETPackagesDetails(req, res) {
 /**
  * @async
  * @function DELETEPackagesName
- * @desc Allows the user to delete a repo they have ownership of.
+ * @desc Allows the user to delete a package whose repo they have ownership of, or any package
+ * as an admin. The package is only soft deleted, hidden from every listing while it can still be
+ * restored by `POSTPackagesRestore`, until purged once the grace period passes.
+ * Its name stays reserved, so it can't be published by anyone else.
  * @param {object} req - The `Request` object inherited from the Express endpoint.
  * @param {object} res - The `Response` object inherited from the Express endpoint.
  */
@@ -333,16 +409,31 @@ async function DELETEPackagesName(req, res) {
     return;
   }
 
-  let gitowner = await git.Ownership(user.content, params.packageName);
+  if (!users.HasScope(user, "delete")) {
+    await common.Forbidden(req, res);
+    return;
+  }
 
-  if (!gitowner.ok) {
-    await common.HandleError(req, res, gitowner);
+  let pack = await data.GetPackageByName(params.packageName);
+
+  if (!pack.ok) {
+    await common.HandleError(req, res, pack);
+    return;
+  }
+
+  let owner = await ownsPackage(user, pack.content);
+
+  if (!owner.ok) {
+    await common.HandleError(req, res, owner);
     return;
   }
 
-  // they are logged in properly, and own the git repo they are referencing via the package name.
+  // they are logged in properly, and own the git repo of the package.
   // Now we can delete the package.
-  let rm = await data.RemovePackageByName(params.packageName);
+  let rm = await data.RemovePackageByName(
+    params.packageName,
+    user.content.name
+  );
 
   if (!rm.ok) {
     await common.HandleError(req, res, rm);
@@ -354,14 +445,169 @@ async function DELETEPackagesName(req, res) {
   logger.HTTPLog(req, res);
 }
 
+/**
+ * @async
+ * @function POSTPackagesRestore
+ * @desc Allows the user to restore a deleted package whose repo they have ownership of, or any
+ * deleted package as an admin. Only until the package is purged, once the grace period passes.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @param {object} res - The `Response` object inherited from the Express endpoint.
+ */
+async function POSTPackagesRestore(req, res) {
+  // POST /api/packages/:packageName/restore
+  let params = {
+    auth: req.get("Authorization"),
+    packageName: decodeURIComponent(req.params.packageName),
+  };
+
+  const onLogin = async (user) => {
+    let deleted = await data.GetDeletedPackageByName(params.packageName);
+
+    if (!deleted.ok) {
+      await common.HandleError(req, res, deleted);
+      return;
+    }
+
+    if (deleted.content.purged_at !== undefined) {
+      await common.NotFound(req, res);
+      return;
+    }
+
+    let pack = await data.GetPackageByID(deleted.content.pointer);
+
+    if (!pack.ok) {
+      await common.HandleError(req, res, pack);
+      return;
+    }
+
+    let owner = await ownsPackage(user, pack.content);
+
+    if (!owner.ok) {
+      await common.HandleError(req, res, owner);
+      return;
+    }
+
+    let restore = await data.RestorePackageByName(params.packageName);
+
+    if (!restore.ok) {
+      await common.HandleError(req, res, restore);
+      return;
+    }
+
+    pack = await collection.POFPrune(pack.content); // package object full prune
+
+    res.status(200).json(pack);
+    logger.HTTPLog(req, res);
+  };
+
+  await utils.LocalUserLoggedIn(req, res, params.auth, onLogin, "delete");
+}
+
+/**
+ * @async
+ * @function POSTPackagesDeprecate
+ * @desc Allows the user to deprecate a package whose repo they have ownership of, or any package
+ * as an admin. Expecting a JSON body containing the `message` to show, and optionally the name of
+ * a `replacement` package to use instead. Deprecating an already deprecated package replaces it.
+ * Requires the `publish` scope.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @param {object} res - The `Response` object inherited from the Express endpoint.
+ */
+async function POSTPackagesDeprecate(req, res) {
+  // POST /api/packages/:packageName/deprecate
+  let params = {
+    auth: req.get("Authorization"),
+    packageName: decodeURIComponent(req.params.packageName),
+  };
+  params.packageName = await resolvePackageName(
+    res,
+    params.packageName,
+    "/deprecate"
+  );
+
+  const onLogin = async (user) => {
+    let deprecation = validateDeprecation(req.body);
+
+    if (!deprecation.ok) {
+      res.status(400).json({ message: deprecation.content });
+      logger.HTTPLog(req, res);
+      return;
+    }
+
+    let pack = await data.GetPackageByName(params.packageName);
+
+    if (!pack.ok) {
+      await common.HandleError(req, res, pack);
+      return;
+    }
+
+    let owner = await ownsPackage(user, pack.content);
+
+    if (!owner.ok) {
+      await common.HandleError(req, res, owner);
+      return;
+    }
+
+    if (deprecation.content.replacement !== undefined) {
+      let replacement = await data.GetPackagePointerByName(
+        deprecation.content.replacement
+      );
+
+      if (
+        deprecation.content.replacement === params.packageName ||
+        (!replacement.ok && replacement.short === "Not Found")
+      ) {
+        res
+          .status(400)
+          .json({ message: "The replacement must be another package." });
+        logger.HTTPLog(req, res);
+        return;
+      }
+
+      if (!replacement.ok) {
+        await common.HandleError(req, res, replacement);
+        return;
+      }
+    }
+
+    let deprecate = await data.DeprecatePackageByName(
+      params.packageName,
+      deprecation.content
+    );
+
+    if (!deprecate.ok) {
+      await common.HandleError(req, res, deprecate);
+      return;
+    }
+
+    pack = await collection.DeepCopy(deprecate.content);
+    pack = await collection.POFPrune(pack); // package object full prune
+
+    res.status(200).json(pack);
+    logger.HTTPLog(req, res);
+  };
+
+  await utils.LocalUserLoggedIn(req, res, params.auth, onLogin, "publish");
+}
+
 async function POSTPackagesStar(req, res) {
   // POST /api/packages/:packageName/star
   let params = {
     auth: req.get("Authorization"),
     packageName: decodeURIComponent(req.params.packageName),
   };
+  params.packageName = await resolvePackageName(
+    res,
+    params.packageName,
+    "/star"
+  );
   let user = await users.VerifyAuth(params.auth);
 
+  if (user.ok && !users.HasScope(user, "star")) {
+    await common.Forbidden(req, res);
+    return;
+  }
+
   if (user.ok) {
     // with user.ok we already know the user has valid authentication credentails, and we can allow changes.
     let pack = await data.StarPackageByName(
@@ -415,6 +661,11 @@ async function DELETEPackagesStar(req, res) {
     auth: req.get("Authorization"),
     packageName: decodeURIComponent(req.params.packageName),
   };
+  params.packageName = await resolvePackageName(
+    res,
+    params.packageName,
+    "/star"
+  );
 
   const onLogin = async (user) => {
     // now to unstar the package, by first removing the users star from the package.
@@ -465,22 +716,77 @@ async function DELETEPackagesStar(req, res) {
     res.status(201).send();
   };
 
-  await utils.LocalUserLoggedIn(req, res, params.auth, onLogin);
+  await utils.LocalUserLoggedIn(req, res, params.auth, onLogin, "star");
 }
 
 /**
  * @async
  * @function GETPackagesStargazers
  * @desc Endpoint returns the array of `star_gazers` from a specified package.
- * Taking only the package wanted, and returning it directly.
+ * Taking only the package wanted, and returning those on the page asked for.
  * @param {object} req - The `Request` object inherited from the Express endpoint.
  * @param {object} res - The `Response` object inherited from the Express endpoint.
  */
 async function GETPackagesStargazers(req, res) {
   // GET /api/packages/:packageName/stargazers
   let params = {
+    page: query.page(req),
+    cursor: query.cursor(req),
+    packageName: decodeURIComponent(req.params.packageName),
+  };
+  params.packageName = await resolvePackageName(
+    res,
+    params.packageName,
+    "/stargazers"
+  );
+
+  let pack = await data.GetPackageByName(params.packageName);
+
+  if (!pack.ok) {
+    await common.HandleError(req, res, pack);
+    return;
+  }
+
+  // then we can just directly return the star_gazers on the page, in the order they starred.
+  let page = pagination.Paginate(
+    pack.content.star_gazers,
+    params,
+    (gazer) => gazer.login
+  );
+
+  pagination.SetHeaders(
+    res,
+    `/api/packages/${encodeURIComponent(params.packageName)}/stargazers`,
+    "",
+    page
+  );
+
+  res.status(200).json(page.items);
+  logger.HTTPLog(req, res);
+}
+
+/**
+ * @async
+ * @function GETPackagesDependents
+ * @desc Endpoint to list the packages depending on a package. With the versions of each
+ * that depend on it, and the range of the package they depend on. Letting authors find
+ * the packages affected by a change to their package.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @param {object} res - The `Response` object inherited from the Express endpoint.
+ */
+async function GETPackagesDependents(req, res) {
+  // GET /api/packages/:packageName/dependents
+  let params = {
+    page: query.page(req),
+    cursor: query.cursor(req),
     packageName: decodeURIComponent(req.params.packageName),
   };
+  params.packageName = await resolvePackageName(
+    res,
+    params.packageName,
+    "/dependents"
+  );
+
   let pack = await data.GetPackageByName(params.packageName);
 
   if (!pack.ok) {
@@ -488,8 +794,60 @@ async function GETPackagesStargazers(req, res) {
     return;
   }
 
-  // then we can just directly return the star_gazers object
-  res.status(200).json(pack.content.star_gazers);
+  let dependents = await data.GetPackageDependents(params.packageName);
+
+  if (!dependents.ok) {
+    await common.HandleError(req, res, dependents);
+    return;
+  }
+
+  let page = pagination.Paginate(dependents.content, params);
+
+  pagination.SetHeaders(
+    res,
+    `/api/packages/${encodeURIComponent(params.packageName)}/dependents`,
+    "",
+    page
+  );
+
+  res.status(200).json(page.items);
+  logger.HTTPLog(req, res);
+}
+
+/**
+ * @async
+ * @function GETPackagesDependencies
+ * @desc Endpoint to list the packages a package depends on. Both the npm `dependencies`,
+ * and the Atom `packageDependencies`, with the range each version of the package depends on.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @param {object} res - The `Response` object inherited from the Express endpoint.
+ */
+async function GETPackagesDependencies(req, res) {
+  // GET /api/packages/:packageName/dependencies
+  let params = {
+    packageName: decodeURIComponent(req.params.packageName),
+  };
+  params.packageName = await resolvePackageName(
+    res,
+    params.packageName,
+    "/dependencies"
+  );
+
+  let pack = await data.GetPackageByName(params.packageName);
+
+  if (!pack.ok) {
+    await common.HandleError(req, res, pack);
+    return;
+  }
+
+  let dependencies = await data.GetPackageDependencies(params.packageName);
+
+  if (!dependencies.ok) {
+    await common.HandleError(req, res, dependencies);
+    return;
+  }
+
+  res.status(200).json(dependencies.content);
   logger.HTTPLog(req, res);
 }
 
@@ -497,7 +855,8 @@ async function GETPackagesStargazers(req, res) {
  * @async
  * @function POSTPackagesVersion
  * @desc Allows a new version of a package to be published. But also can allow
- * a user to rename their application during this process.
+ * a user to rename their application during this process. When renamed, the previous
+ * name is kept as an alias of the new name, and can never be published by anyone else.
  * @param {object} req - The `Request` object inherited from the Express endpoint.
  * @param {object} res - The `Response` object inherited from the Express endpoint.
  */
@@ -509,64 +868,204 @@ async function POSTPackagesVersion(req, res) {
     auth: req.get("Authorization"),
     packageName: decodeURIComponent(req.params.packageName),
   };
+  params.packageName = await resolvePackageName(
+    res,
+    params.packageName,
+    "/versions"
+  );
 
   const onLogin = async (user) => {
-    let gitowner = await git.Ownership(user.content, params.packageName);
+    if (params.tag === "") {
+      // Without a tag, there is no version we could create.
+      await common.BadRepoJSON(req, res);
+      return;
+    }
+
+    let pack = await data.GetPackageByName(params.packageName);
+
+    if (!pack.ok) {
+      await common.HandleError(req, res, pack);
+      return;
+    }
+
+    // The ownership check needs the `owner/repo` rather than the package name.
+    let repo = git.RepoFromPackage(pack.content);
+
+    if (repo === "") {
+      await common.BadRepoJSON(req, res);
+      return;
+    }
+
+    let gitowner = await git.Ownership(user.content, repo);
 
     if (!gitowner.ok) {
       await common.HandleError(req, res, gitowner);
       return;
     }
 
-    // TODO: Unkown how to handle a rename, so it must be planned before completion.
-    await common.NotSupported(req, res);
+    // Now we know they own the repo, lets get the package.json at the tag requested.
+    let version = await git.CreateVersion(repo, params.tag);
+
+    if (!version.ok) {
+      await common.HandleError(req, res, version);
+      return;
+    }
+
+    let newName = version.content.name;
+
+    if (newName !== params.packageName) {
+      if (!params.rename) {
+        // Without a rename, the package.json name must match the current package name.
+        await common.BadPackageJSON(req, res);
+        return;
+      }
+
+      let banned = await utils.IsPackageNameBanned(newName);
+
+      if (!banned.ok) {
+        await common.BadPackageJSON(req, res);
+        return;
+      }
+    }
+
+    if (pack.content.versions[version.content.version]) {
+      // Versions can never be overwritten.
+      error.PublishVersionExists(res);
+      logger.HTTPLog(req, res);
+      return;
+    }
+
+    let stored = await storeTarball(repo, version.content);
+
+    if (!stored.ok) {
+      await common.HandleError(req, res, stored);
+      return;
+    }
+
+    // The package is merged again with the version, since it may have changed while publishing.
+    const merge = (latest) => {
+      if (latest.versions[version.content.version]) {
+        // The same version was published by another request in the meantime.
+        return {
+          ok: false,
+          content: "Version Exists",
+          short: "Version Exists",
+        };
+      }
+
+      const now = Date.now();
+
+      version.content.published_at = now;
+      latest.name = newName;
+      latest.versions[version.content.version] = version.content;
+
+      if (
+        latest.releases === undefined ||
+        semver.valid(latest.releases.latest) === null ||
+        (semver.valid(version.content.version) !== null &&
+          semver.gt(version.content.version, latest.releases.latest))
+      ) {
+        // Only move latest forward, since an older version may be published as a backport.
+        latest.releases = { latest: version.content.version };
+        latest.metadata = version.content;
+      }
+
+      latest.updated = now;
+    };
+
+    // When renaming, the package is moved to its new name within the same update as the version,
+    // keeping the old name as an alias. So if either fails, such as the new name being taken, neither is saved.
+    let write =
+      newName !== params.packageName
+        ? await data.RenamePackage(params.packageName, newName, merge)
+        : await data.UpdatePackageByName(newName, merge);
+
+    if (!write.ok) {
+      if (write.short === "Version Exists") {
+        error.PublishVersionExists(res);
+        logger.HTTPLog(req, res);
+        return;
+      }
+
+      await common.HandleError(req, res, write);
+      return;
+    }
+
+    res.status(201).json(version.content);
+    logger.HTTPLog(req, res);
   };
 
-  await utils.LocalUserLoggedIn(req, res, params.auth, onLogin);
+  await utils.LocalUserLoggedIn(req, res, params.auth, onLogin, "publish");
 }
 
+/**
+ * @async
+ * @function GETPackagesVersion
+ * @desc Returns the details of a specific version of a package. Including its `dist`,
+ * with the link to download its tarball, and the `integrity` and `size` of the tarball
+ * if it is stored by the server, allowing clients to verify their download.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @param {object} res - The `Response` object inherited from the Express endpoint.
+ */
 async function GETPackagesVersion(req, res) {
   // GET /api/packages/:packageName/versions/:versionName
   let params = {
     packageName: decodeURIComponent(req.params.packageName),
-    versionName: req.params.versionName,
+    versionName: query.versionName(req),
+    engine: query.engine(req),
   };
-  // To ensure the version we have been handed is a valid SemVer, we can pass it through the query.engine filter
-  // if we get the same object back, we know its valid.
-  if (params.versionName == query.engine(params.versionName)) {
-    // Now we know the version is a valid semver.
-    let pack = await data.GetPackageByName(params.packageName);
-
-    if (pack.ok) {
-      // now with the package itself, lets see if that version is a valid key within in the version obj.
-      if (pack.content.versions[params.versionName]) {
-        // the version does exist, lets return it.
-        // Now additionally, we need to add a link to the tarball endpoint.
-        pack.content.versions[params.versionName].dist = {
-          tarball: `${server_url}/api/packages/${params.packageName}/versions/${params.versionName}/tarball`,
-        };
+  params.packageName = await resolvePackageName(
+    res,
+    params.packageName,
+    `/versions/${req.params.versionName}`
+  );
 
-        // now we can return the modified object.
-        res.status(200).json(pack.content.versions[params.versionName]);
-        logger.HTTPLog(req, res);
-      } else {
-        // the version does not exist, return 404
-        await common.NotFound(req, res);
-      }
-    } else {
-      await common.HandleError(req, res, pack);
-    }
-  } else {
+  if (!params.versionName) {
     // we return a 404 for the version, since its an invalid format.
     await common.NotFound(req, res);
+    return;
+  }
+
+  let pack = await data.GetPackageByName(params.packageName);
+
+  if (!pack.ok) {
+    await common.HandleError(req, res, pack);
+    return;
+  }
+
+  params.versionName = resolveVersion(
+    pack.content,
+    params.versionName,
+    params.engine
+  );
+
+  if (!pack.content.versions[params.versionName]) {
+    // the version does not exist, return 404
+    await common.NotFound(req, res);
+    return;
   }
+
+  // We copy the version, to avoid the link to the tarball endpoint being cached.
+  let version = await collection.DeepCopy(
+    pack.content.versions[params.versionName]
+  );
+
+  version.dist = {
+    ...version.dist,
+    tarball: `${server_url}/api/packages/${params.packageName}/versions/${params.versionName}/tarball`,
+  };
+
+  res.status(200).json(version);
+  logger.HTTPLog(req, res);
 }
 
 /**
  * @async
  * @function GETPackagesVersionTarball
  * @desc Allows the user to get the tarball for a specific package version.
- * Which should initiate a download of said tarball on their end.
+ * Which should initiate a download of said tarball on their end. Tarballs stored by
+ * the server are served directly, supporting `ETag` and `Range` requests. Otherwise
+ * the user is redirected to the tarball on the git host.
  * @param {object} req - The `Request` object inherited from the Express endpoint.
  * @param {object} res - The `Response` object inherited from the Express endpoint.
  */
@@ -574,14 +1073,19 @@ async function GETPackagesVersionTarball(req, res) {
   // GET /api/packages/:packageName/versions/:versionName/tarball
   let params = {
     packageName: decodeURIComponent(req.params.packageName),
-    versionName: query.engine(req.params.versionName),
+    versionName: query.versionName(req),
+    engine: query.engine(req),
   };
-  // Now that migration has began we know that each version will have
-  // a tarball_url key on it, linking directly to the tarball from gh for that version.
+  // A renamed package is still resolved here, so existing installs continue to work.
+  params.packageName = await resolvePackageName(
+    res,
+    params.packageName,
+    `/versions/${req.params.versionName}/tarball`
+  );
 
   // we initially want to ensure we have a valid version.
   if (!params.versionName) {
-    // since query.engine gives false if invalid, we can just check if its truthy
+    // since query.versionName gives false if invalid, we can just check if its truthy
     // additionally if its false, we know the version will never be found.
     await common.NotFound(req, res);
     return;
@@ -595,33 +1099,94 @@ async function GETPackagesVersionTarball(req, res) {
     return;
   }
 
-  if (!pack.content.versions[params.versionName]) {
+  params.versionName = resolveVersion(
+    pack.content,
+    params.versionName,
+    params.engine
+  );
+  let version = pack.content.versions[params.versionName];
+
+  if (!version) {
     // the package doesn't contain the version requested.
     await common.NotFound(req, res);
     return;
   }
 
-  // lets add the download to the package.
-  pack.content.downloads++;
+  if (version.dist === undefined || version.dist.integrity === undefined) {
+    // Versions published before tarballs were stored by the server, are still
+    // downloaded from the tarball_url of the git host.
+    if (typeof version.tarball_url !== "string") {
+      // Without either, there is nothing to download.
+      await common.NotFound(req, res);
+      return;
+    }
 
-  // then lets save this updated info.
-  let save = await data.SetPackageByName(params.packageName, pack.content);
+    await countDownload(req, res, params.packageName);
+    res.redirect(version.tarball_url);
+    logger.HTTPLog(req, res);
+    return;
+  }
 
-  if (!save.ok) {
-    logger.WarningLog(req, res, save.content);
-    // we don't want to exit on a failed to update downloads count, but should be logged.
+  // The integrity is the hash of the tarball, making it a strong ETag that never changes.
+  res.set({
+    ETag: `"${version.dist.integrity}"`,
+    "Accept-Ranges": "bytes",
+  });
+
+  if (req.fresh) {
+    // The client already has this tarball.
+    res.status(304).end();
+    logger.HTTPLog(req, res);
+    return;
+  }
+
+  let tarball = await data.GetTarball(version.dist.integrity);
+
+  if (!tarball.ok) {
+    await common.HandleError(req, res, tarball);
+    return;
+  }
+
+  let size = tarball.content.length;
+  let range = req.range(size);
+
+  if (range === -1) {
+    // None of the requested ranges can be satisfied.
+    res.set("Content-Range", `bytes */${size}`);
+    res.status(416).end();
+    logger.HTTPLog(req, res);
+    return;
+  }
+
+  res.type("application/gzip");
+
+  if (Array.isArray(range) && range.type === "bytes" && range.length === 1) {
+    // Only the first part of a download counts, so resuming one isn't counted twice.
+    if (range[0].start === 0) {
+      await countDownload(req, res, params.packageName);
+    }
+
+    res.set("Content-Range", `bytes ${range[0].start}-${range[0].end}/${size}`);
+    res
+      .status(206)
+      .send(tarball.content.subarray(range[0].start, range[0].end + 1));
+    logger.HTTPLog(req, res);
+    return;
   }
-  // For simplicity, we will redirect the request to gh tarball url, to allow
-  // the download to take place from their servers.
-  res.redirect(pack.content.versions[params.versionName].tarball_url);
+
+  // Otherwise, including malformed or multiple ranges, we send the whole tarball.
+  await countDownload(req, res, params.packageName);
+  res.status(200).send(tarball.content);
   logger.HTTPLog(req, res);
-  return;
 }
 
 /**
  * @async
  * @function DELETEPackageVersion
- * @desc Allows a user to delete a specific version of their package.
+ * @desc Allows a user to yank a specific version of their package, or any package as an admin.
+ * A yanked version stays downloadable by its exact version, so existing lockfiles keep working,
+ * but is no longer listed, used as `releases.latest`, or picked by `EngineFilter`.
+ * The version can never be published again. The only version left can't be yanked.
  * @param {object} req - The `Request` object inherited from the Express endpoint.
  * @param {object} res - The `Response` object inherited from the Express endpoint.
  */
@@ -630,49 +1195,72 @@ async function DELETEPackageVersion(req, res) {
   let params = {
     auth: req.get("Authorization"),
     packageName: decodeURIComponent(req.params.packageName),
-    versionName: req.params.versionName,
+    versionName: query.versionName(req),
   };
-  let user = await users.VerifyAuth(params.auth);
 
-  if (!user.ok) {
-    await common.AuthFail(req, res, user);
-    return;
-  }
+  const onLogin = async (user) => {
+    if (!params.versionName) {
+      // An invalid version can't exist.
+      await common.NotFound(req, res);
+      return;
+    }
 
-  let gitowner = await git.Ownership(user.content, params.packageName);
+    let pack = await data.GetPackageByName(params.packageName);
 
-  if (!gitowner.ok) {
-    await common.HandleError(req, res, gitowner);
-    return;
-  }
+    if (!pack.ok) {
+      await common.HandleError(req, res, pack);
+      return;
+    }
 
-  let pack = await data.GetPackageByName(params.packageName);
+    let owner = await ownsPackage(user, pack.content);
 
-  if (!pack.ok) {
-    // getting package returned error.
-    await common.HandleError(req, res, pack);
-    return;
-  }
+    if (!owner.ok) {
+      await common.HandleError(req, res, owner);
+      return;
+    }
 
-  if (!pack.content[params.versionName]) {
-    // the version does not exist.
-    // we will return not found for a non-existant version deletion.
-    await common.NotFound(req, res);
-  }
+    let yank = await data.UpdatePackageByName(params.packageName, (pack) => {
+      let version = pack.versions[params.versionName];
 
-  // the version exists
-  delete pack.content[params.versionName];
+      if (version === undefined) {
+        return { ok: false, content: "Not Found", short: "Not Found" };
+      }
 
-  // now to write back the modified data.
-  let write = data.SetPackageByName(params.packageName, pack.content);
+      if (version.yanked) {
+        // Already yanked, there is nothing left to do.
+        return { ok: true };
+      }
 
-  if (!write.ok) {
-    await common.HandleError(req, res, write);
-    return;
-  }
+      version.yanked = true;
+      version.yanked_at = Date.now();
+
+      let latest = utils.LatestVersion(pack);
+
+      if (latest === undefined) {
+        return { ok: false, content: "Last Version", short: "Last Version" };
+      }
+
+      pack.releases = { latest: latest };
+      pack.metadata = pack.versions[latest];
+      pack.updated = Date.now();
+    });
 
-  // successfully wrote the modified data
-  res.status(204).send();
+    if (!yank.ok) {
+      if (yank.short === "Last Version") {
+        error.YankLastVersionJSON(res);
+        logger.HTTPLog(req, res);
+        return;
+      }
+
+      await common.HandleError(req, res, yank);
+      return;
+    }
+
+    res.status(204).send();
+    logger.HTTPLog(req, res);
+  };
+
+  await utils.LocalUserLoggedIn(req, res, params.auth, onLogin, "delete");
 }
 
 /**
@@ -696,16 +1284,9 @@ async function POSTPackagesEventUninstall(req, res) {
   };
 
   const onLogin = async (user) => {
-    let pack = await data.GetPackageByName(params.packageName);
-
-    if (!pack.ok) {
-      await common.HandleError(req, res, pack);
-      return;
-    }
-
-    pack.content.downloads--;
-
-    let write = await data.SetPackageByName(params.packageName, pack.content);
+    let write = await data.UpdatePackageByName(params.packageName, (pack) => {
+      pack.downloads--;
+    });
 
     if (!write.ok) {
       await common.HandleError(req, res, write);
@@ -717,7 +1298,169 @@ async function POSTPackagesEventUninstall(req, res) {
     return;
   };
 
-  await utils.LocalUserLoggedIn(req, res, params.auth, onLogin);
+  await utils.LocalUserLoggedIn(req, res, params.auth, onLogin, "read");
+}
+
+/**
+ * @async
+ * @function storeTarball
+ * @desc Non-Exported function, that downloads the tarball of a version being published,
+ * and stores it with the server. Adding the `integrity` and `size` of the tarball to the
+ * `dist` of the version. Versions without a `tarball_url` have no tag to download, and are left as is.
+ * @param {string} repo - The repo of the package, as accepted by `git.DownloadTarball()`.
+ * @param {object} version - The version being published, which is modified in place.
+ * @returns {object} A Server Status Object, with `content` only on an error.
+ */
+async function storeTarball(repo, version) {
+  if (typeof version.tarball_url !== "string") {
+    return { ok: true };
+  }
+
+  let tarball = await git.DownloadTarball(repo, version.tarball_url);
+
+  if (!tarball.ok) {
+    return tarball;
+  }
+
+  let dist = await data.SetTarball(tarball.content);
+
+  if (!dist.ok) {
+    return dist;
+  }
+
+  version.dist = dist.content;
+  return { ok: true };
+}
+
+/**
+ * @function validateDeprecation
+ * @desc Non-Exported function, that checks the body of a deprecation is valid,
+ * and returns only the values we want to store.
+ * @param {object} body - The parsed JSON body of the request.
+ * @returns {object} A Server Status Object, where `content` is the deprecation object
+ * on success, or a message of what is invalid otherwise.
+ */
+function validateDeprecation(body) {
+  if (typeof body !== "object" || body === null) {
+    return { ok: false, content: "A JSON body is required." };
+  }
+
+  if (
+    typeof body.message !== "string" ||
+    body.message.trim().length === 0 ||
+    body.message.length > 1000
+  ) {
+    return {
+      ok: false,
+      content: "The message must be between 1 and 1000 characters.",
+    };
+  }
+
+  if (body.replacement !== undefined && typeof body.replacement !== "string") {
+    return { ok: false, content: "The replacement must be a package name." };
+  }
+
+  let deprecation = {
+    message: body.message.trim(),
+    deprecated_at: Date.now(),
+  };
+
+  if (body.replacement !== undefined) {
+    deprecation.replacement = body.replacement;
+  }
+
+  return { ok: true, content: deprecation };
+}
+
+/**
+ * @function resolveVersion
+ * @desc Non-Exported function, that resolves the version asked for of a package. Where
+ * `latest` is the latest version that hasn't been yanked, or if an Atom version is given,
+ * the latest version compatible with it.
+ * @param {object} pack - The 'Server Package Object' of the package.
+ * @param {string} versionName - The version asked for, as returned by `query.versionName`.
+ * @param {string|boolean} engine - The Atom version, as returned by `query.engine`.
+ * @returns {string|undefined} The version, or undefined if `latest` can't be resolved.
+ * @implements {utils.LatestVersion}
+ */
+function resolveVersion(pack, versionName, engine) {
+  if (versionName !== "latest") {
+    return versionName;
+  }
+
+  return utils.LatestVersion(pack, engine === false ? undefined : engine);
+}
+
+/**
+ * @async
+ * @function ownsPackage
+ * @desc Non-Exported function, that checks the user owns the repo of a package on git.
+ * Admins are allowed to manage any package, so the check is skipped for them.
+ * @param {object} user - The Server Status Object returned from `VerifyAuth`.
+ * @param {object} pack - The 'Server Package Object' of the package.
+ * @returns {object} A Server Status Object, with `content` only on an error.
+ * Returns "Bad Repo" if the package has no repo, or bubbles from `git.Ownership()`.
+ */
+async function ownsPackage(user, pack) {
+  if (users.HasScope(user, "admin")) {
+    return { ok: true };
+  }
+
+  // The ownership check needs the `owner/repo` rather than the package name.
+  let repo = git.RepoFromPackage(pack);
+
+  if (repo === "") {
+    return { ok: false, content: "Bad Repo", short: "Bad Repo" };
+  }
+
+  return git.Ownership(user.content, repo);
+}
+
+/**
+ * @async
+ * @function countDownload
+ * @desc Non-Exported function, that adds a download to a package, and saves it.
+ * Failing to save is only logged, since it shouldn't prevent the download.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @param {object} res - The `Response` object inherited from the Express endpoint.
+ * @param {string} name - The name of the package.
+ */
+async function countDownload(req, res, name) {
+  let save = await data.UpdatePackageByName(name, (pack) => {
+    pack.downloads++;
+  });
+
+  if (!save.ok) {
+    logger.WarningLog(req, res, save.content);
+  }
+}
+
+/**
+ * @async
+ * @function resolvePackageName
+ * @desc Non-Exported function, that resolves the previous name of a renamed package
+ * to the name it currently uses. If the package was renamed, a `Location` header is
+ * added to the response pointing at the same endpoint under the current name, letting
+ * clients know to update their references.
+ * @param {object} res - The `Response` object inherited from the Express endpoint.
+ * @param {string} name - The package name provided by the user.
+ * @param {string} [path] - The remainder of the endpoint path after the package name.
+ * @returns {string} The name the package currently uses. Or the provided name if it
+ * was never renamed, or the lookup failed.
+ */
+async function resolvePackageName(res, name, path = "") {
+  let alias = await data.GetPackageAliasByName(name);
+
+  if (!alias.ok) {
+    // Either not a renamed package, or the lookup failed. Either way the provided
+    // name is the best we can do, and any lookup with it will handle the error.
+    return name;
+  }
+
+  res.location(
+    `${server_url}/api/packages/${encodeURIComponent(alias.content)}${path}`
+  );
+  return alias.content;
 }
 
 module.exports = {
@@ -727,9 +1470,13 @@ module.exports = {
   GETPackagesSearch,
   GETPackagesDetails,
   DELETEPackagesName,
+  POSTPackagesRestore,
+  POSTPackagesDeprecate,
   POSTPackagesStar,
   DELETEPackagesStar,
   GETPackagesStargazers,
+  GETPackagesDependents,
+  GETPackagesDependencies,
   POSTPackagesVersion,
   GETPackagesVersion,
   GETPackagesVersionTarball,
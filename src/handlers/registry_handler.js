@@ -0,0 +1,250 @@
+/**
+ * @module registry_handler
+ * @desc Endpoint Handlers for the read-only npm registry compatible endpoints, whose slug is
+ * `registry`. Serving each package as an npm package document, or 'packument', so npm and
+ * other tools that speak the npm registry protocol can resolve and download packages.
+ * Such as caching proxies used to mirror packages for offline use.
+ * @implements {common_handler}
+ * @implements {data}
+ * @implements {logger}
+ * @implements {utils}
+ * @implements {config}
+ */
+
+const common = require("./common_handler.js");
+const data = require("../data.js");
+const logger = require("../logger.js");
+const utils = require("../utils.js");
+const { server_url } = require("../config.js").GetConfig();
+
+// The media type npm asks for, when it only needs what's required to install a package.
+const abbreviated_type = "application/vnd.npm.install-v1+json";
+
+// The fields of a version kept within an abbreviated packument, as defined by npm.
+const abbreviated_fields = [
+  "name",
+  "version",
+  "deprecated",
+  "dependencies",
+  "optionalDependencies",
+  "devDependencies",
+  "bundleDependencies",
+  "peerDependencies",
+  "peerDependenciesMeta",
+  "bin",
+  "directories",
+  "engines",
+  "dist",
+  "_hasShrinkwrap",
+];
+
+/**
+ * @async
+ * @function GETRegistryPackage
+ * @desc Returns the packument of a package. Containing every version that hasn't been yanked,
+ * each linking to its tarball, with its `integrity` if the tarball is stored by the server,
+ * and the time it was published within `time`, if known.
+ * When asked for with the `application/vnd.npm.install-v1+json` media type, only what npm
+ * needs to install the package is returned. Renamed packages are resolved to their current
+ * name, with a `Location` header of the packument under that name.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @param {object} res - The `Response` object inherited from the Express endpoint.
+ */
+async function GETRegistryPackage(req, res) {
+  // GET /registry/:packageName
+  let params = {
+    packageName: decodeURIComponent(req.params.packageName),
+    abbreviated:
+      req.accepts(["application/json", abbreviated_type]) === abbreviated_type,
+  };
+
+  let alias = await data.GetPackageAliasByName(params.packageName);
+
+  if (alias.ok) {
+    params.packageName = alias.content;
+    res.location(
+      `${server_url}/registry/${encodeURIComponent(params.packageName)}`
+    );
+  }
+
+  let pack = await data.GetPackageByName(params.packageName);
+
+  if (!pack.ok) {
+    await common.HandleError(req, res, pack);
+    return;
+  }
+
+  let doc = packument(pack.content);
+
+  if (params.abbreviated) {
+    doc = abbreviate(doc);
+    res.type(abbreviated_type);
+  } else {
+    res.type("application/json");
+  }
+
+  res.status(200).send(JSON.stringify(doc));
+  logger.HTTPLog(req, res);
+}
+
+/**
+ * @function packument
+ * @desc Non-Exported function, that creates the packument of a package.
+ * @param {object} pack - The 'Server Package Object' of the package.
+ * @returns {object} The packument, in the format returned by the npm registry.
+ */
+function packument(pack) {
+  const metadata =
+    typeof pack.metadata === "object" && pack.metadata !== null
+      ? pack.metadata
+      : {};
+  let versions = {};
+
+  for (const ver in pack.versions) {
+    if (pack.versions[ver].yanked) {
+      // Yanked versions are left out, the same as an unpublished version on npm.
+      continue;
+    }
+
+    versions[ver] = packumentVersion(pack, ver);
+  }
+
+  let latest =
+    pack.releases !== undefined && versions[pack.releases.latest] !== undefined
+      ? pack.releases.latest
+      : utils.LatestVersion(pack);
+
+  let doc = {
+    _id: pack.name,
+    name: pack.name,
+    description: metadata.description,
+    "dist-tags": latest === undefined ? {} : { latest: latest },
+    versions: versions,
+    time: {
+      created: isoTime(pack.created),
+      modified: isoTime(pack.updated),
+    },
+    readme: pack.readme,
+    repository: pack.repository,
+    license: metadata.license,
+    keywords: metadata.keywords,
+    homepage: metadata.homepage,
+    bugs: metadata.bugs,
+  };
+
+  for (const ver in versions) {
+    // Versions published before the time was recorded, are left out of the time.
+    doc.time[ver] = isoTime(pack.versions[ver].published_at);
+  }
+
+  // Leaving out anything unknown, rather than returning null.
+  for (const key in doc) {
+    if (doc[key] === undefined) {
+      delete doc[key];
+    }
+  }
+  for (const key in doc.time) {
+    if (doc.time[key] === undefined) {
+      delete doc.time[key];
+    }
+  }
+
+  return doc;
+}
+
+/**
+ * @function packumentVersion
+ * @desc Non-Exported function, that creates the entry of a version within a packument. Being the
+ * `package.json` of the version, without the data only used by this server, and with its `dist`.
+ * @param {object} pack - The 'Server Package Object' of the package.
+ * @param {string} ver - The version.
+ * @returns {object} The version, in the format returned by the npm registry.
+ */
+function packumentVersion(pack, ver) {
+  let version = JSON.parse(JSON.stringify(pack.versions[ver]));
+
+  if (typeof version.sha === "string") {
+    // npm calls the commit a version was published from, its `gitHead`.
+    version.gitHead = version.sha;
+  }
+
+  delete version.tarball_url;
+  delete version.sha;
+  delete version.yanked;
+  delete version.yanked_at;
+  delete version.published_at;
+  delete version.language_support;
+
+  // A version published before a rename, still has the name it was published with.
+  version.name = pack.name;
+  version.version = ver;
+  version._id = `${pack.name}@${ver}`;
+  // Any stored tarball keeps its `integrity` and `size`, same as the version endpoint.
+  version.dist = {
+    ...version.dist,
+    tarball: `${server_url}/api/packages/${encodeURIComponent(
+      pack.name
+    )}/versions/${ver}/tarball`,
+  };
+
+  if (typeof pack.deprecated === "object" && pack.deprecated !== null) {
+    // npm only knows a deprecated version, so each version has the message of the package.
+    version.deprecated =
+      typeof pack.deprecated.replacement === "string"
+        ? `${pack.deprecated.message} Use ${pack.deprecated.replacement} instead.`
+        : pack.deprecated.message;
+  }
+
+  return version;
+}
+
+/**
+ * @function abbreviate
+ * @desc Non-Exported function, that removes everything from a packument npm doesn't need to
+ * install the package. Creating what npm calls an abbreviated packument, or 'corgi'.
+ * @param {object} doc - The full packument, as returned by `packument`.
+ * @returns {object} The abbreviated packument.
+ */
+function abbreviate(doc) {
+  let versions = {};
+
+  for (const ver in doc.versions) {
+    versions[ver] = {};
+
+    for (const field of abbreviated_fields) {
+      if (doc.versions[ver][field] !== undefined) {
+        versions[ver][field] = doc.versions[ver][field];
+      }
+    }
+  }
+
+  let abbreviated = {
+    name: doc.name,
+    "dist-tags": doc["dist-tags"],
+    versions: versions,
+  };
+
+  if (doc.time.modified !== undefined) {
+    abbreviated.modified = doc.time.modified;
+  }
+
+  return abbreviated;
+}
+
+/**
+ * @function isoTime
+ * @desc Non-Exported function, that formats a time stored by the server, as npm does.
+ * @param {number} time - The time, in milliseconds since the epoch.
+ * @returns {string|undefined} The time as an ISO 8601 string, or undefined if unknown.
+ */
+function isoTime(time) {
+  if (typeof time !== "number") {
+    return undefined;
+  }
+
+  return new Date(time).toISOString();
+}
+
+module.exports = {
+  GETRegistryPackage,
+};
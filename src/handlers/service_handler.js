@@ -0,0 +1,41 @@
+/**
+ * @module service_handler
+ * @desc Endpoint Handlers relating to services. Services being the versioned APIs packages
+ * provide to, and consume from, each other, as declared within their `package.json`.
+ * @implements {common_handler}
+ * @implements {data}
+ * @implements {logger}
+ */
+
+const common = require("./common_handler.js");
+const data = require("../data.js");
+const logger = require("../logger.js");
+
+/**
+ * @async
+ * @function GETServicesName
+ * @desc Endpoint to return the packages providing and consuming a service. With the versions
+ * of each package, and the service versions they provide, or the ranges they consume.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @param {object} res - The `Response` object inherited from the Express endpoint.
+ */
+async function GETServicesName(req, res) {
+  // GET /api/services/:serviceName
+  let params = {
+    serviceName: decodeURIComponent(req.params.serviceName),
+  };
+
+  let service = await data.GetService(params.serviceName);
+
+  if (!service.ok) {
+    await common.HandleError(req, res, service);
+    return;
+  }
+
+  res.status(200).json(service.content);
+  logger.HTTPLog(req, res);
+}
+
+module.exports = {
+  GETServicesName,
+};
@@ -5,6 +5,8 @@
  * @implements {users}
  * @implements {data}
  * @implements {common_handler}
+ * @implements {query}
+ * @implements {pagination}
  */
 
 const logger = require("../logger.js");
@@ -13,15 +15,18 @@ const data = require("../data.js");
 const common = require("./common_handler.js");
 const collection = require("../collection.js");
 const utils = require("../utils.js");
+const query = require("../query.js");
+const pagination = require("../pagination.js");
 
 /**
  * @async
  * @function GETStars
  * @desc Endpoint for `GET /api/stars`. Whose endgoal is to return an array of all packages
- * the authenticated user has stared.
+ * the authenticated user has stared. A page at a time.
  * @param {object} req - The `Request` object inherited from the Express endpoint.
  * @param {object} res - The `Response` object inherited from the Express endpoint.
  * @implements {users.VerifyAuth}
+ * @implements {data.GetExistingPackageNames}
  * @implements {data.GetPackageCollection}
  * @implements {logger.HTTPLog}
  * @implements {common.ServerError}
@@ -31,10 +36,22 @@ async function GETStars(req, res) {
   // GET /api/stars
   let params = {
     auth: req.get("Authorization"),
+    page: query.page(req),
+    cursor: query.cursor(req),
   };
 
   const onLogin = async (user) => {
-    let packageCollection = await data.GetPackageCollection(user.content.stars);
+    // Packages starred that have since been deleted are left out, before counting the stars.
+    let stars = await data.GetExistingPackageNames(user.content.stars);
+
+    if (!stars.ok) {
+      await common.HandleError(req, res, stars);
+      return;
+    }
+
+    // Only the packages starred on the page asked for are needed, in the order they were starred.
+    let page = pagination.Paginate(stars.content, params, (name) => name);
+    let packageCollection = await data.GetPackageCollection(page.items);
 
     if (!packageCollection.ok) {
       await common.HandleError(req, res, packageCollection);
@@ -44,11 +61,13 @@ async function GETStars(req, res) {
     let newCol = await collection.DeepCopy(packageCollection.content);
     newCol = await collection.POSPrune(newCol);
 
+    pagination.SetHeaders(res, "/api/stars", "", page);
+
     res.status(200).json(newCol);
     logger.HTTPLog(req, res);
   };
 
-  await utils.LocalUserLoggedIn(req, res, params.auth, onLogin);
+  await utils.LocalUserLoggedIn(req, res, params.auth, onLogin, "read");
 }
 
 module.exports = {
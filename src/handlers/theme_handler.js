@@ -1,22 +1,157 @@
+/**
+ * @module theme_handler
+ * @desc Endpoint Handlers relating to themes only. Themes being any package
+ * that declares itself as a `ui` or `syntax` theme within its `package.json`.
+ * @implements {common_handler}
+ * @implements {data}
+ * @implements {collection}
+ * @implements {query}
+ * @implements {logger}
+ * @implements {pagination}
+ */
+
 const common = require("./common_handler.js");
+const data = require("../data.js");
+const collection = require("../collection.js");
+const query = require("../query.js");
+const logger = require("../logger.js");
+const pagination = require("../pagination.js");
 
+/**
+ * @async
+ * @function GETThemeFeatured
+ * @desc Endpoint to return the featured themes, as manually chosen within
+ * `featured_themes.json`. Supports the `engine` query parameter, to return the
+ * metadata of a compatible version of each theme.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @param {object} res - The `Response` object inherited from the Express endpoint.
+ */
 async function GETThemeFeatured(req, res) {
   // GET /api/themes/featured
-
-  // TODO: Undocumented Endpoint discovered, as the endpoint in use by APM to get featured themes.
+  // Originally an undocumented endpoint, discovered as the endpoint in use by APM to get featured themes.
   // https://github.com/atom/apm/blob/master/src/featured.coffee
-  // Returns featured packages, filtered by themes. Unknown how these are determined.
-  // At least currently returns an 2 of items.
-  // Package Object Short Array.
-  // Supports engine query parameter.
-  // Assumption: this utilizes a mystery rating system to return only themes. Allowing specificity
-  // into versions that are currently compatible.
-  // Returns a 200 response if everything goes well.
-  // Sort by package name, in alphabetical order is implemented client side. Wether this means we want to implement it
-  // or leave it to the client is hard to say.
-  await common.NotSupported(req, res);
+  // Sort by package name, in alphabetical order is implemented client side.
+  let params = {
+    engine: query.engine(req),
+  };
+
+  let col = await data.GetFeaturedThemes();
+
+  if (!col.ok) {
+    await common.HandleError(req, res, col);
+    return;
+  }
+
+  let newCol = await collection.DeepCopy(col.content);
+  // Just in case a non theme was added to the featured themes list.
+  newCol = await collection.ThemeFilter(newCol);
+
+  if (params.engine) {
+    for (let i = 0; i < newCol.length; i++) {
+      newCol[i] = await collection.EngineFilter(newCol[i], params.engine);
+    }
+  }
+
+  newCol = await collection.POSPrune(newCol);
+
+  res.status(200).json(newCol);
+  logger.HTTPLog(req, res);
+}
+
+/**
+ * @async
+ * @function GETThemes
+ * @desc Endpoint to return all themes to the user. Based on any filtering
+ * they've applied via query parameters. Identical to `GETPackages`, other than only
+ * ever returning themes.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @param {object} res - The `Response` object inherited from the Express endpoint.
+ */
+async function GETThemes(req, res) {
+  // GET /api/themes
+  let params = {
+    page: query.page(req),
+    cursor: query.cursor(req),
+    sort: query.sort(req),
+    direction: query.dir(req),
+  };
+
+  let all_packages = await data.GetAllPackages();
+
+  if (!all_packages.ok) {
+    await common.HandleError(req, res, all_packages);
+    return;
+  }
+
+  // Filtering and sorting leave the cached packages unchanged, so only those on the page are copied.
+  let packages = await collection.ThemeFilter(all_packages.content);
+  packages = await collection.Sort(packages, params.sort);
+  packages = await collection.Direction(packages, params.direction);
+
+  let page = pagination.Paginate(packages, params);
+  packages = await collection.DeepCopy(page.items);
+  packages = await collection.POSPrune(packages);
+
+  pagination.SetHeaders(
+    res,
+    "/api/themes",
+    `sort=${params.sort}&order=${params.direction}`,
+    page
+  );
+
+  res.status(200).json(packages);
+  logger.HTTPLog(req, res);
+}
+
+/**
+ * @async
+ * @function GETThemesSearch
+ * @desc Allows the user to search through all themes. Using their specified
+ * query parameter. Identical to `GETPackagesSearch`, other than only ever
+ * returning themes.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @param {object} res - The `Response` object inherited from the Express endpoint.
+ */
+async function GETThemesSearch(req, res) {
+  // GET /api/themes/search
+  let params = {
+    sort: query.sort(req, "relevance"),
+    page: query.page(req),
+    cursor: query.cursor(req),
+    direction: query.dir(req),
+    query: query.query(req),
+  };
+
+  let found = await data.SearchPackages(params.query);
+
+  if (!found.ok) {
+    await common.HandleError(req, res, found);
+    return;
+  }
+
+  let packages = await collection.ThemeFilter(found.content);
+  packages = await collection.DeepCopy(packages);
+  packages = await collection.Sort(packages, params.sort);
+  packages = await collection.Direction(packages, params.direction);
+
+  let page = pagination.Paginate(packages, params);
+  packages = await collection.POSPrune(page.items);
+
+  pagination.SetHeaders(
+    res,
+    "/api/themes/search",
+    `q=${encodeURIComponent(params.query)}&sort=${params.sort}&order=${
+      params.direction
+    }`,
+    page
+  );
+
+  res.status(200).json(packages);
+  logger.HTTPLog(req, res);
 }
 
 module.exports = {
   GETThemeFeatured,
+  GETThemes,
+  GETThemesSearch,
 };
@@ -0,0 +1,177 @@
+/**
+ * @module token_handler
+ * @desc Handler for any endpoints whose slug after `/api/` is `tokens`.
+ * Allowing the authenticated user to manage their own tokens.
+ * @implements {logger}
+ * @implements {users}
+ * @implements {query}
+ * @implements {common_handler}
+ * @implements {utils}
+ */
+
+const logger = require("../logger.js");
+const users = require("../users.js");
+const query = require("../query.js");
+const common = require("./common_handler.js");
+const utils = require("../utils.js");
+
+/**
+ * @async
+ * @function GETTokens
+ * @desc Endpoint for `GET /api/tokens`. Returns every token of the authenticated user,
+ * never including the tokens themselves. Requires the `read` scope.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @param {object} res - The `Response` object inherited from the Express endpoint.
+ * @implements {users.ListTokens}
+ */
+async function GETTokens(req, res) {
+  // GET /api/tokens
+  let params = {
+    auth: req.get("Authorization"),
+  };
+
+  const onLogin = async (user) => {
+    let tokens = await users.ListTokens(user.content.name);
+
+    if (!tokens.ok) {
+      await common.HandleError(req, res, tokens);
+      return;
+    }
+
+    res.status(200).json(tokens.content);
+    logger.HTTPLog(req, res);
+  };
+
+  await utils.LocalUserLoggedIn(req, res, params.auth, onLogin, "read");
+}
+
+/**
+ * @async
+ * @function POSTTokens
+ * @desc Endpoint for `POST /api/tokens`. Creates a new named token for the authenticated
+ * user. This is the only time the new token is ever returned. Requires the `tokens` scope.
+ * A token can only be granted scopes the token creating it has, so a token can never be used
+ * to escalate itself.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @param {object} res - The `Response` object inherited from the Express endpoint.
+ * @implements {users.CreateToken}
+ */
+async function POSTTokens(req, res) {
+  // POST /api/tokens
+  let params = {
+    auth: req.get("Authorization"),
+    name: query.tokenName(req),
+    scopes: query.scopes(req),
+  };
+
+  const onLogin = async (user) => {
+    if (params.name === "") {
+      res.status(400).json({
+        message:
+          "A token name of up to 50 letters, digits, spaces, dashes, underscores or dots is required.",
+      });
+      logger.HTTPLog(req, res);
+      return;
+    }
+
+    if (
+      params.scopes === false ||
+      params.scopes.some((scope) => !users.TokenScopes.includes(scope))
+    ) {
+      res.status(400).json({
+        message: `Scopes must be a comma separated list of: ${users.TokenScopes.join(
+          ", "
+        )}.`,
+      });
+      logger.HTTPLog(req, res);
+      return;
+    }
+
+    // Without any scopes requested, the new token is given the same scopes as this one.
+    // Other than `tokens`, which must be asked for, so new tokens can't create more by default.
+    let scopes =
+      params.scopes.length > 0
+        ? params.scopes
+        : user.scopes.filter(
+            (scope) => scope !== "tokens" && users.HasScope(user, scope)
+          );
+
+    if (scopes.some((scope) => !users.HasScope(user, scope))) {
+      await common.Forbidden(req, res);
+      return;
+    }
+
+    let newToken = await users.CreateToken(
+      user.content.name,
+      params.name,
+      scopes
+    );
+
+    if (!newToken.ok) {
+      await common.HandleError(req, res, newToken);
+      return;
+    }
+
+    res.status(201).json(newToken.content);
+    logger.HTTPLog(req, res);
+  };
+
+  await utils.LocalUserLoggedIn(req, res, params.auth, onLogin, "tokens");
+}
+
+/**
+ * @async
+ * @function DELETETokensID
+ * @desc Endpoint for `DELETE /api/tokens/:tokenId`. Revokes one of the authenticated
+ * user's tokens. Which may be the same token used to make this request. Requires the
+ * `tokens` scope. Only tokens whose scopes are all held by the token making the request can be revoked.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @param {object} res - The `Response` object inherited from the Express endpoint.
+ * @implements {users.RevokeToken}
+ */
+async function DELETETokensID(req, res) {
+  // DELETE /api/tokens/:tokenId
+  let params = {
+    auth: req.get("Authorization"),
+    tokenId: req.params.tokenId,
+  };
+
+  const onLogin = async (user) => {
+    let tokens = await users.ListTokens(user.content.name);
+
+    if (!tokens.ok) {
+      await common.HandleError(req, res, tokens);
+      return;
+    }
+
+    let target = tokens.content.find((t) => t.id === params.tokenId);
+
+    if (target === undefined) {
+      await common.NotFound(req, res);
+      return;
+    }
+
+    if (target.scopes.some((scope) => !user.scopes.includes(scope))) {
+      await common.Forbidden(req, res);
+      return;
+    }
+
+    let revoke = await users.RevokeToken(user.content.name, params.tokenId);
+
+    if (!revoke.ok) {
+      await common.HandleError(req, res, revoke);
+      return;
+    }
+
+    res.status(204).send();
+    logger.HTTPLog(req, res);
+  };
+
+  await utils.LocalUserLoggedIn(req, res, params.auth, onLogin, "tokens");
+}
+
+module.exports = {
+  GETTokens,
+  POSTTokens,
+  DELETETokensID,
+};
@@ -1,11 +1,254 @@
+/**
+ * @module update_handler
+ * @desc Endpoint Handlers relating to updates of the editor itself. Providing
+ * the update feed in the format expected by Squirrel, as well as allowing admins
+ * to manage the releases available within the feed.
+ * @implements {common_handler}
+ * @implements {data}
+ * @implements {query}
+ * @implements {logger}
+ * @implements {error}
+ * @implements {utils}
+ */
+
 const common = require("./common_handler.js");
+const data = require("../data.js");
+const query = require("../query.js");
+const logger = require("../logger.js");
+const error = require("../error.js");
+const utils = require("../utils.js");
+const semver = require("semver");
 
+/**
+ * @async
+ * @function GETUpdates
+ * @desc Endpoint returning the newest release available to the caller, in the
+ * JSON format expected by Squirrel. Taking into account the callers current version,
+ * platform, and release channel. The `beta` channel will receive stable releases as well.
+ * Returns a 204 if the caller is already up to date, or no release exists for them.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @param {object} res - The `Response` object inherited from the Express endpoint.
+ */
 async function GETUpdates(req, res) {
   // GET /api/updates
-  // TODO: Stopped: Update Method
-  await common.NotSupported(req, res);
+  let params = {
+    version: query.version(req),
+    platform: query.platform(req),
+    channel: query.channel(req),
+  };
+
+  let releases = await data.GetUpdates();
+
+  if (!releases.ok) {
+    await common.HandleError(req, res, releases);
+    return;
+  }
+
+  let latest;
+
+  for (let i = 0; i < releases.content.length; i++) {
+    let release = releases.content[i];
+
+    if (params.channel === "stable" && release.channel !== "stable") {
+      continue;
+    }
+
+    if (!release.assets || !release.assets[params.platform]) {
+      // This release was never built for the callers platform.
+      continue;
+    }
+
+    if (latest === undefined || semver.gt(release.version, latest.version)) {
+      latest = release;
+    }
+  }
+
+  if (
+    latest === undefined ||
+    (params.version && !semver.gt(latest.version, params.version))
+  ) {
+    // Squirrel expects a 204 with no body when there is no update available.
+    res.status(204).send();
+    logger.HTTPLog(req, res);
+    return;
+  }
+
+  res.status(200).json({
+    url: latest.assets[params.platform],
+    name: latest.version,
+    notes: latest.notes,
+    pub_date: latest.pub_date,
+  });
+  logger.HTTPLog(req, res);
+}
+
+/**
+ * @async
+ * @function POSTUpdates
+ * @desc Allows an admin to add a new release to the update feed. Expecting a JSON body
+ * containing the `version`, `channel`, `notes`, `assets` as an object of platforms to
+ * download URLs, and optionally the `pub_date`, otherwise defaulting to now.
+ * Requires the `admin` scope.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @param {object} res - The `Response` object inherited from the Express endpoint.
+ */
+async function POSTUpdates(req, res) {
+  // POST /api/updates
+  let params = {
+    auth: req.get("Authorization"),
+  };
+
+  const onLogin = async (user) => {
+    let release = validateRelease(req.body);
+
+    if (!release.ok) {
+      res.status(400).json({ message: release.content });
+      logger.HTTPLog(req, res);
+      return;
+    }
+
+    let releases = await data.GetUpdates();
+
+    if (!releases.ok) {
+      await common.HandleError(req, res, releases);
+      return;
+    }
+
+    if (releases.content.some((r) => r.version === release.content.version)) {
+      error.PublishVersionExists(res);
+      logger.HTTPLog(req, res);
+      return;
+    }
+
+    let write = await data.SetUpdates(
+      releases.content.concat([release.content])
+    );
+
+    if (!write.ok) {
+      await common.HandleError(req, res, write);
+      return;
+    }
+
+    res.status(201).json(release.content);
+    logger.HTTPLog(req, res);
+  };
+
+  await utils.LocalUserLoggedIn(req, res, params.auth, onLogin, "admin");
+}
+
+/**
+ * @async
+ * @function DELETEUpdatesVersion
+ * @desc Allows an admin to remove a release from the update feed. Requires the `admin` scope.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @param {object} res - The `Response` object inherited from the Express endpoint.
+ */
+async function DELETEUpdatesVersion(req, res) {
+  // DELETE /api/updates/:versionName
+  let params = {
+    auth: req.get("Authorization"),
+    versionName: req.params.versionName,
+  };
+
+  const onLogin = async (user) => {
+    let releases = await data.GetUpdates();
+
+    if (!releases.ok) {
+      await common.HandleError(req, res, releases);
+      return;
+    }
+
+    let remaining = releases.content.filter(
+      (r) => r.version !== params.versionName
+    );
+
+    if (remaining.length === releases.content.length) {
+      await common.NotFound(req, res);
+      return;
+    }
+
+    let write = await data.SetUpdates(remaining);
+
+    if (!write.ok) {
+      await common.HandleError(req, res, write);
+      return;
+    }
+
+    res.status(204).send();
+    logger.HTTPLog(req, res);
+  };
+
+  await utils.LocalUserLoggedIn(req, res, params.auth, onLogin, "admin");
+}
+
+/**
+ * @function validateRelease
+ * @desc Non-Exported function, that checks the body of a new release is valid,
+ * and returns only the values we want to store.
+ * @param {object} body - The parsed JSON body of the request.
+ * @returns {object} A Server Status Object, where `content` is the release object
+ * on success, or a message of what is invalid otherwise.
+ */
+function validateRelease(body) {
+  if (typeof body !== "object" || body === null) {
+    return { ok: false, content: "A JSON body is required." };
+  }
+
+  // The body shares its keys with the feeds query parameters, so we can reuse their parsing.
+  if (!query.version({ query: body })) {
+    return { ok: false, content: "The version must be valid SemVer." };
+  }
+
+  if (!["stable", "beta"].includes(body.channel)) {
+    return { ok: false, content: "The channel must be 'stable' or 'beta'." };
+  }
+
+  if (
+    typeof body.assets !== "object" ||
+    body.assets === null ||
+    Object.keys(body.assets).length === 0
+  ) {
+    return {
+      ok: false,
+      content: "At least one platform must be provided within assets.",
+    };
+  }
+
+  for (const plat in body.assets) {
+    if (
+      query.platform({ query: { platform: plat } }) !== plat ||
+      typeof body.assets[plat] !== "string" ||
+      !body.assets[plat].startsWith("https://")
+    ) {
+      return {
+        ok: false,
+        content: `The asset for ${plat} must be an https URL.`,
+      };
+    }
+  }
+
+  let pub_date = new Date(
+    body.pub_date !== undefined ? body.pub_date : Date.now()
+  );
+
+  if (isNaN(pub_date.getTime())) {
+    return { ok: false, content: "The pub_date must be a valid date." };
+  }
+
+  return {
+    ok: true,
+    content: {
+      version: body.version,
+      channel: body.channel,
+      notes: typeof body.notes === "string" ? body.notes : "",
+      pub_date: pub_date.toISOString(),
+      assets: body.assets,
+    },
+  };
 }
 
 module.exports = {
   GETUpdates,
+  POSTUpdates,
+  DELETEUpdatesVersion,
 };
@@ -6,6 +6,8 @@
  * @implements {data}
  * @implements {collection}
  * @implements {common_handler}
+ * @implements {query}
+ * @implements {pagination}
  */
 
 const logger = require("../logger.js");
@@ -13,16 +15,19 @@ const users = require("../users.js");
 const data = require("../data.js");
 const collection = require("../collection.js");
 const common = require("./common_handler.js");
+const query = require("../query.js");
+const pagination = require("../pagination.js");
 
 /**
  * @async
  * @function GETLoginStars
  * @desc Endpoint for `GET /api/users/:login/stars`. Whose goal is to return
  * An array of Package Object Short's collected from the authenticated user's
- * star gazer list.
+ * star gazer list. A page at a time.
  * @param {object} req -
  * @param {object} res -
  * @implements {users.GetUser}
+ * @implements {data.GetExistingPackageNames}
  * @implements {data.GetPackageCollection}
  * @implements {collection.POSPrune}
  * @implements {logger.HTTPLog}
@@ -33,6 +38,8 @@ async function GETLoginStars(req, res) {
   // GET /api/users/:login/stars
   let params = {
     login: req.params.login,
+    page: query.page(req),
+    cursor: query.cursor(req),
   };
 
   let user = await users.GetUser(params.login);
@@ -42,14 +49,31 @@ async function GETLoginStars(req, res) {
     return;
   }
 
-  let packages = await data.GetPackageCollection(user.content.stars);
+  // Packages starred that have since been deleted are left out, before counting the stars.
+  let stars = await data.GetExistingPackageNames(user.content.stars);
+
+  if (!stars.ok) {
+    await common.HandleError(req, res, stars);
+    return;
+  }
+
+  // Only the packages starred on the page asked for are needed, in the order they were starred.
+  let page = pagination.Paginate(stars.content, params, (name) => name);
+  let packages = await data.GetPackageCollection(page.items);
 
   if (!packages.ok) {
     await common.HandleError(req, res, packages);
     return;
   }
   let cpPackages = await collection.DeepCopy(packages.content);
-  cpPackages = await collection.POSPrune(cpPackages.content); // package object short prune
+  cpPackages = await collection.POSPrune(cpPackages); // package object short prune
+
+  pagination.SetHeaders(
+    res,
+    `/api/users/${encodeURIComponent(params.login)}/stars`,
+    "",
+    page
+  );
 
   res.status(200).json(cpPackages);
   logger.HTTPLog(req, res);
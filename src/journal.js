@@ -0,0 +1,220 @@
+/**
+ * @module journal
+ * @desc An append-only journal of changes made to cached data that hasn't been written to disk yet.
+ * Such as new tokens, stars and pointers. Each change is synced to disk before being acknowledged,
+ * and the journal is replayed on startup, so a crash never loses them. Once the cached data is
+ * written to disk, its changes are cleared from the journal.
+ * Disabled if no `JOURNAL_PATH` is configured.
+ * @implements {config}
+ */
+
+const fs = require("fs");
+const { JOURNAL_PATH } = require("./config.js").GetConfig();
+
+/**
+ * @function Enabled
+ * @desc Used to check if the journal is in use.
+ * @param {string} [path] - The path of the journal. Defaults to the configured `JOURNAL_PATH`.
+ * @returns {boolean} True if changes should be recorded.
+ */
+function Enabled(path = JOURNAL_PATH) {
+  return typeof path === "string" && path.length > 0;
+}
+
+/**
+ * @function Record
+ * @desc Appends a change to the journal, and syncs it to disk.
+ * @param {string} type - The type of data changed, as accepted by `resources.Write()`.
+ * @param {object} set - The keys of the data that were added or changed, with their new values.
+ * @param {string[]} remove - The keys of the data that were removed.
+ * @param {string} [path] - The path of the journal. Defaults to the configured `JOURNAL_PATH`.
+ * @returns {object} A Server Status Object, with `content` only on an error.
+ * Errors returned "Server Error".
+ */
+function Record(type, set, remove, path = JOURNAL_PATH) {
+  if (!Enabled(path)) {
+    return { ok: true };
+  }
+
+  let fd;
+
+  try {
+    fd = fs.openSync(path, "a");
+    fs.writeSync(
+      fd,
+      `${JSON.stringify({ type: type, set: set, remove: remove })}\n`
+    );
+    fs.fsyncSync(fd);
+    return { ok: true };
+  } catch (err) {
+    return { ok: false, content: err, short: "Server Error" };
+  } finally {
+    if (fd !== undefined) {
+      fs.closeSync(fd);
+    }
+  }
+}
+
+/**
+ * @function Read
+ * @desc Reads every change within the journal, in the order they were made.
+ * A change that was only partly written when the server stopped is ignored, since
+ * it was never acknowledged.
+ * @param {string} [path] - The path of the journal. Defaults to the configured `JOURNAL_PATH`.
+ * @returns {object} A Server Status Object, with `content` being an array of changes,
+ * each as `{ type, set, remove }`. Errors returned "Server Error".
+ */
+function Read(path = JOURNAL_PATH) {
+  if (!Enabled(path)) {
+    return { ok: true, content: [] };
+  }
+
+  let lines;
+
+  try {
+    lines = fs.readFileSync(path, "utf8").split("\n");
+  } catch (err) {
+    if (err.code === "ENOENT") {
+      return { ok: true, content: [] };
+    }
+    return { ok: false, content: err, short: "Server Error" };
+  }
+
+  let changes = [];
+
+  for (const line of lines) {
+    try {
+      changes.push(JSON.parse(line));
+    } catch (err) {
+      // An empty, or partly written line.
+      continue;
+    }
+  }
+
+  return { ok: true, content: changes };
+}
+
+/**
+ * @function Apply
+ * @desc Applies the changes of a type of data from the journal, to that data.
+ * @param {object} data - The data as read from disk, which is modified in place.
+ * @param {object[]} changes - The changes, as returned by `Read()`.
+ * @param {string} type - The type of data to apply the changes of.
+ * @returns {boolean} True if any change was applied.
+ */
+function Apply(data, changes, type) {
+  let applied = false;
+
+  for (const change of changes) {
+    if (change.type !== type) {
+      continue;
+    }
+
+    for (const key of Object.keys(change.set)) {
+      data[key] = change.set[key];
+    }
+    for (const key of change.remove) {
+      delete data[key];
+    }
+    applied = true;
+  }
+
+  return applied;
+}
+
+/**
+ * @function Count
+ * @desc Counts the changes of a type of data within the journal. Taken before writing that
+ * data to disk, so only the changes that were written are cleared after.
+ * @param {string} type - The type of data to count.
+ * @param {string} [path] - The path of the journal. Defaults to the configured `JOURNAL_PATH`.
+ * @returns {number} The amount of changes, or 0 if the journal can't be read.
+ */
+function Count(type, path = JOURNAL_PATH) {
+  let changes = Read(path);
+
+  if (!changes.ok) {
+    return 0;
+  }
+
+  return changes.content.filter((change) => change.type === type).length;
+}
+
+/**
+ * @function Clear
+ * @desc Removes the changes of a type of data from the journal, once that data has been written to disk.
+ * The remaining changes are written to a new journal, which then replaces the old one.
+ * @param {string} type - The type of data to clear.
+ * @param {number} count - How many of the oldest changes of that type to clear, as given by `Count()`
+ * before the data was written. Any made since are kept.
+ * @param {string} [path] - The path of the journal. Defaults to the configured `JOURNAL_PATH`.
+ * @returns {object} A Server Status Object, with `content` only on an error.
+ * Errors returned "Server Error".
+ */
+function Clear(type, count, path = JOURNAL_PATH) {
+  let changes = Read(path);
+
+  if (!changes.ok) {
+    return changes;
+  }
+
+  let cleared = 0;
+  let remaining = changes.content.filter((change) => {
+    if (change.type === type && cleared < count) {
+      cleared++;
+      return false;
+    }
+    return true;
+  });
+
+  if (cleared === 0) {
+    return { ok: true };
+  }
+
+  try {
+    if (remaining.length === 0) {
+      fs.rmSync(path, { force: true });
+      return { ok: true };
+    }
+
+    const tmp = `${path}.tmp`;
+    fs.writeFileSync(
+      tmp,
+      remaining.map((change) => `${JSON.stringify(change)}\n`).join("")
+    );
+    fs.renameSync(tmp, path);
+    return { ok: true };
+  } catch (err) {
+    return { ok: false, content: err, short: "Server Error" };
+  }
+}
+
+/**
+ * @function Reset
+ * @desc Removes the journal entirely, once every change within it has been written to disk.
+ * @param {string} [path] - The path of the journal. Defaults to the configured `JOURNAL_PATH`.
+ * @returns {object} A Server Status Object, with `content` only on an error.
+ * Errors returned "Server Error".
+ */
+function Reset(path = JOURNAL_PATH) {
+  if (!Enabled(path)) {
+    return { ok: true };
+  }
+
+  try {
+    fs.rmSync(path, { force: true });
+    return { ok: true };
+  } catch (err) {
+    return { ok: false, content: err, short: "Server Error" };
+  }
+}
+
+module.exports = {
+  Enabled,
+  Record,
+  Read,
+  Apply,
+  Count,
+  Clear,
+  Reset,
+};
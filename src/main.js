@@ -8,6 +8,10 @@
  * @implements {theme_handler}
  * @implements {package_handler}
  * @implements {common_handler}
+ * @implements {registry_handler}
+ * @implements {service_handler}
+ * @implements {grammar_handler}
+ * @implements {identity_handler}
  */
 
 const express = require("express");
@@ -19,7 +23,12 @@ const user_handler = require("./handlers/user_handler.js");
 const theme_handler = require("./handlers/theme_handler.js");
 const package_handler = require("./handlers/package_handler.js");
 const common_handler = require("./handlers/common_handler.js");
+const registry_handler = require("./handlers/registry_handler.js");
+const service_handler = require("./handlers/service_handler.js");
+const grammar_handler = require("./handlers/grammar_handler.js");
 const oauth_handler = require("./handlers/oauth_handler.js");
+const token_handler = require("./handlers/token_handler.js");
+const identity_handler = require("./handlers/identity_handler.js");
 const server_version = require("../package.json").version;
 
 app.use((req, res, next) => {
@@ -48,10 +57,13 @@ app.get("/", (req, res) => {
 /**
  * @web
  * @ignore
- * @path /api/oauth
- * @desc OAuth Callback URL. Other details TBD.
+ * @path /api/login
+ * @desc Begins the GitHub OAuth login. Redirecting the user to GitHub, with a signed `state` to prevent CSRF.
  * @method GET
  * @auth FALSE
+ * @response
+ *   @status 302
+ *   @Rdesc A redirect to the GitHub OAuth page.
  */
 app.get("/api/login", async (req, res) => {
   await oauth_handler.GETLogin(req, res);
@@ -61,9 +73,28 @@ app.get("/api/login", async (req, res) => {
  * @web
  * @ignore
  * @path /api/oauth
- * @desc OAuth Callback URL. Other details TDB.
+ * @desc OAuth Callback URL. Exchanges the GitHub `code` for a token, creating or updating the user, and returning their new Atom.io token.
  * @method GET
  * @auth FALSE
+ * @param
+ *   @name code
+ *   @location query
+ *   @Ptype string
+ *   @required true
+ *   @Pdesc The code provided by GitHub.
+ * @param
+ *   @name state
+ *   @location query
+ *   @Ptype string
+ *   @required true
+ *   @Pdesc The signed state provided by `/api/login`.
+ * @response
+ *   @status 200
+ *   @Rdesc A page containing the new token to copy into the editor. Or if requested as JSON, the login and token.
+ *   @Rexample { "login": "confused-Techie", "token": "TOKEN" }
+ * @response
+ *   @status 401
+ *   @Rdesc The state is invalid, expired, or GitHub refused the code.
  */
 app.get("/api/oauth", async (req, res) => {
   await oauth_handler.GETOauth(req, res);
@@ -84,6 +115,12 @@ app.get("/api/oauth", async (req, res) => {
  *   @required false
  *   @Pdesc Indicate the page number to return.
  * @param
+ *   @name cursor
+ *   @location query
+ *   @Ptype string
+ *   @required false
+ *   @Pdesc An opaque cursor to a page, as linked to by the 'Link' Header of another page. Used over the page number if both are provided.
+ * @param
  *   @name sort
  *   @Ptype string
  *   @location query
@@ -101,7 +138,7 @@ app.get("/api/oauth", async (req, res) => {
  * @response
  *   @status 200
  *   @Rtype application/json
- *   @Rdesc Returns a list of all packages. Paginated 30 at a time. Links to the next and last pages are in the 'Link' Header.
+ *   @Rdesc Returns a list of all packages. Paginated 30 at a time. Links to the first, previous, next and last pages are in the 'Link' Header, and the total amount in the 'X-Total-Count' Header.
  */
 app.get("/api/packages", async (req, res) => {
   await package_handler.GETPackages(req, res);
@@ -111,7 +148,7 @@ app.get("/api/packages", async (req, res) => {
  * @web
  * @ignore
  * @path /api/packages
- * @desc Publishes a new Package.
+ * @desc Publishes a new Package. Requires the `publish` scope.
  * @method POST
  * @auth true
  * @param
@@ -119,7 +156,7 @@ app.get("/api/packages", async (req, res) => {
  *   @Ptype string
  *   @location query
  *   @required true
- *   @Pdesc The repository containing the plugin, in the form 'owner/repo'.
+ *   @Pdesc The repository containing the plugin, in the form 'owner/repo' for GitHub. Or the full `https://` URL of a repository on GitLab or Gitea. Repos outside GitHub can only be published through an account on their host linked with `/api/identities`.
  * @param
  *   @name Authentication
  *   @Ptype string
@@ -179,6 +216,12 @@ app.get("/api/packages/featured", async (req, res) => {
  *   @location query
  *   @Pdesc The page of search results to return.
  * @param
+ *   @name cursor
+ *   @location query
+ *   @Ptype string
+ *   @required false
+ *   @Pdesc An opaque cursor to a page, as linked to by the 'Link' Header of another page. Used over the page number if both are provided.
+ * @param
  *   @name sort
  *   @Ptype string
  *   @required false
@@ -194,10 +237,67 @@ app.get("/api/packages/featured", async (req, res) => {
  *   @default desc
  *   @location query
  *   @Pdesc Direction to list search results.
+ * @param
+ *   @name engine
+ *   @Ptype string
+ *   @required false
+ *   @location query
+ *   @Pdesc Only packages with a version compatible with this Atom version, such as `1.60.0`. Returning the compatible version as the metadata of each.
+ * @param
+ *   @name type
+ *   @Ptype string
+ *   @required false
+ *   @valid package, theme, ui-theme, syntax-theme
+ *   @location query
+ *   @Pdesc Only packages of this type.
+ * @param
+ *   @name license
+ *   @Ptype string
+ *   @required false
+ *   @location query
+ *   @Pdesc Only packages under this license, such as `MIT`.
+ * @param
+ *   @name keyword
+ *   @Ptype string
+ *   @required false
+ *   @location query
+ *   @Pdesc Only packages with this keyword.
+ * @param
+ *   @name owner
+ *   @Ptype string
+ *   @required false
+ *   @location query
+ *   @Pdesc Only packages whose repo belongs to this owner.
+ * @param
+ *   @name has_grammar
+ *   @Ptype boolean
+ *   @required false
+ *   @location query
+ *   @Pdesc Only packages with, or without, a grammar. As found within the repo when their latest version was published, or for older packages, being those named `language-*`.
+ * @param
+ *   @name scope
+ *   @Ptype string
+ *   @required false
+ *   @location query
+ *   @Pdesc Only packages adding a grammar, or snippets, for this scope, such as `source.zig`.
+ * @param
+ *   @name fileType
+ *   @Ptype string
+ *   @required false
+ *   @location query
+ *   @Pdesc Only packages adding a grammar for this file type, such as `zig`.
+ * @param
+ *   @name facets
+ *   @Ptype boolean
+ *   @required false
+ *   @default false
+ *   @location query
+ *   @Pdesc Return the results within an envelope, along with the counts of each facet.
  * @response
  *   @status 200
  *   @Rtype application/json
- *   @Rdesc Same format as listing packages, additionally paginated at 30 items.
+ *   @Rdesc Same format as listing packages, additionally paginated at 30 items. Links to the first, previous, next and last pages are in the 'Link' Header, and the total amount in the 'X-Total-Count' Header. With `facets=true` an object
+ *   of the `total` results, the `facets` counted for every result, each an array of `{ value, count }`, and the `packages`.
  */
 app.get("/api/packages/search", async (req, res) => {
   await package_handler.GETPackagesSearch(req, res);
@@ -207,7 +307,7 @@ app.get("/api/packages/search", async (req, res) => {
  * @web
  * @ignore
  * @path /api/packages/:packageName
- * @desc Show package details.
+ * @desc Show package details. If the package has been renamed, the previous name will still resolve, with a `Location` header of the current name.
  * @method GET
  * @auth false
  * @param
@@ -237,7 +337,9 @@ app.get("/api/packages/:packageName", async (req, res) => {
  * @path /api/packages/:packageName
  * @method DELETE
  * @auth true
- * @desc Delete a package.
+ * @desc Delete a package. Requires the `delete` scope, and ownership of the package repo, unless an admin.
+ * The package can be restored until the `DELETE_GRACE_PERIOD` passes, after which it is purged.
+ * Its name stays reserved either way, and can't be published again.
  * @param
  *   @name packageName
  *   @location path
@@ -269,13 +371,105 @@ app.delete("/api/packages/:packageName", async (req, res) => {
   await package_handler.DELETEPackagesName(req, res);
 });
 
+/**
+ * @web
+ * @ignore
+ * @path /api/packages/:packageName/restore
+ * @method POST
+ * @auth true
+ * @desc Restore a deleted package, that hasn't been purged yet. Requires the `delete` scope,
+ * and ownership of the package repo, unless an admin.
+ * @param
+ *   @name packageName
+ *   @location path
+ *   @Ptype string
+ *   @Pdesc The name of the deleted package to restore.
+ *   @required true
+ * @param
+ *   @name Authorization
+ *   @location header
+ *   @Ptype string
+ *   @Pdesc A valid Atom.io token, in the 'Authorization' Header.
+ *   @required true
+ * @response
+ *   @status 200
+ *   @Rtype application/json
+ *   @Rdesc Returns the restored package.
+ * @response
+ *   @status 401
+ *   @Rtype application/json
+ *   @Rdesc Unauthorized.
+ * @response
+ *   @status 404
+ *   @Rtype application/json
+ *   @Rdesc The package wasn't deleted, or has already been purged.
+ */
+app.post("/api/packages/:packageName/restore", async (req, res) => {
+  await package_handler.POSTPackagesRestore(req, res);
+});
+
+/**
+ * @web
+ * @ignore
+ * @path /api/packages/:packageName/deprecate
+ * @method POST
+ * @auth true
+ * @desc Deprecate a package, pointing users at a replacement if given. Deprecated packages are
+ * no longer featured, and are ranked lower when searching. Deprecating an already deprecated
+ * package replaces its deprecation. Requires the `publish` scope, and ownership of the package repo, unless an admin.
+ * @param
+ *   @name packageName
+ *   @location path
+ *   @Ptype string
+ *   @Pdesc The name of the package to deprecate.
+ *   @required true
+ * @param
+ *   @name Authorization
+ *   @location header
+ *   @Ptype string
+ *   @Pdesc A valid Atom.io token, in the 'Authorization' Header.
+ *   @required true
+ * @param
+ *   @name message
+ *   @location body
+ *   @Ptype string
+ *   @Pdesc Why the package is deprecated, shown to users. Up to 1000 characters.
+ *   @required true
+ * @param
+ *   @name replacement
+ *   @location body
+ *   @Ptype string
+ *   @Pdesc The name of an existing package to use instead.
+ *   @required false
+ * @response
+ *   @status 200
+ *   @Rtype application/json
+ *   @Rdesc Returns the deprecated package, with its `deprecated` object.
+ *   @Rexample { "name": "old-package", "deprecated": { "message": "Unmaintained.", "replacement": "new-package", "deprecated_at": 1657072373000 } }
+ * @response
+ *   @status 400
+ *   @Rtype application/json
+ *   @Rdesc The message or replacement is invalid.
+ * @response
+ *   @status 401
+ *   @Rtype application/json
+ *   @Rdesc Unauthorized.
+ */
+app.post(
+  "/api/packages/:packageName/deprecate",
+  express.json(),
+  async (req, res) => {
+    await package_handler.POSTPackagesDeprecate(req, res);
+  }
+);
+
 /**
  * @web
  * @ignore
  * @path /api/packages/:packageName/star
  * @method POST
  * @auth true
- * @desc Star a packge.
+ * @desc Star a packge. Requires the `star` scope.
  * @param
  *    @name packageName
  *    @location path
@@ -303,7 +497,7 @@ app.post("/api/packages/:packageName/star", async (req, res) => {
  * @path /api/packages/:packageName/star
  * @method DELETE
  * @auth true
- * @desc Unstar a package, requires authentication.
+ * @desc Unstar a package, requires authentication. Requires the `star` scope.
  * @param
  *  @location header
  *  @Ptype string
@@ -335,22 +529,94 @@ app.delete("/api/packages/:packageName/star", async (req, res) => {
  *  @required true
  *  @name packageName
  *  @Pdesc The package name to check for users stars.
+ * @param
+ *  @name page
+ *  @location query
+ *  @Ptype integer
+ *  @default 1
+ *  @required false
+ *  @Pdesc Indicate the page number to return.
+ * @param
+ *  @name cursor
+ *  @location query
+ *  @Ptype string
+ *  @required false
+ *  @Pdesc An opaque cursor to a page, as linked to by the 'Link' Header of another page. Used over the page number if both are provided.
  * @response
  *  @status 200
- *  @Rdesc A list of user Objects.
+ *  @Rdesc A list of user Objects. Paginated 30 at a time. Links to the first, previous, next and last pages are in the 'Link' Header, and the total amount in the 'X-Total-Count' Header.
  *  @Rexample [ { "login": "aperson" }, { "login": "anotherperson" } ]
  */
 app.get("/api/packages/:packageName/stargazers", async (req, res) => {
   await package_handler.GETPackagesStargazers(req, res);
 });
 
+/**
+ * @web
+ * @ignore
+ * @path /api/packages/:packageName/dependents
+ * @method GET
+ * @desc List the packages with a version depending on a package, either within their `dependencies` or `packageDependencies`. Versions that have been yanked are left out.
+ * @param
+ *  @location path
+ *  @required true
+ *  @name packageName
+ *  @Pdesc The package depended on.
+ * @param
+ *  @name page
+ *  @location query
+ *  @Ptype integer
+ *  @default 1
+ *  @required false
+ *  @Pdesc Indicate the page number to return.
+ * @param
+ *  @name cursor
+ *  @location query
+ *  @Ptype string
+ *  @required false
+ *  @Pdesc An opaque cursor to a page, as linked to by the 'Link' Header of another page. Used over the page number if both are provided.
+ * @response
+ *  @status 200
+ *  @Rdesc A list of the dependent packages, sorted by name. With `dependencies` and `packageDependencies` each being an object of the versions of the dependent package, to the range of the package they depend on. Paginated 30 at a time. Links to the first, previous, next and last pages are in the 'Link' Header, and the total amount in the 'X-Total-Count' Header.
+ *  @Rexample [ { "name": "linter-eslint", "dependencies": {}, "packageDependencies": { "1.0.0": "^2.0.0" } } ]
+ * @response
+ *  @status 404
+ *  @Rdesc The package doesn't exist.
+ */
+app.get("/api/packages/:packageName/dependents", async (req, res) => {
+  await package_handler.GETPackagesDependents(req, res);
+});
+
+/**
+ * @web
+ * @ignore
+ * @path /api/packages/:packageName/dependencies
+ * @method GET
+ * @desc List the packages a package depends on, either within its `dependencies` or `packageDependencies`. Versions that have been yanked are left out.
+ * @param
+ *  @location path
+ *  @required true
+ *  @name packageName
+ *  @Pdesc The package to list the dependencies of.
+ * @response
+ *  @status 200
+ *  @Rdesc A list of the packages depended on, sorted by name. With `dependencies` and `packageDependencies` each being an object of the versions of the package, to the range they depend on.
+ *  @Rexample [ { "name": "tree-sitter-css", "dependencies": { "0.45.4": "^0.19.0" }, "packageDependencies": {} } ]
+ * @response
+ *  @status 404
+ *  @Rdesc The package doesn't exist.
+ */
+app.get("/api/packages/:packageName/dependencies", async (req, res) => {
+  await package_handler.GETPackagesDependencies(req, res);
+});
+
 /**
  * @web
  * @ignore
  * @path /api/packages/:packageName/versions
  * @auth true
  * @method POST
- * @desc Creates a new package version from a git tag. If `rename` is not `true`, the `name` field in `package.json` _must_ match the current package name.
+ * @desc Creates a new package version from a git tag. If `rename` is not `true`, the `name` field in `package.json` _must_ match the current package name. Requires the `publish` scope.
  * @param
  *  @location path
  *  @name packageName
@@ -391,7 +657,8 @@ app.post("/api/packages/:packageName/versions", async (req, res) => {
  * @path /api/packages/:packageName/versions/:versionName
  * @method GET
  * @auth false
- * @desc Returns `package.json` with `dist` key added for tarball download.
+ * @desc Returns `package.json` with `dist` key added for tarball download. If the tarball is stored by the server,
+ * `dist` also contains its `sha512` `integrity` and `size`, allowing clients to verify their download.
  * @param
  *  @location path
  *  @name packageName
@@ -401,10 +668,18 @@ app.post("/api/packages/:packageName/versions", async (req, res) => {
  *  @location path
  *  @name versionName
  *  @required true
- *  @Pdesc The Version we want to access.
+ *  @Pdesc The Version we want to access. Or `latest` for the latest version.
+ * @param
+ *  @location query
+ *  @name engine
+ *  @required false
+ *  @Pdesc When the version is `latest`, only consider versions compatible with this Atom version, such as `1.60.0`.
  * @response
  *  @status 200
  *  @Rdesc The `package.json` modified as explainged in the endpoint description.
+ * @response
+ *  @status 404
+ *  @Rdesc The package or version doesn't exist, the version isn't valid SemVer, or no version is compatible with the `engine`.
  */
 app.get(
   "/api/packages/:packageName/versions/:versionName",
@@ -422,7 +697,9 @@ app.get(
  * @path /api/packages/:packageName/versions/:versionName/tarball
  * @method GET
  * @auth false
- * @desc Previously undocumented endpoint. Seems to allow for installation of a package. This is not currently implemented.
+ * @desc Previously undocumented endpoint. Downloads the tarball of a package version. Tarballs stored by the server
+ * are served directly, with an `ETag` of their `integrity`, and support for a single byte `Range`. Versions published
+ * before tarballs were stored, redirect to the tarball on their git host.
  * @param
  *   @location path
  *   @name packageName
@@ -432,10 +709,37 @@ app.get(
  *   @location path
  *   @name versionName
  *   @required true
- *   @Pdesc The package version we want to download.
+ *   @Pdesc The package version we want to download. Or `latest` for the latest version.
+ * @param
+ *   @location query
+ *   @name engine
+ *   @required false
+ *   @Pdesc When the version is `latest`, only consider versions compatible with this Atom version, such as `1.60.0`.
+ * @param
+ *   @location header
+ *   @name If-None-Match
+ *   @required false
+ *   @Pdesc The `ETag` of a previously downloaded tarball.
+ * @param
+ *   @location header
+ *   @name Range
+ *   @required false
+ *   @Pdesc A single byte range of the tarball to download.
  * @response
  *   @status 200
  *   @Rdesc The tarball data for the user to then be able to install.
+ * @response
+ *   @status 206
+ *   @Rdesc The requested range of the tarball.
+ * @response
+ *   @status 302
+ *   @Rdesc A redirect to the tarball on the git host, for versions not stored by the server.
+ * @response
+ *   @status 304
+ *   @Rdesc The tarball matches the `If-None-Match` header.
+ * @response
+ *   @status 416
+ *   @Rdesc The requested range can't be satisfied.
  */
 app.get(
   "/api/packages/:packageName/versions/:versionName/tarball",
@@ -450,7 +754,8 @@ app.get(
  * @path /api/packages/:packageName/versions/:versionName
  * @method DELETE
  * @auth true
- * @desc Deletes a package version. Note once a version is deleted, that same version should not be reused again.
+ * @desc Yanks a package version. A yanked version is still available by its exact version, but is no longer listed
+ * or used as the latest version, and can never be published again. Requires the `delete` scope, and ownership of the package repo, unless an admin.
  * @param
  *  @location header
  *  @name Authentication
@@ -460,15 +765,21 @@ app.get(
  *  @location path
  *  @name packageName
  *  @required true
- *  @Pdesc The package name to check for the version to delete.
+ *  @Pdesc The package name to check for the version to yank.
  * @param
  *  @location path
  *  @name versionName
  *  @required true
- *  @Pdesc The Package Version to actually delete.
+ *  @Pdesc The Package Version to actually yank.
  * @response
  *  @status 204
- *  @Rdesc Indicates a successful deletion.
+ *  @Rdesc Indicates a successful yank, or that the version was already yanked.
+ * @response
+ *  @status 404
+ *  @Rdesc The package or version doesn't exist.
+ * @response
+ *  @status 409
+ *  @Rdesc The version is the only one left that isn't yanked.
  */
 app.delete(
   "/api/packages/:packageName/versions/:versionName",
@@ -481,7 +792,7 @@ app.delete(
  * @web
  * @ignore
  * @path /api/packages/:packageName/versions/:versionName/events/uninstall
- * @desc Previously undocumented endpoint. BETA: Decreases the packages download count, by one. Indicating an uninstall.
+ * @desc Previously undocumented endpoint. BETA: Decreases the packages download count, by one. Indicating an uninstall. Requires the `read` scope.
  * @method POST
  * @auth true
  * @param
@@ -510,6 +821,50 @@ app.post(
   }
 );
 
+/**
+ * @web
+ * @ignore
+ * @path /api/themes
+ * @desc List all themes. Themes being any package with a `theme` of `ui` or `syntax` in its `package.json`.
+ * @method GET
+ * @auth false
+ * @param
+ *   @name page
+ *   @location query
+ *   @Ptype integer
+ *   @default 1
+ *   @required false
+ *   @Pdesc Indicate the page number to return.
+ * @param
+ *   @name cursor
+ *   @location query
+ *   @Ptype string
+ *   @required false
+ *   @Pdesc An opaque cursor to a page, as linked to by the 'Link' Header of another page. Used over the page number if both are provided.
+ * @param
+ *   @name sort
+ *   @Ptype string
+ *   @location query
+ *   @default downloads
+ *   @valid downloads, created_at, updated_at, stars
+ *   @required false
+ *   @Pdesc The method to sort the returned themes by.
+ * @param
+ *   @name direction
+ *   @Ptype string
+ *   @default desc
+ *   @valid desc, asc
+ *   @required false
+ *   @Pdesc Which direction to list the results.
+ * @response
+ *   @status 200
+ *   @Rtype application/json
+ *   @Rdesc Returns a list of all themes. Paginated 30 at a time. Links to the first, previous, next and last pages are in the 'Link' Header, and the total amount in the 'X-Total-Count' Header.
+ */
+app.get("/api/themes", async (req, res) => {
+  await theme_handler.GETThemes(req, res);
+});
+
 /**
  * @web
  * @ignore
@@ -517,6 +872,12 @@ app.post(
  * @desc Previously undocumented endpoint. BETA: Returns 'Featured' Themes from all available themes.
  * @method GET
  * @auth false
+ * @param
+ *   @name engine
+ *   @location query
+ *   @Ptype string
+ *   @Pdesc Only show theme versions compatible with this Atom version. Must be valid SemVer.
+ *   @required false
  * @response
  *   @status 200
  *   @Rdesc Returns an array of Theme Packages. Similar to the /api/packages Endpoint.
@@ -525,6 +886,56 @@ app.get("/api/themes/featured", async (req, res) => {
   await theme_handler.GETThemeFeatured(req, res);
 });
 
+/**
+ * @web
+ * @ignore
+ * @path /api/themes/search
+ * @desc Searches all Themes.
+ * @method GET
+ * @auth false
+ * @param
+ *   @name q
+ *   @Ptype string
+ *   @required true
+ *   @location query
+ *   @Pdesc Search query.
+ * @param
+ *   @name page
+ *   @Ptype integer
+ *   @required false
+ *   @location query
+ *   @Pdesc The page of search results to return.
+ * @param
+ *   @name cursor
+ *   @location query
+ *   @Ptype string
+ *   @required false
+ *   @Pdesc An opaque cursor to a page, as linked to by the 'Link' Header of another page. Used over the page number if both are provided.
+ * @param
+ *   @name sort
+ *   @Ptype string
+ *   @required false
+ *   @valid downloads, created_at, updated_at, stars
+ *   @default relevance
+ *   @location query
+ *   @Pdesc Method to sort the results.
+ * @param
+ *   @name direction
+ *   @Ptype string
+ *   @required false
+ *   @valid asc, desc
+ *   @default desc
+ *   @location query
+ *   @Pdesc Direction to list search results.
+ * @response
+ *   @status 200
+ *   @Rtype application/json
+ *   @Rdesc Same format as listing themes, additionally paginated at 30 items. Links to the first, previous, next and last pages are in the 'Link' Header, and the total amount in the 'X-Total-Count' Header.
+ */
+app.get("/api/themes/search", async (req, res) => {
+  await theme_handler.GETThemesSearch(req, res);
+});
+
 /**
  * @web
  * @ignore
@@ -537,9 +948,22 @@ app.get("/api/themes/featured", async (req, res) => {
  *   @Ptype string
  *   @required true
  *   @Pdesc The username of who to list their stars.
+ * @param
+ *   @name page
+ *   @location query
+ *   @Ptype integer
+ *   @default 1
+ *   @required false
+ *   @Pdesc Indicate the page number to return.
+ * @param
+ *   @name cursor
+ *   @location query
+ *   @Ptype string
+ *   @required false
+ *   @Pdesc An opaque cursor to a page, as linked to by the 'Link' Header of another page. Used over the page number if both are provided.
  * @response
  *   @status 200
- *   @Rdesc Return value is similar to GET /api/packages
+ *   @Rdesc Return value is similar to GET /api/packages, paginated 30 at a time. Links to the first, previous, next and last pages are in the 'Link' Header, and the total amount in the 'X-Total-Count' Header.
  * @response
  *  @status 404
  *  @Rdesc If the login does not exist, a 404 is returned.
@@ -553,7 +977,7 @@ app.get("/api/users/:login/stars", async (req, res) => {
  * @ignore
  * @path /api/stars
  * @method GET
- * @desc List the authenticated user's starred packages.
+ * @desc List the authenticated user's starred packages. Requires the `read` scope.
  * @auth true
  * @param
  *   @name auth
@@ -561,30 +985,377 @@ app.get("/api/users/:login/stars", async (req, res) => {
  *   @Ptype string
  *   @required true
  *   @Pdesc Authorization Header of valid Atom.io Token.
+ * @param
+ *   @name page
+ *   @location query
+ *   @Ptype integer
+ *   @default 1
+ *   @required false
+ *   @Pdesc Indicate the page number to return.
+ * @param
+ *   @name cursor
+ *   @location query
+ *   @Ptype string
+ *   @required false
+ *   @Pdesc An opaque cursor to a page, as linked to by the 'Link' Header of another page. Used over the page number if both are provided.
  * @response
  *   @status 200
- *   @Rdesc Return value similar to GET /api/packages, an array of package objects.
+ *   @Rdesc Return value similar to GET /api/packages, an array of package objects. Paginated 30 at a time. Links to the first, previous, next and last pages are in the 'Link' Header, and the total amount in the 'X-Total-Count' Header.
  *   @Rtype application/json
  */
 app.get("/api/stars", async (req, res) => {
   await star_handler.GETStars(req, res);
 });
 
+/**
+ * @web
+ * @ignore
+ * @path /api/tokens
+ * @method GET
+ * @desc List the authenticated user's tokens. Never including the tokens themselves. Requires the `read` scope.
+ * @auth true
+ * @param
+ *   @name auth
+ *   @location header
+ *   @Ptype string
+ *   @required true
+ *   @Pdesc Authorization Header of valid Atom.io Token.
+ * @response
+ *   @status 200
+ *   @Rtype application/json
+ *   @Rdesc An array of the user's tokens.
+ *   @Rexample [ { "id": "3e49aaecae61e09a", "name": "Laptop", "scopes": ["read", "star"], "created_at": 1656633600000, "last_used": 1656637200000 } ]
+ */
+app.get("/api/tokens", async (req, res) => {
+  await token_handler.GETTokens(req, res);
+});
+
+/**
+ * @web
+ * @ignore
+ * @path /api/tokens
+ * @method POST
+ * @desc Create a new named token for the authenticated user. Requires the `tokens` scope. A token can only grant scopes it has itself.
+ * @auth true
+ * @param
+ *   @name auth
+ *   @location header
+ *   @Ptype string
+ *   @required true
+ *   @Pdesc Authorization Header of valid Atom.io Token.
+ * @param
+ *   @name name
+ *   @location query
+ *   @Ptype string
+ *   @required true
+ *   @Pdesc A name for the token, such as `Laptop` or `CI`. Up to 50 letters, digits, spaces, dashes, underscores or dots.
+ * @param
+ *   @name scopes
+ *   @location query
+ *   @Ptype string
+ *   @required false
+ *   @valid read, star, publish, delete, admin
+ *   @Pdesc A comma separated list of scopes to grant the token, such as `publish` for CI. Defaults to the scopes of the token used to make the request, other than `tokens`.
+ * @response
+ *   @status 201
+ *   @Rtype application/json
+ *   @Rdesc The new token. The `token` is only ever returned here, and cannot be retrieved again.
+ *   @Rexample { "id": "3e49aaecae61e09a", "name": "Laptop", "scopes": ["read", "star"], "created_at": 1656633600000, "last_used": null, "token": "3e49aaecae61e09a_..." }
+ * @response
+ *   @status 400
+ *   @Rdesc The name or scopes provided are invalid.
+ * @response
+ *   @status 403
+ *   @Rdesc The token used does not have the `tokens` scope, or every scope requested.
+ */
+app.post("/api/tokens", async (req, res) => {
+  await token_handler.POSTTokens(req, res);
+});
+
+/**
+ * @web
+ * @ignore
+ * @path /api/tokens/:tokenId
+ * @method DELETE
+ * @desc Revoke one of the authenticated user's tokens. Requires the `tokens` scope. Only tokens with no more scopes than the token used can be revoked.
+ * @auth true
+ * @param
+ *   @name auth
+ *   @location header
+ *   @Ptype string
+ *   @required true
+ *   @Pdesc Authorization Header of valid Atom.io Token.
+ * @param
+ *   @name tokenId
+ *   @location path
+ *   @Ptype string
+ *   @required true
+ *   @Pdesc The `id` of the token to revoke.
+ * @response
+ *   @status 204
+ *   @Rdesc The token has been revoked.
+ * @response
+ *   @status 403
+ *   @Rdesc The token used does not have the `tokens` scope, or every scope of the token to revoke.
+ * @response
+ *   @status 404
+ *   @Rdesc The user has no token with that `id`.
+ */
+app.delete("/api/tokens/:tokenId", async (req, res) => {
+  await token_handler.DELETETokensID(req, res);
+});
+
+/**
+ * @web
+ * @ignore
+ * @path /api/identities
+ * @method POST
+ * @desc Link an account on a git host other than GitHub, such as a self-managed GitLab, to the authenticated user. Allowing them to publish and manage packages whose repos they can push to on that host. The token of the account is only used to find the account, and is never stored. Requires the `tokens` scope.
+ * @auth true
+ * @param
+ *   @name auth
+ *   @location header
+ *   @Ptype string
+ *   @required true
+ *   @Pdesc Authorization Header of valid Atom.io Token.
+ * @param
+ *   @name host
+ *   @location body
+ *   @Ptype string
+ *   @required true
+ *   @Pdesc The hostname of the git host, such as `gitlab.com`. Must be `gitlab.com`, `codeberg.org`, or a host configured by the server.
+ * @param
+ *   @name token
+ *   @location body
+ *   @Ptype string
+ *   @required true
+ *   @Pdesc An access token of the account on that host, able to read the account. Such as a GitLab personal access token with the `read_user` scope.
+ * @response
+ *   @status 201
+ *   @Rtype application/json
+ *   @Rdesc The linked account, replacing any account previously linked on the same host.
+ *   @Rexample { "host": "gitlab.com", "id": 1234, "username": "confused-Techie", "linked_at": 1656633600000 }
+ * @response
+ *   @status 400
+ *   @Rdesc The host isn't supported, or refused the token.
+ * @response
+ *   @status 403
+ *   @Rdesc The token used does not have the `tokens` scope.
+ */
+app.post("/api/identities", express.json(), async (req, res) => {
+  await identity_handler.POSTIdentities(req, res);
+});
+
 /**
  * @web
  * @ignore
  * @path /api/updates
  * @method GET
  * @desc List Atom Updates.
+ * @param
+ *   @name version
+ *   @location query
+ *   @Ptype string
+ *   @required false
+ *   @Pdesc The version of the editor currently installed. Must be valid SemVer.
+ * @param
+ *   @name platform
+ *   @location query
+ *   @Ptype string
+ *   @default darwin
+ *   @required false
+ *   @Pdesc The platform of the editor currently installed. Such as `darwin`, `win32-x64`, or `linux-x64`.
+ * @param
+ *   @name channel
+ *   @location query
+ *   @Ptype string
+ *   @default stable
+ *   @valid stable, beta
+ *   @required false
+ *   @Pdesc The release channel to receive updates from. The beta channel also receives stable releases.
  * @response
  *   @status 200
  *   @Rtype application/json
  *   @Rdesc Atom update feed, following the format expected by Squirrel.
+ *   @Rexample { "url": "https://example.com/atom-mac.zip", "name": "1.60.0", "notes": "Release Notes", "pub_date": "2022-07-01T00:00:00.000Z" }
+ * @response
+ *   @status 204
+ *   @Rdesc The editor is already up to date.
  */
 app.get("/api/updates", async (req, res) => {
   await update_handler.GETUpdates(req, res);
 });
 
+/**
+ * @web
+ * @ignore
+ * @path /api/updates
+ * @method POST
+ * @auth true
+ * @desc Adds a new release to the update feed. Only available to admins, with a token with the `admin` scope.
+ * @param
+ *   @name auth
+ *   @location header
+ *   @Ptype string
+ *   @required true
+ *   @Pdesc Authorization Header of valid Atom.io Token, belonging to an admin.
+ * @param
+ *   @name release
+ *   @location body
+ *   @Ptype application/json
+ *   @required true
+ *   @Pdesc The release, containing `version`, `channel`, `notes`, `assets` as an object of platforms to URLs, and optionally `pub_date`.
+ * @response
+ *   @status 201
+ *   @Rtype application/json
+ *   @Rdesc Returns the created release.
+ * @response
+ *   @status 400
+ *   @Rdesc The release provided is invalid.
+ * @response
+ *   @status 403
+ *   @Rdesc The user is not an admin.
+ * @response
+ *   @status 409
+ *   @Rdesc A release of that version already exists.
+ */
+app.post("/api/updates", express.json(), async (req, res) => {
+  await update_handler.POSTUpdates(req, res);
+});
+
+/**
+ * @web
+ * @ignore
+ * @path /api/updates/:versionName
+ * @method DELETE
+ * @auth true
+ * @desc Removes a release from the update feed. Only available to admins, with a token with the `admin` scope.
+ * @param
+ *   @name versionName
+ *   @location path
+ *   @required true
+ *   @Pdesc The version of the release to remove.
+ * @param
+ *   @name auth
+ *   @location header
+ *   @Ptype string
+ *   @required true
+ *   @Pdesc Authorization Header of valid Atom.io Token, belonging to an admin.
+ * @response
+ *   @status 204
+ *   @Rdesc Indicates a successful deletion.
+ * @response
+ *   @status 403
+ *   @Rdesc The user is not an admin.
+ */
+app.delete("/api/updates/:versionName", async (req, res) => {
+  await update_handler.DELETEUpdatesVersion(req, res);
+});
+
+/**
+ * @web
+ * @ignore
+ * @path /api/services/:serviceName
+ * @method GET
+ * @auth false
+ * @desc Lists the packages providing and consuming a service, within their `providedServices` and `consumedServices`. Versions that have been yanked are left out.
+ * @param
+ *   @name serviceName
+ *   @location path
+ *   @required true
+ *   @Pdesc The name of the service.
+ * @response
+ *   @status 200
+ *   @Rtype application/json
+ *   @Rdesc The service, with its `providers` and `consumers` sorted by name. Each with `versions`, an object of the versions of the package, to the service versions it provides, or the ranges it consumes.
+ *   @Rexample { "name": "status-bar", "providers": [ { "name": "status-bar", "versions": { "1.8.17": [ "1.1.0", "0.58.0" ] } } ], "consumers": [ { "name": "cursor-position", "versions": { "0.1.0": [ "^1.0.0" ] } } ] }
+ * @response
+ *   @status 404
+ *   @Rdesc No package provides or consumes the service.
+ */
+app.get("/api/services/:serviceName", async (req, res) => {
+  await service_handler.GETServicesName(req, res);
+});
+
+/**
+ * @web
+ * @ignore
+ * @path /api/grammars
+ * @method GET
+ * @auth false
+ * @desc Lists the packages adding a grammar, or snippets, for a scope or file type. As found within the `grammars` and `snippets` directories of the repo, when the latest version of each package was published. A grammar must match both the `scope` and `fileType` if both are provided, while snippets only match a `scope`. Providing neither lists every package adding a grammar or snippets.
+ * @param
+ *   @name scope
+ *   @location query
+ *   @Ptype string
+ *   @required false
+ *   @Pdesc The scope of the grammar or snippets, such as `source.zig`.
+ * @param
+ *   @name fileType
+ *   @location query
+ *   @Ptype string
+ *   @required false
+ *   @Pdesc The file type of the grammar, such as `zig`. Ignoring case, and any leading `.`.
+ * @param
+ *   @name page
+ *   @location query
+ *   @Ptype integer
+ *   @default 1
+ *   @required false
+ *   @Pdesc Indicate the page number to return.
+ * @param
+ *   @name cursor
+ *   @location query
+ *   @Ptype string
+ *   @required false
+ *   @Pdesc An opaque cursor to a page, as linked to by the 'Link' Header of another page. Used over the page number if both are provided.
+ * @response
+ *   @status 200
+ *   @Rtype application/json
+ *   @Rdesc The packages found, sorted by name, with their latest `version`, and only the `grammars` and `snippets` matching. Paginated 30 at a time. Links to the first, previous, next and last pages are in the 'Link' Header, and the total amount in the 'X-Total-Count' Header.
+ *   @Rexample [ { "name": "language-zig", "version": "1.0.0", "grammars": [ { "name": "Zig", "scopeName": "source.zig", "fileTypes": [ "zig" ], "path": "grammars/zig.cson" } ], "snippets": [ "source.zig" ] } ]
+ */
+app.get("/api/grammars", async (req, res) => {
+  await grammar_handler.GETGrammars(req, res);
+});
+
+/**
+ * @web
+ * @ignore
+ * @path /registry/:packageName
+ * @method GET
+ * @auth false
+ * @desc Returns the package as an npm package document, or 'packument', allowing npm compatible tools to resolve
+ * and download packages. Each version that hasn't been yanked is included, with a `dist` linking to its tarball, and
+ * its `integrity` if the tarball is stored by the server. Deprecated packages have each version marked `deprecated`.
+ * Renamed packages return the packument under their current name, with a `Location` header of it.
+ * @param
+ *   @name packageName
+ *   @location path
+ *   @required true
+ *   @Pdesc The name of the package.
+ * @param
+ *   @name Accept
+ *   @location header
+ *   @required false
+ *   @Pdesc `application/vnd.npm.install-v1+json` to only return what's needed to install the package.
+ * @response
+ *   @status 200
+ *   @Rtype application/json
+ *   @Rdesc The packument, containing `name`, `dist-tags`, `versions`, and `time`. Where `time` includes
+ *   when each version was published, if known.
+ * @response
+ *   @status 200
+ *   @Rtype application/vnd.npm.install-v1+json
+ *   @Rdesc The abbreviated packument, containing `name`, `modified`, `dist-tags`, and `versions`.
+ * @response
+ *   @status 404
+ *   @Rdesc The package doesn't exist.
+ */
+app.get("/registry/:packageName", async (req, res) => {
+  await registry_handler.GETRegistryPackage(req, res);
+});
+
 app.use((req, res) => {
   // Having this as the last route, will handle all other unknown routes.
   // Ensure to leave this at the very last position to handle properly.
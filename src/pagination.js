@@ -0,0 +1,167 @@
+/**
+ * @module pagination
+ * @desc Splits an already sorted collection, such as packages or stargazers, into pages.
+ * A page is asked for either by its number, with the `page` query parameter, or by an opaque
+ * `cursor` from the `Link` header of another page. A cursor points at the item the previous page
+ * ended on, rather than a position, so packages published or deleted while paging through
+ * don't cause items to be skipped or repeated.
+ * @implements {config}
+ */
+
+const { server_url, paginated_amount } = require("./config.js").GetConfig();
+
+/**
+ * @function Paginate
+ * @desc Finds the items on the page asked for. Where a `cursor` is used over the `page` if both
+ * are provided. If the item a cursor points at no longer exists, the page starts at the position
+ * that item was at instead.
+ * @param {object[]} items - The full, already sorted, array of items.
+ * @param {object} position - The page asked for.
+ * @param {string|number} position.page - The page number, as returned by `query.page`.
+ * @param {string} [position.cursor] - The cursor, as returned by `query.cursor`, or '' if none.
+ * @param {function} [id] - Returns what uniquely identifies an item. Defaults to its `name`.
+ * @returns {object} A Page Object, containing the `items` on the page, the `total` amount
+ * of items, the current `page` number, the `total_pages`, the `cursor` asked for, and the
+ * cursors of the `prev` and `next` pages, which are '' if there isn't one.
+ */
+function Paginate(items, position, id = (item) => item.name) {
+  const size = parseInt(paginated_amount);
+  const cursor = decodeCursor(position.cursor);
+  let start, end;
+
+  if (cursor !== undefined) {
+    const idx = items.findIndex((item) => id(item) === cursor.id);
+    const at = idx === -1 ? Math.min(cursor.offset, items.length) : idx;
+
+    if (cursor.dir === "next") {
+      start = idx === -1 ? at : at + 1;
+      end = start + size;
+    } else {
+      end = at;
+      start = Math.max(end - size, 0);
+      // The first page is always full, even if the items before the cursor aren't.
+      end = Math.max(end, start + size);
+    }
+  } else {
+    start = (Math.max(parseInt(position.page), 1) - 1) * size;
+    end = start + size;
+  }
+
+  end = Math.min(end, items.length);
+  const page_items = items.slice(start, end);
+
+  return {
+    items: page_items,
+    total: items.length,
+    page: Math.floor(start / size) + 1,
+    total_pages: Math.max(Math.ceil(items.length / size), 1),
+    cursor: cursor !== undefined ? position.cursor : "",
+    prev:
+      start > 0 && page_items.length > 0
+        ? encodeCursor({ id: id(page_items[0]), offset: start, dir: "prev" })
+        : "",
+    next:
+      end < items.length && page_items.length > 0
+        ? encodeCursor({
+            id: id(page_items[page_items.length - 1]),
+            offset: end - 1,
+            dir: "next",
+          })
+        : "",
+  };
+}
+
+/**
+ * @function SetHeaders
+ * @desc Adds the `Link` header, with the `self`, `first`, `prev`, `next` and `last` pages,
+ * and the `X-Total-Count` header, of the total amount of items, to a response.
+ * Where `prev` and `next` are left out if there isn't one.
+ * @param {object} res - The `Response` object inherited from the Express endpoint.
+ * @param {string} path - The path of the endpoint, such as `/api/packages`.
+ * @param {string} params - The query parameters to include in every link, other than the
+ * page, such as `sort=downloads&order=desc`. Or '' if none.
+ * @param {object} page - The Page Object, as returned by `Paginate`.
+ */
+function SetHeaders(res, path, params, page) {
+  const link = (position, rel) =>
+    `<${server_url}${path}?${position}${
+      params ? `&${params}` : ""
+    }>; rel="${rel}"`;
+
+  let links = [
+    link(
+      page.cursor !== "" ? `cursor=${page.cursor}` : `page=${page.page}`,
+      "self"
+    ),
+    link("page=1", "first"),
+  ];
+
+  if (page.prev !== "") {
+    links.push(link(`cursor=${page.prev}`, "prev"));
+  }
+  if (page.next !== "") {
+    links.push(link(`cursor=${page.next}`, "next"));
+  }
+
+  links.push(link(`page=${page.total_pages}`, "last"));
+
+  res.append("Link", links.join(", "));
+  res.append("X-Total-Count", `${page.total}`);
+}
+
+/**
+ * @function encodeCursor
+ * @desc Unexported function, that encodes a cursor, so it's safe to use within a URL
+ * without being escaped.
+ * @param {object} cursor - The `id` of the item pointed at, its `offset`, and the
+ * `dir` of the page, `next` for the page after the item, or `prev` for the page before.
+ * @returns {string} The opaque cursor.
+ */
+function encodeCursor(cursor) {
+  return Buffer.from(JSON.stringify(cursor))
+    .toString("base64")
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+/**
+ * @function decodeCursor
+ * @desc Unexported function, that decodes a cursor made by `encodeCursor`.
+ * @param {string} [cursor] - The opaque cursor.
+ * @returns {object|undefined} The decoded cursor, or undefined if none, or invalid.
+ */
+function decodeCursor(cursor) {
+  if (typeof cursor !== "string" || cursor === "") {
+    return undefined;
+  }
+
+  try {
+    const decoded = JSON.parse(
+      Buffer.from(
+        cursor.replace(/-/g, "+").replace(/_/g, "/"),
+        "base64"
+      ).toString()
+    );
+
+    if (
+      typeof decoded !== "object" ||
+      decoded === null ||
+      typeof decoded.id !== "string" ||
+      !Number.isInteger(decoded.offset) ||
+      decoded.offset < 0 ||
+      !["next", "prev"].includes(decoded.dir)
+    ) {
+      return undefined;
+    }
+
+    return decoded;
+  } catch (err) {
+    return undefined;
+  }
+}
+
+module.exports = {
+  Paginate,
+  SetHeaders,
+};
@@ -27,6 +27,23 @@ function page(req) {
   return prov.match(/^\d+$/) !== null ? prov : def;
 }
 
+/**
+ * @function cursor
+ * @desc Parser of the 'cursor' query parameter. An opaque cursor to a page, as given by the `Link`
+ * header of another page. Only its format is checked here, leaving decoding it to `pagination`.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @returns {string} Returns the valid 'cursor' provided, or '' if none, or invalid.
+ */
+function cursor(req) {
+  let prov = req.query.cursor;
+
+  if (typeof prov !== "string") {
+    return "";
+  }
+
+  return prov.match(/^[\w-]{1,1000}$/) !== null ? prov : "";
+}
+
 /**
  * @function sort
  * @desc Parser for the 'sort' query parameter. Defaulting usually to downloads.
@@ -115,6 +132,7 @@ function query(req) {
  * @desc Parses the 'engine' query parameter to ensure its valid, otherwise returning false.
  * @param {object} req - The `Request` object inherited from the Express endpoint.
  * @returns {string|boolean} Returns the valid 'engine' specified, or if none, returns false.
+ * @implements {validSemver}
  */
 function engine(req) {
   let prov = req.query.engine;
@@ -123,28 +141,230 @@ function engine(req) {
     return false;
   }
 
-  // Taken from
-  // - https://semver.org/#is-there-a-suggested-regular-expression-regex-to-check-a-semver-string
-  // - https://regex101.com/r/vkijKf/1/
-  // The only difference is that we use \d rather than 0-9 as suggested by Codacy
+  return validSemver(prov) ? prov : false;
+}
 
-  const regex =
-    /^(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)(?:-((?:0|[1-9]\d*|\d*[a-zA-Z-][\da-zA-Z-]*)(?:\.(?:0|[1-9]\d*|\d*[a-zA-Z-][\da-zA-Z-]*))*))?(?:\+([\da-zA-Z-]+(?:\.[\da-zA-Z-]+)*))?$/;
+/**
+ * @function type
+ * @desc Parses the 'type' query parameter, of the packages to filter a search to.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @returns {string|boolean} Returns the valid 'type', one of `package`, `theme`, `ui-theme`
+ * or `syntax-theme`. Or if none, or invalid, returns false.
+ */
+function type(req) {
+  let valid = ["package", "theme", "ui-theme", "syntax-theme"];
+  let prov = req.query.type;
+
+  if (prov === undefined) {
+    return false;
+  }
+
+  return valid.includes(prov) ? prov : false;
+}
+
+/**
+ * @function license
+ * @desc Parses the 'license' query parameter, an SPDX license identifier such as `MIT`.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @returns {string|boolean} Returns the valid 'license', or if none, or invalid, returns false.
+ */
+function license(req) {
+  let prov = req.query.license;
+
+  if (typeof prov !== "string") {
+    return false;
+  }
+
+  return prov.match(/^[\w.+-]{1,100}$/) !== null ? prov : false;
+}
+
+/**
+ * @function keyword
+ * @desc Parses the 'keyword' query parameter, a keyword the packages of a search must have.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @returns {string|boolean} Returns the 'keyword' trimmed, or if none, or invalid, returns false.
+ */
+function keyword(req) {
+  let prov = req.query.keyword;
+
+  if (typeof prov !== "string") {
+    return false;
+  }
+
+  prov = prov.trim();
+
+  return prov.length > 0 && prov.length <= 50 ? prov : false;
+}
+
+/**
+ * @function owner
+ * @desc Parses the 'owner' query parameter, the owner of the repo of the packages of a search.
+ * Such as `atom` for `atom/language-css`. Following the same rules as the owner of a 'repository'.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @returns {string|boolean} Returns the valid 'owner', or if none, or invalid, returns false.
+ */
+function owner(req) {
+  let prov = req.query.owner;
+
+  if (typeof prov !== "string") {
+    return false;
+  }
+
+  return prov.match(/^[-a-zA-Z\d][-\w.]{0,213}$/) !== null ? prov : false;
+}
+
+/**
+ * @function hasGrammar
+ * @desc Parses the 'has_grammar' query parameter. Unlike other boolean parameters, whether
+ * it was provided matters, since `false` filters to packages without a grammar.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @returns {string|boolean} Returns `true` or `false` as a boolean if provided. Or the string
+ * `any` if not provided, or invalid, meaning packages shouldn't be filtered on it.
+ */
+function hasGrammar(req) {
+  let prov = req.query.has_grammar;
+
+  if (prov === "true" || prov === "TRUE") {
+    return true;
+  } else if (prov === "false" || prov === "FALSE") {
+    return false;
+  } else {
+    return "any";
+  }
+}
+
+/**
+ * @function scope
+ * @desc Parses the 'scope' query parameter, the scope of a grammar or snippets, such as `source.zig`.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @returns {string|boolean} Returns the valid 'scope', or if none, or invalid, returns false.
+ */
+function scope(req) {
+  let prov = req.query.scope;
+
+  if (typeof prov !== "string") {
+    return false;
+  }
+
+  prov = prov.trim();
+
+  return prov.match(/^[\w+#-][\w.+#-]{0,99}$/) !== null ? prov : false;
+}
+
+/**
+ * @function fileType
+ * @desc Parses the 'fileType' query parameter, the file type of a grammar, such as `zig`.
+ * Allowing it to be provided as an extension, like `.zig`.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @returns {string|boolean} Returns the valid 'fileType', or if none, or invalid, returns false.
+ */
+function fileType(req) {
+  let prov = req.query.fileType;
+
+  if (typeof prov !== "string") {
+    return false;
+  }
+
+  prov = prov.trim().replace(/^\./, "");
 
-  // Check if it's a valid semver
-  return prov.match(regex) !== null ? prov : false;
+  return prov.match(/^[\w.+#-]{1,50}$/) !== null ? prov : false;
+}
+
+/**
+ * @function facets
+ * @desc Parses the 'facets' query parameter. Which opts in to returning the counts of each
+ * facet along with the results of a search. Defaulting to false.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @returns {boolean} Returns true if facets were asked for, otherwise false.
+ */
+function facets(req) {
+  let prov = req.query.facets;
+
+  return prov === "true" || prov === "TRUE";
+}
+
+/**
+ * @function version
+ * @desc Parses the 'version' query parameter to ensure its valid, otherwise returning false.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @returns {string|boolean} Returns the valid 'version' specified, or if none, returns false.
+ * @implements {validSemver}
+ */
+function version(req) {
+  let prov = req.query.version;
+
+  if (prov === undefined) {
+    return false;
+  }
+
+  return validSemver(prov) ? prov : false;
+}
+
+/**
+ * @function versionName
+ * @desc Parses the 'versionName' path parameter to ensure its valid, otherwise returning false.
+ * Which is either a version, or `latest` for the latest version.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @returns {string|boolean} Returns the valid 'versionName' specified, or if none, returns false.
+ * @implements {validSemver}
+ */
+function versionName(req) {
+  let prov = req.params.versionName;
+
+  if (prov === "latest") {
+    return prov;
+  }
+
+  return validSemver(prov) ? prov : false;
+}
+
+/**
+ * @function channel
+ * @desc Parses the 'channel' query parameter. Defaulting to 'stable'.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @returns {string} Either the valid 'channel' provided, or 'stable' as the default.
+ */
+function channel(req) {
+  let def = "stable";
+  let valid = ["stable", "beta"];
+  let prov = req.query.channel;
+
+  if (prov === undefined) {
+    return def;
+  }
+
+  return valid.includes(prov) ? prov : def;
+}
+
+/**
+ * @function platform
+ * @desc Parses the 'platform' query parameter, such as `darwin`, `win32-x64`
+ * or `linux-x64`. Defaulting to 'darwin' since Squirrel.Mac doesn't provide one.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @returns {string} Either the valid 'platform' provided, or 'darwin' as the default.
+ */
+function platform(req) {
+  let def = "darwin";
+  let prov = req.query.platform;
+
+  if (prov === undefined) {
+    return def;
+  }
+
+  return prov.match(/^[a-z\d]+(?:-[a-z\d]+)*$/) !== null ? prov : def;
 }
 
 /**
  * @function repo
  * @desc Parses the 'repository' query parameter, returning it if valid, otherwise returning ''.
+ * Either `owner/repo` for a repo on GitHub, or the `https://` URL of a repo on another host.
  * @param {object} req - The `Request` object inherited from the Express endpoint.
  * @returns {string} Returning the valid 'repository' query parameter, or '' if invalid.
  */
 function repo(req) {
   let prov = req.query.repository;
 
-  if (prov === undefined) {
+  if (typeof prov !== "string") {
     return "";
   }
 
@@ -156,7 +376,16 @@ function repo(req) {
   // - only URL safe characters (letters, digits, dashes, underscores and/or dots)
   // - cannot begin with a dot or an underscore
   // - cannot contain a space.
-  return prov.match(re) !== null ? prov : "";
+  if (prov.match(re) !== null) {
+    return prov;
+  }
+
+  // Otherwise the URL of a repo, where the path may contain any amount of groups.
+  // With the same rules applying to each segment.
+  const urlRe =
+    /^https:\/\/[a-z\d.-]+(?:\/[-a-zA-Z\d][-\w.]{0,213}){2,}(?:\.git)?$/i;
+
+  return prov.length <= 2048 && prov.match(urlRe) !== null ? prov : "";
 }
 
 /**
@@ -195,6 +424,65 @@ function rename(req) {
   }
 }
 
+/**
+ * @function tokenName
+ * @desc Parses the 'name' query parameter of a new token. Returning it trimmed if valid,
+ * otherwise returning ''. A valid name is up to 50 letters, digits, spaces, dashes, underscores or dots.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @returns {string} Returns a valid 'name' query parameter. Or '' if invalid.
+ */
+function tokenName(req) {
+  let prov = req.query.name;
+
+  if (typeof prov !== "string") {
+    return "";
+  }
+
+  prov = prov.trim();
+
+  return prov.match(/^[\w .-]{1,50}$/) !== null ? prov : "";
+}
+
+/**
+ * @function scopes
+ * @desc Parses the 'scopes' query parameter, a comma separated list of scope names.
+ * Only the format is checked here, leaving which scopes exist to the caller.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @returns {string[]|boolean} An array of the unique scopes provided, an empty array if none
+ * were provided, or false if invalid.
+ */
+function scopes(req) {
+  let prov = req.query.scopes;
+
+  if (prov === undefined) {
+    return [];
+  }
+
+  if (typeof prov !== "string" || prov.match(/^[a-z]+(?:,[a-z]+)*$/) === null) {
+    return false;
+  }
+
+  return Array.from(new Set(prov.split(",")));
+}
+
+/**
+ * @function validSemver
+ * @desc Checks if the provided string is a valid SemVer version.
+ * @param {string} data - The version string to check.
+ * @returns {boolean} True if the string is a valid SemVer version. False otherwise.
+ */
+function validSemver(data) {
+  // Taken from
+  // - https://semver.org/#is-there-a-suggested-regular-expression-regex-to-check-a-semver-string
+  // - https://regex101.com/r/vkijKf/1/
+  // The only difference is that we use \d rather than 0-9 as suggested by Codacy
+
+  const regex =
+    /^(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)(?:-((?:0|[1-9]\d*|\d*[a-zA-Z-][\da-zA-Z-]*)(?:\.(?:0|[1-9]\d*|\d*[a-zA-Z-][\da-zA-Z-]*))*))?(?:\+([\da-zA-Z-]+(?:\.[\da-zA-Z-]+)*))?$/;
+
+  return typeof data === "string" && data.match(regex) !== null;
+}
+
 /**
  * @function pathTraversalAttempt
  * @desc Completes some short checks to determine if the data contains a malicious
@@ -219,4 +507,28 @@ function pathTraversalAttempt(data) {
   return false; // if none of the matches are true.
 }
 
-module.exports = { page, sort, dir, query, engine, repo, tag, rename };
+module.exports = {
+  page,
+  cursor,
+  sort,
+  dir,
+  query,
+  engine,
+  type,
+  license,
+  keyword,
+  owner,
+  hasGrammar,
+  scope,
+  fileType,
+  facets,
+  version,
+  versionName,
+  channel,
+  platform,
+  repo,
+  tag,
+  rename,
+  tokenName,
+  scopes,
+};
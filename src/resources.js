@@ -2,7 +2,8 @@
  * @module resources
  * @desc This module provides a way for other functions to read/write/delete data without knowing or
  * thinking about the underlying file structure. Providing abstraction if the data resides on a local
- * filesystem, Google Cloud Storage, or something else entirely.
+ * filesystem, Google Cloud Storage, or something else entirely. Each of which is a storage backend
+ * within `./storage`, implementing the same `read`, `write`, `delete` and `list` contract.
  * @implements {config}
  */
 
@@ -20,9 +21,14 @@ const {
   DB_DB,
   DB_PORT,
   DB_SSL_CERT,
+  SQLITE_PATH,
 } = require("./config.js").GetConfig();
+const FileSystemStorage = require("./storage/filesystem.js");
+const GCSStorage = require("./storage/gcs.js");
+const SQLStorage = require("./storage/sql.js");
+const SQLiteStorage = require("./storage/sqlite.js");
 
-let gcs_storage, sql_storage;
+let storage;
 
 /**
  * @class
@@ -51,12 +57,14 @@ class CacheObject {
  * @async
  * @function Read
  * @desc Exported function to read data from the filesystem, whatever that may be.
- * @param {string} type - The type of data we are reading. Valid Types: "user", "pointer", "package".
+ * @param {string} type - The type of data we are reading. Valid Types: "user", "pointer", "alias", "package", "tarball", "deleted".
  * @param {string} name - The name of the file we are reading. Only needed if type is "package",
- * in which case this <b>MUST</b> include `.json` for example `UUID.json`.
- * @return {object} If type is "package" or "pointer" returns a Server Status Object, with `content`
+ * in which case this <b>MUST</b> include `.json` for example `UUID.json`. Or "tarball", in which
+ * case this <b>MUST</b> include `.tgz`.
+ * @return {object} If type is "user", "pointer" or "alias" returns a Server Status Object, with `content`
  * being a `CacheObject` class, already initialized and ready for consumption. Otherwise if type is
- * "package" returns the return from `readFile`. Errors bubble up from `readFile`.
+ * "package" returns the return from `readFile`, or if "tarball" the same but where `content` is a `Buffer`.
+ * Errors bubble up from `readFile`.
  * @implments {readFile}
  */
 async function Read(type, name) {
@@ -85,15 +93,38 @@ async function Read(type, name) {
       return { ok: true, content: obj };
     }
 
+    case "alias": {
+      let data = await readFile("./data/package_alias.json");
+      if (!data.ok) {
+        return data;
+      }
+
+      let obj = new CacheObject(data.content);
+      obj.last_validate = Date.now();
+      return { ok: true, content: obj };
+    }
+
     case "featured_packages":
       return readFile("./data/featured_packages.json");
 
+    case "featured_themes":
+      return readFile("./data/featured_themes.json");
+
     case "package":
       return readFile(`./data/packages/${name}`);
 
     case "name_ban_list":
       return readFile(`./data/name_ban_list.json`);
 
+    case "updates":
+      return readFile("./data/updates.json");
+
+    case "deleted":
+      return readFile("./data/deleted_packages.json");
+
+    case "tarball":
+      return readFile(`./data/tarballs/${name}`, true);
+
     default:
       console.log("UNRECOGNIZED READ TYPE GIVEN! Exiting...");
       process.exit(1);
@@ -106,93 +137,22 @@ async function Read(type, name) {
  * @desc Non-Exported function to read data from the filesystem. Whatever that may be.
  * @function readFile
  * @param {string} path - The Path to whatever file we want.
+ * @param {boolean} [raw] - If true, the file is returned as a `Buffer`, rather than parsed from JSON.
  * @returns {object} A Server Status Object, with `content` being the read file parsed from JSON.
  * If error returns "Server Error" or "File Not Found".
+ * @implements {getStorage}
  */
-async function readFile(path) {
-  switch (file_store) {
-    case "filesystem":
-      try {
-        const data = fs.readFileSync(path, "utf8");
-        return { ok: true, content: JSON.parse(data) };
-      } catch (err) {
-        if (err.code === "ENOENT") {
-          return { ok: false, content: err, short: "File Not Found" };
-        } else {
-          return { ok: false, content: err, short: "Server Error" };
-        }
-      }
+async function readFile(path, raw = false) {
+  let data = await getStorage().read(toKey(path));
 
-    case "gcs": {
-      // check we have a valid storage object.
-      if (gcs_storage === undefined) {
-        gcs_storage = new Storage({
-          keyFilename: GOOGLE_APPLICATION_CREDENTIALS,
-        });
-      }
-      // then continue on
-
-      try {
-        let contents = await gcs_storage
-          .bucket(GCLOUD_STORAGE_BUCKET)
-          .file(path.replace("./", ""))
-          .download();
-        return { ok: true, content: JSON.parse(contents) };
-      } catch (err) {
-        return { ok: false, content: err, short: "Server Error" };
-      }
-    }
-
-    case "sql": {
-      try {
-        if (sql_storage === undefined) {
-          sql_storage = postgres({
-            host: DB_HOST,
-            username: DB_USER,
-            password: DB_PASS,
-            database: DB_DB,
-            port: DB_PORT,
-            ssl: {
-              rejectUnauthorized: true,
-              ca: fs.readFileSync(DB_SSL_CERT).toString(),
-            },
-          });
-        }
-
-        if (path.startsWith("./data/packages")) {
-          let packName = path
-            .replace("./data/packages/", "")
-            .replace(".json", "");
-          console.log(packName);
-          const command = await sql_storage`
-            SELECT data FROM packages 
-            WHERE pointer = ${packName};
-          `;
-          console.log(command);
-          return { ok: true, content: command[0].data };
-        } else if (path === "./data/package_pointer.json") {
-          const command = await sql_storage`
-            SELECT * FROM pointers;
-          `;
-
-          // then to make this familair we need to construct an object.
-          // Reading from the DB raw has { name: "pack-name", pointer: 'uuid' };
-          // But the rest of the application expects [ "pack-name": "uuid" ];
-          let obj = {};
-          for (let i = 0; i < command.length; i++) {
-            obj[command[i].name] = command[i].pointer;
-          }
-          return { ok: true, content: obj };
-        }
-      } catch (err) {
-        console.log(err);
-        return { ok: false, content: err, short: "Server Error" };
-      }
-    }
+  if (!data.ok || raw) {
+    return data;
+  }
 
-    default:
-      console.log("UNRECOGNIZED FILE STORE METHOD! Exiting...");
-      process.exit(1);
+  try {
+    return { ok: true, content: JSON.parse(data.content.toString()) };
+  } catch (err) {
+    return { ok: false, content: err, short: "Server Error" };
   }
 }
 
@@ -200,10 +160,12 @@ async function readFile(path) {
  * @async
  * @function Write
  * @desc The Exported Write function, to allow writing of data to the filesystem.
- * @param {string} type - The Type of data we are writing. Valid Types: "user", "pointer", "package"
+ * @param {string} type - The Type of data we are writing. Valid Types: "user", "pointer", "alias", "package", "tarball", "deleted".
  * @param {object} data - A JavaScript Object that will be `JSON.stringify`ed before writing.
+ * Or a `Buffer` written as is, if type is "tarball".
  * @param {string} name - The path name of the file we are writing. Only required when type is "package",
- * in which case it should be `UUID.json`, it <b>MUST</b> include the `.json`.
+ * in which case it should be `UUID.json`, it <b>MUST</b> include the `.json`. Or "tarball", in
+ * which case it <b>MUST</b> include the `.tgz`.
  * @return {object} Returns the object returned from `writeFile`. Errors bubble up from `writeFile`.
  * @implements {writeFile}
  */
@@ -213,7 +175,12 @@ async function Write(type, data, name) {
       return writeFile("./data/users.json", JSON.stringify(data, null, 4));
     case "pointer":
       return writeFile(
-        "./data/package_pointer.js",
+        "./data/package_pointer.json",
+        JSON.stringify(data, null, 4)
+      );
+    case "alias":
+      return writeFile(
+        "./data/package_alias.json",
         JSON.stringify(data, null, 4)
       );
     case "package":
@@ -226,6 +193,20 @@ async function Write(type, data, name) {
         "./data/featured_packages.json",
         JSON.stringify(data, null, 4)
       );
+    case "featured_themes":
+      return writeFile(
+        "./data/featured_themes.json",
+        JSON.stringify(data, null, 4)
+      );
+    case "updates":
+      return writeFile("./data/updates.json", JSON.stringify(data, null, 4));
+    case "deleted":
+      return writeFile(
+        "./data/deleted_packages.json",
+        JSON.stringify(data, null, 4)
+      );
+    case "tarball":
+      return writeFile(`./data/tarballs/${name}`, data);
     default:
       console.log("UNRECOGNIZED WRITE TYPE GIVEN, EXITING...");
       process.exit(1);
@@ -240,96 +221,125 @@ async function Write(type, data, name) {
  * @param {object} data - The Data we are writing to the filesystem. Already encoded in a compatible format.
  * @return {object} A Server Status Object, with `content` only on an error.
  * Errors returned "Server Error".
+ * @implements {getStorage}
  */
 async function writeFile(path, data) {
-  switch (file_store) {
-    case "filesystem":
-      try {
-        fs.writeFileSync(path, data);
-        return { ok: true };
-      } catch (err) {
-        return { ok: false, content: err, short: "Server Error" };
-      }
-
-    case "gcs": {
-      // check we have a valid storage object.
-      if (gcs_storage === undefined) {
-        gcs_storage = new Storage({
-          keyFilename: GOOGLE_APPLICATION_CREDENTIALS,
-        });
-      }
-      // then continue on
-
-      try {
-        await gcs_storage
-          .bucket(GCLOUD_STORAGE_BUCKET)
-          .file(path.replace("./", ""))
-          .save(data);
-        return { ok: true };
-      } catch (err) {
-        return { ok: false, content: err, short: "Server Error" };
-      }
-    }
-
-    default:
-      console.log("UNRECOGNIZED FILE STORE METHOD! Exiting...");
-      process.exit(1);
-  }
+  return getStorage().write(toKey(path), data);
 }
 
 /**
  * @async
  * @function Delete
- * @descc Exported function to delete data from the filesystem, whatever that may be. But since we know
+ * @desc Exported function to delete data from the filesystem, whatever that may be. But since we know
  * we will only ever be deleting packages, these will only ever attempt to delete a package.
  * @param {string} name - The name of the package we want to delete. <b>MUST</b> include `.json`, as in `UUID.json`.
  * @return {object} A Server Status Object, with `content` non-existant on a successful deletion.
- * Errors returned as "Server Error".
+ * Errors returned as "Server Error" or "File Not Found".
+ * @implements {getStorage}
  */
 async function Delete(name) {
   // since we know the only data we ever want to delete from disk will be packages,
   // a type is not needed here.
+  return getStorage().delete(`packages/${name}`);
+}
+
+/**
+ * @async
+ * @function List
+ * @desc Exported function to list the files of a type of data.
+ * @param {string} type - The type of data to list. Valid Types: "package", "tarball".
+ * @return {object} A Server Status Object, with `content` being an array of file names,
+ * such as `UUID.json`. Errors returned as "Server Error".
+ * @implements {getStorage}
+ */
+async function List(type) {
+  switch (type) {
+    case "package":
+      return getStorage().list("packages");
+    case "tarball":
+      return getStorage().list("tarballs");
+    default:
+      console.log("UNRECOGNIZED LIST TYPE GIVEN, EXITING...");
+      process.exit(1);
+  }
+}
+
+/**
+ * @function getStorage
+ * @desc Non-Exported function, that returns the storage backend for the configured `file_store`.
+ * Creating it the first time it is needed.
+ * @returns {object} The storage backend, implementing `read`, `write`, `delete` and `list`.
+ */
+function getStorage() {
+  if (storage !== undefined) {
+    return storage;
+  }
+
   switch (file_store) {
     case "filesystem":
-      try {
-        let rm = fs.rmSync(`./data/packages/${name}`);
-        // since rmSync returns undefined, we can check that, just in case it doesn't throw an error.
-        if (rm === undefined) {
-          return { ok: true };
-        } else {
-          return { ok: false, content: "Not Available", short: "Server Error" };
-        }
-      } catch (err) {
-        return { ok: false, content: err, short: "Server Error" };
-      }
+      storage = new FileSystemStorage("./data");
+      break;
 
-    case "gcs": {
-      // check we have a valid storage object.
-      if (gcs_storage === undefined) {
-        gcs_storage = new Storage({ keyFilename: GCS_SERVICE_ACCOUNT_FILE });
-      }
-      // then continue on
-
-      try {
-        await gcs_storage
-          .bucket(GCS_BUCKET)
-          .file(`data/packages/${name}`)
-          .delete();
-        return { ok: true };
-      } catch (err) {
-        return { ok: false, content: err, short: "Server Error" };
-      }
+    case "gcs":
+      storage = new GCSStorage(
+        new Storage({ keyFilename: GOOGLE_APPLICATION_CREDENTIALS }).bucket(
+          GCLOUD_STORAGE_BUCKET
+        ),
+        "data/"
+      );
+      break;
+
+    case "sql":
+      // Only package data is stored within the database, everything else remains on the filesystem.
+      storage = new SQLStorage(
+        postgres({
+          host: DB_HOST,
+          username: DB_USER,
+          password: DB_PASS,
+          database: DB_DB,
+          port: DB_PORT,
+          ssl: {
+            rejectUnauthorized: true,
+            ca: fs.readFileSync(DB_SSL_CERT).toString(),
+          },
+        }),
+        new FileSystemStorage("./data")
+      );
+      break;
+
+    case "sqlite": {
+      // Required only when used, as it's a native module which may not be built on every server.
+      const Database = require("better-sqlite3");
+
+      storage = new SQLiteStorage(
+        new Database(SQLITE_PATH ? SQLITE_PATH : "./data/store.sqlite"),
+        new FileSystemStorage("./data")
+      );
+      break;
     }
 
     default:
       console.log("UNRECOGNIZED FILE STORE METHOD! Exiting...");
       process.exit(1);
   }
+
+  return storage;
+}
+
+/**
+ * @function toKey
+ * @desc Non-Exported function, that turns a path within `./data` into the key used by storage backends.
+ * @param {string} path - The path, such as `./data/packages/UUID.json`.
+ * @returns {string} The key, such as `packages/UUID.json`.
+ */
+function toKey(path) {
+  return path.replace("./data/", "");
 }
 
 module.exports = {
   Read,
   Write,
   Delete,
+  List,
   CacheObject,
 };
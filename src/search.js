@@ -2,7 +2,8 @@
  * @module search
  * @desc This module is focused on implementing different search algorithms.
  * Elsewhere in the code the choice is made of which functions to call, to actual
- * execute a search function.
+ * execute a search function. Along with the full text search across the fields of packages,
+ * which is combined with the chosen algorithm.
  */
 
 /**
@@ -186,8 +187,172 @@ function lcsTraceBack(matrix, s1, s2, height, width) {
   return lcsTraceBack(matrix, s1, s2, height - 1, width);
 }
 
+// The search algorithms that can be configured, each comparing the search to the name of a package.
+const algorithms = {
+  levenshtein_distance: levenshtein,
+  levenshtein_distance_wsdm: levenshteinWSDM,
+  lcs: lcs,
+};
+
+// The relevance of a deprecated package is multiplied by this.
+const deprecated_relevance = 0.5;
+
+// How much a match within each field of a package counts towards its relevance.
+const field_weights = {
+  name: 4,
+  keywords: 3,
+  description: 2,
+  readme: 1,
+};
+
+// How much a word only starting with a search term counts, compared to the exact word.
+const prefix_match = 0.5;
+
+/**
+ * @function tokenize
+ * @desc Splits text into lowercase words, for full text search. Splitting on whitespace,
+ * punctuation such as `-` and `_`, and camelCase. So `atom-material_syntax` and `atomMaterialSyntax`
+ * both become `atom`, `material` and `syntax`.
+ * @param {string} text - The text to split.
+ * @returns {string[]} The words of the text, in the order they appear.
+ */
+function tokenize(text) {
+  if (typeof text !== "string") {
+    return [];
+  }
+
+  return text
+    .replace(/([\p{Ll}\p{N}])(\p{Lu})/gu, "$1 $2")
+    .replace(/(\p{Lu}+)(\p{Lu}\p{Ll})/gu, "$1 $2")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((word) => word.length > 0);
+}
+
+/**
+ * @function packageFields
+ * @desc Gets the words of each field of a package searched, as a `Set` of each field.
+ * @param {object} pack - The package object to get the words of.
+ * @returns {object} An object of each field within `field_weights`, to the `Set` of its words.
+ * @implements {tokenize}
+ */
+function packageFields(pack) {
+  const metadata =
+    typeof pack.metadata === "object" && pack.metadata !== null
+      ? pack.metadata
+      : {};
+
+  return {
+    name: new Set(tokenize(pack.name)),
+    keywords: new Set(
+      tokenize(
+        Array.isArray(metadata.keywords) ? metadata.keywords.join(" ") : ""
+      )
+    ),
+    description: new Set(tokenize(metadata.description)),
+    readme: new Set(tokenize(pack.readme)),
+  };
+}
+
+/**
+ * @function fullText
+ * @desc Scores how relevant a package is to a search, across its name, keywords, description and readme.
+ * Each word of the search is scored by the most important field containing it, weighted by `field_weights`,
+ * and the relevance is the mean of those scores. A word only starting with the search word counts for less.
+ * @param {string} search - The search string.
+ * @param {object} fields - The words of each field of the package, as returned by `packageFields`.
+ * @returns {float} The relevance, 1.0 being every search word within the name, down to 0.0 for no matches.
+ * @implements {tokenize}
+ */
+function fullText(search, fields) {
+  const terms = tokenize(search);
+
+  if (terms.length === 0) {
+    return 0;
+  }
+
+  let total = 0;
+
+  for (const term of terms) {
+    let best = 0;
+
+    for (const field in field_weights) {
+      const score = field_weights[field] * wordMatch(term, fields[field]);
+
+      if (score > best) {
+        best = score;
+      }
+    }
+
+    total += best / field_weights.name;
+  }
+
+  return total / terms.length;
+}
+
+/**
+ * @function wordMatch
+ * @desc The un-exported function called by `fullText`, to check how well a single search word
+ * matches the words of a field.
+ * @param {string} term - The search word.
+ * @param {Set} words - The words of the field.
+ * @returns {float} 1.0 if the word is within the field, `prefix_match` if a word starts with it, or 0.0.
+ */
+function wordMatch(term, words) {
+  if (words.has(term)) {
+    return 1.0;
+  }
+
+  // Too short a prefix would match nearly every field.
+  if (term.length < 3) {
+    return 0;
+  }
+
+  for (const word of words) {
+    if (word.startsWith(term)) {
+      return prefix_match;
+    }
+  }
+
+  return 0;
+}
+
+/**
+ * @function relevance
+ * @desc Scores how relevant a package is to a search. Being whichever is higher, the chosen algorithm
+ * comparing the search to its name, or the `fullText` search of its fields. Deprecated packages are
+ * still found, but ranked below equally relevant packages.
+ * @param {string} search - The search string.
+ * @param {object} pack - The package object to score.
+ * @param {string} algorithm - The algorithm to compare names with, as configured by `SEARCHALGORITHM`.
+ * @param {object} [fields] - The words of each field of the package, if already known.
+ * Otherwise taken from the package with `packageFields`.
+ * @returns {float} The relevance, 1.0 being the highest, and closest match, down to 0.0
+ * @implements {fullText}
+ */
+function relevance(search, pack, algorithm, fields = packageFields(pack)) {
+  if (!Object.prototype.hasOwnProperty.call(algorithms, algorithm)) {
+    throw new Error(`Unrecognized Search Algorithm in Config: ${algorithm}`);
+  }
+
+  let score = Math.max(
+    algorithms[algorithm](search, pack.name),
+    fullText(search, fields)
+  );
+
+  if (pack.deprecated !== undefined) {
+    score *= deprecated_relevance;
+  }
+
+  return score;
+}
+
 module.exports = {
   levenshtein,
   levenshteinWSDM,
   lcs,
+  tokenize,
+  packageFields,
+  fullText,
+  relevance,
 };
@@ -0,0 +1,266 @@
+/**
+ * @module search_index
+ * @desc An in-memory inverted index of the words within every package, so a search only scores the
+ * packages that could match it, rather than every package. Each word is posted to the packages
+ * containing it, and split into trigrams, letting words close to a search word be found for fuzzy
+ * matching. The packages found are then scored by `search.relevance`, the same as any other search.
+ * Built by `data` along with the full package cache, and updated as packages are published, changed or deleted.
+ * @implements {search}
+ * @implements {config}
+ */
+
+const search_func = require("./search.js");
+const { search_algorithm } = require("./config.js").GetConfig();
+
+// The share of the trigrams of a search word, a word must also have to match it.
+const trigram_overlap = 1 / 3;
+
+// The packages indexed, keyed by their ID, with the words of each field.
+// Undefined until the index is built.
+let docs;
+// Each word, to the `Set` of package IDs containing it.
+let postings;
+// Each trigram, to the `Set` of words containing it.
+let trigrams;
+
+/**
+ * @function Build
+ * @desc Builds the index from scratch, replacing any previous index.
+ * @param {object[]} packages - Every package to index, each as `{ id, pack }`. Where `id` is
+ * the pointer of the package, like `UUIDv4.json`, and `pack` the 'Server Package Object'.
+ */
+function Build(packages) {
+  docs = new Map();
+  postings = new Map();
+  trigrams = new Map();
+
+  for (const { id, pack } of packages) {
+    addPackage(id, pack);
+  }
+}
+
+/**
+ * @function Built
+ * @desc Used to check if the index has been built, and can be searched or updated.
+ * @returns {boolean} True if the index has been built.
+ */
+function Built() {
+  return docs !== undefined;
+}
+
+/**
+ * @function Get
+ * @desc Gets a package within the index.
+ * @param {string} id - The pointer of the package, like `UUIDv4.json`.
+ * @returns {object|undefined} The 'Server Package Object' indexed, or undefined if not indexed.
+ */
+function Get(id) {
+  if (!Built() || !docs.has(id)) {
+    return undefined;
+  }
+
+  return docs.get(id).pack;
+}
+
+/**
+ * @function Update
+ * @desc Adds a package to the index, replacing it if already indexed. Does nothing until the index
+ * has been built, since the package will be included once it is.
+ * @param {string} id - The pointer of the package, like `UUIDv4.json`.
+ * @param {object} pack - The 'Server Package Object' to index.
+ */
+function Update(id, pack) {
+  if (!Built()) {
+    return;
+  }
+
+  removePackage(id);
+  addPackage(id, pack);
+}
+
+/**
+ * @function Remove
+ * @desc Removes a package from the index, if indexed.
+ * @param {string} id - The pointer of the package, like `UUIDv4.json`.
+ */
+function Remove(id) {
+  if (!Built()) {
+    return;
+  }
+
+  removePackage(id);
+}
+
+/**
+ * @function Search
+ * @desc Searches the indexed packages. Any package containing a word that shares enough trigrams
+ * with a word of the search is scored, while every other package is left out. A search without
+ * any words scores every package.
+ * @param {string} search - The search string.
+ * @param {string} [algorithm] - The algorithm to compare names with. Defaults to the configured `SEARCHALGORITHM`.
+ * @returns {object[]} Each package found as `{ pack, relevance }`, in no particular order. Where `pack`
+ * is the indexed package itself, so must be copied before being modified. Or an empty array if the
+ * index hasn't been built.
+ */
+function Search(search, algorithm = search_algorithm) {
+  if (!Built()) {
+    return [];
+  }
+
+  const terms = search_func.tokenize(search);
+  let ids = new Set(terms.length === 0 ? docs.keys() : []);
+
+  for (const term of terms) {
+    for (const word of matchingWords(term)) {
+      for (const id of postings.get(word)) {
+        ids.add(id);
+      }
+    }
+  }
+
+  let results = [];
+
+  for (const id of ids) {
+    const doc = docs.get(id);
+
+    results.push({
+      pack: doc.pack,
+      relevance: search_func.relevance(search, doc.pack, algorithm, doc.fields),
+    });
+  }
+
+  return results;
+}
+
+/**
+ * @function matchingWords
+ * @desc Unexported function, that finds the indexed words sharing enough trigrams with a search word.
+ * Which includes the word itself, and any word starting with it.
+ * @param {string} term - The search word.
+ * @returns {string[]} The indexed words matching it.
+ */
+function matchingWords(term) {
+  const grams = wordTrigrams(term);
+  const needed = Math.max(1, Math.ceil(grams.length * trigram_overlap));
+  let shared = new Map();
+
+  for (const gram of grams) {
+    if (!trigrams.has(gram)) {
+      continue;
+    }
+
+    for (const word of trigrams.get(gram)) {
+      shared.set(word, (shared.get(word) || 0) + 1);
+    }
+  }
+
+  let words = [];
+
+  for (const [word, count] of shared) {
+    if (count >= needed) {
+      words.push(word);
+    }
+  }
+
+  return words;
+}
+
+/**
+ * @function wordTrigrams
+ * @desc Unexported function, that splits a word into its trigrams. The word is padded, so its start
+ * and end are trigrams of their own, and words shorter than three characters still have trigrams.
+ * @param {string} word - The word to split.
+ * @returns {string[]} The unique trigrams of the word.
+ */
+function wordTrigrams(word) {
+  const chars = Array.from(`$${word}$`);
+  let grams = new Set();
+
+  for (let i = 0; i + 3 <= chars.length; i++) {
+    grams.add(chars.slice(i, i + 3).join(""));
+  }
+
+  // A single character word only has the padding around it.
+  if (grams.size === 0) {
+    grams.add(chars.join(""));
+  }
+
+  return Array.from(grams);
+}
+
+/**
+ * @function addPackage
+ * @desc Unexported function, that indexes a package, posting each of its words.
+ * @param {string} id - The pointer of the package.
+ * @param {object} pack - The 'Server Package Object' to index.
+ */
+function addPackage(id, pack) {
+  const fields = search_func.packageFields(pack);
+  let words = new Set();
+
+  for (const field in fields) {
+    for (const word of fields[field]) {
+      words.add(word);
+    }
+  }
+
+  docs.set(id, { pack: pack, fields: fields, words: words });
+
+  for (const word of words) {
+    if (!postings.has(word)) {
+      postings.set(word, new Set());
+
+      for (const gram of wordTrigrams(word)) {
+        if (!trigrams.has(gram)) {
+          trigrams.set(gram, new Set());
+        }
+        trigrams.get(gram).add(word);
+      }
+    }
+
+    postings.get(word).add(id);
+  }
+}
+
+/**
+ * @function removePackage
+ * @desc Unexported function, that removes a package from the index. Along with any word
+ * no other package contains.
+ * @param {string} id - The pointer of the package.
+ */
+function removePackage(id) {
+  if (!docs.has(id)) {
+    return;
+  }
+
+  for (const word of docs.get(id).words) {
+    const ids = postings.get(word);
+    ids.delete(id);
+
+    if (ids.size > 0) {
+      continue;
+    }
+
+    postings.delete(word);
+
+    for (const gram of wordTrigrams(word)) {
+      const words = trigrams.get(gram);
+      words.delete(word);
+
+      if (words.size === 0) {
+        trigrams.delete(gram);
+      }
+    }
+  }
+
+  docs.delete(id);
+}
+
+module.exports = {
+  Build,
+  Built,
+  Get,
+  Update,
+  Remove,
+  Search,
+};
@@ -1,7 +1,8 @@
 /**
  * @module server
  * @desc The initializer of `main.js` starting up the Express Server, and setting the port
- * to listen on. As well as handling a graceful shutdown of the server.
+ * to listen on. As well as handling replaying the journal on startup, purging deleted packages
+ * once their grace period passes, and a graceful shutdown of the server.
  * @implements {main}
  * @implements {config}
  * @implements {logger}
@@ -13,9 +14,33 @@ const { port } = require("./config.js").GetConfig();
 const logger = require("./logger.js");
 const data = require("./data.js");
 
-const serve = app.listen(port, () => {
-  logger.InfoLog(`Atom Server Listening on port ${port}`);
-});
+let serve, purge;
+
+// How often deleted packages are checked for being past their grace period, an hour.
+const purge_interval = 3600000;
+
+// Any changes left in the journal are replayed, before the server can make new ones.
+data
+  .Startup()
+  .then((replay) => {
+    if (!replay.ok) {
+      console.error(`Failed to replay the journal: ${replay.content}`);
+      process.exit(1);
+    }
+
+    serve = app.listen(port, () => {
+      logger.InfoLog(`Atom Server Listening on port ${port}`);
+    });
+
+    purge = setInterval(PurgeDeleted, purge_interval);
+    // The purge should never keep the process alive on its own.
+    purge.unref();
+  })
+  .catch((err) => {
+    // The server can't be started without the journal replayed, or storage read.
+    console.error(`Failed to start the server: ${err}`);
+    process.exit(1);
+  });
 
 process.on("SIGTERM", async () => {
   await Exterminate("SIGTERM");
@@ -34,9 +59,37 @@ process.on("SIGINT", async () => {
  */
 async function Exterminate(callee) {
   console.log(`${callee} signal received: closing HTTP server.`);
+  clearInterval(purge);
   await data.Shutdown();
   console.log("Exiting...");
+  if (serve === undefined) {
+    // The signal arrived before the server started listening, so there's nothing to close.
+    process.exit(0);
+  }
   serve.close(() => {
     console.log("HTTP Server Closed.");
   });
 }
+
+/**
+ * @async
+ * @function PurgeDeleted
+ * @desc Run every `purge_interval`, purging the data of any deleted packages whose grace
+ * period has passed. A failure is only logged, since the next run will try again.
+ */
+async function PurgeDeleted() {
+  let purged = await data.PurgeDeletedPackages();
+
+  if (!purged.ok) {
+    logger.WarningLog(
+      undefined,
+      undefined,
+      `Failed to purge deleted packages: ${purged.short} - ${purged.content}`
+    );
+    return;
+  }
+
+  if (purged.content.length > 0) {
+    logger.InfoLog(`Purged deleted packages: ${purged.content.join(", ")}`);
+  }
+}
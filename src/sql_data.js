@@ -25,13 +25,16 @@ async function GetAllPackagesSQL() {
   }
 
   try {
+    // Only packages with a pointer, since deleted packages are kept until purged.
     const command = await sql_storage`
-      SELECT data FROM packages 
+      SELECT pointers.pointer, packages.data FROM packages
+      INNER JOIN pointers ON pointers.pointer = packages.pointer || '.json'
     `;
 
+    // Along with the package, its pointer is needed to index it.
     let packArray = [];
     for (let i = 0; i < command.length; i++) {
-      packArray.push(command[i].data);
+      packArray.push({ id: command[i].pointer, pack: command[i].data });
     }
     return { ok: true, content: packArray };
   } catch (err) {
@@ -0,0 +1,151 @@
+/**
+ * @module storage/filesystem
+ * @desc The storage backend for data kept on the local filesystem. Every key is a path
+ * relative to the root folder of the backend, such as `packages/UUID.json`.
+ */
+
+const fs = require("fs");
+const crypto = require("crypto");
+
+// Added to the name of a file while it is being written.
+const tmp_ext = ".tmp";
+
+/**
+ * @class
+ * @desc Reads, writes, deletes and lists files within a folder of the local filesystem.
+ * @param {string} root - The folder data is kept within, such as `./data`.
+ */
+class FileSystemStorage {
+  constructor(root) {
+    this.root = root;
+  }
+
+  /**
+   * @async
+   * @desc Reads a file.
+   * @param {string} key - The path of the file, relative to the root.
+   * @returns {object} A Server Status Object, with `content` being the file as a `Buffer`.
+   * If error returns "Server Error" or "File Not Found".
+   */
+  async read(key) {
+    try {
+      return { ok: true, content: fs.readFileSync(`${this.root}/${key}`) };
+    } catch (err) {
+      return failure(err);
+    }
+  }
+
+  /**
+   * @async
+   * @desc Writes a file, creating any folders it is within. The data is written and synced
+   * to a temporary file, which then replaces the file. So a crash never leaves a partly
+   * written file behind.
+   * @param {string} key - The path of the file, relative to the root.
+   * @param {string|Buffer} data - The data to write.
+   * @returns {object} A Server Status Object, with `content` only on an error.
+   * Errors returned "Server Error".
+   */
+  async write(key, data) {
+    const path = `${this.root}/${key}`;
+    const dir = path.substring(0, path.lastIndexOf("/"));
+    const tmp = `${path}.${process.pid}.${crypto
+      .randomBytes(4)
+      .toString("hex")}${tmp_ext}`;
+
+    try {
+      fs.mkdirSync(dir, { recursive: true });
+
+      const fd = fs.openSync(tmp, "w");
+      try {
+        fs.writeFileSync(fd, data);
+        fs.fsyncSync(fd);
+      } finally {
+        fs.closeSync(fd);
+      }
+
+      fs.renameSync(tmp, path);
+      syncDir(dir);
+      return { ok: true };
+    } catch (err) {
+      fs.rmSync(tmp, { force: true });
+      return { ok: false, content: err, short: "Server Error" };
+    }
+  }
+
+  /**
+   * @async
+   * @desc Deletes a file.
+   * @param {string} key - The path of the file, relative to the root.
+   * @returns {object} A Server Status Object, with `content` only on an error.
+   * If error returns "Server Error" or "File Not Found".
+   */
+  async delete(key) {
+    try {
+      fs.rmSync(`${this.root}/${key}`);
+      return { ok: true };
+    } catch (err) {
+      return failure(err);
+    }
+  }
+
+  /**
+   * @async
+   * @desc Lists the files within a folder. A folder that doesn't exist has no files.
+   * @param {string} dir - The path of the folder, relative to the root.
+   * @returns {object} A Server Status Object, with `content` being an array of the file names.
+   * Errors returned "Server Error".
+   */
+  async list(dir) {
+    try {
+      return {
+        ok: true,
+        content: fs
+          .readdirSync(`${this.root}/${dir}`, { withFileTypes: true })
+          .filter((ent) => ent.isFile() && !ent.name.endsWith(tmp_ext))
+          .map((ent) => ent.name),
+      };
+    } catch (err) {
+      if (err.code === "ENOENT") {
+        return { ok: true, content: [] };
+      }
+      return { ok: false, content: err, short: "Server Error" };
+    }
+  }
+}
+
+/**
+ * @function syncDir
+ * @desc Unexported function, that syncs a folder, so a file renamed within it is kept after a crash.
+ * Not every platform can sync a folder, in which case this does nothing.
+ * @param {string} dir - The path of the folder.
+ */
+function syncDir(dir) {
+  let fd;
+
+  try {
+    fd = fs.openSync(dir, "r");
+    fs.fsyncSync(fd);
+  } catch (err) {
+    // Such as on Windows, where folders can't be opened.
+  } finally {
+    if (fd !== undefined) {
+      fs.closeSync(fd);
+    }
+  }
+}
+
+/**
+ * @function failure
+ * @desc Unexported function, that turns an error of the `fs` module into a Server Status Object.
+ * @param {object} err - The error thrown.
+ * @returns {object} A Server Status Object of "File Not Found" if the file doesn't exist,
+ * otherwise "Server Error".
+ */
+function failure(err) {
+  if (err.code === "ENOENT") {
+    return { ok: false, content: err, short: "File Not Found" };
+  }
+  return { ok: false, content: err, short: "Server Error" };
+}
+
+module.exports = FileSystemStorage;
@@ -0,0 +1,107 @@
+/**
+ * @module storage/gcs
+ * @desc The storage backend for data kept within a Google Cloud Storage bucket. Every key
+ * is the name of an object within the bucket, after the prefix of the backend.
+ */
+
+/**
+ * @class
+ * @desc Reads, writes, deletes and lists objects within a Google Cloud Storage bucket.
+ * @param {object} bucket - The `Bucket` from `@google-cloud/storage`.
+ * @param {string} [prefix] - Prepended to every key, such as `data/`.
+ */
+class GCSStorage {
+  constructor(bucket, prefix = "") {
+    this.bucket = bucket;
+    this.prefix = prefix;
+  }
+
+  /**
+   * @async
+   * @desc Reads an object.
+   * @param {string} key - The name of the object, without the prefix.
+   * @returns {object} A Server Status Object, with `content` being the object as a `Buffer`.
+   * If error returns "Server Error" or "File Not Found".
+   */
+  async read(key) {
+    try {
+      const contents = await this.bucket.file(this.prefix + key).download();
+      return { ok: true, content: contents[0] };
+    } catch (err) {
+      return failure(err);
+    }
+  }
+
+  /**
+   * @async
+   * @desc Writes an object.
+   * @param {string} key - The name of the object, without the prefix.
+   * @param {string|Buffer} data - The data to write.
+   * @returns {object} A Server Status Object, with `content` only on an error.
+   * Errors returned "Server Error".
+   */
+  async write(key, data) {
+    try {
+      await this.bucket.file(this.prefix + key).save(data);
+      return { ok: true };
+    } catch (err) {
+      return { ok: false, content: err, short: "Server Error" };
+    }
+  }
+
+  /**
+   * @async
+   * @desc Deletes an object.
+   * @param {string} key - The name of the object, without the prefix.
+   * @returns {object} A Server Status Object, with `content` only on an error.
+   * If error returns "Server Error" or "File Not Found".
+   */
+  async delete(key) {
+    try {
+      await this.bucket.file(this.prefix + key).delete();
+      return { ok: true };
+    } catch (err) {
+      return failure(err);
+    }
+  }
+
+  /**
+   * @async
+   * @desc Lists the objects directly within a folder.
+   * @param {string} dir - The folder, without the prefix.
+   * @returns {object} A Server Status Object, with `content` being an array of the object names
+   * within the folder. Errors returned "Server Error".
+   */
+  async list(dir) {
+    const folder = `${this.prefix}${dir}/`;
+
+    try {
+      const [files] = await this.bucket.getFiles({
+        prefix: folder,
+        delimiter: "/",
+      });
+      return {
+        ok: true,
+        content: files.map((file) => file.name.slice(folder.length)),
+      };
+    } catch (err) {
+      return { ok: false, content: err, short: "Server Error" };
+    }
+  }
+}
+
+/**
+ * @function failure
+ * @desc Unexported function, that turns an error of Google Cloud Storage into a Server Status Object.
+ * @param {object} err - The error thrown.
+ * @returns {object} A Server Status Object of "File Not Found" if the object doesn't exist,
+ * otherwise "Server Error".
+ */
+function failure(err) {
+  if (err.code === 404) {
+    return { ok: false, content: err, short: "File Not Found" };
+  }
+  return { ok: false, content: err, short: "Server Error" };
+}
+
+module.exports = GCSStorage;
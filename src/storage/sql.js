@@ -0,0 +1,188 @@
+/**
+ * @module storage/sql
+ * @desc The storage backend for data kept within Postgres. Only packages and their pointers
+ * are stored within the database, as rows of the `packages` and `pointers` tables. Every
+ * other key is handed to a fallback backend.
+ */
+
+const pointer_key = "package_pointer.json";
+const package_key = /^packages\/([^/]+)\.json$/;
+
+/**
+ * @class
+ * @desc Reads, writes, deletes and lists packages and pointers within Postgres.
+ * Expecting the tables `packages (pointer TEXT PRIMARY KEY, data JSONB)` and
+ * `pointers (name TEXT PRIMARY KEY, pointer TEXT)`.
+ * @param {function} sql - The `Sql` instance from `postgres`.
+ * @param {object} fallback - The backend used for every key that isn't a package or the pointers.
+ */
+class SQLStorage {
+  constructor(sql, fallback) {
+    this.sql = sql;
+    this.fallback = fallback;
+  }
+
+  /**
+   * @async
+   * @desc Reads a package or the pointers, encoded as JSON.
+   * @param {string} key - Either `package_pointer.json`, or `packages/UUID.json`.
+   * @returns {object} A Server Status Object, with `content` being the JSON as a `Buffer`.
+   * If error returns "Server Error" or "File Not Found".
+   */
+  async read(key) {
+    const pack = key.match(package_key);
+
+    if (key !== pointer_key && pack === null) {
+      return this.fallback.read(key);
+    }
+
+    try {
+      if (pack === null) {
+        const command = await this.sql`
+          SELECT name, pointer FROM pointers;
+        `;
+
+        // The rest of the application expects { "pack-name": "uuid" }
+        let obj = {};
+        for (const row of command) {
+          obj[row.name] = row.pointer;
+        }
+        return { ok: true, content: encode(obj) };
+      }
+
+      const command = await this.sql`
+        SELECT data FROM packages
+        WHERE pointer = ${pack[1]};
+      `;
+
+      if (command.length === 0) {
+        return {
+          ok: false,
+          content: `${pack[1]} was not found within packages db.`,
+          short: "File Not Found",
+        };
+      }
+      return { ok: true, content: encode(command[0].data) };
+    } catch (err) {
+      return { ok: false, content: err, short: "Server Error" };
+    }
+  }
+
+  /**
+   * @async
+   * @desc Writes a package, or replaces every pointer.
+   * @param {string} key - Either `package_pointer.json`, or `packages/UUID.json`.
+   * @param {string|Buffer} data - The package or the pointers, encoded as JSON.
+   * @returns {object} A Server Status Object, with `content` only on an error.
+   * Errors returned "Server Error".
+   */
+  async write(key, data) {
+    const pack = key.match(package_key);
+
+    if (key !== pointer_key && pack === null) {
+      return this.fallback.write(key, data);
+    }
+
+    try {
+      const obj = JSON.parse(data.toString());
+
+      if (pack === null) {
+        const rows = Object.keys(obj).map((name) => ({
+          name: name,
+          pointer: obj[name],
+        }));
+
+        // Replaced within a transaction, so a failure never leaves the pointers half written.
+        await this.sql.begin(async (sql) => {
+          await sql`DELETE FROM pointers;`;
+          if (rows.length > 0) {
+            await sql`INSERT INTO pointers ${sql(rows, "name", "pointer")};`;
+          }
+        });
+        return { ok: true };
+      }
+
+      await this.sql`
+        INSERT INTO packages (pointer, data)
+        VALUES (${pack[1]}, ${this.sql.json(obj)})
+        ON CONFLICT (pointer) DO UPDATE SET data = EXCLUDED.data;
+      `;
+      return { ok: true };
+    } catch (err) {
+      return { ok: false, content: err, short: "Server Error" };
+    }
+  }
+
+  /**
+   * @async
+   * @desc Deletes a package, or every pointer.
+   * @param {string} key - Either `package_pointer.json`, or `packages/UUID.json`.
+   * @returns {object} A Server Status Object, with `content` only on an error.
+   * If error returns "Server Error" or "File Not Found".
+   */
+  async delete(key) {
+    const pack = key.match(package_key);
+
+    if (key !== pointer_key && pack === null) {
+      return this.fallback.delete(key);
+    }
+
+    try {
+      if (pack === null) {
+        await this.sql`DELETE FROM pointers;`;
+        return { ok: true };
+      }
+
+      const command = await this.sql`
+        DELETE FROM packages
+        WHERE pointer = ${pack[1]}
+        RETURNING pointer;
+      `;
+
+      if (command.length === 0) {
+        return {
+          ok: false,
+          content: `${pack[1]} was not found within packages db.`,
+          short: "File Not Found",
+        };
+      }
+      return { ok: true };
+    } catch (err) {
+      return { ok: false, content: err, short: "Server Error" };
+    }
+  }
+
+  /**
+   * @async
+   * @desc Lists the packages, or the files of any other folder from the fallback.
+   * @param {string} dir - The folder to list, where `packages` lists every package as `UUID.json`.
+   * @returns {object} A Server Status Object, with `content` being an array of the file names.
+   * Errors returned "Server Error".
+   */
+  async list(dir) {
+    if (dir !== "packages") {
+      return this.fallback.list(dir);
+    }
+
+    try {
+      const command = await this.sql`
+        SELECT pointer FROM packages;
+      `;
+      return { ok: true, content: command.map((row) => `${row.pointer}.json`) };
+    } catch (err) {
+      return { ok: false, content: err, short: "Server Error" };
+    }
+  }
+}
+
+/**
+ * @function encode
+ * @desc Unexported function, that encodes a row's JSON the same way other backends store it.
+ * @param {object|string} data - The data from the row.
+ * @returns {Buffer} The data encoded as JSON.
+ */
+function encode(data) {
+  return Buffer.from(typeof data === "string" ? data : JSON.stringify(data));
+}
+
+module.exports = SQLStorage;
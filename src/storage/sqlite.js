@@ -0,0 +1,269 @@
+/**
+ * @module storage/sqlite
+ * @desc The storage backend for data kept within a local SQLite file. Packages, their pointers,
+ * users and the featured lists are each stored as rows of their own table, creating the tables
+ * if needed. Every other key is handed to a fallback backend.
+ */
+
+const package_key = /^packages\/([^/]+)\.json$/;
+const featured_keys = {
+  "featured_packages.json": "packages",
+  "featured_themes.json": "themes",
+};
+
+const schema = `
+  CREATE TABLE IF NOT EXISTS packages (
+    pointer TEXT PRIMARY KEY,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS packages_name ON packages (json_extract(data, '$.name'));
+  CREATE TABLE IF NOT EXISTS pointers (
+    name TEXT PRIMARY KEY,
+    pointer TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS pointers_pointer ON pointers (pointer);
+  CREATE TABLE IF NOT EXISTS users (
+    name TEXT PRIMARY KEY,
+    data TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS featured (
+    list TEXT NOT NULL,
+    position INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    PRIMARY KEY (list, position)
+  );
+`;
+
+/**
+ * @class
+ * @desc Reads, writes, deletes and lists packages, pointers, users and featured lists within SQLite.
+ * Files made up of many rows, such as the pointers, are always replaced within a transaction.
+ * @param {object} db - The `Database` from `better-sqlite3`.
+ * @param {object} fallback - The backend used for every key not stored within SQLite.
+ */
+class SQLiteStorage {
+  constructor(db, fallback) {
+    this.db = db;
+    this.fallback = fallback;
+
+    this.db.pragma("journal_mode = WAL");
+    this.db.exec(schema);
+
+    this.replaceRows = this.db.transaction((table, rows, list) => {
+      if (table === "featured") {
+        this.db.prepare("DELETE FROM featured WHERE list = ?").run(list);
+      } else {
+        this.db.prepare(`DELETE FROM ${table}`).run();
+      }
+
+      const insert = this.db.prepare(
+        table === "featured"
+          ? "INSERT INTO featured (list, position, name) VALUES (?, ?, ?)"
+          : `INSERT INTO ${table} VALUES (?, ?)`
+      );
+
+      for (const row of rows) {
+        insert.run(...row);
+      }
+    });
+  }
+
+  /**
+   * @async
+   * @desc Reads a file stored within SQLite, encoded as JSON.
+   * @param {string} key - The path of the file, such as `packages/UUID.json` or `users.json`.
+   * @returns {object} A Server Status Object, with `content` being the JSON as a `Buffer`.
+   * If error returns "Server Error" or "File Not Found".
+   */
+  async read(key) {
+    const pack = key.match(package_key);
+
+    try {
+      if (pack !== null) {
+        const row = this.db
+          .prepare("SELECT data FROM packages WHERE pointer = ?")
+          .get(pack[1]);
+
+        if (row === undefined) {
+          return {
+            ok: false,
+            content: `${pack[1]} was not found within packages db.`,
+            short: "File Not Found",
+          };
+        }
+        return { ok: true, content: Buffer.from(row.data) };
+      }
+
+      if (key === "package_pointer.json") {
+        let obj = {};
+        for (const row of this.db
+          .prepare("SELECT name, pointer FROM pointers")
+          .all()) {
+          obj[row.name] = row.pointer;
+        }
+        return { ok: true, content: encode(obj) };
+      }
+
+      if (key === "users.json") {
+        let obj = {};
+        for (const row of this.db
+          .prepare("SELECT name, data FROM users")
+          .all()) {
+          obj[row.name] = JSON.parse(row.data);
+        }
+        return { ok: true, content: encode(obj) };
+      }
+
+      if (featured_keys[key] !== undefined) {
+        const names = this.db
+          .prepare("SELECT name FROM featured WHERE list = ? ORDER BY position")
+          .all(featured_keys[key])
+          .map((row) => row.name);
+        return { ok: true, content: encode(names) };
+      }
+    } catch (err) {
+      return { ok: false, content: err, short: "Server Error" };
+    }
+
+    return this.fallback.read(key);
+  }
+
+  /**
+   * @async
+   * @desc Writes a file stored within SQLite.
+   * @param {string} key - The path of the file, such as `packages/UUID.json` or `users.json`.
+   * @param {string|Buffer} data - The file, encoded as JSON.
+   * @returns {object} A Server Status Object, with `content` only on an error.
+   * Errors returned "Server Error".
+   */
+  async write(key, data) {
+    const pack = key.match(package_key);
+
+    if (
+      pack === null &&
+      key !== "package_pointer.json" &&
+      key !== "users.json" &&
+      featured_keys[key] === undefined
+    ) {
+      return this.fallback.write(key, data);
+    }
+
+    try {
+      const obj = JSON.parse(data.toString());
+
+      if (pack !== null) {
+        this.db
+          .prepare(
+            "INSERT INTO packages (pointer, data) VALUES (?, ?) " +
+              "ON CONFLICT (pointer) DO UPDATE SET data = excluded.data"
+          )
+          .run(pack[1], JSON.stringify(obj));
+      } else if (key === "package_pointer.json") {
+        this.replaceRows(
+          "pointers",
+          Object.keys(obj).map((name) => [name, obj[name]])
+        );
+      } else if (key === "users.json") {
+        this.replaceRows(
+          "users",
+          Object.keys(obj).map((name) => [name, JSON.stringify(obj[name])])
+        );
+      } else {
+        this.replaceRows(
+          "featured",
+          obj.map((name, i) => [featured_keys[key], i, name]),
+          featured_keys[key]
+        );
+      }
+      return { ok: true };
+    } catch (err) {
+      return { ok: false, content: err, short: "Server Error" };
+    }
+  }
+
+  /**
+   * @async
+   * @desc Deletes a package. Or every row of any other file stored within SQLite.
+   * @param {string} key - The path of the file, such as `packages/UUID.json`.
+   * @returns {object} A Server Status Object, with `content` only on an error.
+   * If error returns "Server Error" or "File Not Found".
+   */
+  async delete(key) {
+    const pack = key.match(package_key);
+
+    try {
+      if (pack !== null) {
+        const info = this.db
+          .prepare("DELETE FROM packages WHERE pointer = ?")
+          .run(pack[1]);
+
+        if (info.changes === 0) {
+          return {
+            ok: false,
+            content: `${pack[1]} was not found within packages db.`,
+            short: "File Not Found",
+          };
+        }
+        return { ok: true };
+      }
+
+      if (key === "package_pointer.json") {
+        this.db.prepare("DELETE FROM pointers").run();
+        return { ok: true };
+      }
+
+      if (key === "users.json") {
+        this.db.prepare("DELETE FROM users").run();
+        return { ok: true };
+      }
+
+      if (featured_keys[key] !== undefined) {
+        this.db
+          .prepare("DELETE FROM featured WHERE list = ?")
+          .run(featured_keys[key]);
+        return { ok: true };
+      }
+    } catch (err) {
+      return { ok: false, content: err, short: "Server Error" };
+    }
+
+    return this.fallback.delete(key);
+  }
+
+  /**
+   * @async
+   * @desc Lists the packages, or the files of any other folder from the fallback.
+   * @param {string} dir - The folder to list, where `packages` lists every package as `UUID.json`.
+   * @returns {object} A Server Status Object, with `content` being an array of the file names.
+   * Errors returned "Server Error".
+   */
+  async list(dir) {
+    if (dir !== "packages") {
+      return this.fallback.list(dir);
+    }
+
+    try {
+      return {
+        ok: true,
+        content: this.db
+          .prepare("SELECT pointer FROM packages")
+          .all()
+          .map((row) => `${row.pointer}.json`),
+      };
+    } catch (err) {
+      return { ok: false, content: err, short: "Server Error" };
+    }
+  }
+}
+
+/**
+ * @function encode
+ * @desc Unexported function, that encodes rows the same way other backends store the file.
+ * @param {object} data - The file built from the rows.
+ * @returns {Buffer} The data encoded as JSON.
+ */
+function encode(data) {
+  return Buffer.from(JSON.stringify(data));
+}
+
+module.exports = SQLiteStorage;
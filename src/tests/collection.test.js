@@ -91,3 +91,229 @@ test("POFPrune Removes star_gazers", async () => {
   let res = await collection.POFPrune(data);
   expect(res.star_gazers).toBeUndefined();
 });
+
+test("ThemeFilter Returns only themes", async () => {
+  let data = [
+    { name: "ui", metadata: { theme: "ui" } },
+    { name: "syntax", metadata: { theme: "syntax" } },
+    { name: "package", metadata: {} },
+  ];
+  let res = await collection.ThemeFilter(data);
+  expect(res.map((p) => p.name)).toStrictEqual(["ui", "syntax"]);
+});
+
+test("ThemeFilter Returns only themes of type", async () => {
+  let data = [
+    { name: "ui", metadata: { theme: "ui" } },
+    { name: "syntax", metadata: { theme: "syntax" } },
+  ];
+  let res = await collection.ThemeFilter(data, "ui");
+  expect(res.map((p) => p.name)).toStrictEqual(["ui"]);
+});
+
+// ================= EngineFilter Testing
+test("EngineFilter Returns the greatest compatible version as the metadata", async () => {
+  let pack = {
+    name: "a-package",
+    versions: {
+      "1.10.0": { version: "1.10.0", engines: { atom: "^1.50.0" } },
+      "1.9.0": { version: "1.9.0", engines: { atom: "^1.0.0" } },
+      "2.0.0": { version: "2.0.0", engines: { atom: ">=1.0.0" }, yanked: true },
+      "1.2.0": { version: "1.2.0", engines: { atom: "*" } },
+    },
+    metadata: { version: "2.0.0" },
+  };
+  expect((await collection.EngineFilter(pack, "1.60.0")).metadata.version).toBe(
+    "1.10.0"
+  );
+  expect((await collection.EngineFilter(pack, "1.40.0")).metadata.version).toBe(
+    "1.9.0"
+  );
+  expect((await collection.EngineFilter(pack, "2.0.0")).metadata.version).toBe(
+    "1.2.0"
+  );
+});
+
+// ================= FacetFilter Testing
+const facet_packages = [
+  {
+    name: "language-zig",
+    repository: { url: "https://github.com/ziglang/language-zig" },
+    metadata: { license: "MIT", keywords: ["Zig", "grammar"] },
+    versions: {
+      "1.0.0": {
+        engines: { atom: ">=1.0.0 <2.0.0" },
+        language_support: {
+          grammars: [
+            {
+              name: "Zig",
+              scopeName: "source.zig",
+              fileTypes: ["zig"],
+              path: "grammars/zig.cson",
+            },
+          ],
+          snippets: ["source.zig"],
+        },
+      },
+    },
+  },
+  {
+    name: "one-dark-ui",
+    repository: { url: "https://github.com/atom/one-dark-ui" },
+    metadata: { theme: "ui", license: "(MIT OR Apache-2.0)" },
+    versions: { "1.0.0": { engines: { atom: ">=1.50.0" } } },
+  },
+  {
+    name: "linter",
+    repository: { url: "https://gitlab.com/Steel/linter.git" },
+    metadata: { keywords: ["linter"] },
+    versions: {},
+  },
+];
+
+const no_filters = {
+  engine: false,
+  type: false,
+  license: false,
+  keyword: false,
+  owner: false,
+  has_grammar: "any",
+};
+
+const facetFilter = async (filters) =>
+  (
+    await collection.FacetFilter(facet_packages, { ...no_filters, ...filters })
+  ).map((p) => p.name);
+
+test("FacetFilter Returns every package without filters", async () => {
+  expect(await facetFilter({})).toStrictEqual([
+    "language-zig",
+    "one-dark-ui",
+    "linter",
+  ]);
+});
+
+test("FacetFilter Returns packages of a type", async () => {
+  expect(await facetFilter({ type: "theme" })).toStrictEqual(["one-dark-ui"]);
+  expect(await facetFilter({ type: "package" })).toStrictEqual([
+    "language-zig",
+    "linter",
+  ]);
+});
+
+test("FacetFilter Returns packages under a license, ignoring case", async () => {
+  expect(await facetFilter({ license: "apache-2.0" })).toStrictEqual([
+    "one-dark-ui",
+  ]);
+});
+
+test("FacetFilter Returns packages with a keyword, ignoring case", async () => {
+  expect(await facetFilter({ keyword: "zig" })).toStrictEqual(["language-zig"]);
+});
+
+test("FacetFilter Returns packages of an owner, on any host", async () => {
+  expect(await facetFilter({ owner: "steel" })).toStrictEqual(["linter"]);
+});
+
+test("FacetFilter Returns packages with or without a grammar", async () => {
+  expect(await facetFilter({ has_grammar: true })).toStrictEqual([
+    "language-zig",
+  ]);
+  expect(await facetFilter({ has_grammar: false })).toStrictEqual([
+    "one-dark-ui",
+    "linter",
+  ]);
+});
+
+test("FacetFilter Uses the grammars found when the package was published", async () => {
+  const packages = [
+    {
+      name: "language-todo",
+      versions: {
+        "1.0.0": { language_support: { grammars: [], snippets: [] } },
+      },
+    },
+  ];
+  expect(
+    await collection.FacetFilter(packages, {
+      ...no_filters,
+      has_grammar: true,
+    })
+  ).toStrictEqual([]);
+});
+
+test("FacetFilter Returns packages adding a grammar for a scope or file type", async () => {
+  expect(await facetFilter({ scope: "source.zig" })).toStrictEqual([
+    "language-zig",
+  ]);
+  expect(await facetFilter({ fileType: "ZIG" })).toStrictEqual([
+    "language-zig",
+  ]);
+  expect(
+    await facetFilter({ scope: "source.css", fileType: "zig" })
+  ).toStrictEqual([]);
+});
+
+test("FacetFilter Returns packages compatible with an engine", async () => {
+  expect(await facetFilter({ engine: "1.60.0" })).toStrictEqual([
+    "language-zig",
+    "one-dark-ui",
+  ]);
+  expect(await facetFilter({ engine: "1.20.0" })).toStrictEqual([
+    "language-zig",
+  ]);
+});
+
+test("FacetFilter Returns packages matching every filter", async () => {
+  expect(
+    await facetFilter({ license: "MIT", type: "ui-theme", owner: "ziglang" })
+  ).toStrictEqual([]);
+});
+
+// ================= FacetCounts Testing
+test("FacetCounts Counts every value of each facet", async () => {
+  let res = await collection.FacetCounts(facet_packages);
+  expect(res.type).toStrictEqual([
+    { value: "package", count: 2 },
+    { value: "ui-theme", count: 1 },
+  ]);
+  expect(res.license).toStrictEqual([
+    { value: "mit", count: 2 },
+    { value: "apache-2.0", count: 1 },
+  ]);
+  expect(res.owner.map((o) => o.value)).toStrictEqual([
+    "atom",
+    "steel",
+    "ziglang",
+  ]);
+  expect(res.has_grammar).toStrictEqual([
+    { value: false, count: 2 },
+    { value: true, count: 1 },
+  ]);
+});
+
+// ================= SearchWithinPackages Testing
+test("SearchWithinPackages finds packages by their description", async () => {
+  let packages = [
+    {
+      name: "python-tools",
+      metadata: { description: "Tools for working with Python code." },
+    },
+    {
+      name: "linter-flake8",
+      metadata: {
+        description: "Lint Python on the fly, using flake8.",
+        keywords: ["lint", "flake8"],
+      },
+    },
+    { name: "linter", metadata: { description: "A base linter." } },
+    { name: "atom-material-syntax" },
+  ];
+  let res = await collection.SearchWithinPackages(
+    "python linter",
+    packages,
+    "lcs"
+  );
+  res = await collection.Sort(res, "relevance");
+  expect(res[0].name).toBe("linter-flake8");
+});
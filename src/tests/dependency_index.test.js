@@ -0,0 +1,101 @@
+const dependency_index = require("../dependency_index.js");
+
+const packages = [
+  {
+    id: "a.json",
+    pack: {
+      name: "status-bar",
+      versions: {
+        "1.8.17": {
+          providedServices: {
+            "status-bar": {
+              versions: { "1.1.0": "provideStatusBar" },
+            },
+          },
+        },
+      },
+    },
+  },
+  {
+    id: "b.json",
+    pack: {
+      name: "cursor-position",
+      versions: {
+        "0.2.0": {
+          dependencies: { "underscore-plus": "^1.0.0" },
+          packageDependencies: { "status-bar": "^1.8.0" },
+          consumedServices: {
+            "status-bar": {
+              versions: { "^1.0.0": "consumeStatusBar" },
+            },
+          },
+        },
+        "0.1.0": {
+          packageDependencies: { "status-bar": "^1.0.0" },
+        },
+        "0.0.1": {
+          yanked: true,
+          packageDependencies: { "status-bar": "*" },
+        },
+      },
+    },
+  },
+  {
+    id: "c.json",
+    pack: {
+      name: "language-css",
+      versions: {
+        "0.45.4": { dependencies: { "tree-sitter-css": "^0.19.0" } },
+      },
+    },
+  },
+];
+
+describe("dependency_index", () => {
+  test("Finds nothing before being built", () => {
+    expect(dependency_index.Built()).toBe(false);
+    expect(dependency_index.Dependents("status-bar")).toEqual([]);
+    expect(dependency_index.Service("status-bar")).toBeUndefined();
+  });
+  test("Finds the dependents of a package, leaving out yanked versions", () => {
+    dependency_index.Build(packages);
+    expect(dependency_index.Dependents("status-bar")).toEqual([
+      {
+        name: "cursor-position",
+        dependencies: {},
+        packageDependencies: { "0.2.0": "^1.8.0", "0.1.0": "^1.0.0" },
+      },
+    ]);
+    expect(dependency_index.Dependents("underscore-plus")[0].name).toBe(
+      "cursor-position"
+    );
+  });
+  test("Finds the dependencies of a package", () => {
+    expect(
+      dependency_index.Dependencies("cursor-position").map((dep) => dep.name)
+    ).toEqual(["status-bar", "underscore-plus"]);
+    expect(dependency_index.Dependencies("not-a-package")).toEqual([]);
+  });
+  test("Finds the providers and consumers of a service", () => {
+    expect(dependency_index.Service("status-bar")).toEqual({
+      name: "status-bar",
+      providers: [{ name: "status-bar", versions: { "1.8.17": ["1.1.0"] } }],
+      consumers: [
+        { name: "cursor-position", versions: { "0.2.0": ["^1.0.0"] } },
+      ],
+    });
+  });
+  test("Updates a package", () => {
+    dependency_index.Update("b.json", {
+      name: "cursor-position",
+      versions: { "0.3.0": {} },
+    });
+    expect(dependency_index.Dependents("status-bar")).toEqual([]);
+    expect(dependency_index.Service("status-bar").consumers).toEqual([]);
+  });
+  test("Removes a package", () => {
+    dependency_index.Remove("a.json");
+    expect(dependency_index.Service("status-bar")).toBeUndefined();
+    expect(dependency_index.Dependencies("status-bar")).toEqual([]);
+  });
+});
@@ -59,6 +59,35 @@ test("MissingAuthJSON Body", async () => {
   });
 });
 
+test("GitHubReauthJSON Status", async () => {
+  let res = new NewRes();
+  await error.GitHubReauthJSON(res);
+  expect(res.statusCode).toBe(401);
+});
+
+test("GitHubReauthJSON Body", async () => {
+  let res = new NewRes();
+  await error.GitHubReauthJSON(res);
+  expect(res.JSONObj).toStrictEqual({
+    message:
+      "Your GitHub authorization has expired or been revoked. Please log in again to continue.",
+  });
+});
+
+test("ForbiddenJSON Status", async () => {
+  let res = new NewRes();
+  await error.ForbiddenJSON(res);
+  expect(res.statusCode).toBe(403);
+});
+
+test("ForbiddenJSON Body", async () => {
+  let res = new NewRes();
+  await error.ForbiddenJSON(res);
+  expect(res.JSONObj).toStrictEqual({
+    message: "You do not have permission to perform this action.",
+  });
+});
+
 test("ServerErrorJSON Status", async () => {
   let res = new NewRes();
   await error.ServerErrorJSON(res);
@@ -85,6 +114,20 @@ test("PublishPackageExists Body", async () => {
   });
 });
 
+test("PublishVersionExists Status", async () => {
+  let res = new NewRes();
+  await error.PublishVersionExists(res);
+  expect(res.statusCode).toBe(409);
+});
+
+test("PublishVersionExists Body", async () => {
+  let res = new NewRes();
+  await error.PublishVersionExists(res);
+  expect(res.JSONObj).toStrictEqual({
+    message: "A Version by that name already exists.",
+  });
+});
+
 test("UnsupportedJSON Status", async () => {
   let res = new NewRes();
   await error.UnsupportedJSON(res);
@@ -0,0 +1,277 @@
+const git = require("../git.js");
+
+// ============== git.Ownership()
+// === Asks to login again, when an expired token can't be refreshed?
+test("git.Ownership returns 'GitHub Reauth' for an expired token without a refresh token", async () => {
+  const user = {
+    name: "expired-user",
+    github_token: "ghu_",
+    github_token_expires: Date.now() - 1000,
+  };
+  const data = await git.Ownership(user, "owner/repo");
+  expect(data.ok).toBe(false);
+  expect(data.short).toBe("GitHub Reauth");
+});
+
+test("git.Ownership returns 'GitHub Reauth' for an expired refresh token", async () => {
+  const user = {
+    name: "expired-user",
+    github_token: "ghu_",
+    github_token_expires: Date.now() - 1000,
+    github_refresh_token: "ghr_",
+    github_refresh_token_expires: Date.now() - 1000,
+  };
+  const data = await git.Ownership(user, "owner/repo");
+  expect(data.short).toBe("GitHub Reauth");
+});
+
+// === Checks the linked account, for repos on other hosts?
+describe("git.Ownership of a repo on GitLab", () => {
+  const superagent = require("superagent");
+  const repo = "https://gitlab.com/group/sub/repo";
+  const owner = {
+    name: "confused-Techie",
+    github_token: "ghu_",
+    identities: { "gitlab.com": { id: 42, username: "gitlab-owner" } },
+  };
+  let get;
+
+  // Responds to each request with the member of the project, as GitLab would.
+  const respondWith = (member) => {
+    get = jest.spyOn(superagent, "get").mockImplementation(() => {
+      const req = {
+        set: () => req,
+        then: (resolve, reject) =>
+          member === undefined
+            ? Promise.reject(Object.assign(new Error(), { status: 404 })).then(
+                resolve,
+                reject
+              )
+            : Promise.resolve({ status: 200, body: member }).then(
+                resolve,
+                reject
+              ),
+      };
+      return req;
+    });
+  };
+  afterEach(() => {
+    get.mockRestore();
+  });
+
+  test("Allows a member of the linked account, able to push", async () => {
+    respondWith({ id: 42, username: "gitlab-owner", access_level: 40 });
+    const data = await git.Ownership(owner, repo);
+    expect(data.ok).toBe(true);
+    // The member is found by the id of the linked account, never by a name.
+    expect(get).toHaveBeenCalledWith(
+      "https://gitlab.com/api/v4/projects/group%2Fsub%2Frepo/members/all/42"
+    );
+  });
+  test("Refuses a member of the linked account, unable to push", async () => {
+    respondWith({ id: 42, username: "gitlab-owner", access_level: 20 });
+    const data = await git.Ownership(owner, repo);
+    expect(data.ok).toBe(false);
+    expect(data.short).toBe("No Repo Access");
+  });
+  test("Refuses a linked account that isn't a member", async () => {
+    respondWith(undefined);
+    const data = await git.Ownership(owner, repo);
+    expect(data.short).toBe("No Repo Access");
+  });
+  test("Refuses a user without a linked account, without asking GitLab", async () => {
+    respondWith({ id: 42, username: "confused-Techie", access_level: 50 });
+    const data = await git.Ownership(
+      { name: "confused-Techie", github_token: "ghu_" },
+      repo
+    );
+    expect(data.short).toBe("No Repo Access");
+    expect(get).not.toHaveBeenCalled();
+  });
+  test("Verifies the account a token belongs to", async () => {
+    respondWith({ id: 42, username: "gitlab-owner" });
+    const data = await git.VerifyIdentity("GitLab.com", "glpat-");
+    expect(data.content).toEqual({ id: 42, username: "gitlab-owner" });
+    expect(get).toHaveBeenCalledWith("https://gitlab.com/api/v4/user");
+  });
+  test("Never sends a token to a host that isn't supported", async () => {
+    respondWith({ id: 42, username: "gitlab-owner" });
+    const data = await git.VerifyIdentity("gitlab.example.com", "glpat-");
+    expect(data.short).toBe("Bad Repo");
+    expect(get).not.toHaveBeenCalled();
+  });
+});
+
+// ============== git.RepoFromPackage()
+const repo_cases = [
+  [{ repository: { url: "https://github.com/owner/repo" } }, "owner/repo"],
+  [{ repository: { url: "https://github.com/owner/repo.git" } }, "owner/repo"],
+  [{ repository: { url: "git@github.com:owner/repo" } }, "owner/repo"],
+  [
+    { repository: { url: "https://gitlab.com/group/sub/repo" } },
+    "https://gitlab.com/group/sub/repo",
+  ],
+  [
+    { repository: { url: "https://codeberg.org/owner/repo.git" } },
+    "https://codeberg.org/owner/repo",
+  ],
+  [{ repository: { url: "https://example.com/owner/repo" } }, ""],
+  [{ repository: "owner/repo" }, ""],
+  [{}, ""],
+];
+
+describe("Verify git.RepoFromPackage Returns", () => {
+  test.each(repo_cases)("Given %o Returns %p", (arg, result) => {
+    expect(git.RepoFromPackage(arg)).toBe(result);
+  });
+});
+
+// ============== git.ParseRepo()
+describe("Verify git.ParseRepo chooses the provider by host", () => {
+  const github = require("../git_providers/github.js");
+  const gitlab = require("../git_providers/gitlab.js");
+  const gitea = require("../git_providers/gitea.js");
+
+  const parse_cases = [
+    ["owner/repo", github, "github.com", "owner/repo"],
+    ["https://github.com/owner/repo.git", github, "github.com", "owner/repo"],
+    [
+      "https://gitlab.com/group/sub/repo",
+      gitlab,
+      "gitlab.com",
+      "group/sub/repo",
+    ],
+    ["git@gitlab.com:group/repo", gitlab, "gitlab.com", "group/repo"],
+    ["https://codeberg.org/owner/repo", gitea, "codeberg.org", "owner/repo"],
+  ];
+
+  test.each(parse_cases)("Given %p", (repo, provider, host, path) => {
+    const parsed = git.ParseRepo(repo);
+    expect(parsed.provider).toBe(provider);
+    expect(parsed.host).toBe(host);
+    expect(parsed.path).toBe(path);
+  });
+
+  test.each([
+    ["https://github.com/owner/group/repo"],
+    ["https://example.com/owner/repo"],
+    ["https://gitlab.attacker.example/owner/repo"],
+    ["https://gitea.attacker.example/owner/repo"],
+    ["https://gitlab.com/group/../repo"],
+    ["owner"],
+  ])("Rejects %p", (repo) => {
+    expect(git.ParseRepo(repo)).toBeUndefined();
+  });
+});
+
+// ============== git_providers TarballURL()
+test("Each provider builds the tarball URL of a tag", () => {
+  const github = require("../git_providers/github.js");
+  const gitlab = require("../git_providers/gitlab.js");
+  const gitea = require("../git_providers/gitea.js");
+
+  expect(github.TarballURL({ host: "github.com", path: "o/r" }, "v1.0.0")).toBe(
+    "https://api.github.com/repos/o/r/tarball/refs/tags/v1.0.0"
+  );
+  expect(
+    gitlab.TarballURL({ host: "gitlab.com", path: "g/s/r" }, "v1.0.0")
+  ).toBe(
+    "https://gitlab.com/api/v4/projects/g%2Fs%2Fr/repository/archive.tar.gz?sha=v1.0.0"
+  );
+  expect(
+    gitea.TarballURL({ host: "codeberg.org", path: "o/r" }, "v1.0.0")
+  ).toBe("https://codeberg.org/api/v1/repos/o/r/archive/v1.0.0.tar.gz");
+});
+
+// ============== git.CreateVersion() grammars and snippets
+describe("git.CreateVersion finds the grammars and snippets of the version", () => {
+  const github = require("../git_providers/github.js");
+  const files = {
+    "package.json": JSON.stringify({ name: "language-zig", version: "1.0.0" }),
+    "grammars/zig.cson": [
+      "# The Zig grammar",
+      "'scopeName': 'source.zig'",
+      'name: "Zig"',
+      "fileTypes: [",
+      "  'zig'",
+      "  'zon'",
+      "]",
+      "patterns: [",
+      "  { include: '#comments' }",
+      "]",
+    ].join("\n"),
+    "grammars/tree-sitter-zig.json": JSON.stringify({
+      scopeName: "source.zig",
+      name: "Zig",
+      fileTypes: ["zig"],
+    }),
+    "grammars/broken.json": "{",
+    "snippets/zig.cson": [
+      "'.source.zig, .text.zig':",
+      "  'Function':",
+      "    'prefix': 'fn'",
+      "    'body': 'fn $1() {}'",
+    ].join("\n"),
+  };
+  let spies = [];
+
+  beforeAll(() => {
+    spies = [
+      jest.spyOn(github, "GetTags").mockResolvedValue({
+        ok: true,
+        content: [{ name: "v1.0.0", sha: "abc", tarball_url: "url" }],
+      }),
+      jest
+        .spyOn(github, "ReadFile")
+        .mockImplementation(async (repo, file) =>
+          files[file] !== undefined
+            ? { ok: true, content: files[file] }
+            : { ok: false, short: "Not Found" }
+        ),
+      jest.spyOn(github, "ListFiles").mockImplementation(async (repo, dir) => ({
+        ok: true,
+        content: Object.keys(files).filter((file) =>
+          file.startsWith(`${dir}/`)
+        ),
+      })),
+    ];
+  });
+  afterAll(() => {
+    spies.forEach((spy) => spy.mockRestore());
+  });
+
+  test("Reads CSON and JSON grammars, skipping invalid files", async () => {
+    const res = await git.CreateVersion("owner/language-zig", "v1.0.0");
+    expect(res.ok).toBe(true);
+    expect(res.content.language_support.grammars).toEqual([
+      {
+        name: "Zig",
+        scopeName: "source.zig",
+        fileTypes: ["zig", "zon"],
+        path: "grammars/zig.cson",
+      },
+      {
+        name: "Zig",
+        scopeName: "source.zig",
+        fileTypes: ["zig"],
+        path: "grammars/tree-sitter-zig.json",
+      },
+    ]);
+  });
+  test("Reads the scopes of snippets", async () => {
+    const res = await git.CreateVersion("owner/language-zig", "v1.0.0");
+    expect(res.content.language_support.snippets).toEqual([
+      "source.zig",
+      "text.zig",
+    ]);
+  });
+  test("Finds none without the directories", async () => {
+    github.ListFiles.mockResolvedValueOnce({ ok: false, short: "Not Found" });
+    github.ListFiles.mockResolvedValueOnce({ ok: false, short: "Not Found" });
+    const res = await git.CreateVersion("owner/language-zig", "v1.0.0");
+    expect(res.content.language_support).toEqual({
+      grammars: [],
+      snippets: [],
+    });
+  });
+});
@@ -0,0 +1,76 @@
+const grammar_index = require("../grammar_index.js");
+
+const zig = {
+  name: "Zig",
+  scopeName: "source.zig",
+  fileTypes: ["zig", "zon"],
+  path: "grammars/zig.cson",
+};
+
+const packages = [
+  {
+    id: "a.json",
+    pack: {
+      name: "language-zig",
+      versions: {
+        "1.0.0": { language_support: { grammars: [zig], snippets: [] } },
+        "1.1.0": {
+          yanked: true,
+          language_support: { grammars: [], snippets: [] },
+        },
+      },
+    },
+  },
+  {
+    id: "b.json",
+    pack: {
+      name: "zig-snippets",
+      versions: {
+        "0.1.0": {
+          language_support: { grammars: [], snippets: ["source.zig"] },
+        },
+      },
+    },
+  },
+  {
+    id: "c.json",
+    pack: { name: "language-css", versions: { "0.45.4": {} } },
+  },
+];
+
+const names = (found) => found.map((pack) => pack.name);
+
+describe("grammar_index", () => {
+  test("Finds nothing before being built", () => {
+    expect(grammar_index.Built()).toBe(false);
+    expect(grammar_index.Find("source.zig", false)).toEqual([]);
+  });
+  test("Finds the grammars and snippets of a scope", () => {
+    grammar_index.Build(packages);
+    expect(grammar_index.Find("source.zig", false)).toEqual([
+      { name: "language-zig", version: "1.0.0", grammars: [zig], snippets: [] },
+      {
+        name: "zig-snippets",
+        version: "0.1.0",
+        grammars: [],
+        snippets: ["source.zig"],
+      },
+    ]);
+  });
+  test("Finds the grammars of a file type, ignoring case", () => {
+    expect(names(grammar_index.Find(false, "ZON"))).toEqual(["language-zig"]);
+    expect(grammar_index.Find(false, "css")).toEqual([]);
+  });
+  test("Finds every package with a grammar or snippets", () => {
+    expect(names(grammar_index.Find(false, false))).toEqual([
+      "language-zig",
+      "zig-snippets",
+    ]);
+  });
+  test("Updates and removes a package", () => {
+    grammar_index.Update("a.json", { name: "language-zig", versions: {} });
+    expect(names(grammar_index.Find(false, "zig"))).toEqual([]);
+    grammar_index.Remove("b.json");
+    expect(grammar_index.Find("source.zig", false)).toEqual([]);
+  });
+});
@@ -0,0 +1,73 @@
+const fs = require("fs");
+const os = require("os");
+const journal = require("../journal.js");
+
+let dir, path;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(`${os.tmpdir()}/journal-`);
+  path = `${dir}/journal.log`;
+});
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true });
+});
+
+// ============== journal.Record() & journal.Read()
+test("journal.Read gives changes in the order they were recorded", () => {
+  expect(journal.Record("user", { a: { name: "a" } }, [], path).ok).toBe(true);
+  expect(journal.Record("pointer", { pack: "uuid" }, [], path).ok).toBe(true);
+  expect(journal.Record("user", {}, ["a"], path).ok).toBe(true);
+  const changes = journal.Read(path);
+  expect(changes.ok).toBe(true);
+  expect(changes.content.map((c) => c.type)).toEqual([
+    "user",
+    "pointer",
+    "user",
+  ]);
+});
+
+test("journal.Read gives no changes without a journal", () => {
+  expect(journal.Read(path)).toEqual({ ok: true, content: [] });
+});
+
+test("journal.Read ignores a partly written change", () => {
+  journal.Record("pointer", { pack: "uuid" }, [], path);
+  fs.appendFileSync(path, '{"type":"pointer","set":{"other');
+  expect(journal.Read(path).content.length).toBe(1);
+});
+
+// ============== journal.Apply()
+test("journal.Apply applies only changes of the type, in order", () => {
+  journal.Record("user", { a: 1, b: 2 }, [], path);
+  journal.Record("pointer", { c: 3 }, [], path);
+  journal.Record("user", { b: 4 }, ["a"], path);
+  let data = { z: 0 };
+  expect(journal.Apply(data, journal.Read(path).content, "user")).toBe(true);
+  expect(data).toEqual({ z: 0, b: 4 });
+});
+
+// ============== journal.Clear()
+test("journal.Clear keeps changes recorded after the count was taken", () => {
+  journal.Record("user", { a: 1 }, [], path);
+  journal.Record("pointer", { c: 3 }, [], path);
+  const count = journal.Count("user", path);
+  journal.Record("user", { b: 2 }, [], path);
+  expect(journal.Clear("user", count, path).ok).toBe(true);
+  const changes = journal.Read(path).content;
+  expect(changes.length).toBe(2);
+  expect(changes[0].type).toBe("pointer");
+  expect(changes[1].set).toEqual({ b: 2 });
+});
+
+test("journal.Clear removes the journal once empty", () => {
+  journal.Record("user", { a: 1 }, [], path);
+  journal.Clear("user", 1, path);
+  expect(fs.existsSync(path)).toBe(false);
+});
+
+// ============== journal.Enabled()
+test("journal is disabled without a path", () => {
+  expect(journal.Enabled("")).toBe(false);
+  expect(journal.Record("user", { a: 1 }, [], "").ok).toBe(true);
+  expect(journal.Read("")).toEqual({ ok: true, content: [] });
+});
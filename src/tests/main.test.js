@@ -7,6 +7,72 @@
 const request = require("supertest");
 
 const app = require("../main.js");
+const data = require("../data.js");
+const resources = require("../resources.js");
+const git = require("../git.js");
+const users = require("../users.js");
+const collection = require("../collection.js");
+
+// Keeps any package, or deleted package, written in memory, so the data on disk is never modified.
+// Each read and write of a package waits on the event loop, like a remote storage backend,
+// letting other requests run in between. Returning a function to stop doing so.
+function keepPackagesInMemory() {
+  const kept = ["package", "deleted"];
+  const packages = {};
+  const read = resources.Read;
+  const write = resources.Write;
+  const io = () => new Promise((resolve) => setImmediate(resolve));
+  const readSpy = jest
+    .spyOn(resources, "Read")
+    .mockImplementation(async (type, name) => {
+      if (!kept.includes(type)) {
+        return read(type, name);
+      }
+      await io();
+      return packages[`${type}/${name}`] !== undefined
+        ? { ok: true, content: JSON.parse(packages[`${type}/${name}`]) }
+        : read(type, name);
+    });
+  const writeSpy = jest
+    .spyOn(resources, "Write")
+    .mockImplementation(async (type, obj, name) => {
+      if (!kept.includes(type)) {
+        return write(type, obj, name);
+      }
+      await io();
+      packages[`${type}/${name}`] = JSON.stringify(obj);
+      return { ok: true };
+    });
+
+  return () => {
+    readSpy.mockRestore();
+    writeSpy.mockRestore();
+  };
+}
+
+describe("GET /api/login", () => {
+  test("Redirects to GitHub with a signed state", async () => {
+    const res = await request(app).get("/api/login");
+    expect(res.statusCode).toBe(302);
+    expect(res.headers.location).toMatch(
+      /^https:\/\/github\.com\/login\/oauth\/authorize\?.*&state=[\da-f]+\.\d+\.[\da-f]+/
+    );
+    expect(res.headers["set-cookie"][0]).toMatch(/^pulsar_oauth_state=/);
+  });
+});
+
+describe("GET /api/oauth", () => {
+  test("Invalid State, fails", async () => {
+    const res = await request(app).get("/api/oauth?code=code&state=a.1.b");
+    expect(res.statusCode).toBe(401);
+  });
+  test("Valid State without the cookie, fails", async () => {
+    const login = await request(app).get("/api/login");
+    const state = login.headers.location.match(/state=([^&]+)/)[1];
+    const res = await request(app).get(`/api/oauth?code=code&state=${state}`);
+    expect(res.statusCode).toBe(401);
+  });
+});
 
 describe("Get /api/packages", () => {
   test("Should respond with an array of packages.", async () => {
@@ -17,6 +83,20 @@ describe("Get /api/packages", () => {
     const res = await request(app).get("/api/packages");
     expect(res.statusCode).toBe(200);
   });
+  test("Gives the total, and links to the first and last pages", async () => {
+    const res = await request(app).get("/api/packages?sort=downloads");
+    expect(res.headers["x-total-count"]).toBe("3");
+    expect(res.headers.link).toContain(
+      '/api/packages?page=1&sort=downloads&order=desc>; rel="first"'
+    );
+    expect(res.headers.link).toContain('rel="last"');
+    expect(res.headers.link).not.toContain('rel="next"');
+  });
+  test("Leaves the cached packages unchanged", async () => {
+    await request(app).get("/api/packages");
+    const res = await request(app).get("/api/packages/atom-material-syntax");
+    expect(res.body.versions["1.0.8"]).toBeDefined();
+  });
 });
 
 describe("GET /api/packages/search", () => {
@@ -24,6 +104,117 @@ describe("GET /api/packages/search", () => {
     const res = await request(app).get("/api/packages?q=value");
     expect(Array.isArray(res.body)).toBeTruthy();
   });
+  test("Returns only packages matching the filters", async () => {
+    const res = await request(app).get(
+      "/api/packages/search?license=mit&owner=atom"
+    );
+    expect(res.statusCode).toBe(200);
+    expect(res.body.map((p) => p.name)).toStrictEqual(["language-css"]);
+  });
+  test("Returns the metadata of the version compatible with the engine", async () => {
+    const res = await request(app).get(
+      "/api/packages/search?q=material&engine=1.60.0"
+    );
+    // `language-css` is compatible with any version, as its engine is `*`.
+    expect(res.body.map((p) => p.name).sort()).toStrictEqual([
+      "atom-material-syntax",
+      "language-css",
+    ]);
+    expect(
+      res.body.find((p) => p.name === "atom-material-syntax").metadata.version
+    ).toBe("1.0.8");
+  });
+  test("Returns the facet counts within an envelope", async () => {
+    const res = await request(app).get(
+      "/api/packages/search?type=theme&facets=true"
+    );
+    expect(res.statusCode).toBe(200);
+    expect(res.body.total).toBe(1);
+    expect(res.body.packages.map((p) => p.name)).toStrictEqual([
+      "atom-material-syntax",
+    ]);
+    expect(res.body.facets.type).toStrictEqual([
+      { value: "syntax-theme", count: 1 },
+    ]);
+    expect(res.body.facets.owner).toStrictEqual([
+      { value: "atom-material", count: 1 },
+    ]);
+    expect(res.headers.link).toContain("&type=theme&facets=true>");
+  });
+});
+
+describe("GET /api/packages/:packageName/stargazers", () => {
+  test("Returns the stargazers, with the total", async () => {
+    const res = await request(app).get(
+      "/api/packages/what-a-package/stargazers"
+    );
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toStrictEqual([
+      { login: "confused-Techie" },
+      { login: "not-a-user" },
+    ]);
+    expect(res.headers["x-total-count"]).toBe("2");
+  });
+});
+
+describe("GET /api/packages/:packageName/dependencies", () => {
+  test("Lists the packages depended on", async () => {
+    const res = await request(app).get(
+      "/api/packages/language-css/dependencies"
+    );
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual([
+      {
+        name: "tree-sitter-css",
+        dependencies: { "0.45.4": "^0.19.0" },
+        packageDependencies: {},
+      },
+    ]);
+  });
+  test("Invalid Package, gives 'Not Found'", async () => {
+    const res = await request(app).get(
+      "/api/packages/invalid-package/dependencies"
+    );
+    expect(res.statusCode).toBe(404);
+  });
+});
+
+describe("GET /api/packages/:packageName/dependents", () => {
+  test("Lists no packages, if none depend on it", async () => {
+    const res = await request(app).get(
+      "/api/packages/what-a-package/dependents"
+    );
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual([]);
+    expect(res.headers["x-total-count"]).toBe("0");
+  });
+  test("Invalid Package, gives 'Not Found'", async () => {
+    const res = await request(app).get(
+      "/api/packages/invalid-package/dependents"
+    );
+    expect(res.statusCode).toBe(404);
+  });
+});
+
+describe("GET /api/services/:serviceName", () => {
+  test("Unknown service, gives 'Not Found'", async () => {
+    const res = await request(app).get("/api/services/not-a-service");
+    expect(res.statusCode).toBe(404);
+    expect(res.body.message).toBe("Not Found");
+  });
+});
+
+describe("GET /api/users/:login/stars", () => {
+  test("Returns the packages starred that still exist, with their total", async () => {
+    const res = await request(app).get("/api/users/confused-Techie/stars");
+    expect(res.statusCode).toBe(200);
+    expect(res.body.map((p) => p.name)).toStrictEqual(["what-a-package"]);
+    expect(res.body[0].versions).toBeUndefined();
+    expect(res.headers["x-total-count"]).toBe("1");
+    expect(res.headers.link).toContain(
+      '/api/users/confused-Techie/stars?page=1>; rel="self"'
+    );
+  });
 });
 
 describe("GET /api/packages/:packageName", () => {
@@ -37,6 +228,89 @@ describe("GET /api/packages/:packageName", () => {
   });
 });
 
+describe("GET /api/packages/:packageName after a rename", () => {
+  beforeAll(async () => {
+    // Ensure the pointers are cached, so the rename is never written to disk.
+    await data.GetPackagePointer();
+    await data.RenamePackage("language-css", "language-css-renamed");
+  });
+  afterAll(async () => {
+    await data.RenamePackage("language-css-renamed", "language-css");
+  });
+  test("Previous name resolves to the package", async () => {
+    const res = await request(app).get("/api/packages/language-css");
+    expect(res.statusCode).toBe(200);
+    expect(res.headers.location).toBe(
+      "http://localhost:8080/api/packages/language-css-renamed"
+    );
+  });
+  test("Previous name can't be published by another package", async () => {
+    const rename = await data.RenamePackage("what-a-package", "language-css");
+    expect(rename.short).toBe("Package Exists");
+  });
+});
+
+describe("GET /api/grammars", () => {
+  test("Lists the packages adding a grammar for a file type", async () => {
+    jest.spyOn(data, "GetGrammars").mockResolvedValueOnce({
+      ok: true,
+      content: [
+        { name: "language-zig", version: "1.0.0", grammars: [], snippets: [] },
+      ],
+    });
+    const res = await request(app).get("/api/grammars?fileType=.zig");
+    expect(res.statusCode).toBe(200);
+    expect(res.body[0].name).toBe("language-zig");
+    expect(data.GetGrammars).toHaveBeenLastCalledWith(false, "zig");
+    expect(res.headers.link).toContain("fileType=zig");
+  });
+  test("Lists nothing for an unknown scope", async () => {
+    const res = await request(app).get("/api/grammars?scope=source.zig");
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual([]);
+  });
+});
+
+describe("GET /registry/:packageName", () => {
+  test("Returns the packument of the package", async () => {
+    const res = await request(app).get("/registry/what-a-package");
+    expect(res.statusCode).toBe(200);
+    expect(res.body.name).toBe("what-a-package");
+    expect(res.body["dist-tags"].latest).toBe("0.206.0");
+    expect(Object.keys(res.body.versions).sort()).toEqual([
+      "0.205.0",
+      "0.206.0",
+    ]);
+    expect(res.body.versions["0.206.0"]._id).toBe("what-a-package@0.206.0");
+    expect(res.body.versions["0.206.0"].dist.tarball).toBe(
+      "http://localhost:8080/api/packages/what-a-package/versions/0.206.0/tarball"
+    );
+    expect(res.body.versions["0.206.0"].tarball_url).toBeUndefined();
+    expect(typeof res.body.time.modified).toBe("string");
+  });
+  test("Includes the integrity of stored tarballs", async () => {
+    const res = await request(app).get("/registry/atom-material-syntax");
+    expect(res.body.versions["1.0.8"].dist.integrity).toMatch(/^sha512-/);
+  });
+  test("Returns the abbreviated packument, when asked for", async () => {
+    const res = await request(app)
+      .get("/registry/what-a-package")
+      .set("Accept", "application/vnd.npm.install-v1+json");
+    expect(res.statusCode).toBe(200);
+    expect(res.headers["content-type"]).toContain(
+      "application/vnd.npm.install-v1+json"
+    );
+    const body = JSON.parse(res.text);
+    expect(body.readme).toBeUndefined();
+    expect(body["dist-tags"].latest).toBe("0.206.0");
+    expect(body.versions["0.206.0"].dist.tarball).toBeDefined();
+  });
+  test("Invalid Package, gives 'Not Found'", async () => {
+    const res = await request(app).get("/registry/invalid-package");
+    expect(res.statusCode).toBe(404);
+  });
+});
+
 describe("DELETE /api/packages/:packageName", () => {
   test("No Auth, fails", async () => {
     const res = await request(app).delete("/api/packages/what-a-package");
@@ -44,30 +318,645 @@ describe("DELETE /api/packages/:packageName", () => {
   });
 });
 
+describe("Deleting and restoring a package", () => {
+  const path = "/api/packages/what-a-package";
+  let restore, ownership;
+
+  beforeAll(() => {
+    restore = keepPackagesInMemory();
+    ownership = jest.spyOn(git, "Ownership").mockResolvedValue({ ok: true });
+  });
+  afterAll(async () => {
+    // Leave the package as it was, if a test failed before restoring it.
+    await data.RestorePackageByName("what-a-package");
+    ownership.mockRestore();
+    restore();
+  });
+
+  test("Checks ownership of the package repo", async () => {
+    const res = await request(app)
+      .delete(path)
+      .set("Authorization", "valid_token");
+    expect(res.statusCode).toBe(204);
+    expect(ownership.mock.calls[0][1]).toBe("kiteco/atom-plugin");
+  });
+  test("Hides the deleted package", async () => {
+    expect((await request(app).get(path)).statusCode).toBe(404);
+    const res = await request(app).get("/api/packages");
+    expect(res.body.map((pack) => pack.name)).not.toContain("what-a-package");
+  });
+  test("Records who deleted the package", async () => {
+    const deleted = await data.GetDeletedPackageByName("what-a-package");
+    expect(deleted.ok).toBe(true);
+    expect(deleted.content.pointer).toBe("uuid1.json");
+    expect(deleted.content.deleted_by).toBe("confused-Techie");
+    expect(typeof deleted.content.deleted_at).toBe("number");
+  });
+  test("Reserves the deleted name", async () => {
+    const rename = await data.RenamePackage("language-css", "what-a-package");
+    expect(rename.short).toBe("Package Exists");
+  });
+  test("Restores the package", async () => {
+    const res = await request(app)
+      .post(`${path}/restore`)
+      .set("Authorization", "valid_token");
+    expect(res.statusCode).toBe(200);
+    expect(res.body.name).toBe("what-a-package");
+    expect((await request(app).get(path)).statusCode).toBe(200);
+  });
+  test("Can't restore a package that isn't deleted", async () => {
+    const res = await request(app)
+      .post(`${path}/restore`)
+      .set("Authorization", "valid_token");
+    expect(res.statusCode).toBe(404);
+  });
+  test("Deletes and restores packages one at a time", async () => {
+    const names = ["what-a-package", "language-css"];
+    const removed = await Promise.all(
+      names.map((name) => data.RemovePackageByName(name, "confused-Techie"))
+    );
+    expect(removed.every((rm) => rm.ok)).toBe(true);
+    for (const name of names) {
+      expect((await data.GetDeletedPackageByName(name)).ok).toBe(true);
+    }
+
+    const restored = await Promise.all(
+      names.map((name) => data.RestorePackageByName(name))
+    );
+    expect(restored.every((rs) => rs.ok)).toBe(true);
+    for (const name of names) {
+      expect((await data.GetDeletedPackageByName(name)).ok).toBe(false);
+      expect((await data.GetPackageByName(name)).ok).toBe(true);
+    }
+  });
+  test("Doesn't purge a package restored while purging", async () => {
+    const rm = jest.spyOn(resources, "Delete").mockResolvedValue({ ok: true });
+    await data.RemovePackageByName("what-a-package", "confused-Techie");
+
+    const [purged, restored] = await Promise.all([
+      data.PurgeDeletedPackages(Date.now() + 604800000),
+      data.RestorePackageByName("what-a-package"),
+    ]);
+    rm.mockRestore();
+
+    // The restore waits on nothing, so wins the lock before the purge.
+    expect(restored.ok).toBe(true);
+    expect(purged.content).toEqual([]);
+    expect(rm).not.toHaveBeenCalled();
+    expect((await data.GetPackageByName("what-a-package")).ok).toBe(true);
+  });
+  test("Purges the package after the grace period", async () => {
+    const rm = jest.spyOn(resources, "Delete").mockResolvedValue({ ok: true });
+    await data.RemovePackageByName("what-a-package", "confused-Techie");
+
+    expect((await data.PurgeDeletedPackages()).content).toEqual([]);
+    const purged = await data.PurgeDeletedPackages(Date.now() + 604800000);
+    expect(rm).toHaveBeenCalledWith("uuid1.json");
+    rm.mockRestore();
+    expect(purged.content).toEqual(["what-a-package"]);
+
+    const res = await request(app)
+      .post(`${path}/restore`)
+      .set("Authorization", "valid_token");
+    expect(res.statusCode).toBe(404);
+    expect(
+      (await data.GetDeletedPackageByName("what-a-package")).content.purged_at
+    ).toBeDefined();
+
+    // Put the package back, since its data was never really deleted.
+    const deleted = await resources.Read("deleted");
+    delete deleted.content["what-a-package"];
+    await resources.Write("deleted", deleted.content);
+    const pointers = await data.GetPackagePointer();
+    pointers.content["what-a-package"] = "uuid1.json";
+    await data.SetPackagePointer(pointers.content);
+  });
+});
+
+describe("POST /api/packages/:packageName/versions", () => {
+  test("No Auth, fails", async () => {
+    const res = await request(app).post(
+      "/api/packages/what-a-package/versions?tag=v1.0.0"
+    );
+    expect(res.statusCode).toBe(401);
+  });
+  test("No Tag, gives Bad Repo", async () => {
+    const res = await request(app)
+      .post("/api/packages/what-a-package/versions")
+      .set("Authorization", "valid_token");
+    expect(res.statusCode).toBe(400);
+  });
+  test("Invalid Package, gives 'Not Found'", async () => {
+    const res = await request(app)
+      .post("/api/packages/invalid-package/versions?tag=v1.0.0")
+      .set("Authorization", "valid_token");
+    expect(res.statusCode).toBe(404);
+  });
+});
+
+describe("Publishing a version while the package changes", () => {
+  const path = "/api/packages/language-css";
+  let restore, ownership;
+
+  beforeAll(() => {
+    restore = keepPackagesInMemory();
+    ownership = jest.spyOn(git, "Ownership").mockResolvedValue({ ok: true });
+  });
+  afterAll(() => {
+    ownership.mockRestore();
+    restore();
+  });
+
+  test("Keeps downloads counted while publishing", async () => {
+    const before = (await data.GetPackageByName("language-css")).content;
+    let publishing;
+    const published = new Promise((resolve) => {
+      publishing = resolve;
+    });
+    // Holds the publish after the package was read, until every download is counted.
+    const version = jest
+      .spyOn(git, "CreateVersion")
+      .mockImplementation(async () => {
+        await published;
+        return {
+          ok: true,
+          content: { name: "language-css", version: "0.1.0" },
+        };
+      });
+
+    const publish = request(app)
+      .post(`${path}/versions?tag=v0.1.0`)
+      .set("Authorization", "valid_token")
+      .then((res) => res);
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    await Promise.all(
+      [1, 2, 3].map(() => request(app).get(`${path}/versions/0.45.4/tarball`))
+    );
+    publishing();
+    const res = await publish;
+    version.mockRestore();
+
+    expect(res.statusCode).toBe(201);
+    const after = (await data.GetPackageByName("language-css")).content;
+    expect(after.downloads).toBe(before.downloads + 3);
+    expect(after.versions["0.1.0"]).toBeDefined();
+    // An older version is a backport, which doesn't become the latest.
+    expect(after.releases.latest).toBe(before.releases.latest);
+  });
+  test("Records when the version was published", async () => {
+    const pack = (await data.GetPackageByName("language-css")).content;
+    expect(typeof pack.versions["0.1.0"].published_at).toBe("number");
+    const res = await request(app).get("/registry/language-css");
+    expect(res.body.time["0.1.0"]).toBe(
+      new Date(pack.versions["0.1.0"].published_at).toISOString()
+    );
+    expect(res.body.versions["0.1.0"].published_at).toBeUndefined();
+  });
+  test("Publishes a version only once, when published concurrently", async () => {
+    const version = jest.spyOn(git, "CreateVersion").mockResolvedValue({
+      ok: true,
+      content: { name: "language-css", version: "0.2.0" },
+    });
+    const publish = () =>
+      request(app)
+        .post(`${path}/versions?tag=v0.2.0`)
+        .set("Authorization", "valid_token");
+    const res = await Promise.all([publish(), publish()]);
+    version.mockRestore();
+
+    expect(res.map((r) => r.statusCode).sort()).toEqual([201, 409]);
+  });
+  test("Doesn't rename the package, when the version was published in the meantime", async () => {
+    let publishing;
+    const published = new Promise((resolve) => {
+      publishing = resolve;
+    });
+    // Holds the renaming publish, until the same version is published under the current name.
+    const version = jest
+      .spyOn(git, "CreateVersion")
+      .mockImplementationOnce(async () => {
+        await published;
+        return {
+          ok: true,
+          content: { name: "language-css-next", version: "0.3.0" },
+        };
+      })
+      .mockResolvedValueOnce({
+        ok: true,
+        content: { name: "language-css", version: "0.3.0" },
+      });
+
+    const rename = request(app)
+      .post(`${path}/versions?tag=v0.3.0&rename=true`)
+      .set("Authorization", "valid_token")
+      .then((res) => res);
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    const res = await request(app)
+      .post(`${path}/versions?tag=v0.3.0`)
+      .set("Authorization", "valid_token");
+    publishing();
+    const renamed = await rename;
+    version.mockRestore();
+
+    expect(res.statusCode).toBe(201);
+    expect(renamed.statusCode).toBe(409);
+    expect((await data.GetPackagePointerByName("language-css")).ok).toBe(true);
+    expect((await data.GetPackagePointerByName("language-css-next")).ok).toBe(
+      false
+    );
+    expect((await data.GetPackageAliasByName("language-css")).ok).toBe(false);
+    expect((await data.GetPackageByName("language-css")).content.name).toBe(
+      "language-css"
+    );
+  });
+  test("Publishes a version under a new name", async () => {
+    const version = jest.spyOn(git, "CreateVersion").mockResolvedValue({
+      ok: true,
+      content: { name: "language-css-next", version: "0.4.0" },
+    });
+    const res = await request(app)
+      .post(`${path}/versions?tag=v0.4.0&rename=true`)
+      .set("Authorization", "valid_token");
+    version.mockRestore();
+
+    expect(res.statusCode).toBe(201);
+    const pack = (await data.GetPackageByName("language-css-next")).content;
+    expect(pack.name).toBe("language-css-next");
+    expect(pack.versions["0.4.0"]).toBeDefined();
+    expect((await data.GetPackageAliasByName("language-css")).content).toBe(
+      "language-css-next"
+    );
+
+    // Moves the package back for any later tests.
+    await data.RenamePackage("language-css-next", "language-css", (latest) => {
+      latest.name = "language-css";
+    });
+  });
+});
+
+describe("GET /api/packages/:packageName/versions/:versionName", () => {
+  test("Exposes the integrity of the stored tarball", async () => {
+    const res = await request(app).get(
+      "/api/packages/atom-material-syntax/versions/1.0.8"
+    );
+    expect(res.statusCode).toBe(200);
+    expect(res.body.dist.tarball).toBe(
+      "http://localhost:8080/api/packages/atom-material-syntax/versions/1.0.8/tarball"
+    );
+    expect(res.body.dist.integrity).toMatch(/^sha512-/);
+    expect(res.body.dist.size).toBe(264);
+  });
+  test("Invalid Version, gives 'Not Found'", async () => {
+    const res = await request(app).get(
+      "/api/packages/atom-material-syntax/versions/newest"
+    );
+    expect(res.statusCode).toBe(404);
+  });
+  test("Latest, gives the greatest version", async () => {
+    const res = await request(app).get(
+      "/api/packages/what-a-package/versions/latest"
+    );
+    expect(res.statusCode).toBe(200);
+    expect(res.body.version).toBe("0.206.0");
+    expect(res.body.dist.tarball).toBe(
+      "http://localhost:8080/api/packages/what-a-package/versions/0.206.0/tarball"
+    );
+  });
+  test("Latest, gives 'Not Found' if no version is compatible with the engine", async () => {
+    const res = await request(app).get(
+      "/api/packages/what-a-package/versions/latest?engine=2.1.0"
+    );
+    expect(res.statusCode).toBe(404);
+  });
+});
+
+describe("GET /api/packages/:packageName/versions/:versionName/tarball", () => {
+  const path = "/api/packages/atom-material-syntax/versions/1.0.8/tarball";
+  let restore;
+
+  beforeAll(() => {
+    // Downloads are counted, but the package shouldn't be written to disk.
+    restore = keepPackagesInMemory();
+  });
+  afterAll(() => {
+    restore();
+  });
+
+  test("Serves the tarball of the latest compatible version", async () => {
+    const res = await request(app)
+      .get(
+        "/api/packages/atom-material-syntax/versions/latest/tarball?engine=1.60.0"
+      )
+      .responseType("blob");
+    expect(res.statusCode).toBe(200);
+    expect(res.body.length).toBe(264);
+  });
+  test("Serves the stored tarball with its ETag", async () => {
+    const res = await request(app).get(path).responseType("blob");
+    expect(res.statusCode).toBe(200);
+    expect(res.headers["content-type"]).toBe("application/gzip");
+    expect(res.headers["accept-ranges"]).toBe("bytes");
+    expect(res.headers.etag).toMatch(/^"sha512-/);
+    expect(res.body.length).toBe(264);
+  });
+  test("Returns Not Modified for a matching ETag", async () => {
+    const first = await request(app).get(path).responseType("blob");
+    const res = await request(app)
+      .get(path)
+      .set("If-None-Match", first.headers.etag);
+    expect(res.statusCode).toBe(304);
+  });
+  test("Serves a Range of the tarball", async () => {
+    const res = await request(app)
+      .get(path)
+      .set("Range", "bytes=0-9")
+      .responseType("blob");
+    expect(res.statusCode).toBe(206);
+    expect(res.headers["content-range"]).toBe("bytes 0-9/264");
+    expect(res.body.length).toBe(10);
+  });
+  test("Rejects an unsatisfiable Range", async () => {
+    const res = await request(app).get(path).set("Range", "bytes=500-");
+    expect(res.statusCode).toBe(416);
+  });
+  test("Redirects versions without a stored tarball", async () => {
+    const res = await request(app).get(
+      "/api/packages/language-css/versions/0.45.4/tarball"
+    );
+    expect(res.statusCode).toBe(302);
+    expect(res.headers.location).toMatch(/^https:\/\/api\.github\.com\//);
+  });
+});
+
+describe("DELETE /api/packages/:packageName/versions/:versionName", () => {
+  const path = "/api/packages/what-a-package";
+  let restore, ownership;
+
+  beforeAll(() => {
+    restore = keepPackagesInMemory();
+    ownership = jest.spyOn(git, "Ownership").mockResolvedValue({ ok: true });
+  });
+  afterAll(() => {
+    ownership.mockRestore();
+    restore();
+  });
+
+  test("No Auth, fails", async () => {
+    const res = await request(app).delete(`${path}/versions/0.206.0`);
+    expect(res.statusCode).toBe(401);
+  });
+  test("Yanks the latest version", async () => {
+    const res = await request(app)
+      .delete(`${path}/versions/0.206.0`)
+      .set("Authorization", "valid_token");
+    expect(res.statusCode).toBe(204);
+    expect(ownership.mock.calls[0][1]).toBe("kiteco/atom-plugin");
+  });
+  test("Moves latest to the greatest version left", async () => {
+    const res = await request(app).get(path);
+    expect(res.body.releases.latest).toBe("0.205.0");
+    expect(res.body.metadata.version).toBe("0.205.0");
+    expect(Object.keys(res.body.versions)).toEqual(["0.205.0"]);
+  });
+  test("Keeps the yanked version available by its exact version", async () => {
+    const res = await request(app).get(`${path}/versions/0.206.0`);
+    expect(res.statusCode).toBe(200);
+    expect(res.body.yanked).toBe(true);
+  });
+  test("Never republishes a yanked version", async () => {
+    const version = jest.spyOn(git, "CreateVersion").mockResolvedValue({
+      ok: true,
+      content: { name: "what-a-package", version: "0.206.0" },
+    });
+    const res = await request(app)
+      .post(`${path}/versions?tag=v0.206.0`)
+      .set("Authorization", "valid_token");
+    version.mockRestore();
+    expect(res.statusCode).toBe(409);
+  });
+  test("Can't yank the only version left", async () => {
+    const res = await request(app)
+      .delete(`${path}/versions/0.205.0`)
+      .set("Authorization", "valid_token");
+    expect(res.statusCode).toBe(409);
+  });
+  test("Can't yank a missing version", async () => {
+    const res = await request(app)
+      .delete(`${path}/versions/9.9.9`)
+      .set("Authorization", "valid_token");
+    expect(res.statusCode).toBe(404);
+  });
+});
+
+describe("POST /api/packages/:packageName/deprecate", () => {
+  const path = "/api/packages/atom-material-syntax/deprecate";
+  let restore, ownership;
+
+  beforeAll(() => {
+    restore = keepPackagesInMemory();
+    ownership = jest.spyOn(git, "Ownership").mockResolvedValue({ ok: true });
+  });
+  afterAll(() => {
+    ownership.mockRestore();
+    restore();
+  });
+
+  test("No Auth, fails", async () => {
+    const res = await request(app).post(path).send({ message: "Gone." });
+    expect(res.statusCode).toBe(401);
+  });
+  test("Requires a message", async () => {
+    const res = await request(app)
+      .post(path)
+      .set("Authorization", "valid_token")
+      .send({ replacement: "language-css" });
+    expect(res.statusCode).toBe(400);
+  });
+  test("Requires the replacement to exist", async () => {
+    const res = await request(app)
+      .post(path)
+      .set("Authorization", "valid_token")
+      .send({ message: "Gone.", replacement: "not-a-package" });
+    expect(res.statusCode).toBe(400);
+  });
+  test("Deprecates the package", async () => {
+    const res = await request(app)
+      .post(path)
+      .set("Authorization", "valid_token")
+      .send({ message: "Gone.", replacement: "language-css" });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.deprecated.message).toBe("Gone.");
+    expect(res.body.deprecated.replacement).toBe("language-css");
+  });
+  test("Shows the deprecation with the package", async () => {
+    const full = await request(app).get("/api/packages/atom-material-syntax");
+    expect(full.body.deprecated.replacement).toBe("language-css");
+    const short = await request(app).get("/api/packages");
+    const pack = short.body.find((p) => p.name === "atom-material-syntax");
+    expect(pack.deprecated.message).toBe("Gone.");
+  });
+  test("Leaves the package out of the featured packages", async () => {
+    const res = await request(app).get("/api/packages/featured");
+    expect(res.body.map((p) => p.name)).not.toContain("atom-material-syntax");
+  });
+  test("Ranks the package lower when searching", async () => {
+    const packages = await collection.SearchWithinPackages("atom", [
+      { name: "atom-material-syntax", deprecated: { message: "Gone." } },
+      { name: "atom-material-syntax" },
+    ]);
+    expect(packages[0].relevance).toBe(packages[1].relevance / 2);
+  });
+});
+
+describe("Concurrent package updates", () => {
+  const tarball = "/api/packages/atom-material-syntax/versions/1.0.8/tarball";
+  const uninstall =
+    "/api/packages/atom-material-syntax/versions/1.0.8/events/uninstall";
+  let server, restore;
+
+  const getPackage = async (name) =>
+    (await data.GetPackageByName(name)).content;
+  const times = (amount, fn) => Promise.all(Array.from({ length: amount }, fn));
+
+  beforeAll((done) => {
+    restore = keepPackagesInMemory();
+    server = app.listen(0, done);
+  });
+  afterAll((done) => {
+    restore();
+    server.close(done);
+  });
+
+  test("Counts every download", async () => {
+    const before = (await getPackage("atom-material-syntax")).downloads;
+    const res = await times(200, () =>
+      request(server).get(tarball).responseType("blob")
+    );
+    expect(res.filter((r) => r.statusCode === 200).length).toBe(200);
+    expect((await getPackage("atom-material-syntax")).downloads).toBe(
+      before + 200
+    );
+  });
+  test("Counts every download and uninstall", async () => {
+    const before = (await getPackage("atom-material-syntax")).downloads;
+    await Promise.all([
+      times(150, () => request(server).get(tarball).responseType("blob")),
+      times(100, () =>
+        request(server).post(uninstall).set("Authorization", "valid_token")
+      ),
+    ]);
+    expect((await getPackage("atom-material-syntax")).downloads).toBe(
+      before + 50
+    );
+  });
+  test("Keeps the star of every user", async () => {
+    const before = (await getPackage("language-css")).star_gazers.length;
+    let tokens = [];
+    for (let i = 0; i < 50; i++) {
+      const login = await users.LoginUser(`star-gazer-${i}`, { token: "gho_" });
+      tokens.push(login.content.token);
+    }
+    const res = await Promise.all(
+      tokens.map((token) =>
+        request(server)
+          .post("/api/packages/language-css/star")
+          .set("Authorization", token)
+      )
+    );
+    expect(res.filter((r) => r.statusCode === 200).length).toBe(50);
+    expect((await getPackage("language-css")).star_gazers.length).toBe(
+      before + 50
+    );
+  });
+  test("Counts repeated stars from one user once", async () => {
+    const res = await times(100, () =>
+      request(server)
+        .post("/api/packages/language-css/star")
+        .set("Authorization", "valid_token")
+    );
+    expect(res.filter((r) => r.statusCode === 200).length).toBe(100);
+    const gazers = (await getPackage("language-css")).star_gazers.filter(
+      (gazer) => gazer.login === "confused-Techie"
+    );
+    expect(gazers.length).toBe(1);
+    const user = await users.GetUser("confused-Techie");
+    expect(
+      user.content.stars.filter((name) => name === "language-css").length
+    ).toBe(1);
+  });
+});
+
 describe("GET /api/updates", () => {
-  // TODO: /api/updates returns NotSupported at this time.
-  test("Returns NotSupported Status Code.", async () => {
-    const res = await request(app).get("/api/updates");
-    expect(res.statusCode).toBe(501);
+  test("Returns the latest stable release", async () => {
+    const res = await request(app).get("/api/updates?version=1.59.0");
+    expect(res.statusCode).toBe(200);
+    expect(res.body.name).toBe("1.60.0");
   });
-  test("Returns NotSupported Message", async () => {
-    const res = await request(app).get("/api/updates");
-    expect(res.body.message).toBe(
-      "While under development this feature is not supported."
+  test("Returns the latest beta release on the beta channel", async () => {
+    const res = await request(app).get(
+      "/api/updates?version=1.59.0&channel=beta"
+    );
+    expect(res.body.name).toBe("1.61.0-beta0");
+  });
+  test("Returns release for the requested platform", async () => {
+    const res = await request(app).get(
+      "/api/updates?version=1.59.0&platform=linux-x64&channel=beta"
+    );
+    expect(res.body.url).toBe(
+      "https://example.com/releases/1.60.0/atom-amd64.tar.gz"
+    );
+  });
+  test("Returns No Content when up to date", async () => {
+    const res = await request(app).get("/api/updates?version=1.60.0");
+    expect(res.statusCode).toBe(204);
+  });
+  test("Returns No Content with no release for the platform", async () => {
+    const res = await request(app).get(
+      "/api/updates?version=1.59.0&platform=win32-x64"
     );
+    expect(res.statusCode).toBe(204);
+  });
+});
+
+describe("POST /api/updates", () => {
+  test("No Auth, fails", async () => {
+    const res = await request(app).post("/api/updates");
+    expect(res.statusCode).toBe(401);
+  });
+  test("Non Admin, is Forbidden", async () => {
+    const res = await request(app)
+      .post("/api/updates")
+      .set("Authorization", "valid_token")
+      .send({ version: "1.62.0" });
+    expect(res.statusCode).toBe(403);
   });
 });
 
 describe("GET Theme Featured", () => {
-  test("Returns NotSupported Status Code", async () => {
+  test("Returns Successful Status Code", async () => {
     const res = await request(app).get("/api/themes/featured");
-    expect(res.statusCode).toBe(501);
+    expect(res.statusCode).toBe(200);
   });
-  test("Returns NotSupported Message", async () => {
-    const res = await request(app).get("/api/updates");
-    expect(res.body.message).toBe(
-      "While under development this feature is not supported."
-    );
+  test("Returns only existing themes", async () => {
+    const res = await request(app).get("/api/themes/featured");
+    expect(res.body.map((p) => p.name)).toStrictEqual(["atom-material-syntax"]);
+  });
+  test("Returns Package Object Short", async () => {
+    const res = await request(app).get("/api/themes/featured?engine=1.60.0");
+    expect(res.body[0].versions).toBeUndefined();
+  });
+});
+
+describe("GET /api/themes", () => {
+  test("Returns only themes", async () => {
+    const res = await request(app).get("/api/themes");
+    expect(res.statusCode).toBe(200);
+    expect(res.body.map((p) => p.name)).toStrictEqual(["atom-material-syntax"]);
+  });
+  test("Search Returns only themes", async () => {
+    const res = await request(app).get("/api/themes/search?q=material");
+    expect(res.statusCode).toBe(200);
+    expect(res.body.every((p) => p.metadata.theme)).toBeTruthy();
   });
 });
 
@@ -93,4 +982,220 @@ describe("GET /api/stars", () => {
       "Requires authentication. Please update your token if you haven't done so recently."
     );
   });
+  test("Counts only the packages starred that still exist", async () => {
+    const user = await users.GetUser("confused-Techie");
+    const res = await request(app)
+      .get("/api/stars")
+      .set("Authorization", "valid_token");
+    expect(res.statusCode).toBe(200);
+    // `starsss` is starred, but doesn't exist.
+    expect(res.headers["x-total-count"]).toBe(
+      String(user.content.stars.filter((name) => name !== "starsss").length)
+    );
+    expect(res.body.map((p) => p.name)).toContain("what-a-package");
+  });
+});
+
+describe("/api/tokens", () => {
+  test("GET Returns Unauthenticated Status Code", async () => {
+    const res = await request(app)
+      .get("/api/tokens")
+      .set("Authorization", "invalid_key");
+    expect(res.statusCode).toBe(401);
+  });
+  test("GET Lists tokens without their hash", async () => {
+    const res = await request(app)
+      .get("/api/tokens")
+      .set("Authorization", "valid_token");
+    expect(res.statusCode).toBe(200);
+    expect(res.body.some((t) => t.name === "Development")).toBeTruthy();
+    expect(res.body.every((t) => t.hash === undefined)).toBeTruthy();
+  });
+  test("POST Requires a valid name", async () => {
+    const res = await request(app)
+      .post("/api/tokens?name=%3Cscript%3E")
+      .set("Authorization", "valid_token");
+    expect(res.statusCode).toBe(400);
+  });
+  test("POST Creates a token that can then be revoked", async () => {
+    const created = await request(app)
+      .post("/api/tokens?name=Laptop")
+      .set("Authorization", "valid_token");
+    expect(created.statusCode).toBe(201);
+    expect(created.body.name).toBe("Laptop");
+
+    const listed = await request(app)
+      .get("/api/tokens")
+      .set("Authorization", created.body.token);
+    expect(listed.statusCode).toBe(200);
+
+    const revoked = await request(app)
+      .delete(`/api/tokens/${created.body.id}`)
+      .set("Authorization", "valid_token");
+    expect(revoked.statusCode).toBe(204);
+
+    const after = await request(app)
+      .get("/api/tokens")
+      .set("Authorization", created.body.token);
+    expect(after.statusCode).toBe(401);
+  });
+  test("POST Rejects unknown scopes", async () => {
+    const res = await request(app)
+      .post("/api/tokens?name=CI&scopes=publish,everything")
+      .set("Authorization", "valid_token");
+    expect(res.statusCode).toBe(400);
+  });
+  test("POST Refuses the admin scope to non admins", async () => {
+    const res = await request(app)
+      .post("/api/tokens?name=CI&scopes=admin")
+      .set("Authorization", "valid_token");
+    expect(res.statusCode).toBe(403);
+  });
+  test("DELETE Returns Not Found on an unknown token", async () => {
+    const res = await request(app)
+      .delete("/api/tokens/0000000000000000")
+      .set("Authorization", "valid_token");
+    expect(res.statusCode).toBe(404);
+  });
+});
+
+describe("POST /api/identities", () => {
+  test("Links the account the token belongs to", async () => {
+    const verify = jest
+      .spyOn(git, "VerifyIdentity")
+      .mockResolvedValue({ ok: true, content: { id: 42, username: "owner" } });
+    const res = await request(app)
+      .post("/api/identities")
+      .set("Authorization", "valid_token")
+      .send({ host: "GitLab.com", token: "glpat-" });
+    expect(verify).toHaveBeenCalledWith("gitlab.com", "glpat-");
+    verify.mockRestore();
+    expect(res.statusCode).toBe(201);
+    const user = await users.GetUser("confused-Techie");
+    expect(user.content.identities["gitlab.com"].id).toBe(42);
+  });
+  test("Rejects a token the host refuses", async () => {
+    const verify = jest.spyOn(git, "VerifyIdentity").mockResolvedValue({
+      ok: false,
+      content: "gitlab.com refused the token.",
+      short: "Bad Auth",
+    });
+    const res = await request(app)
+      .post("/api/identities")
+      .set("Authorization", "valid_token")
+      .send({ host: "gitlab.com", token: "glpat-" });
+    verify.mockRestore();
+    expect(res.statusCode).toBe(400);
+  });
+  test("Requires a host and token", async () => {
+    const res = await request(app)
+      .post("/api/identities")
+      .set("Authorization", "valid_token")
+      .send({ host: "gitlab.com" });
+    expect(res.statusCode).toBe(400);
+  });
+});
+
+describe("Scoped tokens", () => {
+  let ci;
+
+  beforeAll(async () => {
+    const res = await request(app)
+      .post("/api/tokens?name=CI&scopes=publish")
+      .set("Authorization", "valid_token");
+    ci = res.body;
+  });
+  afterAll(async () => {
+    await request(app)
+      .delete(`/api/tokens/${ci.id}`)
+      .set("Authorization", "valid_token");
+  });
+
+  test("A publish token can't list stars", async () => {
+    const res = await request(app)
+      .get("/api/stars")
+      .set("Authorization", ci.token);
+    expect(res.statusCode).toBe(403);
+  });
+  test("A publish token can't delete packages", async () => {
+    const res = await request(app)
+      .delete("/api/packages/language-css")
+      .set("Authorization", ci.token);
+    expect(res.statusCode).toBe(403);
+  });
+  test("A publish token can't star packages", async () => {
+    const res = await request(app)
+      .post("/api/packages/language-css/star")
+      .set("Authorization", ci.token);
+    expect(res.statusCode).toBe(403);
+  });
+  test("A publish token can publish versions", async () => {
+    const res = await request(app)
+      .post("/api/packages/language-css/versions")
+      .set("Authorization", ci.token);
+    // Gets past the scope check, to fail on the missing tag.
+    expect(res.statusCode).toBe(400);
+  });
+  test("A publish token can't link accounts", async () => {
+    const res = await request(app)
+      .post("/api/identities")
+      .set("Authorization", ci.token)
+      .send({ host: "gitlab.com", token: "glpat-" });
+    expect(res.statusCode).toBe(403);
+  });
+  test("A publish token can't create tokens", async () => {
+    const res = await request(app)
+      .post("/api/tokens?name=Renewed&scopes=publish")
+      .set("Authorization", ci.token);
+    expect(res.statusCode).toBe(403);
+  });
+  test("A publish token can't revoke tokens, even itself", async () => {
+    for (const id of ["3e49aaecae61e09a", ci.id]) {
+      const res = await request(app)
+        .delete(`/api/tokens/${id}`)
+        .set("Authorization", ci.token);
+      expect(res.statusCode).toBe(403);
+    }
+  });
+});
+
+describe("Token managing tokens", () => {
+  let manager;
+
+  beforeAll(async () => {
+    const res = await request(app)
+      .post("/api/tokens?name=Manager&scopes=tokens,read")
+      .set("Authorization", "valid_token");
+    manager = res.body;
+  });
+  afterAll(async () => {
+    await request(app)
+      .delete(`/api/tokens/${manager.id}`)
+      .set("Authorization", "valid_token");
+  });
+
+  test("Can't create a token with scopes it doesn't have", async () => {
+    const res = await request(app)
+      .post("/api/tokens?name=Escalate&scopes=read,publish")
+      .set("Authorization", manager.token);
+    expect(res.statusCode).toBe(403);
+  });
+  test("Can't revoke a token with scopes it doesn't have", async () => {
+    const res = await request(app)
+      .delete("/api/tokens/3e49aaecae61e09a")
+      .set("Authorization", manager.token);
+    expect(res.statusCode).toBe(403);
+  });
+  test("Creates tokens without the tokens scope by default", async () => {
+    const created = await request(app)
+      .post("/api/tokens?name=Reader")
+      .set("Authorization", manager.token);
+    expect(created.statusCode).toBe(201);
+    expect(created.body.scopes).toEqual(["read"]);
+
+    const revoked = await request(app)
+      .delete(`/api/tokens/${created.body.id}`)
+      .set("Authorization", manager.token);
+    expect(revoked.statusCode).toBe(204);
+  });
 });
@@ -0,0 +1,103 @@
+const pagination = require("../pagination.js");
+
+// Paginated 30 at a time, as set by PAGINATE when testing.
+const items = Array.from({ length: 70 }, (v, i) => ({ name: `package-${i}` }));
+const names = (page) => page.items.map((item) => item.name);
+
+describe("Paginate", () => {
+  test("Returns the first page by default", () => {
+    const page = pagination.Paginate(items, { page: 1, cursor: "" });
+    expect(names(page)).toEqual(items.slice(0, 30).map((item) => item.name));
+    expect(page.total).toBe(70);
+    expect(page.page).toBe(1);
+    expect(page.total_pages).toBe(3);
+    expect(page.prev).toBe("");
+    expect(page.next).not.toBe("");
+  });
+  test("Returns a page by its number, as a string", () => {
+    const page = pagination.Paginate(items, { page: "3", cursor: "" });
+    expect(names(page)[0]).toBe("package-60");
+    expect(page.items.length).toBe(10);
+    expect(page.next).toBe("");
+  });
+  test("Returns nothing past the last page", () => {
+    const page = pagination.Paginate(items, { page: "4", cursor: "" });
+    expect(page.items).toEqual([]);
+    expect(page.prev).toBe("");
+  });
+  test("Returns the page after a cursor, even once items are added before it", () => {
+    const first = pagination.Paginate(items, { page: 1, cursor: "" });
+    const published = [{ name: "new-package" }].concat(items);
+    const page = pagination.Paginate(published, {
+      page: 1,
+      cursor: first.next,
+    });
+    expect(names(page)[0]).toBe("package-30");
+    expect(page.cursor).toBe(first.next);
+  });
+  test("Returns the page before a cursor", () => {
+    const second = pagination.Paginate(items, { page: "2", cursor: "" });
+    const page = pagination.Paginate(items, { page: 1, cursor: second.prev });
+    expect(names(page)).toEqual(names(pagination.Paginate(items, { page: 1 })));
+  });
+  test("Starts where a removed item was, after a cursor to it", () => {
+    const first = pagination.Paginate(items, { page: 1, cursor: "" });
+    const removed = items.filter((item) => item.name !== "package-29");
+    const page = pagination.Paginate(removed, { page: 1, cursor: first.next });
+    expect(names(page)[0]).toBe("package-30");
+  });
+  test("Ignores an invalid cursor", () => {
+    const page = pagination.Paginate(items, {
+      page: "2",
+      cursor: "bm90LWpzb24",
+    });
+    expect(page.page).toBe(2);
+    expect(page.cursor).toBe("");
+  });
+  test("Uses the id given, to identify items", () => {
+    const logins = items.map((item) => ({ login: item.name }));
+    const first = pagination.Paginate(
+      logins,
+      { page: 1 },
+      (item) => item.login
+    );
+    const page = pagination.Paginate(
+      logins,
+      { page: 1, cursor: first.next },
+      (item) => item.login
+    );
+    expect(page.items[0].login).toBe("package-30");
+  });
+});
+
+describe("SetHeaders", () => {
+  test("Links to every page, and gives the total", () => {
+    let headers = {};
+    const res = { append: (name, value) => (headers[name] = value) };
+    const page = pagination.Paginate(items, { page: "2", cursor: "" });
+    pagination.SetHeaders(res, "/api/packages", "sort=downloads", page);
+
+    const links = headers.Link.split(", ");
+    expect(links.map((link) => link.match(/rel="(\w+)"/)[1])).toEqual([
+      "self",
+      "first",
+      "prev",
+      "next",
+      "last",
+    ]);
+    expect(links[0]).toContain("/api/packages?page=2&sort=downloads>");
+    expect(links[3]).toContain(`?cursor=${page.next}&sort=downloads>`);
+    expect(links[4]).toContain("?page=3&sort=downloads>");
+    expect(headers["X-Total-Count"]).toBe("70");
+  });
+  test("Leaves out the previous and next pages, if there are none", () => {
+    let headers = {};
+    const res = { append: (name, value) => (headers[name] = value) };
+    const page = pagination.Paginate(items.slice(0, 5), { page: 1 });
+    pagination.SetHeaders(res, "/api/stars", "", page);
+
+    expect(headers.Link).not.toContain('rel="prev"');
+    expect(headers.Link).not.toContain('rel="next"');
+    expect(headers.Link).toContain("/api/stars?page=1>");
+  });
+});
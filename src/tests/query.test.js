@@ -16,6 +16,19 @@ describe("Verify Page Query Returns", () => {
   });
 });
 
+const cursor_cases = [
+  [{ query: { cursor: "eyJpZCI6ImEifQ" } }, "eyJpZCI6ImEifQ"],
+  [{ query: { cursor: "eyJpZCI6ImEifQ==" } }, ""],
+  [{ query: { cursor: ["eyJpZCI6ImEifQ"] } }, ""],
+  [{ query: {} }, ""],
+];
+
+describe("Verify Cursor Query Returns", () => {
+  test.each(cursor_cases)("Given %o Returns %p", (arg, result) => {
+    expect(query.cursor(arg)).toBe(result);
+  });
+});
+
 const sort_cases = [
   [{ query: { sort: "stars" } }, "stars"],
   [{ query: { sort: "starr" } }, "downloads"],
@@ -79,10 +92,30 @@ describe("Verify Engine Query Returns", () => {
   });
 });
 
+const version_name_cases = [
+  [{ params: { versionName: "1.0.8" } }, "1.0.8"],
+  [{ params: { versionName: "1.0.0-beta.1" } }, "1.0.0-beta.1"],
+  [{ params: { versionName: "latest" } }, "latest"],
+  [{ params: { versionName: "newest" } }, false],
+  [{ params: {} }, false],
+];
+
+describe("Verify Version Name Returns", () => {
+  test.each(version_name_cases)("Given %o Returns %p", (arg, result) => {
+    expect(query.versionName(arg)).toBe(result);
+  });
+});
+
 const repo_cases = [
   [{ query: { repository: "owner/repo" } }, "owner/repo"],
   [{ query: {} }, ""],
   [{ query: { repository: "InvalidRepo" } }, ""],
+  [
+    { query: { repository: "https://gitlab.example.com/group/sub/repo" } },
+    "https://gitlab.example.com/group/sub/repo",
+  ],
+  [{ query: { repository: "https://gitlab.com/group/../repo" } }, ""],
+  [{ query: { repository: "http://gitlab.com/group/repo" } }, ""],
 ];
 
 describe("Verify Repo Query Returns", () => {
@@ -116,3 +149,177 @@ describe("Verify Rename Query Returns", () => {
     expect(query.rename(arg)).toBe(result);
   });
 });
+
+const version_cases = [
+  [{ query: { version: "1.60.0" } }, "1.60.0"],
+  [{ query: { version: "1.61.0-beta0" } }, "1.61.0-beta0"],
+  [{ query: { version: "1.60" } }, false],
+  [{ query: {} }, false],
+];
+
+describe("Verify Version Query Returns", () => {
+  test.each(version_cases)("Given %o Returns %p", (arg, expectedResult) => {
+    expect(query.version(arg)).toBe(expectedResult);
+  });
+});
+
+const channel_cases = [
+  [{ query: { channel: "beta" } }, "beta"],
+  [{ query: { channel: "nightly" } }, "stable"],
+  [{ query: {} }, "stable"],
+];
+
+describe("Verify Channel Query Returns", () => {
+  test.each(channel_cases)("Given %o Returns %p", (arg, expectedResult) => {
+    expect(query.channel(arg)).toBe(expectedResult);
+  });
+});
+
+const platform_cases = [
+  [{ query: { platform: "win32-x64" } }, "win32-x64"],
+  [{ query: { platform: "../etc" } }, "darwin"],
+  [{ query: {} }, "darwin"],
+];
+
+describe("Verify Platform Query Returns", () => {
+  test.each(platform_cases)("Given %o Returns %p", (arg, expectedResult) => {
+    expect(query.platform(arg)).toBe(expectedResult);
+  });
+});
+
+const token_name_cases = [
+  [{ query: { name: "Laptop" } }, "Laptop"],
+  [{ query: { name: "  CI server-2 " } }, "CI server-2"],
+  [{ query: { name: "<script>" } }, ""],
+  [{ query: { name: "a".repeat(51) } }, ""],
+  [{ query: { name: ["Laptop"] } }, ""],
+  [{ query: {} }, ""],
+];
+
+describe("Verify Token Name Query Returns", () => {
+  test.each(token_name_cases)("Given %o Returns %p", (arg, result) => {
+    expect(query.tokenName(arg)).toBe(result);
+  });
+});
+
+const type_cases = [
+  [{ query: { type: "theme" } }, "theme"],
+  [{ query: { type: "syntax-theme" } }, "syntax-theme"],
+  [{ query: { type: "themes" } }, false],
+  [{ query: {} }, false],
+];
+
+describe("Verify Type Query Returns", () => {
+  test.each(type_cases)("Given %o Returns %p", (arg, result) => {
+    expect(query.type(arg)).toBe(result);
+  });
+});
+
+const license_cases = [
+  [{ query: { license: "MIT" } }, "MIT"],
+  [{ query: { license: "GPL-3.0+" } }, "GPL-3.0+"],
+  [{ query: { license: "MIT OR ISC" } }, false],
+  [{ query: { license: ["MIT"] } }, false],
+  [{ query: {} }, false],
+];
+
+describe("Verify License Query Returns", () => {
+  test.each(license_cases)("Given %o Returns %p", (arg, result) => {
+    expect(query.license(arg)).toBe(result);
+  });
+});
+
+const keyword_cases = [
+  [{ query: { keyword: " linter " } }, "linter"],
+  [{ query: { keyword: "" } }, false],
+  [{ query: { keyword: "a".repeat(51) } }, false],
+  [{ query: {} }, false],
+];
+
+describe("Verify Keyword Query Returns", () => {
+  test.each(keyword_cases)("Given %o Returns %p", (arg, result) => {
+    expect(query.keyword(arg)).toBe(result);
+  });
+});
+
+const owner_cases = [
+  [{ query: { owner: "pulsar-edit" } }, "pulsar-edit"],
+  [{ query: { owner: "pulsar-edit/pulsar" } }, false],
+  [{ query: { owner: ".hidden" } }, false],
+  [{ query: {} }, false],
+];
+
+describe("Verify Owner Query Returns", () => {
+  test.each(owner_cases)("Given %o Returns %p", (arg, result) => {
+    expect(query.owner(arg)).toBe(result);
+  });
+});
+
+const scope_cases = [
+  [{ query: { scope: "source.zig" } }, "source.zig"],
+  [{ query: { scope: " text.html.basic " } }, "text.html.basic"],
+  [{ query: { scope: "source.c++" } }, "source.c++"],
+  [{ query: { scope: ".source.zig" } }, false],
+  [{ query: { scope: "source zig" } }, false],
+  [{ query: {} }, false],
+];
+
+describe("Verify Scope Query Returns", () => {
+  test.each(scope_cases)("Given %o Returns %p", (arg, result) => {
+    expect(query.scope(arg)).toBe(result);
+  });
+});
+
+const file_type_cases = [
+  [{ query: { fileType: "zig" } }, "zig"],
+  [{ query: { fileType: ".zig" } }, "zig"],
+  [{ query: { fileType: "Dockerfile" } }, "Dockerfile"],
+  [{ query: { fileType: "a/b" } }, false],
+  [{ query: { fileType: ["zig"] } }, false],
+  [{ query: {} }, false],
+];
+
+describe("Verify File Type Query Returns", () => {
+  test.each(file_type_cases)("Given %o Returns %p", (arg, result) => {
+    expect(query.fileType(arg)).toBe(result);
+  });
+});
+
+const has_grammar_cases = [
+  [{ query: { has_grammar: "true" } }, true],
+  [{ query: { has_grammar: "FALSE" } }, false],
+  [{ query: { has_grammar: "yes" } }, "any"],
+  [{ query: {} }, "any"],
+];
+
+describe("Verify Has Grammar Query Returns", () => {
+  test.each(has_grammar_cases)("Given %o Returns %p", (arg, result) => {
+    expect(query.hasGrammar(arg)).toBe(result);
+  });
+});
+
+const facets_cases = [
+  [{ query: { facets: "true" } }, true],
+  [{ query: { facets: "yes" } }, false],
+  [{ query: {} }, false],
+];
+
+describe("Verify Facets Query Returns", () => {
+  test.each(facets_cases)("Given %o Returns %p", (arg, result) => {
+    expect(query.facets(arg)).toBe(result);
+  });
+});
+
+const scopes_cases = [
+  [{ query: { scopes: "publish" } }, ["publish"]],
+  [{ query: { scopes: "read,star,read" } }, ["read", "star"]],
+  [{ query: { scopes: "read, star" } }, false],
+  [{ query: { scopes: "" } }, false],
+  [{ query: {} }, []],
+];
+
+describe("Verify Scopes Query Returns", () => {
+  test.each(scopes_cases)("Given %o Returns %p", (arg, result) => {
+    expect(query.scopes(arg)).toEqual(result);
+  });
+});
@@ -54,3 +54,45 @@ test("LCS Return Dis-Similar String", async () => {
   let res = search.lcs("hello", "mark");
   expect(res).toBe(0);
 });
+
+test("Tokenize Splits On Separators And camelCase", async () => {
+  let res = search.tokenize(
+    "atom-material_syntax atomMaterialSyntax HTMLParser"
+  );
+  expect(res).toEqual([
+    "atom",
+    "material",
+    "syntax",
+    "atom",
+    "material",
+    "syntax",
+    "html",
+    "parser",
+  ]);
+});
+
+test("Tokenize Returns Nothing Without Text", async () => {
+  expect(search.tokenize(undefined)).toEqual([]);
+});
+
+test("Full Text Weights Fields", async () => {
+  const score = (pack) => search.fullText("linter", search.packageFields(pack));
+  const name = score({ name: "linter" });
+  const keywords = score({ name: "a", metadata: { keywords: ["linter"] } });
+  const description = score({
+    name: "a",
+    metadata: { description: "A linter." },
+  });
+  const readme = score({ name: "a", readme: "# A Linter" });
+  expect(name).toBe(1.0);
+  expect(keywords).toBeLessThan(name);
+  expect(description).toBeLessThan(keywords);
+  expect(readme).toBeLessThan(description);
+  expect(readme).toBeGreaterThan(0);
+});
+
+test("Full Text Counts Prefixes For Less", async () => {
+  const fields = search.packageFields({ name: "linter-flake8" });
+  expect(search.fullText("lint", fields)).toBe(0.5);
+  expect(search.fullText("li", fields)).toBe(0);
+});
@@ -0,0 +1,189 @@
+const collection = require("../collection.js");
+const search_index = require("../search_index.js");
+
+// Compares searching by scoring every package, as done before the search index existed,
+// against searching with the index. Using a synthetic catalog of 10k packages.
+// The catalog is generated from a fixed seed, so every run searches the same packages.
+
+const catalog_size = 10000;
+
+const vocabulary = [
+  "atom",
+  "language",
+  "syntax",
+  "theme",
+  "material",
+  "linter",
+  "python",
+  "flake8",
+  "git",
+  "github",
+  "diff",
+  "blame",
+  "terminal",
+  "pane",
+  "tabs",
+  "tree",
+  "view",
+  "file",
+  "icons",
+  "minimap",
+  "autocomplete",
+  "snippets",
+  "markdown",
+  "preview",
+  "css",
+  "html",
+  "javascript",
+  "typescript",
+  "rust",
+  "go",
+  "ruby",
+  "elixir",
+  "format",
+  "prettier",
+  "beautify",
+  "color",
+  "picker",
+  "highlight",
+  "selection",
+  "clock",
+  "status",
+  "bar",
+  "project",
+  "manager",
+  "search",
+  "replace",
+  "fuzzy",
+  "finder",
+  "vim",
+  "mode",
+  "emacs",
+  "keymap",
+  "dark",
+  "light",
+  "ui",
+  "one",
+  "solarized",
+  "monokai",
+  "dracula",
+  "docs",
+  "hover",
+  "lint",
+  "test",
+  "runner",
+  "debug",
+  "build",
+  "run",
+  "script",
+  "remote",
+  "sync",
+  "settings",
+  "teletype",
+];
+
+const searches = [
+  "python linter",
+  "material theme",
+  "git",
+  "langauge css",
+  "remote sync settings",
+];
+
+const methods = ["levenshtein_distance", "levenshtein_distance_wsdm", "lcs"];
+
+// A small seeded random number generator (mulberry32), so the catalog is reproducible.
+let seed = 42;
+const random = () => {
+  seed = (seed + 0x6d2b79f5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+const pick = (list) => list[Math.floor(random() * list.length)];
+const words = (amount, list = vocabulary) =>
+  Array.from({ length: amount }, () => pick(list));
+
+// Most words of a description or readme are unrelated to what anyone searches for.
+const syllables = ["ka", "lo", "mi", "ne", "ru", "ta", "vo", "zi", "pe", "sa"];
+const filler = [];
+for (const a of syllables) {
+  for (const b of syllables) {
+    for (const c of syllables) {
+      filler.push(`${a}${b}${c}`);
+    }
+  }
+}
+
+const generate = () => {
+  let packages = [];
+
+  for (let i = 0; i < catalog_size; i++) {
+    packages.push({
+      name: `${words(2).join("-")}-${i}`,
+      downloads: Math.floor(random() * 100000),
+      readme: words(3).concat(words(57, filler)).join(" "),
+      metadata: {
+        description: words(2).concat(words(6, filler)).join(" "),
+        keywords: words(3),
+      },
+    });
+  }
+
+  return packages;
+};
+
+const milliseconds = (start) =>
+  Number(process.hrtime.bigint() - start) / 1000000;
+
+// Many packages can tie for the best match, so the best relevance is compared rather than the package.
+const best = (packages) =>
+  packages.reduce((score, pack) => Math.max(score, pack.relevance), 0);
+
+const benchmark = async () => {
+  const catalog = generate();
+  let output = [];
+
+  let start = process.hrtime.bigint();
+  search_index.Build(
+    catalog.map((pack, i) => ({ id: `${i}.json`, pack: pack }))
+  );
+  console.log(
+    `Built the index of ${catalog_size} packages in ${milliseconds(start)}ms`
+  );
+
+  for (let i = 0; i < methods.length; i++) {
+    for (let u = 0; u < searches.length; u++) {
+      // Every package is copied and scored, as GETPackagesSearch used to.
+      start = process.hrtime.bigint();
+      let scanned = await collection.DeepCopy(catalog);
+      scanned = await collection.SearchWithinPackages(
+        searches[u],
+        scanned,
+        methods[i]
+      );
+      const scan_time = milliseconds(start);
+
+      // Only the packages found are copied, as GETPackagesSearch does now.
+      start = process.hrtime.bigint();
+      let found = search_index
+        .Search(searches[u], methods[i])
+        .map((result) => ({ ...result.pack, relevance: result.relevance }));
+      found = await collection.DeepCopy(found);
+      const index_time = milliseconds(start);
+
+      output.push({
+        method: methods[i],
+        search: searches[u],
+        scan_ms: scan_time.toFixed(1),
+        index_ms: index_time.toFixed(1),
+        found: found.length,
+        same_best: best(scanned) === best(found),
+      });
+    }
+  }
+
+  console.table(output);
+};
+
+benchmark();
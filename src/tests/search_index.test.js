@@ -0,0 +1,68 @@
+const search_index = require("../search_index.js");
+const search = require("../search.js");
+
+const packages = [
+  {
+    id: "a.json",
+    pack: {
+      name: "linter-flake8",
+      metadata: {
+        description: "Lint Python on the fly, using flake8.",
+        keywords: ["lint"],
+      },
+    },
+  },
+  {
+    id: "b.json",
+    pack: { name: "atom-material-syntax", readme: "A material theme." },
+  },
+  {
+    id: "c.json",
+    pack: { name: "language-css", metadata: { description: "CSS support." } },
+  },
+];
+
+const names = (results) => results.map((found) => found.pack.name).sort();
+
+describe("search_index", () => {
+  test("Finds nothing before being built", () => {
+    expect(search_index.Built()).toBe(false);
+    expect(search_index.Search("css")).toEqual([]);
+  });
+  test("Finds only the packages sharing words with the search", () => {
+    search_index.Build(packages);
+    expect(names(search_index.Search("python linter"))).toEqual([
+      "linter-flake8",
+    ]);
+  });
+  test("Finds words starting with a search word", () => {
+    expect(names(search_index.Search("mat"))).toEqual(["atom-material-syntax"]);
+  });
+  test("Finds words close to a search word", () => {
+    expect(names(search_index.Search("langauge"))).toEqual(["language-css"]);
+  });
+  test("Finds every package without any search words", () => {
+    expect(search_index.Search("").length).toBe(3);
+  });
+  test("Scores the same as searching every package", () => {
+    const [found] = search_index.Search("python linter", "lcs");
+    expect(found.relevance).toBe(
+      search.relevance("python linter", packages[0].pack, "lcs")
+    );
+  });
+  test("Replaces the words of an updated package", () => {
+    search_index.Update("c.json", { name: "hey-pane" });
+    expect(search_index.Search("language")).toEqual([]);
+    expect(names(search_index.Search("pane"))).toEqual(["hey-pane"]);
+    expect(search_index.Get("c.json").name).toBe("hey-pane");
+  });
+  test("Adds a new package", () => {
+    search_index.Update("d.json", { name: "teletype" });
+    expect(names(search_index.Search("teletype"))).toEqual(["teletype"]);
+  });
+  test("Leaves out removed packages", () => {
+    search_index.Remove("d.json");
+    expect(search_index.Search("teletype")).toEqual([]);
+    expect(search_index.Get("d.json")).toBeUndefined();
+  });
+});
@@ -0,0 +1,343 @@
+// The conformance suite every storage backend must pass. Each backend is run against
+// a local stand-in: a temporary directory, an in-memory bucket, an in-memory SQLite database,
+// and for Postgres an in-memory pg-mem database. As well as a real Postgres database
+// given by TEST_DB_URL, which is skipped otherwise.
+
+const fs = require("fs");
+const os = require("os");
+const postgres = require("postgres");
+// eslint-disable-next-line node/no-unpublished-require
+const { newDb } = require("pg-mem");
+const FileSystemStorage = require("../storage/filesystem.js");
+const GCSStorage = require("../storage/gcs.js");
+const SQLStorage = require("../storage/sql.js");
+const SQLiteStorage = require("../storage/sqlite.js");
+const Database = require("better-sqlite3");
+
+// An in-memory stand-in for the parts of a `Bucket` from `@google-cloud/storage` we use.
+class FakeBucket {
+  constructor() {
+    this.files = new Map();
+  }
+  file(name) {
+    const files = this.files;
+    const missing = () =>
+      Object.assign(new Error("No such object"), { code: 404 });
+    return {
+      name: name,
+      download: async () => {
+        if (!files.has(name)) {
+          throw missing();
+        }
+        return [files.get(name)];
+      },
+      save: async (data) => {
+        files.set(name, Buffer.from(data));
+      },
+      delete: async () => {
+        if (!files.delete(name)) {
+          throw missing();
+        }
+      },
+    };
+  }
+  async getFiles({ prefix, delimiter }) {
+    const names = Array.from(this.files.keys()).filter(
+      (name) =>
+        name.startsWith(prefix) &&
+        !name.slice(prefix.length).includes(delimiter)
+    );
+    return [names.map((name) => this.file(name))];
+  }
+}
+
+// An in-memory stand-in for the `Sql` instance from `postgres`, running each query within pg-mem.
+// Only what `SQLStorage` uses: tagged queries, `sql(rows, ...columns)`, `sql.json()` and `sql.begin()`.
+// Values are written into the query as literals, the same as pg-mem does for `pg`, since it
+// fails to plan a parameter compared against an indexed column.
+function pgMemSql(db) {
+  class Fragment {
+    constructor(text) {
+      this.text = text;
+    }
+  }
+  const literal = (value) =>
+    value instanceof Fragment
+      ? value.text
+      : value === null || value === undefined
+      ? "NULL"
+      : `'${String(value).replace(/'/g, "''")}'`;
+
+  const sql = (strings, ...values) => {
+    if (strings.raw === undefined) {
+      // `sql(rows, ...columns)`, which inserts every row.
+      const rows = strings.map(
+        (row) => `(${values.map((column) => literal(row[column])).join(",")})`
+      );
+      return new Fragment(
+        `(${values.map((column) => `"${column}"`).join(",")}) VALUES ${rows}`
+      );
+    }
+
+    const text = strings.reduce(
+      (query, string, i) => query + literal(values[i - 1]) + string
+    );
+    return (async () => db.public.query(text).rows)();
+  };
+
+  sql.json = (obj) => new Fragment(`${literal(JSON.stringify(obj))}::jsonb`);
+  // pg-mem only keeps a transaction within a single query, so a failed one is undone from a backup.
+  sql.begin = async (fn) => {
+    const backup = db.backup();
+    try {
+      return await fn(sql);
+    } catch (err) {
+      backup.restore();
+      throw err;
+    }
+  };
+
+  return sql;
+}
+
+const createTables = async (sql) => {
+  await sql`CREATE TABLE packages (pointer TEXT PRIMARY KEY, data JSONB);`;
+  await sql`CREATE TABLE pointers (name TEXT PRIMARY KEY, pointer TEXT NOT NULL);`;
+};
+
+const tmpDir = () => fs.mkdtempSync(`${os.tmpdir()}/storage-`);
+
+const backends = [
+  [
+    "FileSystemStorage",
+    async () => {
+      const dir = tmpDir();
+      return {
+        storage: new FileSystemStorage(dir),
+        cleanup: async () => fs.rmSync(dir, { recursive: true }),
+      };
+    },
+  ],
+  [
+    "GCSStorage",
+    async () => ({
+      storage: new GCSStorage(new FakeBucket(), "data/"),
+      cleanup: async () => {},
+    }),
+  ],
+  [
+    "SQLiteStorage",
+    async () => {
+      const db = new Database(":memory:");
+      const dir = tmpDir();
+      return {
+        storage: new SQLiteStorage(db, new FileSystemStorage(dir)),
+        cleanup: async () => {
+          db.close();
+          fs.rmSync(dir, { recursive: true });
+        },
+      };
+    },
+  ],
+];
+
+const sqlBackends = [
+  [
+    "SQLStorage on pg-mem",
+    async () => {
+      const sql = pgMemSql(newDb());
+      await createTables(sql);
+
+      const dir = tmpDir();
+      return {
+        storage: new SQLStorage(sql, new FileSystemStorage(dir)),
+        cleanup: async () => fs.rmSync(dir, { recursive: true }),
+      };
+    },
+  ],
+];
+
+if (process.env.TEST_DB_URL) {
+  sqlBackends.push([
+    "SQLStorage",
+    async () => {
+      // A schema of its own, so an existing database is never touched.
+      const schema = `storage_${process.pid}`;
+      const setup = postgres(process.env.TEST_DB_URL, { onnotice: () => {} });
+      await setup.unsafe(`CREATE SCHEMA ${schema}`);
+      await setup.end();
+
+      const sql = postgres(process.env.TEST_DB_URL, {
+        onnotice: () => {},
+        connection: { search_path: schema },
+      });
+      await createTables(sql);
+
+      const dir = tmpDir();
+      return {
+        storage: new SQLStorage(sql, new FileSystemStorage(dir)),
+        cleanup: async () => {
+          await sql.unsafe(`DROP SCHEMA ${schema} CASCADE`);
+          await sql.end();
+          fs.rmSync(dir, { recursive: true });
+        },
+      };
+    },
+  ]);
+}
+
+backends.push(...sqlBackends);
+
+const json = (res) => JSON.parse(res.content.toString());
+
+describe.each(backends)("%s conformance", (name, create) => {
+  let storage, cleanup;
+
+  beforeAll(async () => {
+    ({ storage, cleanup } = await create());
+  });
+  afterAll(async () => {
+    await cleanup();
+  });
+
+  test("Reading a missing package gives 'File Not Found'", async () => {
+    const res = await storage.read("packages/missing.json");
+    expect(res.ok).toBe(false);
+    expect(res.short).toBe("File Not Found");
+  });
+  test("Reading a missing file gives 'File Not Found'", async () => {
+    const res = await storage.read("updates.json");
+    expect(res.ok).toBe(false);
+    expect(res.short).toBe("File Not Found");
+  });
+  test("A written package can be read back", async () => {
+    const pack = { name: "a-package", versions: { "1.0.0": {} } };
+    expect(
+      (await storage.write("packages/a.json", JSON.stringify(pack))).ok
+    ).toBe(true);
+    expect(json(await storage.read("packages/a.json"))).toStrictEqual(pack);
+  });
+  test("Writing a package again replaces it", async () => {
+    await storage.write("packages/a.json", JSON.stringify({ name: "a" }));
+    await storage.write("packages/a.json", JSON.stringify({ name: "b" }));
+    expect(json(await storage.read("packages/a.json"))).toStrictEqual({
+      name: "b",
+    });
+  });
+  test("Written pointers can be read back, and are replaced", async () => {
+    await storage.write(
+      "package_pointer.json",
+      JSON.stringify({ "a-package": "a", "b-package": "b" })
+    );
+    await storage.write(
+      "package_pointer.json",
+      JSON.stringify({ "a-package": "a", "c-package": "c" })
+    );
+    expect(json(await storage.read("package_pointer.json"))).toStrictEqual({
+      "a-package": "a",
+      "c-package": "c",
+    });
+  });
+  test("Other files can be written and read back", async () => {
+    await storage.write("users.json", JSON.stringify({ user: {} }));
+    expect(json(await storage.read("users.json"))).toStrictEqual({ user: {} });
+  });
+  test("Featured lists keep their order", async () => {
+    const featured = ["zentabs", "atom-clock", "teletype"];
+    await storage.write("featured_themes.json", JSON.stringify(featured));
+    expect(json(await storage.read("featured_themes.json"))).toStrictEqual(
+      featured
+    );
+  });
+  test("Binary files are read back unchanged", async () => {
+    const tarball = Buffer.from([0x1f, 0x8b, 0x00, 0xff, 0x0a]);
+    await storage.write("tarballs/a.tgz", tarball);
+    const res = await storage.read("tarballs/a.tgz");
+    expect(res.ok).toBe(true);
+    expect(res.content.equals(tarball)).toBe(true);
+  });
+  test("Lists only the files directly within a folder", async () => {
+    await storage.write("packages/b.json", JSON.stringify({ name: "b" }));
+    const res = await storage.list("packages");
+    expect(res.ok).toBe(true);
+    expect(res.content.sort()).toEqual(["a.json", "b.json"]);
+  });
+  test("Lists nothing for a missing folder", async () => {
+    const res = await storage.list("missing");
+    expect(res).toStrictEqual({ ok: true, content: [] });
+  });
+  test("A deleted package can't be read", async () => {
+    expect((await storage.delete("packages/b.json")).ok).toBe(true);
+    expect((await storage.read("packages/b.json")).short).toBe(
+      "File Not Found"
+    );
+    expect((await storage.list("packages")).content).toEqual(["a.json"]);
+  });
+  test("Deleting a missing package gives 'File Not Found'", async () => {
+    const res = await storage.delete("packages/missing.json");
+    expect(res.ok).toBe(false);
+    expect(res.short).toBe("File Not Found");
+  });
+});
+
+describe.each(sqlBackends)("%s pointers", (name, create) => {
+  let storage, cleanup;
+
+  beforeAll(async () => {
+    ({ storage, cleanup } = await create());
+  });
+  afterAll(async () => {
+    await cleanup();
+  });
+
+  test("Are left as they were when replacing them fails", async () => {
+    const pointers = { "a-package": "a", "b-package": "b" };
+    await storage.write("package_pointer.json", JSON.stringify(pointers));
+    // A pointer can't be null, so the insert fails after every pointer was deleted.
+    const res = await storage.write(
+      "package_pointer.json",
+      JSON.stringify({ "a-package": "a", "c-package": null })
+    );
+    expect(res.ok).toBe(false);
+    expect(res.short).toBe("Server Error");
+    expect(json(await storage.read("package_pointer.json"))).toStrictEqual(
+      pointers
+    );
+  });
+  test("Can all be removed", async () => {
+    await storage.write("package_pointer.json", JSON.stringify({}));
+    expect(json(await storage.read("package_pointer.json"))).toStrictEqual({});
+  });
+});
+
+describe("FileSystemStorage writes", () => {
+  let dir, storage;
+
+  beforeAll(() => {
+    dir = tmpDir();
+    storage = new FileSystemStorage(dir);
+  });
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true });
+  });
+
+  test("Leave no temporary files behind", async () => {
+    await storage.write("packages/a.json", JSON.stringify({ name: "a" }));
+    await storage.write("packages/a.json", JSON.stringify({ name: "b" }));
+    expect(fs.readdirSync(`${dir}/packages`)).toEqual(["a.json"]);
+  });
+  test("Leave the previous file in place when they fail", async () => {
+    // A folder where the file would be written, can't be replaced by a file.
+    fs.mkdirSync(`${dir}/packages/folder.json`);
+    const res = await storage.write("packages/folder.json", "{}");
+    expect(res.ok).toBe(false);
+    expect(fs.readdirSync(`${dir}/packages`).sort()).toEqual([
+      "a.json",
+      "folder.json",
+    ]);
+  });
+  test("Don't list files still being written", async () => {
+    fs.writeFileSync(`${dir}/packages/b.json.1.ab.tmp`, "{");
+    expect((await storage.list("packages")).content).toEqual(["a.json"]);
+  });
+});
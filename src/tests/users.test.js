@@ -56,13 +56,183 @@ test("Ability to remove arbitrary package from stars.", async () => {
   }
 });
 
+// ============== users.LoginUser()
+// === Creates a new user?
+test("users.LoginUser creates a new user with a token", async () => {
+  const data = await users.LoginUser("new-user", { token: "gho_" });
+  expect(data.ok).toBe(true);
+  const reData = await users.VerifyAuth(data.content.token);
+  expect(reData.content.name).toBe("new-user");
+});
+
+// === Keeps an existing users stars, and tokens?
+test("users.LoginUser keeps an existing users stars and tokens", async () => {
+  const data = await users.LoginUser("confused-Techie", {
+    token: "ghp_",
+    refresh_token: null,
+    expires: null,
+    refresh_token_expires: null,
+  });
+  expect(data.content.token).not.toBe("valid_token");
+  const reData = await users.GetUser("confused-Techie");
+  expect(reData.content.stars.includes("what-a-package")).toBeTruthy();
+  expect((await users.VerifyAuth("valid_token")).ok).toBe(true);
+});
+
+// ============== users.SetGitHubGrant()
+// === Stores a refreshed token?
+test("users.SetGitHubGrant persists a refreshed GitHub token", async () => {
+  const user = await users.GetUser("new-user");
+  const grant = {
+    token: "ghu_new",
+    refresh_token: "ghr_new",
+    expires: Date.now() + 28800000,
+    refresh_token_expires: Date.now() + 15811200000,
+  };
+  const data = await users.SetGitHubGrant(user.content, grant);
+  expect(data.ok).toBe(true);
+  const reData = await users.GetUser("new-user");
+  expect(reData.content.github_token).toBe("ghu_new");
+  expect(reData.content.github_refresh_token).toBe("ghr_new");
+  expect(reData.content.github_token_expires).toBe(grant.expires);
+});
+
+// === Keeps the refresh token when GitHub doesn't provide a new one?
+test("users.SetGitHubGrant keeps the refresh token if none is returned", async () => {
+  const user = await users.GetUser("new-user");
+  await users.SetGitHubGrant(user.content, {
+    token: "ghu_newer",
+    refresh_token: null,
+    expires: Date.now() + 28800000,
+    refresh_token_expires: null,
+  });
+  const reData = await users.GetUser("new-user");
+  expect(reData.content.github_token).toBe("ghu_newer");
+  expect(reData.content.github_refresh_token).toBe("ghr_new");
+});
+
+// ============== users.CreateToken()
+// === Only stores a hash of the token?
+test("users.CreateToken never stores the token itself", async () => {
+  const data = await users.CreateToken("confused-Techie", "Laptop");
+  expect(data.ok).toBe(true);
+  expect(data.content.name).toBe("Laptop");
+  expect(data.content.token.startsWith(`${data.content.id}_`)).toBeTruthy();
+  const reData = await users.GetUser("confused-Techie");
+  expect(JSON.stringify(reData.content).includes(data.content.token)).toBe(
+    false
+  );
+  expect(
+    JSON.stringify(reData.content).includes(data.content.token.split("_")[1])
+  ).toBe(false);
+});
+
+// === Rejects a tampered token?
+test("users.VerifyAuth denies a token with a valid id but wrong secret", async () => {
+  const data = await users.CreateToken("confused-Techie", "CI");
+  const tampered = `${data.content.id}_${"0".repeat(64)}`;
+  expect((await users.VerifyAuth(data.content.token)).ok).toBe(true);
+  expect((await users.VerifyAuth(tampered)).ok).toBe(false);
+});
+
+// === Grants the scopes requested?
+test("users.CreateToken grants only the scopes requested", async () => {
+  const data = await users.CreateToken("confused-Techie", "CI", ["publish"]);
+  expect(data.content.scopes).toEqual(["publish"]);
+  const reData = await users.VerifyAuth(data.content.token);
+  expect(reData.scopes).toEqual(["publish"]);
+});
+
+// === Never grants admin to a non admin by default?
+test("users.CreateToken defaults to every scope but admin for non admins", async () => {
+  const data = await users.CreateToken("murphys-user", "Laptop");
+  expect(data.content.scopes).toEqual([
+    "read",
+    "star",
+    "publish",
+    "delete",
+    "tokens",
+  ]);
+});
+
+// ============== users.HasScope()
+const has_scope_cases = [
+  [{ content: {}, scopes: ["publish"] }, "publish", true],
+  [{ content: {}, scopes: ["publish"] }, "delete", false],
+  [{ content: {}, scopes: ["admin"] }, "admin", false],
+  [{ content: { admin: true }, scopes: ["admin"] }, "admin", true],
+  [{ content: { admin: true }, scopes: ["read"] }, "admin", false],
+  [{ content: {} }, "read", false],
+];
+
+describe("Verify users.HasScope Returns", () => {
+  test.each(has_scope_cases)(
+    "Given %o and %p Returns %p",
+    (arg, scope, result) => {
+      expect(users.HasScope(arg, scope)).toBe(result);
+    }
+  );
+});
+
+// ============== users.ListTokens()
+// === Lists tokens without secret data, and records last use?
+test("users.ListTokens returns tokens without their hash", async () => {
+  const data = await users.ListTokens("confused-Techie");
+  expect(data.ok).toBe(true);
+  const dev = data.content.find((t) => t.name === "Development");
+  expect(dev).toBeDefined();
+  expect(typeof dev.last_used).toBe("number");
+  expect(dev.hash).toBeUndefined();
+  expect(dev.salt).toBeUndefined();
+});
+
+// === Records the last use of a token at most once an hour?
+test("users.VerifyAuth only saves the last use of a token once an hour", async () => {
+  const token = await users.CreateToken("confused-Techie", "Hourly");
+  const save = jest.spyOn(require("../data.js"), "SetUsers");
+  expect((await users.VerifyAuth(token.content.token)).ok).toBe(true);
+  expect((await users.VerifyAuth(token.content.token)).ok).toBe(true);
+  expect(save).toHaveBeenCalledTimes(1);
+  save.mockRestore();
+  await users.RevokeToken("confused-Techie", token.content.id);
+});
+
+// === Still accepts a token when its last use can't be saved?
+test("users.VerifyAuth accepts the token when saving its last use fails", async () => {
+  const token = await users.CreateToken("confused-Techie", "Unsaved");
+  const save = jest.spyOn(require("../data.js"), "SetUsers").mockResolvedValue({
+    ok: false,
+    content: "Disk Full",
+    short: "Server Error",
+  });
+  expect((await users.VerifyAuth(token.content.token)).ok).toBe(true);
+  save.mockRestore();
+  await users.RevokeToken("confused-Techie", token.content.id);
+});
+
+// ============== users.RevokeToken()
+// === Revoked tokens no longer work?
+test("users.RevokeToken stops the token from being accepted", async () => {
+  const data = await users.CreateToken("confused-Techie", "Temporary");
+  const revoke = await users.RevokeToken("confused-Techie", data.content.id);
+  expect(revoke.ok).toBe(true);
+  expect((await users.VerifyAuth(data.content.token)).ok).toBe(false);
+  expect((await users.VerifyAuth("valid_token")).ok).toBe(true);
+});
+
+// === "Not Found" on a token the user doesn't own?
+test("users.RevokeToken returns Not Found on an unknown token", async () => {
+  const data = await users.RevokeToken("murphys-user", "3e49aaecae61e09a");
+  expect(data.short).toBe("Not Found");
+});
+
 // ============== users.Prune()
-// === Removes atom_token?
-test("Does user.Prune remove 'atom_token'", async () => {
+// === Removes tokens?
+test("Does user.Prune remove 'tokens'", async () => {
   const data = await users.GetUser("confused-Techie");
   if (data.ok) {
     const pruned = await users.Prune(data.content);
-    expect(pruned.atom_token).toBeUndefined();
+    expect(pruned.tokens).toBeUndefined();
   } else {
     fail(`Wasn't able to get the user, to test prune. ${data}`);
   }
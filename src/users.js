@@ -5,18 +5,40 @@
  * @implements {data}
  */
 
+const crypto = require("crypto");
 const data = require("./data.js");
+const logger = require("./logger.js");
+
+// A token is handed out as `id_secret`. The `id` is not secret, and is only used to find
+// which user, and which of their tokens, is being used. Without needing to hash against every
+// token that exists. Only a salted hash of the `secret` is ever stored.
+const token_format = /^([a-f\d]{16})_([a-f\d]{64})$/;
+
+// Every scope a token may be granted. A token only allows the actions its scopes cover,
+// and `admin` is only ever honoured for users who are admins themselves.
+// Where `tokens` allows creating and revoking the tokens of the user.
+const token_scopes = ["read", "star", "publish", "delete", "tokens", "admin"];
+
+// Maps a token `id` to the name of the user who owns it. Rebuilt whenever the user data
+// is read again from disk.
+let token_index = { source: undefined, ids: {} };
+
+// How often the time a token was last used is saved, in milliseconds. Saving it on every
+// request would rewrite the user data, and journal it, for every authenticated request.
+const last_used_interval = 3600000;
 
 /**
  * @function VerifyAuth
- * @desc Checks every existing user within the users file, to see if the token provided exists within their valid
- * tokens. If it does will return the entire user object. If an optional callback is provided will invoke the
- * callback passing the user object, otherwise will just return the user object.
- * If no valid user is found returns null.
+ * @desc Finds the user who owns the token provided, using the token index, then checks
+ * the token against the salted hash stored for it. If valid, records the time the token was
+ * last used, at most once an hour, and will return the entire user object, alongside the `scopes`
+ * of the token used. Failing to record the time is only logged, since the token is still valid.
+ * If no valid user is found returns a 'Bad Auth' Error Object.
  * @param {string} token Provided Token to check against all valid users.
- * @param {function} [callback] Optional function to invoke passing the matched user.
  * @implements {GetUsers}
+ * @implements {SetUsers}
  * @returns {object} Error Object bubbled from GetUsers, Error Object of 'Bad Auth', Object containing the User Object.
+ * Where a successful object also contains `scopes`, an array of the scopes of the token used.
  */
 async function VerifyAuth(token) {
   const users = await data.GetUsers();
@@ -25,15 +47,63 @@ async function VerifyAuth(token) {
     return users;
   }
 
-  for (const user in users.content) {
-    const usrToken = users.content[user].atom_token;
+  const badAuth = {
+    ok: false,
+    content: "No valid token found.",
+    short: "Bad Auth",
+  };
+
+  if (typeof token !== "string" || token.length === 0) {
+    return badAuth;
+  }
+
+  const index = await getTokenIndex(users.content);
+  const parts = splitToken(token);
+  const user = users.content[index[parts.id]];
+
+  if (user === undefined || !Array.isArray(user.tokens)) {
+    return badAuth;
+  }
+
+  const usrToken = user.tokens.find((t) => t.id === parts.id);
+
+  if (
+    usrToken === undefined ||
+    !hashMatches(parts.secret, usrToken.salt, usrToken.hash)
+  ) {
+    return badAuth;
+  }
+
+  if (
+    typeof usrToken.last_used !== "number" ||
+    Date.now() - usrToken.last_used >= last_used_interval
+  ) {
+    usrToken.last_used = Date.now();
+
+    const write = await data.SetUsers(users.content);
 
-    if (usrToken !== undefined && usrToken == token) {
-      return { ok: true, content: users.content[user] };
+    if (!write.ok) {
+      logger.WarningLog(undefined, undefined, write.content);
     }
   }
 
-  return { ok: false, content: "No valid token found.", short: "Bad Auth" };
+  return { ok: true, content: user, scopes: scopesOf(usrToken) };
+}
+
+/**
+ * @function HasScope
+ * @desc The shared guard of every authenticated action. Checks the token a user authenticated
+ * with was granted the scope needed. The `admin` scope additionally requires the user to be an admin.
+ * @param {object} user - The Server Status Object returned from `VerifyAuth`.
+ * @param {string} scope - The scope required, one of `read`, `star`, `publish`, `delete`, `tokens` or `admin`.
+ * @returns {boolean} True if the user is allowed to continue, false otherwise.
+ */
+function HasScope(user, scope) {
+  if (!Array.isArray(user.scopes) || !user.scopes.includes(scope)) {
+    return false;
+  }
+
+  return scope !== "admin" || user.content.admin === true;
 }
 
 /**
@@ -64,6 +134,7 @@ async function GetUser(username) {
 /**
  * @function AddUserStar
  * @desc Adds the desired Package to the list of packages the User has starred.
+ * A package already starred by the User is left as is.
  * @implements {GetUser}
  * @implements {GetUsers}
  * @impmplements {SetUsers}
@@ -80,8 +151,10 @@ async function AddUserStar(packageName, userName) {
     return user;
   }
 
-  // with the user, lets add the package
-  user.content.stars.push(packageName);
+  // with the user, lets add the package, unless they've already starred it.
+  if (!user.content.stars.includes(packageName)) {
+    user.content.stars.push(packageName);
+  }
   // then write the user data.
 
   // A bug discovered is this writes the user data singular object, not the entire user file object.
@@ -95,7 +168,7 @@ async function AddUserStar(packageName, userName) {
   users.content[userName] = user.content;
 
   // now with the new user object assigned as the key to the user file, we can save.
-  const write = data.SetUsers(users.content);
+  const write = await data.SetUsers(users.content);
 
   return write.ok ? { ok: true } : write;
 }
@@ -149,6 +222,258 @@ async function RemoveUserStar(packageName, userName) {
   return write.ok ? { ok: true } : write;
 }
 
+/**
+ * @function LoginUser
+ * @desc Creates or updates the User Object of a user who has just logged in with GitHub.
+ * Storing their newest GitHub token, and minting them a new token for this server.
+ * @implements {GetUsers}
+ * @implements {SetUsers}
+ * @implements {CreateToken}
+ * @param {string} userName - The GitHub login of the user.
+ * @param {object} grant - The GitHub Grant Object of the user, as returned by `git.ExchangeOAuthCode`.
+ * @returns {object} Error Object Bubbled from GetUsers, Error Object Bubbled from SetUsers,
+ * or the Object returned from `CreateToken`, containing the new token.
+ */
+async function LoginUser(userName, grant) {
+  let users = await data.GetUsers();
+
+  if (!users.ok) {
+    return users;
+  }
+
+  let user = users.content[userName];
+
+  if (user === undefined) {
+    // This is a brand new user.
+    user = {
+      name: userName,
+      stars: [],
+      published_packages: [],
+      published_themes: [],
+      tokens: [],
+      created_at: Date.now(),
+    };
+  }
+
+  applyGrant(user, grant);
+
+  users.content[userName] = user;
+
+  const write = await data.SetUsers(users.content);
+
+  if (!write.ok) {
+    return write;
+  }
+
+  return CreateToken(userName, "Login");
+}
+
+/**
+ * @function SetGitHubGrant
+ * @desc Persists a refreshed GitHub token to the user. Modifying the user object provided.
+ * @implements {GetUsers}
+ * @implements {SetUsers}
+ * @param {object} user - The Full User object, as returned from `VerifyAuth` or `GetUser`.
+ * @param {object} grant - The GitHub Grant Object, as returned by `git.RefreshGitHubToken`.
+ * @returns {object} Error Object Bubbled from GetUsers, Error Object Bubbled from SetUsers,
+ * Short Object of successful write ok.
+ */
+async function SetGitHubGrant(user, grant) {
+  let users = await data.GetUsers();
+
+  if (!users.ok) {
+    return users;
+  }
+
+  applyGrant(user, grant);
+  users.content[user.name] = user;
+
+  const write = await data.SetUsers(users.content);
+
+  return write.ok ? { ok: true } : write;
+}
+
+/**
+ * @function LinkIdentity
+ * @desc Links an account on a git host other than GitHub to a user, replacing any account
+ * previously linked on the same host. Allowing the user to own repos on that host.
+ * The account must already have been verified, with `git.VerifyIdentity`.
+ * @implements {GetUser}
+ * @implements {GetUsers}
+ * @implements {SetUsers}
+ * @param {string} userName - The user to link the account to.
+ * @param {string} host - The hostname of the git host.
+ * @param {object} identity - The account as returned by `git.VerifyIdentity`, as `{ id, username }`.
+ * @returns {object} Error Object Bubbled from GetUser, Error Object Bubbled from GetUsers,
+ * Error Object Bubbled from SetUsers, or Object containing the linked account.
+ */
+async function LinkIdentity(userName, host, identity) {
+  let user = await GetUser(userName);
+
+  if (!user.ok) {
+    return user;
+  }
+
+  let users = await data.GetUsers();
+
+  if (!users.ok) {
+    return users;
+  }
+
+  if (
+    typeof user.content.identities !== "object" ||
+    user.content.identities === null
+  ) {
+    user.content.identities = {};
+  }
+
+  const linked = {
+    id: identity.id,
+    username: identity.username,
+    linked_at: Date.now(),
+  };
+
+  user.content.identities[host] = linked;
+  users.content[userName] = user.content;
+
+  const write = await data.SetUsers(users.content);
+
+  return write.ok ? { ok: true, content: { host: host, ...linked } } : write;
+}
+
+/**
+ * @function CreateToken
+ * @desc Mints a new named token for the user. The token itself is only ever returned
+ * here, since only its salted hash is stored. If no scopes are provided, the token
+ * is granted every scope available to the user.
+ * @implements {GetUser}
+ * @implements {GetUsers}
+ * @implements {SetUsers}
+ * @param {string} userName - The user to create the token for.
+ * @param {string} tokenName - The name of the token, to help the user tell their tokens apart.
+ * @param {string[]} [scopes] - The scopes to grant the token. Validity is left to the caller.
+ * @returns {object} Error Object Bubbled from GetUser, Error Object Bubbled from GetUsers,
+ * Error Object Bubbled from SetUsers, or Object containing the Token Object, including
+ * the new `token`.
+ */
+async function CreateToken(userName, tokenName, scopes) {
+  let user = await GetUser(userName);
+
+  if (!user.ok) {
+    return user;
+  }
+
+  let users = await data.GetUsers();
+
+  if (!users.ok) {
+    return users;
+  }
+
+  const index = await getTokenIndex(users.content);
+  const secret = crypto.randomBytes(32).toString("hex");
+
+  let id = crypto.randomBytes(8).toString("hex");
+
+  while (index[id] !== undefined) {
+    id = crypto.randomBytes(8).toString("hex");
+  }
+
+  const salt = crypto.randomBytes(16).toString("hex");
+  const usrToken = {
+    id: id,
+    name: tokenName,
+    salt: salt,
+    hash: hashSecret(secret, salt),
+    scopes:
+      Array.isArray(scopes) && scopes.length > 0
+        ? scopes
+        : token_scopes.filter(
+            (scope) => scope !== "admin" || user.content.admin === true
+          ),
+    created_at: Date.now(),
+    last_used: null,
+  };
+
+  if (!Array.isArray(user.content.tokens)) {
+    user.content.tokens = [];
+  }
+
+  user.content.tokens.push(usrToken);
+  users.content[userName] = user.content;
+  index[id] = userName;
+
+  const write = await data.SetUsers(users.content);
+
+  if (!write.ok) {
+    return write;
+  }
+
+  return {
+    ok: true,
+    content: { ...pruneToken(usrToken), token: `${id}_${secret}` },
+  };
+}
+
+/**
+ * @function ListTokens
+ * @desc Lists all tokens belonging to a user, without any of their secret data.
+ * @implements {GetUser}
+ * @param {string} userName - The user whose tokens to list.
+ * @returns {object} Error Object Bubbled from GetUser, or Object containing an array
+ * of Token Objects.
+ */
+async function ListTokens(userName) {
+  let user = await GetUser(userName);
+
+  if (!user.ok) {
+    return user;
+  }
+
+  let tokens = Array.isArray(user.content.tokens) ? user.content.tokens : [];
+
+  return { ok: true, content: tokens.map((t) => pruneToken(t)) };
+}
+
+/**
+ * @function RevokeToken
+ * @desc Removes a token from a user, after which it can no longer be used.
+ * @implements {GetUser}
+ * @implements {GetUsers}
+ * @implements {SetUsers}
+ * @param {string} userName - The user who owns the token.
+ * @param {string} tokenId - The `id` of the token to revoke.
+ * @returns {object} Error Object Bubbled from GetUser, Error Object Bubbled from GetUsers,
+ * Error Object Bubbled from SetUsers, Error Object of 'Not Found', Short Object of successful write ok.
+ */
+async function RevokeToken(userName, tokenId) {
+  let user = await GetUser(userName);
+
+  if (!user.ok) {
+    return user;
+  }
+
+  let tokens = Array.isArray(user.content.tokens) ? user.content.tokens : [];
+  let tokenIdx = tokens.findIndex((t) => t.id === tokenId);
+
+  if (tokenIdx === -1) {
+    return { ok: false, content: "Not Found", short: "Not Found" };
+  }
+
+  let users = await data.GetUsers();
+
+  if (!users.ok) {
+    return users;
+  }
+
+  tokens.splice(tokenIdx, 1);
+  users.content[userName] = user.content;
+  delete (await getTokenIndex(users.content))[tokenId];
+
+  const write = await data.SetUsers(users.content);
+
+  return write.ok ? { ok: true } : write;
+}
+
 /**
  * @function Prune
  * @desc Takes a single User Object, and prunes any server side only data from the object to return to the user.
@@ -163,10 +488,14 @@ async function Prune(userObj) {
 
   // But as research and clarification goes on, there may never be an endpoint that returns full user objects, and this may be useless.
 
-  // Remove User Atom Token
+  // Remove User Atom Token, and any tokens
   delete userObj.atom_token;
+  delete userObj.tokens;
   // Remove User Github Token
   delete userObj.github_token;
+  delete userObj.github_token_expires;
+  delete userObj.github_refresh_token;
+  delete userObj.github_refresh_token_expires;
   // Remove User created at time
   delete userObj.created_at;
 
@@ -174,10 +503,177 @@ async function Prune(userObj) {
   return userObj;
 }
 
+/**
+ * @async
+ * @function getTokenIndex
+ * @desc Non-Exported function, that returns the index of token `id`s to the user who owns them.
+ * Rebuilding it if the user data has been read again since it was built. While building, any
+ * user still holding a plaintext `atom_token` has it migrated to a hashed token.
+ * @param {object} users - The full user data, as returned by `GetUsers`.
+ * @returns {object} The index, with token `id`s as keys and user names as values.
+ * @implements {SetUsers}
+ */
+async function getTokenIndex(users) {
+  if (token_index.source === users) {
+    return token_index.ids;
+  }
+
+  let ids = {};
+  let migrated = false;
+
+  for (const userName in users) {
+    const user = users[userName];
+
+    if (typeof user.atom_token === "string" && user.atom_token.length > 0) {
+      const parts = splitToken(user.atom_token);
+      const salt = crypto.randomBytes(16).toString("hex");
+
+      if (!Array.isArray(user.tokens)) {
+        user.tokens = [];
+      }
+
+      user.tokens.push({
+        id: parts.id,
+        name: "Legacy Token",
+        salt: salt,
+        hash: hashSecret(parts.secret, salt),
+        created_at: user.created_at,
+        last_used: null,
+      });
+      delete user.atom_token;
+      migrated = true;
+    }
+
+    if (Array.isArray(user.tokens)) {
+      for (const usrToken of user.tokens) {
+        ids[usrToken.id] = userName;
+      }
+    }
+  }
+
+  token_index = { source: users, ids: ids };
+
+  if (migrated) {
+    data.SetUsers(users);
+  }
+
+  return ids;
+}
+
+/**
+ * @function splitToken
+ * @desc Non-Exported function, that splits a token into its `id` and `secret`.
+ * Tokens from before ids existed, have their `id` derived from the token itself instead.
+ * @param {string} token - The full token, as provided by the user.
+ * @returns {object} An object containing the `id` and `secret` of the token.
+ */
+function splitToken(token) {
+  const match = token.match(token_format);
+
+  if (match !== null) {
+    return { id: match[1], secret: match[2] };
+  }
+
+  return {
+    id: crypto.createHash("sha256").update(token).digest("hex").slice(0, 16),
+    secret: token,
+  };
+}
+
+/**
+ * @function hashSecret
+ * @desc Non-Exported function, that hashes the secret of a token with its salt.
+ * Since every secret is 32 random bytes, a slow hash would add nothing but latency.
+ * @param {string} secret - The secret of the token.
+ * @param {string} salt - The salt stored alongside the token.
+ * @returns {string} The hex encoded hash.
+ */
+function hashSecret(secret, salt) {
+  return crypto.createHash("sha256").update(salt).update(secret).digest("hex");
+}
+
+/**
+ * @function hashMatches
+ * @desc Non-Exported function, that checks a secret against a stored hash, in constant time.
+ * @param {string} secret - The secret of the token provided.
+ * @param {string} salt - The salt stored alongside the token.
+ * @param {string} hash - The hash stored for the token.
+ * @returns {boolean} True if the secret matches the hash.
+ */
+function hashMatches(secret, salt, hash) {
+  if (typeof salt !== "string" || typeof hash !== "string") {
+    return false;
+  }
+
+  const expected = Buffer.from(hash, "hex");
+  const provided = Buffer.from(hashSecret(secret, salt), "hex");
+
+  return (
+    expected.length === provided.length &&
+    crypto.timingSafeEqual(expected, provided)
+  );
+}
+
+/**
+ * @function applyGrant
+ * @desc Non-Exported function, that stores a GitHub Grant Object onto a user.
+ * @param {object} user - The Full User object.
+ * @param {object} grant - The GitHub Grant Object.
+ */
+function applyGrant(user, grant) {
+  user.github_token = grant.token;
+  user.github_token_expires = grant.expires;
+
+  // GitHub only provides a new refresh token when it has one to give.
+  if (typeof grant.refresh_token === "string") {
+    user.github_refresh_token = grant.refresh_token;
+    user.github_refresh_token_expires = grant.refresh_token_expires;
+  } else if (grant.expires === null) {
+    // A token that never expires, has nothing to refresh.
+    delete user.github_refresh_token;
+    delete user.github_refresh_token_expires;
+  }
+}
+
+/**
+ * @function scopesOf
+ * @desc Non-Exported function, that returns the scopes of a token. Tokens created before
+ * scopes existed were able to do anything, so are treated as having every scope.
+ * @param {object} usrToken - The Token Object as stored.
+ * @returns {string[]} The scopes of the token.
+ */
+function scopesOf(usrToken) {
+  return Array.isArray(usrToken.scopes) ? usrToken.scopes : token_scopes;
+}
+
+/**
+ * @function pruneToken
+ * @desc Non-Exported function, that returns only the details of a token safe to show its owner.
+ * @param {object} usrToken - The Token Object as stored.
+ * @returns {object} The Token Object without its `salt` or `hash`.
+ */
+function pruneToken(usrToken) {
+  return {
+    id: usrToken.id,
+    name: usrToken.name,
+    scopes: scopesOf(usrToken),
+    created_at: usrToken.created_at,
+    last_used: usrToken.last_used,
+  };
+}
+
 module.exports = {
+  TokenScopes: token_scopes,
   VerifyAuth,
+  HasScope,
   GetUser,
   Prune,
   AddUserStar,
   RemoveUserStar,
+  LoginUser,
+  SetGitHubGrant,
+  LinkIdentity,
+  CreateToken,
+  ListTokens,
+  RevokeToken,
 };
@@ -10,6 +10,7 @@ const resources = require("./resources.js");
 const logger = require("./logger.js");
 const users = require("./users.js");
 const common = require("./handlers/common_handler.js");
+const semver = require("semver");
 
 async function IsPackageNameBanned(name) {
   let names = await resources.Read("name_ban_list");
@@ -37,13 +38,15 @@ async function IsPackageNameBanned(name) {
  * @desc Used as a less verbose way to check if the current user token, is associated
  * with a logged in user. If not handles errors automatically, if so calls the callback
  * function passing the Server Status Object, where content is User.
+ * If a scope is provided, a token without that scope will be responded to as Forbidden.
  * @param {object} req -
  * @param {object} res -
  * @param {string} params_user - Usually `params.auth` or otherwise the authorization
  * token within the header field.
  * @param {function} callback - The callback to invoke only if the user is properly authenticated.
+ * @param {string} [scope] - The scope the token must have been granted, checked with `users.HasScope`.
  */
-async function LocalUserLoggedIn(req, res, params_user, callback) {
+async function LocalUserLoggedIn(req, res, params_user, callback, scope) {
   let user = await users.VerifyAuth(params_user);
 
   if (!user.ok) {
@@ -51,10 +54,61 @@ async function LocalUserLoggedIn(req, res, params_user, callback) {
     return;
   }
 
+  if (scope !== undefined && !users.HasScope(user, scope)) {
+    await common.Forbidden(req, res);
+    return;
+  }
+
   callback(user);
 }
 
+/**
+ * @function LatestVersion
+ * @desc Finds the greatest version of a package, that hasn't been yanked. Used to recompute
+ * `releases.latest` once the version it pointed to is yanked. Or if an Atom version is given,
+ * the greatest version compatible with it, based on the `engines.atom` range each version
+ * declares. Where a version without one is compatible with any Atom version.
+ * @param {object} pack - The 'Server Package Object' of the package.
+ * @param {string} [engine] - Only consider versions compatible with this Atom version, such as `1.60.0`.
+ * @returns {string|undefined} The latest version, or undefined if every version is yanked,
+ * none are compatible, or the engine is invalid.
+ */
+function LatestVersion(pack, engine) {
+  if (engine !== undefined && semver.valid(engine) === null) {
+    return undefined;
+  }
+
+  const versions = Object.keys(pack.versions).filter((ver) => {
+    const version = pack.versions[ver];
+
+    if (version.yanked) {
+      return false;
+    }
+
+    if (engine === undefined) {
+      return true;
+    }
+
+    const range =
+      typeof version.engines === "object" &&
+      version.engines !== null &&
+      typeof version.engines.atom === "string"
+        ? version.engines.atom
+        : "*";
+
+    return semver.satisfies(engine, range);
+  });
+
+  // Prereleases are included, so a package only ever published as a prerelease still has a latest.
+  const latest = semver.maxSatisfying(versions, "*", {
+    includePrerelease: true,
+  });
+
+  return latest === null ? undefined : latest;
+}
+
 module.exports = {
   IsPackageNameBanned,
   LocalUserLoggedIn,
+  LatestVersion,
 };